@@ -0,0 +1,397 @@
+/**
+ * Artifact Diff
+ * Compares what two runs generated: each task's output, and the project
+ * trees the materializer wrote from it into <session dir>/app/. Summarizes
+ * the endpoints the generated API serves and the test cases written, and
+ * renders the whole as unified diffs for the terminal or as a
+ * self-contained HTML page. Backs the `diff` command.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { diffLines, diffStats, hunkHeader, unifiedHunks } = require('./diff');
+const { extractRoutes } = require('./gates/api-contract');
+const { runDir } = require('./history');
+const { APP_DIR } = require('./materializer');
+const { escapeHtml } = require('./renderers/highlight');
+
+// Run bookkeeping (tokens, cost, timestamps) that differs on every run
+const IGNORED_FILES = ['metadata.json'];
+
+const TEST_FILE = /(^|\/)(test|tests|__tests__)\/|\.(test|spec)\.[jt]sx?$/;
+const TEST_PATTERN = /\b(describe|it|test)\(\s*(['"`])((?:\\.|(?!\2)[^\\])*)\2/g;
+
+/**
+ * Read a tree as { <relative path>: content }, leaving out what
+ * --verify installed
+ */
+function readTree(dir, base = dir, files = {}) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (entry.name !== 'node_modules') {
+                readTree(full, base, files);
+            }
+        } else {
+            files[path.relative(base, full).split(path.sep).join('/')] = fs.readFileSync(full, 'utf8');
+        }
+    }
+    return files;
+}
+
+function readText(file) {
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+/**
+ * Read the files the materializer wrote, when the report lists them, so
+ * that files --verify added (package-lock.json, test shims) are left out
+ */
+function readFiles(dir, files) {
+    return Object.fromEntries(files
+        .filter(file => fs.existsSync(path.join(dir, file)))
+        .map(file => [file, fs.readFileSync(path.join(dir, file), 'utf8')]));
+}
+
+/**
+ * What one run generated: task outputs and project trees, by task id
+ */
+function loadArtifacts(run, artifactsRoot) {
+    const sessionDir = runDir(run, artifactsRoot);
+    const outputsDir = path.join(sessionDir, 'artifacts');
+    const appDir = path.join(sessionDir, APP_DIR);
+
+    const outputs = {};
+    if (fs.existsSync(outputsDir)) {
+        for (const name of fs.readdirSync(outputsDir)) {
+            const match = name.match(/^(.+)-output\.txt$/);
+            if (match) {
+                outputs[match[1]] = fs.readFileSync(path.join(outputsDir, name), 'utf8');
+            }
+        }
+    }
+
+    let report = null;
+    try {
+        report = JSON.parse(readText(path.join(sessionDir, 'report.json')));
+    } catch (error) {
+        // Failed and interrupted runs have no report; task ids are sorted instead
+    }
+    const listed = new Map(((report && report.artifacts.trees) || []).map(tree => [tree.taskId, tree.files]));
+
+    const trees = {};
+    if (fs.existsSync(appDir)) {
+        for (const entry of fs.readdirSync(appDir, { withFileTypes: true })) {
+            if (entry.isDirectory()) {
+                const dir = path.join(appDir, entry.name);
+                trees[entry.name] = listed.has(entry.name) ? readFiles(dir, listed.get(entry.name)) : readTree(dir);
+            }
+        }
+    }
+
+    return {
+        outputs,
+        trees,
+        order: report ? report.tasks.map(task => task.id) : [],
+        hasTrees: fs.existsSync(appDir)
+    };
+}
+
+/**
+ * Diff one file between the runs; null for a file neither run has
+ * @returns {Object|null} { path, status: 'added'|'removed'|'modified'|'unchanged', added, removed, hunks }
+ */
+function diffFile(filePath, before = null, after = null) {
+    if (before === null && after === null) {
+        return null;
+    }
+    if (before === after) {
+        return { path: filePath, status: 'unchanged', added: 0, removed: 0, hunks: [] };
+    }
+
+    const ops = diffLines(before || '', after || '');
+    return {
+        path: filePath,
+        status: before === null ? 'added' : after === null ? 'removed' : 'modified',
+        ...diffStats(ops),
+        hunks: unifiedHunks(ops)
+    };
+}
+
+/**
+ * The routes of every tree, as "METHOD /path"
+ */
+function collectEndpoints(trees) {
+    const endpoints = new Set();
+    for (const files of Object.values(trees)) {
+        const sources = Object.entries(files)
+            .filter(([file]) => file.endsWith('.js') && !TEST_FILE.test(file))
+            .map(([file, source]) => ({ file, source }));
+        for (const route of extractRoutes(sources)) {
+            endpoints.add(`${route.method} ${route.path}`);
+        }
+    }
+    return endpoints;
+}
+
+/**
+ * The test cases of every tree, as "<task>/<file>: <describe> › <title>",
+ * each test under the nearest describe() before it
+ */
+function collectTests(trees) {
+    const tests = new Set();
+    for (const [taskId, files] of Object.entries(trees)) {
+        for (const [file, source] of Object.entries(files)) {
+            if (!TEST_FILE.test(file)) {
+                continue;
+            }
+            let suite = null;
+            for (const match of source.matchAll(TEST_PATTERN)) {
+                if (match[1] === 'describe') {
+                    suite = match[3];
+                } else {
+                    tests.add(`${taskId}/${file}: ${suite ? `${suite} › ` : ''}${match[3]}`);
+                }
+            }
+        }
+    }
+    return tests;
+}
+
+function setChange(before, after) {
+    return {
+        added: [...after].filter(item => !before.has(item)).sort(),
+        removed: [...before].filter(item => !after.has(item)).sort(),
+        unchanged: [...before].filter(item => after.has(item)).length
+    };
+}
+
+/**
+ * Diff what two runs generated. Runs `a` and `b` are index entries (see
+ * history.js); their outputs and project trees are read from the session
+ * directories.
+ * @returns {Object} { runs, hasTrees, tasks: [{ id, output, files, unchangedFiles }], endpoints, tests },
+ *   endpoints and tests null when a run has no project trees
+ */
+function diffArtifacts(a, b, artifactsRoot) {
+    const [before, after] = [a, b].map(run => loadArtifacts(run, artifactsRoot));
+    // Without both trees every file would look added or removed
+    const trees = before.hasTrees && after.hasTrees;
+
+    const reported = [...new Set([...after.order, ...before.order])];
+    const others = [before, after]
+        .flatMap(artifacts => [...Object.keys(artifacts.outputs), ...Object.keys(artifacts.trees)])
+        .filter(id => !reported.includes(id))
+        .sort();
+    const taskIds = [...new Set([...reported, ...others])];
+
+    const tasks = taskIds.map(id => {
+        const treeA = (trees && before.trees[id]) || {};
+        const treeB = (trees && after.trees[id]) || {};
+        const paths = [...new Set([...Object.keys(treeA), ...Object.keys(treeB)])]
+            .filter(file => !IGNORED_FILES.includes(file))
+            .sort();
+        const files = paths.map(file => diffFile(file, treeA[file], treeB[file]));
+        return {
+            id,
+            output: diffFile(`${id}-output.txt`, before.outputs[id], after.outputs[id]),
+            files: files.filter(file => file.status !== 'unchanged'),
+            unchangedFiles: files.filter(file => file.status === 'unchanged').length
+        };
+    });
+
+    return {
+        runs: [a, b],
+        hasTrees: [before.hasTrees, after.hasTrees],
+        tasks,
+        endpoints: trees ? setChange(collectEndpoints(before.trees), collectEndpoints(after.trees)) : null,
+        tests: trees ? setChange(collectTests(before.trees), collectTests(after.trees)) : null
+    };
+}
+
+function runLabel(run) {
+    return `${run.id} (${run.status === 'finished' ? run.verdict : run.status})`;
+}
+
+function taskSummary(task) {
+    const parts = [];
+    if (task.output && task.output.status !== 'unchanged') {
+        parts.push(task.output.status === 'modified'
+            ? `output +${task.output.added} -${task.output.removed}`
+            : `output ${task.output.status}`);
+    }
+    const counts = {};
+    for (const file of task.files) {
+        counts[file.status] = (counts[file.status] || 0) + 1;
+    }
+    const fileParts = ['modified', 'added', 'removed']
+        .filter(status => counts[status])
+        .map(status => `${counts[status]} ${status}`);
+    if (fileParts.length > 0) {
+        parts.push(`files: ${fileParts.join(', ')}`);
+    }
+    return parts.length > 0 ? parts.join('; ') : 'unchanged';
+}
+
+/**
+ * The files of a task that changed, its output first, with their side labels
+ */
+function changedFiles(task) {
+    const files = [];
+    if (task.output && task.output.status !== 'unchanged') {
+        files.push({ ...task.output, label: task.output.path });
+    }
+    for (const file of task.files) {
+        files.push({ ...file, label: `${task.id}/${file.path}` });
+    }
+    return files;
+}
+
+function setSummary(title, change) {
+    if (!change) {
+        return `${title}: not compared`;
+    }
+    return `${title}: ${change.added.length} added, ${change.removed.length} removed (${change.unchanged} unchanged)`;
+}
+
+/**
+ * Render a diff from diffArtifacts() for the terminal
+ */
+function renderArtifactDiff(diff) {
+    const [a, b] = diff.runs;
+    const lines = [`A: ${runLabel(a)}`, `B: ${runLabel(b)}`, ''];
+
+    for (const [title, change] of [['Endpoints', diff.endpoints], ['Tests', diff.tests]]) {
+        lines.push(setSummary(title, change));
+        if (!change) {
+            continue;
+        }
+        lines.push(...change.added.map(item => chalk.green(`  + ${item}`)));
+        lines.push(...change.removed.map(item => chalk.red(`  - ${item}`)));
+    }
+
+    if (diff.tasks.length > 0) {
+        const width = Math.max(...diff.tasks.map(task => task.id.length));
+        lines.push('', 'Tasks', ...diff.tasks.map(task => `  ${task.id.padEnd(width)}  ${taskSummary(task)}`));
+    }
+
+    for (const task of diff.tasks) {
+        for (const file of changedFiles(task)) {
+            lines.push('', chalk.bold(`--- ${file.status === 'added' ? '/dev/null' : `a/${file.label}`}`));
+            lines.push(chalk.bold(`+++ ${file.status === 'removed' ? '/dev/null' : `b/${file.label}`}`));
+            for (const hunk of file.hunks) {
+                lines.push(chalk.cyan(hunkHeader(hunk)));
+                for (const op of hunk.lines) {
+                    if (op.type === 'add') {
+                        lines.push(chalk.green(`+${op.line}`));
+                    } else if (op.type === 'remove') {
+                        lines.push(chalk.red(`-${op.line}`));
+                    } else {
+                        lines.push(` ${op.line}`);
+                    }
+                }
+            }
+        }
+    }
+
+    diff.runs.forEach((run, index) => {
+        if (!diff.hasTrees[index]) {
+            lines.push('', `${run.id} has no project trees; only the task outputs are compared.`);
+        }
+    });
+    return lines.join('\n');
+}
+
+const HTML_STYLE = `
+body { font: 14px/1.5 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2em auto; max-width: 1100px; padding: 0 1em; color: #1f2328; }
+h1 { font-size: 1.5em; } h2 { font-size: 1.2em; margin-top: 2em; border-bottom: 1px solid #d0d7de; }
+table { border-collapse: collapse; } td, th { padding: 2px 12px 2px 0; text-align: left; vertical-align: top; }
+code, pre { font: 12px/1.45 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+ul.change { list-style: none; padding-left: 0; } .plus { color: #1a7f37; } .minus { color: #cf222e; }
+details { border: 1px solid #d0d7de; border-radius: 6px; margin: .5em 0; }
+summary { cursor: pointer; padding: 6px 10px; background: #f6f8fa; }
+pre { margin: 0; overflow-x: auto; } pre span { display: block; padding: 0 10px; white-space: pre; }
+.add { background: #e6ffec; } .remove { background: #ffebe9; } .hunk { background: #ddf4ff; color: #57606a; }
+.muted { color: #57606a; }`.trim();
+
+function htmlSetChange(title, change) {
+    if (!change) {
+        return `<h2>${escapeHtml(setSummary(title, change))}</h2>`;
+    }
+    const items = [
+        ...change.added.map(item => `<li class="plus">+ ${escapeHtml(item)}</li>`),
+        ...change.removed.map(item => `<li class="minus">- ${escapeHtml(item)}</li>`)
+    ];
+    return `<h2>${escapeHtml(setSummary(title, change))}</h2>\n` +
+        (items.length > 0 ? `<ul class="change">\n${items.join('\n')}\n</ul>` : '');
+}
+
+function htmlFile(file) {
+    const rows = [];
+    for (const hunk of file.hunks) {
+        rows.push(`<span class="hunk">${escapeHtml(hunkHeader(hunk))}</span>`);
+        for (const op of hunk.lines) {
+            const marker = { add: '+', remove: '-', same: ' ' }[op.type];
+            rows.push(`<span class="${op.type}">${escapeHtml(marker + op.line)}</span>`);
+        }
+    }
+    const stats = file.status === 'modified'
+        ? `<span class="plus">+${file.added}</span> <span class="minus">-${file.removed}</span>`
+        : file.status;
+    return `<details open>\n<summary><code>${escapeHtml(file.label)}</code> ${stats}</summary>\n` +
+        `<pre>${rows.join('')}</pre>\n</details>`;
+}
+
+/**
+ * Render a diff from diffArtifacts() as a self-contained HTML page
+ */
+function renderArtifactDiffHtml(diff) {
+    const [a, b] = diff.runs;
+    const body = [
+        `<h1>Artifact diff</h1>`,
+        `<table>\n<tr><th>A</th><td><code>${escapeHtml(runLabel(a))}</code></td></tr>\n` +
+            `<tr><th>B</th><td><code>${escapeHtml(runLabel(b))}</code></td></tr>\n</table>`,
+        htmlSetChange('Endpoints', diff.endpoints),
+        htmlSetChange('Tests', diff.tests),
+        '<h2>Tasks</h2>',
+        `<table>\n${diff.tasks.map(task =>
+            `<tr><td><a href="#task-${escapeHtml(task.id)}"><code>${escapeHtml(task.id)}</code></a></td>` +
+            `<td>${escapeHtml(taskSummary(task))}</td></tr>`).join('\n')}\n</table>`
+    ];
+
+    for (const task of diff.tasks) {
+        const files = changedFiles(task);
+        body.push(`<h2 id="task-${escapeHtml(task.id)}">${escapeHtml(task.id)}</h2>`);
+        body.push(files.length > 0
+            ? files.map(htmlFile).join('\n')
+            : '<p class="muted">Unchanged.</p>');
+    }
+
+    diff.runs.forEach((run, index) => {
+        if (!diff.hasTrees[index]) {
+            body.push(`<p class="muted">${escapeHtml(run.id)} has no project trees; only the task outputs are compared.</p>`);
+        }
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Artifact diff: ${escapeHtml(a.id)} → ${escapeHtml(b.id)}</title>
+<style>
+${HTML_STYLE}
+</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    diffArtifacts,
+    renderArtifactDiff,
+    renderArtifactDiffHtml
+};
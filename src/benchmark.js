@@ -0,0 +1,292 @@
+/**
+ * Benchmark
+ * Runs a scenario N times for every combination of model assignments in a
+ * matrix (e.g. developer=claude-3-opus,gpt-4o) and compares the variants:
+ * success rate, and mean and variance of cost, tokens, duration and quality
+ * gate pass rate, plus how often verification passed. Results are written
+ * as benchmark.json, benchmark.csv and benchmark.md.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { RequirementsError, ScenarioConfigError, UsageError } = require('./errors');
+const { createMemoryLogger } = require('./logger');
+
+const METRICS = ['cost', 'tokens', 'durationMs', 'gatePassRate'];
+
+/**
+ * Every combination of the models listed per agent role
+ * @param {Object} matrix - { <role>: [model, ...] }
+ * @returns {Object[]} [{ <role>: model }], a single {} for an empty matrix
+ */
+function expandMatrix(matrix) {
+    return Object.entries(matrix).reduce(
+        (variants, [role, models]) => variants.flatMap(variant => models.map(model => ({ ...variant, [role]: model }))),
+        [{}]
+    );
+}
+
+function variantLabel(models) {
+    const entries = Object.entries(models);
+    return entries.length > 0 ? entries.map(([role, model]) => `${role}=${model}`).join(' ') : 'scenario defaults';
+}
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : null;
+}
+
+/**
+ * Sample variance, 0 for a single value
+ */
+function variance(values) {
+    if (values.length < 2) {
+        return values.length === 1 ? 0 : null;
+    }
+    const average = mean(values);
+    return values.reduce((total, value) => total + (value - average) ** 2, 0) / (values.length - 1);
+}
+
+/**
+ * The benchmark metrics of one run report (see buildRunReport())
+ */
+function runMetrics(report) {
+    const { totals, verification } = report;
+    const decided = totals.gatesPassed + totals.gatesFailed;
+    return {
+        verdict: report.verdict,
+        success: report.success,
+        cost: totals.cost,
+        tokens: totals.tokens,
+        durationMs: report.durationMs,
+        tasksCompleted: totals.completed,
+        tasks: totals.tasks,
+        gatePassRate: decided > 0 ? totals.gatesPassed / decided : null,
+        verification: verification ? verification.status : null
+    };
+}
+
+/**
+ * Aggregate the runs of each variant
+ * @param {Object[]} runs - [{ variant, models, run, error?, ...runMetrics() }]
+ * @returns {Object[]} [{ variant, models, runs, errors, successRate, <metric>: { mean, variance }, verificationPassRate }]
+ */
+function summarizeRuns(runs) {
+    const variants = [...new Set(runs.map(run => run.variant))];
+    return variants.map(variant => {
+        const all = runs.filter(run => run.variant === variant);
+        const finished = all.filter(run => !run.error);
+        const verified = finished.filter(run => run.verification && run.verification !== 'skipped');
+        const summary = {
+            variant,
+            models: all[0].models,
+            runs: all.length,
+            errors: all.length - finished.length,
+            successRate: mean(all.map(run => (run.success ? 1 : 0)))
+        };
+        for (const metric of METRICS) {
+            const values = finished.map(run => run[metric]).filter(value => value !== null && value !== undefined);
+            summary[metric] = { mean: mean(values), variance: variance(values) };
+        }
+        summary.verificationPassRate = verified.length > 0
+            ? mean(verified.map(run => (run.verification === 'passed' ? 1 : 0)))
+            : null;
+        return summary;
+    });
+}
+
+const COLUMNS = [
+    ['variant', summary => summary.variant],
+    ['runs', summary => summary.runs],
+    ['errors', summary => summary.errors],
+    ['success_rate', summary => summary.successRate],
+    ['cost_mean', summary => summary.cost.mean],
+    ['cost_variance', summary => summary.cost.variance],
+    ['tokens_mean', summary => summary.tokens.mean],
+    ['tokens_variance', summary => summary.tokens.variance],
+    ['duration_ms_mean', summary => summary.durationMs.mean],
+    ['duration_ms_variance', summary => summary.durationMs.variance],
+    ['gate_pass_rate_mean', summary => summary.gatePassRate.mean],
+    ['gate_pass_rate_variance', summary => summary.gatePassRate.variance],
+    ['verification_pass_rate', summary => summary.verificationPassRate]
+];
+
+function csvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderCsv(summaries) {
+    return [
+        COLUMNS.map(([name]) => name).join(','),
+        ...summaries.map(summary => COLUMNS.map(([, pick]) => csvCell(pick(summary))).join(','))
+    ].join('\n') + '\n';
+}
+
+function percent(value) {
+    return value === null ? '–' : `${Math.round(value * 100)}%`;
+}
+
+function spread(stat, format) {
+    if (stat.mean === null) {
+        return '–';
+    }
+    return `${format(stat.mean)} ± ${format(Math.sqrt(stat.variance))}`;
+}
+
+function renderMarkdown(benchmark) {
+    const rows = benchmark.summary.map(summary => [
+        summary.variant,
+        `${summary.runs}${summary.errors > 0 ? ` (${summary.errors} errored)` : ''}`,
+        percent(summary.successRate),
+        spread(summary.cost, value => `$${value.toFixed(3)}`),
+        spread(summary.tokens, value => Math.round(value).toLocaleString()),
+        spread(summary.durationMs, value => `${(value / 1000).toFixed(1)}s`),
+        spread(summary.gatePassRate, percent),
+        percent(summary.verificationPassRate)
+    ]);
+    const headers = ['Variant', 'Runs', 'Success', 'Cost', 'Tokens', 'Duration', 'Gate pass rate', 'Verification'];
+
+    return [
+        `# Benchmark: ${benchmark.scenario.name}`,
+        '',
+        `- Mode: ${benchmark.mode}`,
+        `- Runs per variant: ${benchmark.runsPerVariant}`,
+        `- Started: ${benchmark.startedAt}`,
+        '',
+        `| ${headers.join(' | ')} |`,
+        `|${headers.map(() => '---').join('|')}|`,
+        ...rows.map(row => `| ${row.join(' | ')} |`),
+        '',
+        'Values are mean ± standard deviation (the square root of the sample variance); ' +
+            'the exact variances are in benchmark.csv and benchmark.json.',
+        ''
+    ].join('\n');
+}
+
+class Benchmark {
+    /**
+     * @param {Object} options
+     * @param {Function} options.createRunner - (runOptions) => TodoDemoRunner
+     * @param {Object} options.runOptions - TodoDemoRunner options shared by every run
+     * @param {Object} [options.matrix={}] - { <role>: [model, ...] }
+     * @param {number} [options.runs=3] - Runs per variant
+     * @param {Object} [options.logger]
+     */
+    constructor({ createRunner, runOptions, matrix = {}, runs = 3, logger }) {
+        this.createRunner = createRunner;
+        this.runOptions = runOptions;
+        this.variants = expandMatrix(matrix);
+        this.runs = runs;
+        this.logger = logger;
+        this.dir = path.join(
+            path.resolve(runOptions.artifactsRoot || path.join('.repochief', 'artifacts')),
+            'benchmarks',
+            new Date().toISOString().replace(/[:.]/g, '-')
+        );
+        this.current = null;
+    }
+
+    /**
+     * Run every variant `runs` times, one run at a time
+     * @returns {Promise<Object>} { scenario, mode, runsPerVariant, startedAt, finishedAt, runs, summary, files }
+     * @throws {ScenarioConfigError|RequirementsError|UsageError} when a run cannot start at all
+     */
+    async run() {
+        const startedAt = new Date().toISOString();
+        const total = this.variants.length * this.runs;
+        const runs = [];
+        let scenario = null;
+        let mode = null;
+
+        this.logger.log(chalk.bold.cyan(`\n📏 Benchmark: ${this.variants.length} variant${this.variants.length === 1 ? '' : 's'} ` +
+            `× ${this.runs} run${this.runs === 1 ? '' : 's'}\n`));
+
+        for (const [variantIndex, models] of this.variants.entries()) {
+            const variant = variantLabel(models);
+            for (let run = 1; run <= this.runs; run++) {
+                const position = `[${variantIndex * this.runs + run}/${total}]`;
+                const runLogger = this.runOptions.verbose ? this.logger : createMemoryLogger();
+                this.current = this.createRunner({
+                    ...this.runOptions,
+                    models,
+                    artifactsRoot: path.join(this.dir, 'runs', `variant-${variantIndex + 1}`, `run-${run}`),
+                    seed: this.runOptions.seed !== undefined ? this.runOptions.seed + run - 1 : undefined,
+                    interactive: false,
+                    dashboard: false,
+                    logger: runLogger
+                });
+
+                try {
+                    const report = await this.current.run();
+                    scenario = scenario || report.scenario;
+                    mode = mode || report.mode;
+                    const metrics = runMetrics(report);
+                    runs.push({ variant, models, run, ...metrics });
+                    this.logger.log(`${position} ${variant} #${run}: ` +
+                        `${metrics.success ? chalk.green('✅ success') : chalk.red(`❌ ${metrics.verdict}`)} · ` +
+                        `$${metrics.cost.toFixed(3)} · ${metrics.tokens.toLocaleString()} tokens · ` +
+                        `${(metrics.durationMs / 1000).toFixed(1)}s`);
+                } catch (error) {
+                    if (error instanceof ScenarioConfigError || error instanceof RequirementsError || error instanceof UsageError) {
+                        throw error;
+                    }
+                    runs.push({ variant, models, run, success: false, error: error.message });
+                    this.logger.log(`${position} ${variant} #${run}: ${chalk.red(`❌ error: ${error.message}`)}`);
+                } finally {
+                    this.current = null;
+                }
+            }
+        }
+
+        const benchmark = {
+            scenario: scenario || { id: this.runOptions.scenario, name: this.runOptions.scenario },
+            mode,
+            runsPerVariant: this.runs,
+            startedAt,
+            finishedAt: new Date().toISOString(),
+            runs,
+            summary: summarizeRuns(runs)
+        };
+        benchmark.files = this.write(benchmark);
+        return benchmark;
+    }
+
+    /**
+     * Write benchmark.json, benchmark.csv and benchmark.md
+     * @returns {Object} Paths written, keyed by format
+     */
+    write(benchmark) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        const files = {
+            json: path.join(this.dir, 'benchmark.json'),
+            csv: path.join(this.dir, 'benchmark.csv'),
+            markdown: path.join(this.dir, 'benchmark.md')
+        };
+        fs.writeFileSync(files.json, JSON.stringify({ ...benchmark, files }, null, 2));
+        fs.writeFileSync(files.csv, renderCsv(benchmark.summary));
+        fs.writeFileSync(files.markdown, renderMarkdown(benchmark));
+        return files;
+    }
+
+    /**
+     * Stop the run in progress (Ctrl+C)
+     */
+    async interrupt() {
+        if (this.current) {
+            await this.current.cleanup();
+        }
+    }
+}
+
+module.exports = {
+    Benchmark,
+    expandMatrix,
+    renderCsv,
+    renderMarkdown,
+    runMetrics,
+    summarizeRuns
+};
@@ -0,0 +1,197 @@
+/**
+ * Budget Guardrails
+ * Pre-flight cost estimates from each task's maxTokens, attempts and model
+ * prices (defaults.pricing in scenarios/config.json), and per-task and
+ * per-agent spending caps, checked against a task's estimate before it
+ * starts and against its actual cost once it completes.
+ */
+
+const BREACH_POLICIES = ['abort', 'skip-dependents', 'downgrade'];
+
+/**
+ * Upper bound for a task: every token it may use, at the output price
+ * @param {number} maxTokens
+ * @param {Object} [price] - { input, output } in USD per million tokens
+ * @returns {number|null} USD, or null when the model has no price
+ */
+function estimateTaskCost(maxTokens, price) {
+    if (!price || !maxTokens) {
+        return price ? 0 : null;
+    }
+    return maxTokens * price.output / 1e6;
+}
+
+/**
+ * The models a task may run on: its agent's, then its retry fallback's
+ */
+function taskModels(plan, task) {
+    const modelOf = key => {
+        const agent = plan.agents.find(candidate => candidate.key === key);
+        return agent ? agent.spec.model : null;
+    };
+    const fallback = task.retry && task.retry.fallback;
+    const models = [modelOf(task.agent)];
+    if (fallback) {
+        models.push(fallback.model || modelOf(fallback.agent));
+    }
+    return [...new Set(models.filter(Boolean))];
+}
+
+/**
+ * Estimate what a resolved scenario can cost at most: every attempt a task
+ * may get (the first, its retries and the repairs), each at the highest
+ * price among the models it may run on
+ * @param {Object} plan - From resolveScenario()
+ * @param {Object} pricing - defaults.pricing, keyed by model
+ * @param {Object} [options]
+ * @param {string[]} [options.skip] - Task ids not to count, e.g. already done
+ * @param {number} [options.repair=0] - Repair iterations allowed (--repair)
+ * @returns {Object} { total, tasks: [{ id, agent, model, maxTokens, attempts,
+ *   attemptCost, cost }], agents: { <key>: cost }, unpriced: [model] }
+ */
+function estimatePlanCost(plan, pricing = {}, { skip = [], repair = 0 } = {}) {
+    const unpriced = new Set();
+    const tasks = plan.tasks
+        .filter(task => !skip.includes(task.id))
+        .map(task => {
+            const models = taskModels(plan, task);
+            models.filter(model => !pricing[model]).forEach(model => unpriced.add(model));
+            const costs = models
+                .map(model => estimateTaskCost(task.maxTokens, pricing[model]))
+                .filter(cost => cost !== null);
+            const attemptCost = costs.length > 0 ? Math.max(...costs) : null;
+            const attempts = 1 + ((task.retry && task.retry.maxRetries) || 0) + repair;
+
+            return {
+                id: task.id,
+                agent: task.agent,
+                model: models[0],
+                maxTokens: task.maxTokens,
+                attempts,
+                attemptCost,
+                cost: attemptCost === null ? null : attemptCost * attempts
+            };
+        });
+
+    const agents = {};
+    for (const task of tasks) {
+        agents[task.agent] = (agents[task.agent] || 0) + (task.cost || 0);
+    }
+
+    return {
+        total: tasks.reduce((total, task) => total + (task.cost || 0), 0),
+        tasks,
+        agents,
+        unpriced: [...unpriced]
+    };
+}
+
+/**
+ * The next cheaper model configured for a model, if any
+ */
+function cheaperModel(model, pricing = {}) {
+    const next = pricing[model] && pricing[model].downgrade;
+    return next && pricing[next] ? next : null;
+}
+
+/**
+ * Ids of every task that depends, directly or not, on one of `ids`
+ */
+function dependentsOf(tasks, ids) {
+    const found = new Set();
+    let frontier = [...ids];
+
+    while (frontier.length > 0) {
+        const next = tasks
+            .filter(task => !found.has(task.id) && (task.dependencies || []).some(dep => frontier.includes(dep)))
+            .map(task => task.id);
+        next.forEach(id => found.add(id));
+        frontier = next;
+    }
+    return [...found];
+}
+
+class BudgetGuard {
+    /**
+     * @param {Object} options
+     * @param {number} [options.perTask] - USD cap for one task
+     * @param {number} [options.perAgent] - USD cap for everything one agent runs
+     * @param {string} [options.policy='abort'] - One of BREACH_POLICIES
+     */
+    constructor({ perTask, perAgent, policy = 'abort' } = {}) {
+        this.perTask = perTask;
+        this.perAgent = perAgent;
+        this.policy = policy;
+        this.spentByAgent = {};
+        this.breached = new Set();
+    }
+
+    get enabled() {
+        return Boolean(this.perTask || this.perAgent);
+    }
+
+    /**
+     * Account for a completed task
+     * @returns {Object[]} New breaches: { kind: 'task'|'agent', subject, cap, spent }
+     */
+    record(taskId, agentKey, cost = 0) {
+        this.spentByAgent[agentKey] = (this.spentByAgent[agentKey] || 0) + cost;
+        const breaches = [];
+
+        if (this.perTask && cost > this.perTask) {
+            breaches.push({ kind: 'task', subject: taskId, agent: agentKey, cap: this.perTask, spent: cost });
+        }
+        if (this.perAgent && this.spentByAgent[agentKey] > this.perAgent && !this.breached.has(agentKey)) {
+            this.breached.add(agentKey);
+            breaches.push({
+                kind: 'agent',
+                subject: agentKey,
+                agent: agentKey,
+                cap: this.perAgent,
+                spent: this.spentByAgent[agentKey]
+            });
+        }
+        return breaches;
+    }
+
+    /**
+     * Check a task that has not started, assuming it costs its estimate.
+     * Nothing is recorded.
+     * @returns {Object[]} Breaches starting it could cause, with projected: true
+     */
+    admit(taskId, agentKey, estimate) {
+        const breaches = [];
+        const projected = (this.spentByAgent[agentKey] || 0) + estimate;
+
+        if (this.perTask && estimate > this.perTask) {
+            breaches.push({
+                kind: 'task',
+                subject: taskId,
+                agent: agentKey,
+                cap: this.perTask,
+                spent: estimate,
+                projected: true
+            });
+        }
+        if (this.perAgent && projected > this.perAgent) {
+            breaches.push({
+                kind: 'agent',
+                subject: agentKey,
+                agent: agentKey,
+                cap: this.perAgent,
+                spent: projected,
+                projected: true
+            });
+        }
+        return breaches;
+    }
+}
+
+module.exports = {
+    BREACH_POLICIES,
+    BudgetGuard,
+    cheaperModel,
+    dependentsOf,
+    estimatePlanCost,
+    estimateTaskCost
+};
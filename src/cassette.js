@@ -0,0 +1,153 @@
+/**
+ * Run Cassettes
+ * A cassette captures a run so it can be replayed later at no cost: the
+ * orchestrator events with their timing, plus each task's output, tokens,
+ * cost and gate results taken from the artifacts the orchestrator wrote
+ * under .repochief/artifacts/<session>.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DemoError } = require('./errors');
+const { loadTaskResult } = require('./materializer');
+
+const CASSETTE_VERSION = 1;
+const RECORDED_EVENTS = ['taskStarted', 'taskProgress', 'taskCompleted', 'taskFailed', 'qualityGateResult', 'costUpdate'];
+const RESULT_FIELDS = ['status', 'output', 'tokensUsed', 'cost', 'duration', 'qualityScore', 'qualityResults', 'error'];
+
+/**
+ * Turn an orchestrator event payload into a plain cassette entry
+ */
+function serializeEvent(type, payload, at) {
+    const entry = { at, type, taskId: payload.task ? payload.task.id : null };
+
+    switch (type) {
+        case 'taskStarted':
+            entry.agent = payload.agent ? payload.agent.name : null;
+            break;
+        case 'taskProgress':
+            entry.progress = payload.progress;
+            break;
+        case 'taskFailed':
+            entry.error = payload.error ? payload.error.message : 'Task failed';
+            break;
+        case 'qualityGateResult':
+            entry.gate = payload.gate;
+            entry.result = payload.result;
+            break;
+        case 'costUpdate':
+            entry.cost = payload.cost;
+            entry.total = payload.total;
+            break;
+    }
+    return entry;
+}
+
+function pickResult(result) {
+    const picked = {};
+    for (const field of RESULT_FIELDS) {
+        if (result[field] !== undefined) {
+            picked[field] = result[field];
+        }
+    }
+    return picked;
+}
+
+class CassetteRecorder {
+    /**
+     * @param {Object} meta - session, scenario { id, name }, mode, budget, agents
+     */
+    constructor(meta) {
+        this.meta = meta;
+        this.events = [];
+        this.results = {};
+        this.startedAt = null;
+    }
+
+    /**
+     * Start listening; call right before orchestrator.startExecution()
+     * @param {EventEmitter} orchestrator
+     * @param {Object} [options]
+     * @param {Function} [options.skip] - (type, payload) => true for events
+     *   not worth replaying, e.g. tasks cancelled only to be queued again
+     */
+    attach(orchestrator, { skip = () => false } = {}) {
+        this.startedAt = Date.now();
+
+        for (const type of RECORDED_EVENTS) {
+            orchestrator.on(type, payload => {
+                if (skip(type, payload)) {
+                    return;
+                }
+                this.events.push(serializeEvent(type, payload, Date.now() - this.startedAt));
+                if (type === 'taskCompleted' && payload.result) {
+                    this.results[payload.task.id] = pickResult({ status: 'completed', ...payload.result });
+                }
+            });
+        }
+        return this;
+    }
+
+    /**
+     * Build the cassette, preferring the persisted task results (which
+     * always hold the output) over the event payloads
+     */
+    build(sessionDir) {
+        const tasks = {};
+        const taskIds = [...new Set(this.events.map(event => event.taskId).filter(Boolean))];
+
+        for (const taskId of taskIds) {
+            let persisted = {};
+            try {
+                persisted = pickResult(loadTaskResult(sessionDir, taskId));
+            } catch (error) {
+                // Nothing persisted, e.g. the task never finished
+            }
+            tasks[taskId] = { ...this.results[taskId], ...persisted };
+        }
+
+        return {
+            version: CASSETTE_VERSION,
+            recordedAt: new Date(this.startedAt).toISOString(),
+            ...this.meta,
+            durationMs: this.events.length > 0 ? this.events[this.events.length - 1].at : 0,
+            tasks,
+            events: this.events
+        };
+    }
+
+    /**
+     * Write the cassette to a file
+     * @returns {Object} The cassette
+     */
+    save(file, sessionDir) {
+        const cassette = this.build(sessionDir);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(cassette, null, 2));
+        return cassette;
+    }
+}
+
+/**
+ * Read and check a cassette file
+ * @throws {DemoError} when the file is missing or not a cassette
+ */
+function loadCassette(file) {
+    let cassette;
+    try {
+        cassette = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new DemoError(`Cannot read cassette ${file}: ${error.message}`, { cause: error });
+    }
+
+    if (!cassette || cassette.version !== CASSETTE_VERSION || !Array.isArray(cassette.events) || !cassette.tasks) {
+        throw new DemoError(`${file} is not a version ${CASSETTE_VERSION} cassette`);
+    }
+    return cassette;
+}
+
+module.exports = {
+    CASSETTE_VERSION,
+    CassetteRecorder,
+    loadCassette
+};
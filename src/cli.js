@@ -0,0 +1,598 @@
+/**
+ * RepoChief TODO Demo CLI
+ * Parses and validates run-demo arguments and runs TodoDemoRunner.
+ * Environment variables (DEMO_SCENARIO, MOCK_MODE, DEMO_BUDGET,
+ * DASHBOARD_PORT, ...) act as defaults for the flags.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const chalk = require('chalk');
+const { ScenarioConfigError, RequirementsError, UsageError, BudgetExceededError } = require('./errors');
+const { loadConfig, listScenarios } = require('./scenarios');
+const { EXIT_CODES, REPORT_FORMATS } = require('./report');
+const { BREACH_POLICIES } = require('./budget');
+const { GRAPH_FORMATS } = require('./graph');
+const { Benchmark, renderMarkdown: renderBenchmark } = require('./benchmark');
+const { compareRuns, findRun, readRuns, renderComparison, renderHistory } = require('./history');
+const { diffArtifacts, renderArtifactDiff, renderArtifactDiffHtml } = require('./artifact-diff');
+const { createConsoleLogger } = require('./logger');
+
+const OPTIONS = {
+    scenario: { type: 'string', short: 's' },
+    requirements: { type: 'string' },
+    mock: { type: 'boolean' },
+    real: { type: 'boolean' },
+    budget: { type: 'string', short: 'b' },
+    'task-cap': { type: 'string' },
+    'agent-cap': { type: 'string' },
+    'on-breach': { type: 'string' },
+    port: { type: 'string', short: 'p' },
+    host: { type: 'string' },
+    'api-key': { type: 'string' },
+    'no-dashboard': { type: 'boolean' },
+    tui: { type: 'boolean' },
+    'output-dir': { type: 'string', short: 'o' },
+    'non-interactive': { type: 'boolean' },
+    json: { type: 'boolean' },
+    verbose: { type: 'boolean', short: 'v' },
+    verify: { type: 'boolean' },
+    'dry-run': { type: 'boolean' },
+    model: { type: 'string', multiple: true },
+    benchmark: { type: 'boolean' },
+    runs: { type: 'string' },
+    repair: { type: 'string' },
+    report: { type: 'string' },
+    fixtures: { type: 'string' },
+    seed: { type: 'string' },
+    'mock-latency': { type: 'string' },
+    record: { type: 'boolean' },
+    replay: { type: 'string' },
+    'replay-speed': { type: 'string' },
+    resume: { type: 'string' },
+    'list-scenarios': { type: 'boolean' },
+    graph: { type: 'string' },
+    html: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const COMMANDS = ['history', 'compare', 'diff'];
+
+const HELP_TEXT = `Usage: run-demo [options]
+       run-demo history [-s <scenario>] [--json]
+       run-demo compare [<run> [<run>]] [--json]
+       run-demo diff [<run> [<run>]] [--html <file>] [--json]
+
+Run the RepoChief TODO app demo.
+
+Commands:
+  history                  List past runs, newest first: result, tasks, cost,
+                           tokens, duration and gate outcomes
+  compare [<a>] [<b>]      Compare two runs: totals, each task's figures and
+                           output, and the gate outcomes. A run is its id, a
+                           unique part of it, "latest" or "previous"
+                           (default: previous and latest)
+  diff [<a>] [<b>]         Unified diff of what two runs generated: each task's
+                           output and files, with the endpoints and tests added
+                           or removed. --html <file> writes it as a web page
+
+Options:
+  -s, --scenario <name>    Scenario to run (see --list-scenarios)   [env: DEMO_SCENARIO]
+      --requirements <file>
+                           App to build instead of the TODO API: entities,
+                           fields, validation rules and feature toggles as
+                           YAML, JSON or Markdown
+      --mock               Use mock responses, no API calls or costs [env: MOCK_MODE=true]
+      --real               Use real AI models                        [env: MOCK_MODE=false]
+  -b, --budget <usd>       Budget limit in USD                       [env: DEMO_BUDGET]
+                           Real runs whose estimated cost exceeds it do not start
+      --task-cap <usd>     Spending cap for any one task
+      --agent-cap <usd>    Spending cap for everything one agent runs
+      --on-breach <policy> When a cap is exceeded: abort, skip-dependents or
+                           downgrade (to a cheaper model)     (default: abort)
+  -p, --port <port>        Dashboard port, 0 for any free port (default: 3456)
+                                                                   [env: DASHBOARD_PORT]
+      --host <host>        Dashboard host (default: localhost)       [env: DASHBOARD_HOST]
+      --api-key <key>      Cloud API key                             [env: REPOCHIEF_API_KEY]
+      --no-dashboard       Headless: do not start the Cloud API dashboard
+      --tui                Full-screen terminal view of agents, tasks, cost and
+                           gates; plain output when stdout is not a terminal
+  -o, --output-dir <dir>   Artifacts directory (default: .repochief/artifacts)
+      --non-interactive    Never prompt for configuration
+      --json               Print the result as JSON on stdout; progress goes to stderr
+  -v, --verbose            Show task progress and stack traces
+      --verify             Run the generated API and its tests after generation
+      --dry-run            Print the agents, tasks in execution order and the
+                           estimated tokens and cost, then exit without running
+      --model <role=model> Use another model for an agent role, e.g.
+                           developer=claude-3-opus (repeatable)
+      --benchmark          Run the scenario --runs times for every combination
+                           of --model values (developer=claude-3-opus,gpt-4o)
+                           and write a comparison as CSV, Markdown and JSON
+      --runs <n>           Runs per benchmark variant (default: 3)
+      --repair <n>         When a quality gate fails, have the agent fix the
+                           issues and re-run the gates, up to n times per task
+      --report <formats>   Also write the run report as junit and/or markdown,
+                           comma separated (report.json is always written)
+      --fixtures <dir>     Mock fixtures directory (default: scenarios/fixtures)
+      --seed <n>           Seeded random mock mode: vary latency and tokens and
+                           pick fixture variants reproducibly
+      --mock-latency <ms>  Fixed latency for every mock task
+      --record             Save the run as a cassette (<session dir>/cassette.json)
+      --replay <file>      Replay a cassette instead of running agents; uses the
+                           recorded scenario unless --scenario is given
+      --replay-speed <x>   Replay speed factor (default: 1, the original pacing)
+      --resume <run>       Continue an interrupted run (its id, a unique part of
+                           it, "latest", or a session directory): keep completed
+                           tasks, re-run the rest within what is left of the budget
+      --list-scenarios     List available scenarios and exit
+      --graph <format>     Print the scenario's task graph as mermaid, dot or
+                           ascii and exit; annotated with the status, duration,
+                           cost and agent of each task after a run
+  -h, --help               Show this help and exit
+
+Without --scenario, --mock/--real or --budget (or their environment variables)
+the demo asks for them interactively when attached to a terminal.
+
+Exit codes:
+  0  success                  4  a task failed
+  1  unexpected error         5  a quality gate failed
+  2  invalid arguments        6  budget exhausted or estimate over budget
+  3  invalid scenario config  7  verification failed
+     or requirements file`;
+
+function parsePositiveNumber(value, flag) {
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number) || number <= 0) {
+        throw new UsageError(`${flag} must be a positive number (got "${value}")`);
+    }
+    return number;
+}
+
+function parsePort(value, flag) {
+    const port = Number(value);
+    if (!/^\d+$/.test(value) || port > 65535) {
+        throw new UsageError(`${flag} must be a port number between 0 and 65535 (got "${value}")`);
+    }
+    return port;
+}
+
+function parseNonNegativeInteger(value, flag) {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (!/^\d+$/.test(value)) {
+        throw new UsageError(`${flag} must be a non-negative integer (got "${value}")`);
+    }
+    return Number(value);
+}
+
+function parsePositiveInteger(value, flag, fallback) {
+    if (value === undefined) {
+        return fallback;
+    }
+    if (!/^\d+$/.test(value) || Number(value) === 0) {
+        throw new UsageError(`${flag} must be a positive integer (got "${value}")`);
+    }
+    return Number(value);
+}
+
+function parseReportFormats(value) {
+    if (value === undefined) {
+        return [];
+    }
+
+    const formats = value.split(',').map(format => format.trim()).filter(Boolean);
+    const unknown = formats.filter(format => !REPORT_FORMATS.includes(format));
+    if (unknown.length > 0) {
+        throw new UsageError(
+            `Unknown report format "${unknown[0]}". Available: ${REPORT_FORMATS.join(', ')}`
+        );
+    }
+    return formats;
+}
+
+function parseBreachPolicy(value) {
+    if (value !== undefined && !BREACH_POLICIES.includes(value)) {
+        throw new UsageError(`Unknown --on-breach policy "${value}". Available: ${BREACH_POLICIES.join(', ')}`);
+    }
+    return value;
+}
+
+/**
+ * Parse --model role=model[,model...] values into { <role>: [model, ...] }
+ */
+function parseModelMatrix(values = []) {
+    const matrix = {};
+    for (const value of values) {
+        const match = value.match(/^([\w-]+)=(.+)$/);
+        if (!match) {
+            throw new UsageError(`--model must look like role=model (got "${value}")`);
+        }
+        const models = match[2].split(',').map(model => model.trim()).filter(Boolean);
+        if (models.length === 0) {
+            throw new UsageError(`--model ${match[1]}= names no model`);
+        }
+        matrix[match[1]] = [...(matrix[match[1]] || []), ...models];
+    }
+    return matrix;
+}
+
+function parseMockMode(flags, env) {
+    if (flags.mock && flags.real) {
+        throw new UsageError('--mock and --real cannot be used together');
+    }
+    if (flags.mock || flags.real) {
+        return Boolean(flags.mock);
+    }
+    if (env.MOCK_MODE !== undefined) {
+        if (!['true', 'false'].includes(env.MOCK_MODE)) {
+            throw new UsageError(`MOCK_MODE must be "true" or "false" (got "${env.MOCK_MODE}")`);
+        }
+        return env.MOCK_MODE === 'true';
+    }
+    return undefined;
+}
+
+/**
+ * Parse run-demo arguments into TodoDemoRunner options
+ * @param {string[]} argv - Arguments after the script name
+ * @param {Object} options
+ * @param {Object} options.config - Parsed scenarios/config.json
+ * @param {Object} [options.env=process.env]
+ * @param {boolean} [options.isTTY] - Whether prompting is possible
+ * @returns {Object} { command: 'run'|'help'|'list-scenarios'|'graph'|'benchmark'|'history'|'compare'|'diff', options }
+ * @throws {UsageError}
+ */
+function parseArgs(argv, { config, env = process.env, isTTY = Boolean(process.stdin.isTTY) }) {
+    let parsed;
+    try {
+        parsed = util.parseArgs({ args: argv, options: OPTIONS, strict: true, allowPositionals: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    const flags = parsed.values;
+    const [subcommand, ...runs] = parsed.positionals;
+
+    if (flags.help) {
+        return { command: 'help', options: {} };
+    }
+    if (subcommand !== undefined && !COMMANDS.includes(subcommand)) {
+        throw new UsageError(`Unknown command "${subcommand}". Available: ${COMMANDS.join(', ')}`);
+    }
+    if (flags['list-scenarios']) {
+        return { command: 'list-scenarios', options: { json: Boolean(flags.json) } };
+    }
+
+    const scenario = flags.scenario || env.DEMO_SCENARIO;
+    if (scenario !== undefined && !config.scenarios[scenario]) {
+        throw new UsageError(
+            `Unknown scenario "${scenario}". Available: ${Object.keys(config.scenarios).join(', ')}`
+        );
+    }
+
+    if (flags.html !== undefined && subcommand !== 'diff') {
+        throw new UsageError('--html only applies to the diff command');
+    }
+    if (COMMANDS.includes(subcommand)) {
+        const limit = subcommand === 'history' ? 0 : 2;
+        if (runs.length > limit) {
+            throw new UsageError(`${subcommand} takes ${limit === 0 ? 'no runs' : `at most ${limit} runs`} (got ${runs.join(' ')})`);
+        }
+        return {
+            command: subcommand,
+            runs,
+            options: { scenario, artifactsRoot: flags['output-dir'], json: Boolean(flags.json), html: flags.html }
+        };
+    }
+
+    if (flags.requirements !== undefined && !fs.existsSync(flags.requirements)) {
+        throw new UsageError(`Requirements file not found: ${flags.requirements}`);
+    }
+
+    if (flags.graph !== undefined) {
+        if (!GRAPH_FORMATS.includes(flags.graph)) {
+            throw new UsageError(`Unknown graph format "${flags.graph}". Available: ${GRAPH_FORMATS.join(', ')}`);
+        }
+        return {
+            command: 'graph',
+            format: flags.graph,
+            options: { scenario, requirements: flags.requirements, artifactsRoot: flags['output-dir'], config, dashboard: false }
+        };
+    }
+
+    if (flags.replay !== undefined) {
+        if (flags.record) {
+            throw new UsageError('--record and --replay cannot be used together');
+        }
+        if (flags.real) {
+            throw new UsageError('--replay cannot be used with --real');
+        }
+        if (!fs.existsSync(flags.replay)) {
+            throw new UsageError(`Cassette not found: ${flags.replay}`);
+        }
+    }
+
+    if (flags.tui && flags.json) {
+        throw new UsageError('--tui cannot be used with --json');
+    }
+
+    const matrix = parseModelMatrix(flags.model);
+    if (flags.benchmark) {
+        for (const flag of ['resume', 'dry-run', 'tui']) {
+            if (flags[flag]) {
+                throw new UsageError(`--${flag} cannot be used with --benchmark`);
+            }
+        }
+    } else {
+        if (flags.runs !== undefined) {
+            throw new UsageError('--runs only applies to --benchmark');
+        }
+        const compared = Object.keys(matrix).find(role => matrix[role].length > 1);
+        if (compared) {
+            throw new UsageError(`--model ${compared} lists several models; use --benchmark to compare them`);
+        }
+    }
+
+    if (flags.resume !== undefined && (flags.replay !== undefined || flags.record)) {
+        throw new UsageError('--resume cannot be used with --replay or --record');
+    }
+
+    const mockMode = parseMockMode(flags, env);
+    const budgetValue = flags.budget !== undefined ? flags.budget : env.DEMO_BUDGET;
+    const budget = budgetValue !== undefined
+        ? parsePositiveNumber(budgetValue, flags.budget !== undefined ? '--budget' : 'DEMO_BUDGET')
+        : undefined;
+    const portValue = flags.port !== undefined ? flags.port : env.DASHBOARD_PORT;
+    const port = portValue !== undefined
+        ? parsePort(portValue, flags.port !== undefined ? '--port' : 'DASHBOARD_PORT')
+        : undefined;
+
+    const configured = scenario !== undefined || mockMode !== undefined || budget !== undefined ||
+        flags.replay !== undefined || flags.resume !== undefined;
+    const interactive = !configured && !flags['non-interactive'] && !flags.json && !flags.benchmark && isTTY;
+
+    return {
+        command: flags.benchmark ? 'benchmark' : 'run',
+        ...(flags.benchmark ? { matrix, runs: parsePositiveInteger(flags.runs, '--runs', 3) } : {}),
+        options: {
+            scenario,
+            requirements: flags.requirements,
+            mockMode,
+            budget,
+            taskCap: flags['task-cap'] !== undefined ? parsePositiveNumber(flags['task-cap'], '--task-cap') : undefined,
+            agentCap: flags['agent-cap'] !== undefined ? parsePositiveNumber(flags['agent-cap'], '--agent-cap') : undefined,
+            breachPolicy: parseBreachPolicy(flags['on-breach']),
+            port,
+            host: flags.host || env.DASHBOARD_HOST,
+            apiKey: flags['api-key'] || env.REPOCHIEF_API_KEY,
+            dashboard: !flags['no-dashboard'],
+            tui: Boolean(flags.tui),
+            artifactsRoot: flags['output-dir'],
+            interactive,
+            json: Boolean(flags.json),
+            verbose: Boolean(flags.verbose),
+            verify: Boolean(flags.verify),
+            dryRun: Boolean(flags['dry-run']),
+            repair: parseNonNegativeInteger(flags.repair, '--repair'),
+            reportFormats: parseReportFormats(flags.report),
+            fixturesDir: flags.fixtures,
+            seed: parseNonNegativeInteger(flags.seed, '--seed'),
+            mockLatency: parseNonNegativeInteger(flags['mock-latency'], '--mock-latency'),
+            record: Boolean(flags.record),
+            replay: flags.replay,
+            replaySpeed: flags['replay-speed'] !== undefined
+                ? parsePositiveNumber(flags['replay-speed'], '--replay-speed')
+                : undefined,
+            resume: flags.resume,
+            models: flags.benchmark ? undefined : Object.fromEntries(Object.entries(matrix).map(([role, [model]]) => [role, model])),
+            config
+        }
+    };
+}
+
+/**
+ * Render the scenario list for --list-scenarios
+ */
+function formatScenarioList(config) {
+    return listScenarios(config)
+        .map(({ id, name, description }) => `  ${id.padEnd(12)} ${name} - ${description}`)
+        .join('\n');
+}
+
+/**
+ * CLI entry point. Sets process.exitCode rather than exiting, then forces
+ * an exit shortly after in case the orchestrator left handles open.
+ */
+async function main(argv = process.argv.slice(2)) {
+    require('dotenv').config();
+    const TodoDemoRunner = require('./run-demo');
+
+    let config;
+    try {
+        config = loadConfig();
+    } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exitCode = EXIT_CODES.CONFIG_ERROR;
+        return;
+    }
+
+    let command;
+    try {
+        command = parseArgs(argv, { config });
+    } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        console.error('Run with --help for usage.');
+        process.exitCode = EXIT_CODES.USAGE_ERROR;
+        return;
+    }
+
+    if (command.command === 'help') {
+        console.log(HELP_TEXT);
+        return;
+    }
+    if (command.command === 'list-scenarios') {
+        console.log(command.options.json
+            ? JSON.stringify(listScenarios(config), null, 2)
+            : formatScenarioList(config));
+        return;
+    }
+    if (COMMANDS.includes(command.command)) {
+        try {
+            showHistory(command);
+        } catch (error) {
+            console.error(chalk.red(`❌ ${error.message}`));
+            process.exitCode = error instanceof UsageError ? EXIT_CODES.USAGE_ERROR : EXIT_CODES.ERROR;
+        }
+        return;
+    }
+    if (command.command === 'graph') {
+        try {
+            console.log(new TodoDemoRunner(command.options).graph(command.format));
+        } catch (error) {
+            console.error(chalk.red(`❌ ${error.message}`));
+            process.exitCode = error instanceof ScenarioConfigError || error instanceof RequirementsError
+                ? EXIT_CODES.CONFIG_ERROR
+                : EXIT_CODES.ERROR;
+        }
+        return;
+    }
+
+    if (command.command === 'benchmark') {
+        await runBenchmark(TodoDemoRunner, command);
+    } else {
+        await runDemo(TodoDemoRunner, command);
+    }
+
+    setTimeout(() => process.exit(), 500).unref();
+}
+
+/**
+ * Print the run index (history), a comparison of two runs (compare) or
+ * the diff of what they generated (diff)
+ * @throws {UsageError} for a run the index does not have
+ */
+function showHistory(command) {
+    const { artifactsRoot, scenario, json, html } = command.options;
+    const root = path.resolve(artifactsRoot || path.join('.repochief', 'artifacts'));
+    const runs = readRuns(root).filter(run => !scenario || run.scenario === scenario);
+
+    if (command.command === 'history') {
+        console.log(json ? JSON.stringify(runs, null, 2) : renderHistory(runs));
+        return;
+    }
+
+    // One run is compared with the latest; none compares the last two
+    const defaults = [['previous', 'latest'], ['latest'], []][command.runs.length];
+    const [a, b] = [...command.runs, ...defaults].map(ref => findRun(runs, ref));
+    if (command.command === 'compare') {
+        const comparison = compareRuns(a, b, root);
+        console.log(json ? JSON.stringify(comparison, null, 2) : renderComparison(comparison));
+        return;
+    }
+
+    const diff = diffArtifacts(a, b, root);
+    if (html !== undefined) {
+        fs.mkdirSync(path.dirname(path.resolve(html)), { recursive: true });
+        fs.writeFileSync(html, renderArtifactDiffHtml(diff));
+        console.error(chalk.dim(`📝 Diff: ${html}`));
+    }
+    if (json) {
+        console.log(JSON.stringify(diff, null, 2));
+    } else if (html === undefined) {
+        console.log(renderArtifactDiff(diff));
+    }
+}
+
+/**
+ * Map a run failure to the exit code, printing it
+ */
+function reportFailure(error, verbose) {
+    console.error(chalk.red('\n❌ Demo failed:'), error.message);
+    if (verbose) {
+        console.error((error.cause || error).stack);
+    }
+    if (error instanceof UsageError) {
+        process.exitCode = EXIT_CODES.USAGE_ERROR;
+    } else if (error instanceof ScenarioConfigError || error instanceof RequirementsError) {
+        process.exitCode = EXIT_CODES.CONFIG_ERROR;
+    } else if (error instanceof BudgetExceededError) {
+        process.exitCode = EXIT_CODES.BUDGET_EXHAUSTED;
+    } else {
+        process.exitCode = EXIT_CODES.ERROR;
+    }
+}
+
+async function runDemo(TodoDemoRunner, command) {
+    const runner = new TodoDemoRunner(command.options);
+
+    // Handle graceful shutdown, keeping what is needed to --resume
+    process.once('SIGINT', () => {
+        console.error(chalk.yellow('\n\n👋 Shutting down RepoChief demo...'));
+        runner.interrupt()
+            .then(statePath => {
+                if (statePath) {
+                    console.error(chalk.dim(`Progress saved. Continue with: --resume ${runner.sessionName}`));
+                }
+            })
+            .catch(() => {})
+            .then(() => process.exit(130));
+    });
+
+    try {
+        const result = await runner.run();
+        if (command.options.json) {
+            console.log(JSON.stringify(result, null, 2));
+        }
+        process.exitCode = result.exitCode;
+    } catch (error) {
+        reportFailure(error, command.options.verbose);
+    }
+}
+
+/**
+ * Run --benchmark. Exits 0 once every run finished, whatever their
+ * verdicts: those are the benchmark's data.
+ */
+async function runBenchmark(TodoDemoRunner, command) {
+    const { options } = command;
+    const benchmark = new Benchmark({
+        createRunner: runOptions => new TodoDemoRunner(runOptions),
+        runOptions: options,
+        matrix: command.matrix,
+        runs: command.runs,
+        logger: createConsoleLogger(options.json ? { stream: process.stderr } : {})
+    });
+
+    process.once('SIGINT', () => {
+        console.error(chalk.yellow('\n\n👋 Stopping the benchmark...'));
+        benchmark.interrupt()
+            .catch(() => {})
+            .then(() => process.exit(130));
+    });
+
+    try {
+        const result = await benchmark.run();
+        if (options.json) {
+            console.log(JSON.stringify(result, null, 2));
+        } else {
+            console.log(`\n${renderBenchmark(result)}`);
+            console.log(chalk.dim(`📝 Results: ${path.relative(process.cwd(), path.dirname(result.files.json))}/`));
+        }
+    } catch (error) {
+        reportFailure(error, options.verbose);
+    }
+}
+
+module.exports = {
+    HELP_TEXT,
+    parseArgs,
+    formatScenarioList,
+    main,
+    reportFailure
+};
+
+if (require.main === module) {
+    main().catch(error => reportFailure(error));
+}
@@ -0,0 +1,215 @@
+/**
+ * Contract Tests
+ * Exercises a running API against its OpenAPI document: every operation is
+ * called with a request built from its schemas and must answer with a
+ * documented success status and a body matching the response schema.
+ * Operations that document 404 or 400 are also called with an unknown id
+ * or an empty body to check they fail the documented way.
+ */
+
+const crypto = require('crypto');
+const { request } = require('./http-client');
+const { resolveRef } = require('./openapi');
+
+// Create first, so the created resource can be read, updated and deleted
+const METHOD_ORDER = ['post', 'get', 'put', 'patch', 'delete'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function resolveSchema(spec, schema) {
+    return schema && schema.$ref ? resolveSchema(spec, resolveRef(spec, schema.$ref)) : schema;
+}
+
+/**
+ * A value that satisfies the schema
+ */
+function exampleValue(spec, schema = {}) {
+    const resolved = resolveSchema(spec, schema) || {};
+    if (resolved.enum) {
+        return resolved.enum[0];
+    }
+
+    switch (resolved.type) {
+        case 'boolean':
+            return true;
+        case 'integer':
+        case 'number':
+            return resolved.minimum !== undefined ? resolved.minimum : 1;
+        case 'array':
+            return [];
+        case 'object':
+            return Object.fromEntries(Object.entries(resolved.properties || {})
+                .map(([name, property]) => [name, exampleValue(spec, property)]));
+    }
+
+    const formats = {
+        uuid: () => crypto.randomUUID(),
+        'date-time': () => new Date().toISOString(),
+        date: () => new Date().toISOString().slice(0, 10),
+        email: () => 'contract-test@example.com',
+        uri: () => 'https://example.com'
+    };
+    if (formats[resolved.format]) {
+        return formats[resolved.format]();
+    }
+    return 'Contract test'.padEnd(resolved.minLength || 0, '.').slice(0, resolved.maxLength || undefined);
+}
+
+/**
+ * Check a value against a schema
+ * @returns {string[]} Mismatches, each prefixed with where they occur
+ */
+function checkSchema(spec, value, schema, at = 'body') {
+    const resolved = resolveSchema(spec, schema);
+    if (!resolved || (value === null && resolved.nullable)) {
+        return [];
+    }
+
+    const types = {
+        object: () => value !== null && typeof value === 'object' && !Array.isArray(value),
+        array: () => Array.isArray(value),
+        string: () => typeof value === 'string',
+        integer: () => Number.isInteger(value),
+        number: () => typeof value === 'number',
+        boolean: () => typeof value === 'boolean'
+    };
+    if (resolved.type && types[resolved.type] && !types[resolved.type]()) {
+        return [`${at} should be ${/^[aeiou]/.test(resolved.type) ? 'an' : 'a'} ${resolved.type}`];
+    }
+
+    const errors = [];
+    if (resolved.enum && !resolved.enum.includes(value)) {
+        errors.push(`${at} should be one of ${resolved.enum.join(', ')}`);
+    }
+    if (resolved.type === 'string') {
+        if (resolved.format === 'uuid' && !UUID_PATTERN.test(value)) {
+            errors.push(`${at} should be a UUID`);
+        }
+        if (resolved.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+            errors.push(`${at} should be a date-time`);
+        }
+        if (resolved.maxLength !== undefined && value.length > resolved.maxLength) {
+            errors.push(`${at} should be at most ${resolved.maxLength} characters`);
+        }
+    }
+    if (resolved.type === 'object') {
+        for (const name of resolved.required || []) {
+            if (value[name] === undefined) {
+                errors.push(`${at}.${name} is missing`);
+            }
+        }
+        for (const [name, property] of Object.entries(resolved.properties || {})) {
+            if (value[name] !== undefined) {
+                errors.push(...checkSchema(spec, value[name], property, `${at}.${name}`));
+            }
+        }
+    }
+    if (resolved.type === 'array' && resolved.items) {
+        value.forEach((item, index) => errors.push(...checkSchema(spec, item, resolved.items, `${at}[${index}]`)));
+    }
+    return errors;
+}
+
+function listOperations(spec) {
+    return Object.entries(spec.paths || {})
+        .flatMap(([urlPath, item]) => METHOD_ORDER
+            .filter(method => item[method])
+            .map(method => ({
+                method,
+                path: urlPath,
+                operation: item[method],
+                parameters: [...(item.parameters || []), ...(item[method].parameters || [])]
+            })))
+        .sort((a, b) => METHOD_ORDER.indexOf(a.method) - METHOD_ORDER.indexOf(b.method) ||
+            a.path.split('/').length - b.path.split('/').length);
+}
+
+function buildPath(spec, { path: urlPath, parameters }, id) {
+    return urlPath.replace(/\{(\w+)\}/g, (match, name) => {
+        const param = parameters.find(p => p.in === 'path' && p.name === name);
+        return encodeURIComponent(id || exampleValue(spec, param && param.schema));
+    });
+}
+
+function bodySchema(operation) {
+    const content = operation.requestBody && operation.requestBody.content;
+    return content && content['application/json'] ? content['application/json'].schema : null;
+}
+
+/**
+ * Send one request and check the response with `verify`
+ * @returns {Promise<Object>} { result, response }
+ */
+async function runCheck(port, check, { method, path: urlPath }, target, body, verify) {
+    const result = { check, method: method.toUpperCase(), path: urlPath };
+    try {
+        const response = await request(port, result.method, target, body);
+        const errors = verify(response);
+        return {
+            result: { ...result, status: response.status, passed: errors.length === 0, error: errors.join('; ') || undefined },
+            response
+        };
+    } catch (error) {
+        return { result: { ...result, status: null, passed: false, error: error.message }, response: null };
+    }
+}
+
+/**
+ * Run the contract tests against an API listening on localhost
+ * @param {number} port
+ * @param {Object} spec - OpenAPI 3 document
+ * @returns {Promise<Object[]>} [{ check, method, path, status, passed, error }]
+ */
+async function runContractTests(port, spec) {
+    const operations = listOperations(spec);
+    const results = [];
+    let createdId = null;
+
+    for (const entry of operations) {
+        const { operation } = entry;
+        const schema = bodySchema(operation);
+        const body = schema ? exampleValue(spec, schema) : null;
+
+        const target = buildPath(spec, entry, createdId);
+        const { result, response: created } = await runCheck(port, 'response', entry, target, body, response => {
+            const documented = operation.responses[response.status] || operation.responses.default;
+            if (!documented) {
+                return [`status ${response.status} is not documented`];
+            }
+            if (response.status < 200 || response.status >= 300) {
+                return [`expected a documented success status, got ${response.status}`];
+            }
+            const content = documented.content && documented.content['application/json'];
+            return content ? checkSchema(spec, response.body, content.schema) : [];
+        });
+
+        if (entry.method === 'post' && result.passed && created.body && created.body.id) {
+            createdId = created.body.id;
+        }
+        results.push(result);
+    }
+
+    for (const entry of operations) {
+        const { operation } = entry;
+        if (operation.responses[404] && /\{\w+\}/.test(entry.path)) {
+            const { result } = await runCheck(port, 'not-found', entry, buildPath(spec, entry, null),
+                bodySchema(operation) ? exampleValue(spec, bodySchema(operation)) : null,
+                response => (response.status === 404 ? [] : [`expected 404 for an unknown id, got ${response.status}`]));
+            results.push(result);
+        }
+
+        const schema = resolveSchema(spec, bodySchema(operation));
+        if (operation.responses[400] && schema && (schema.required || []).length > 0) {
+            const { result } = await runCheck(port, 'validation', entry, buildPath(spec, entry, createdId), {},
+                response => (response.status === 400 ? [] : [`expected 400 for an empty body, got ${response.status}`]));
+            results.push(result);
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    checkSchema,
+    exampleValue,
+    runContractTests
+};
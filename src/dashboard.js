@@ -0,0 +1,81 @@
+/**
+ * Dashboard Server
+ * Starts the repochief-core Cloud API on a configurable host and port,
+ * falling back to a free port when the requested one is taken
+ */
+
+const net = require('net');
+const { createCloudAPI } = require('@liftping/repochief-core');
+
+const DEFAULT_PORT = 3456;
+const DEFAULT_HOST = 'localhost';
+const PORT_ATTEMPTS = 10;
+
+function isPortFree(port, host) {
+    return new Promise(resolve => {
+        const probe = net.createServer();
+        probe.once('error', () => resolve(false));
+        probe.once('listening', () => probe.close(() => resolve(true)));
+        probe.listen(port, host);
+    });
+}
+
+/**
+ * Ask the OS for any free port on host
+ */
+function ephemeralPort(host) {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, host, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Return `port` if free, else the next free port after it, else any free port
+ */
+async function findFreePort(port, host = DEFAULT_HOST) {
+    if (port === 0) {
+        return ephemeralPort(host);
+    }
+
+    for (let candidate = port; candidate < port + PORT_ATTEMPTS && candidate <= 65535; candidate++) {
+        if (await isPortFree(candidate, host)) {
+            return candidate;
+        }
+    }
+    return ephemeralPort(host);
+}
+
+/**
+ * Start the Cloud API dashboard
+ * @param {Object} options
+ * @param {number} [options.port=3456] - Requested port; 0 picks any free port
+ * @param {string} [options.host='localhost']
+ * @param {string} options.apiKey
+ * @returns {Promise<Object>} { api, host, port, url, requestedPort }
+ */
+async function startDashboard({ port = DEFAULT_PORT, host = DEFAULT_HOST, apiKey }) {
+    const freePort = await findFreePort(port, host);
+    const api = createCloudAPI({ port: freePort, host, apiKey });
+
+    await api.start();
+
+    return {
+        api,
+        host,
+        port: freePort,
+        requestedPort: port,
+        url: `http://${host}:${freePort}/dashboard`
+    };
+}
+
+module.exports = {
+    DEFAULT_PORT,
+    DEFAULT_HOST,
+    findFreePort,
+    startDashboard
+};
@@ -0,0 +1,181 @@
+/**
+ * Line Diff
+ * Myers' O(ND) difference algorithm over lines, used to compare the outputs
+ * and generated files of two runs, and the unified-diff hunks shown for them.
+ */
+
+// Edit distance past which files are treated as rewritten rather than diffed
+const MAX_EDITS = 4000;
+
+function splitLines(text) {
+    if (text === '' || text === null || text === undefined) {
+        return [];
+    }
+    return String(text).replace(/\n$/, '').split('\n');
+}
+
+/**
+ * Walk the edit graph back from (n, m). trace[d] holds the furthest x on
+ * diagonals -(d - 1)..d - 1 when round d started, at index k + d - 1.
+ */
+function backtrack(trace, a, b) {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d > 0; d--) {
+        const v = trace[d];
+        const at = k => v[k + d - 1];
+        const k = x - y;
+        const down = k === -d || (k !== d && at(k - 1) < at(k + 1));
+        const prevK = down ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+
+        // The diagonal run that followed the edit
+        const editX = down ? prevX : prevX + 1;
+        while (x > editX) {
+            ops.push({ type: 'same', line: a[--x] });
+            y--;
+        }
+        ops.push(down ? { type: 'add', line: b[prevY] } : { type: 'remove', line: a[prevX] });
+        x = prevX;
+        y = prevY;
+    }
+    while (x > 0 && y > 0) {
+        ops.push({ type: 'same', line: a[--x] });
+        y--;
+    }
+    return ops.reverse();
+}
+
+/**
+ * Shortest edit script turning the lines of `before` into those of `after`
+ * @param {string|string[]} before
+ * @param {string|string[]} after
+ * @returns {Object[]} [{ type: 'same'|'add'|'remove', line }]
+ */
+function diffLines(before, after) {
+    const a = Array.isArray(before) ? before : splitLines(before);
+    const b = Array.isArray(after) ? after : splitLines(after);
+
+    // The common head and tail need no search
+    let head = 0;
+    while (head < a.length && head < b.length && a[head] === b[head]) {
+        head++;
+    }
+    let tail = 0;
+    while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) {
+        tail++;
+    }
+    const same = lines => lines.map(line => ({ type: 'same', line }));
+    const midA = a.slice(head, a.length - tail);
+    const midB = b.slice(head, b.length - tail);
+
+    return [
+        ...same(a.slice(0, head)),
+        ...diffMiddle(midA, midB),
+        ...same(a.slice(a.length - tail))
+    ];
+}
+
+function diffMiddle(a, b) {
+    const max = a.length + b.length;
+    if (max === 0) {
+        return [];
+    }
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    for (let d = 0; d <= Math.min(max, MAX_EDITS); d++) {
+        // Only the diagonals reached so far, so the trace grows with the
+        // edit distance rather than with the file sizes
+        trace.push(v.slice(offset - d + 1, offset + d));
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < a.length && y < b.length && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= a.length && y >= b.length) {
+                return backtrack(trace, a, b);
+            }
+        }
+    }
+
+    return [
+        ...a.map(line => ({ type: 'remove', line })),
+        ...b.map(line => ({ type: 'add', line }))
+    ];
+}
+
+/**
+ * Count the added and removed lines of an edit script
+ */
+function diffStats(ops) {
+    return {
+        added: ops.filter(op => op.type === 'add').length,
+        removed: ops.filter(op => op.type === 'remove').length
+    };
+}
+
+/**
+ * Group an edit script into unified-diff hunks: each change with up to
+ * `context` unchanged lines around it, nearby changes sharing a hunk
+ * @param {Object[]} ops - From diffLines()
+ * @param {number} [context=3]
+ * @returns {Object[]} [{ aStart, aLines, bStart, bLines, lines: ops }], line numbers from 1
+ */
+function unifiedHunks(ops, context = 3) {
+    const shown = new Array(ops.length).fill(false);
+    ops.forEach((op, index) => {
+        if (op.type !== 'same') {
+            for (let i = Math.max(0, index - context); i <= Math.min(ops.length - 1, index + context); i++) {
+                shown[i] = true;
+            }
+        }
+    });
+
+    const hunks = [];
+    let hunk = null;
+    let aLine = 1;
+    let bLine = 1;
+    ops.forEach((op, index) => {
+        if (!shown[index]) {
+            hunk = null;
+        } else {
+            if (!hunk) {
+                hunk = { aStart: aLine, aLines: 0, bStart: bLine, bLines: 0, lines: [] };
+                hunks.push(hunk);
+            }
+            hunk.lines.push(op);
+            hunk.aLines += op.type !== 'add' ? 1 : 0;
+            hunk.bLines += op.type !== 'remove' ? 1 : 0;
+        }
+        aLine += op.type !== 'add' ? 1 : 0;
+        bLine += op.type !== 'remove' ? 1 : 0;
+    });
+    return hunks;
+}
+
+/**
+ * The "@@ -1,4 +1,5 @@" line of a hunk
+ */
+function hunkHeader(hunk) {
+    // An empty side is numbered by the line before it, as diff -u does
+    const range = (start, count) => (count === 1 ? `${start}` : `${count === 0 ? start - 1 : start},${count}`);
+    return `@@ -${range(hunk.aStart, hunk.aLines)} +${range(hunk.bStart, hunk.bLines)} @@`;
+}
+
+module.exports = {
+    diffLines,
+    diffStats,
+    hunkHeader,
+    splitLines,
+    unifiedHunks
+};
@@ -0,0 +1,83 @@
+/**
+ * Demo Error Types
+ * Everything TodoDemoRunner.run() rejects with is a DemoError subclass
+ */
+
+class DemoError extends Error {
+    constructor(message, { cause } = {}) {
+        super(message);
+        this.name = 'DemoError';
+        if (cause) {
+            this.cause = cause;
+        }
+    }
+}
+
+/**
+ * Raised when scenarios/config.json does not describe a runnable scenario.
+ * Each issue names the offending path, e.g. "scenarios.basic.tasks[1].agent".
+ */
+class ScenarioConfigError extends DemoError {
+    constructor(message, issues = []) {
+        super(message);
+        this.name = 'ScenarioConfigError';
+        this.issues = issues;
+    }
+}
+
+/**
+ * Raised when a requirements file (--requirements) cannot be read or does
+ * not describe an app. Issues name the offending path, e.g.
+ * "entities[0].fields[2].type".
+ */
+class RequirementsError extends DemoError {
+    constructor(message, issues = []) {
+        super(message);
+        this.name = 'RequirementsError';
+        this.issues = issues;
+    }
+}
+
+/**
+ * Raised for invalid command-line arguments
+ */
+class UsageError extends DemoError {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Raised when a phase of the run (load, initialize, createAgents,
+ * queueTasks, execute, verify, report) throws. The original error is kept
+ * as `cause`.
+ */
+class DemoRunError extends DemoError {
+    constructor(message, { phase, cause } = {}) {
+        super(message, { cause });
+        this.name = 'DemoRunError';
+        this.phase = phase;
+    }
+}
+
+/**
+ * Raised before a run starts when its estimated cost exceeds the budget.
+ * The estimate (see estimatePlanCost()) is kept as `estimate`.
+ */
+class BudgetExceededError extends DemoError {
+    constructor(message, { estimate } = {}) {
+        super(message);
+        this.name = 'BudgetExceededError';
+        this.estimate = estimate;
+    }
+}
+
+module.exports = {
+    DemoError,
+    ScenarioConfigError,
+    RequirementsError,
+    UsageError,
+    DemoRunError,
+    BudgetExceededError
+};
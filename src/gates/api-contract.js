@@ -0,0 +1,242 @@
+/**
+ * API Contract Gate
+ * Checks the generated API against the requirements analysis: every
+ * endpoint and data model field the analyst specified must be present in
+ * the generated routes, and anything the API adds beyond the spec is
+ * reported too. The source is read statically, so the gate works without
+ * installing or starting the generated app.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseDataModel, parseEndpoints } = require('../spec-parser');
+
+const ROUTE_PATTERN = /\b(\w+)\.(get|post|put|patch|delete)\(\s*(['"`])([^'"`]+)\3/g;
+const MOUNT_PATTERN = /\b\w+\.use\(\s*(['"`])([^'"`]+)\1\s*,\s*(?:require\(\s*(['"`])([^'"`]+)\3\s*\)|(\w+))/g;
+const REQUIRE_PATTERN = /\b(?:const|let|var)\s+(\w+)\s*=\s*require\(\s*(['"`])([^'"`]+)\2\s*\)/g;
+const APP_PATTERN = /\b(\w+)\s*=\s*express\(\s*\)/g;
+const VALIDATOR_PATTERN = /\b(?:body|check)\(\s*(['"`])(\w+)\1/g;
+const OBJECT_PATTERN = /\{([^{}]*)\}/g;
+const KEY_PATTERN = /(?:^|[,{\n])\s*([A-Za-z_$][\w$]*)\s*:/g;
+
+/**
+ * Every .js file of a project tree, tests and dependencies excluded
+ */
+function listSourceFiles(dir, base = dir) {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (!['node_modules', 'test', 'tests', '__tests__'].includes(entry.name)) {
+                files.push(...listSourceFiles(full, base));
+            }
+        } else if (entry.name.endsWith('.js') && !/\.(test|spec)\.js$/.test(entry.name)) {
+            files.push({ file: path.relative(base, full), source: fs.readFileSync(full, 'utf8') });
+        }
+    }
+    return files;
+}
+
+function normalizePath(urlPath) {
+    return urlPath.replace(/\{(\w+)\}/g, ':$1').replace(/\/+$/, '') || '/';
+}
+
+// Parameter names do not matter: /todos/:id matches /todos/:todoId
+function endpointKey({ method, path: urlPath }) {
+    return `${method.toUpperCase()} ${normalizePath(urlPath).replace(/:\w+/g, ':param')}`;
+}
+
+function resolveModule(fromFile, request) {
+    if (!request.startsWith('.')) {
+        return null;
+    }
+    const target = path.join(path.dirname(fromFile), request);
+    return [target, `${target}.js`, path.join(target, 'index.js')];
+}
+
+/**
+ * Routes declared in the sources, with the prefixes routers are mounted at
+ * @param {Object[]} files - [{ file, source }]
+ * @returns {Object[]} [{ method, path, file, line, index }]
+ */
+function extractRoutes(files) {
+    const mounts = [];
+    for (const { file, source } of files) {
+        const required = {};
+        for (const match of source.matchAll(REQUIRE_PATTERN)) {
+            required[match[1]] = match[3];
+        }
+        for (const match of source.matchAll(MOUNT_PATTERN)) {
+            const request = match[4] || required[match[5]];
+            mounts.push({ prefix: match[2], targets: request ? resolveModule(file, request) : null });
+        }
+    }
+
+    const routes = [];
+    for (const { file, source } of files) {
+        const apps = [...source.matchAll(APP_PATTERN)].map(match => match[1]);
+        const prefixes = mounts
+            .filter(mount => mount.targets && mount.targets.includes(file))
+            .map(mount => mount.prefix);
+
+        for (const match of source.matchAll(ROUTE_PATTERN)) {
+            const [, object, method, , routePath] = match;
+            if (!routePath.startsWith('/') || object === 'request' || object === 'axios') {
+                continue;
+            }
+            const bases = apps.includes(object) || prefixes.length === 0 ? [''] : prefixes;
+            for (const base of bases) {
+                const line = source.slice(0, match.index).split('\n').length;
+                routes.push({
+                    method: method.toUpperCase(),
+                    path: normalizePath(base.replace(/\/+$/, '') + (routePath === '/' ? '' : routePath)),
+                    file,
+                    line,
+                    index: match.index
+                });
+            }
+        }
+    }
+    return routes;
+}
+
+/**
+ * Fields the API reads or writes: validated body fields and the keys of
+ * the object literals that carry an id (the stored records)
+ * @returns {Object[]} [{ name, file }]
+ */
+function extractFields(files) {
+    const fields = new Map();
+    const add = (name, file) => {
+        if (!fields.has(name)) {
+            fields.set(name, { name, file });
+        }
+    };
+
+    for (const { file, source } of files) {
+        for (const match of source.matchAll(VALIDATOR_PATTERN)) {
+            add(match[2], file);
+        }
+        for (const match of source.matchAll(OBJECT_PATTERN)) {
+            if (!/(?:^|[,{\s])id\s*:/.test(match[1])) {
+                continue;
+            }
+            for (const key of `\n${match[1]}`.matchAll(KEY_PATTERN)) {
+                add(key[1], file);
+            }
+        }
+    }
+    return [...fields.values()];
+}
+
+/**
+ * Compare the analysis with the generated sources
+ * @param {Object} options
+ * @param {string} options.analysis - Markdown of the requirements analysis
+ * @param {Object[]} options.files - [{ file, source }] of the generated API
+ * @returns {Object} Gate result: { status, issues, stats }
+ */
+function checkApiContract({ analysis, files }) {
+    const expectedEndpoints = parseEndpoints(analysis);
+    const expectedFields = parseDataModel(analysis);
+    const routes = extractRoutes(files);
+    const fields = extractFields(files);
+    const issues = [];
+
+    const routeKeys = new Set(routes.map(endpointKey));
+    const expectedKeys = new Set(expectedEndpoints.map(endpointKey));
+    const missingEndpoints = expectedEndpoints.filter(endpoint => !routeKeys.has(endpointKey(endpoint)));
+    for (const endpoint of missingEndpoints) {
+        issues.push({
+            severity: 'error',
+            rule: 'missing-endpoint',
+            message: `Endpoint ${endpoint.method} ${endpoint.path} of the analysis is not implemented`
+        });
+    }
+    const extraRoutes = routes.filter((route, index) => !expectedKeys.has(endpointKey(route)) &&
+        routes.findIndex(r => endpointKey(r) === endpointKey(route)) === index);
+    for (const route of extraRoutes) {
+        issues.push({
+            file: route.file,
+            line: route.line,
+            severity: 'warning',
+            rule: 'extra-endpoint',
+            message: `Endpoint ${route.method} ${route.path} is not in the analysis`
+        });
+    }
+
+    const fieldNames = new Set(fields.map(field => field.name));
+    const missingFields = expectedFields.filter(name => !fieldNames.has(name));
+    const extraFields = expectedFields.length > 0 ? fields.filter(field => !expectedFields.includes(field.name)) : [];
+    for (const name of missingFields) {
+        issues.push({ severity: 'error', rule: 'missing-field', message: `Field "${name}" of the data model is missing` });
+    }
+    for (const field of extraFields) {
+        issues.push({
+            file: field.file,
+            severity: 'warning',
+            rule: 'extra-field',
+            message: `Field "${field.name}" is not in the data model`
+        });
+    }
+
+    return {
+        status: issues.some(issue => issue.severity === 'error') ? 'failed' : 'pass',
+        issues,
+        stats: {
+            endpoints: {
+                expected: expectedEndpoints.length,
+                found: routes.length,
+                missing: missingEndpoints.length,
+                extra: extraRoutes.length
+            },
+            fields: {
+                expected: expectedFields.length,
+                found: fields.length,
+                missing: missingFields.length,
+                extra: extraFields.length
+            }
+        }
+    };
+}
+
+/**
+ * Create the gate for the task outputs materialized under root
+ * @param {Object} options
+ * @param {string} options.root - A run's app directory (see materializeTask())
+ * @param {string} [options.specTask='comprehend-todo-api'] - Task whose analysis.md is the spec
+ * @param {string} [options.apiTask='generate-todo-api'] - Task that generated the API
+ */
+function createApiContractGate({ root, specTask = 'comprehend-todo-api', apiTask = 'generate-todo-api' }) {
+    return {
+        name: 'api-contract',
+        description: `Endpoints and fields of ${apiTask} match the analysis of ${specTask}`,
+
+        async run() {
+            const started = Date.now();
+            const specPath = path.join(root, specTask, 'analysis.md');
+            const apiDir = path.join(root, apiTask);
+
+            if (!fs.existsSync(specPath)) {
+                return { status: 'skipped', reason: `No analysis at ${specPath}`, issues: [] };
+            }
+            if (!fs.existsSync(apiDir)) {
+                return { status: 'skipped', reason: `No generated API at ${apiDir}`, issues: [] };
+            }
+
+            const result = checkApiContract({
+                analysis: fs.readFileSync(specPath, 'utf8'),
+                files: listSourceFiles(apiDir)
+            });
+            return { ...result, duration: Date.now() - started };
+        }
+    };
+}
+
+module.exports = {
+    checkApiContract,
+    createApiContractGate,
+    extractFields,
+    extractRoutes,
+    listSourceFiles
+};
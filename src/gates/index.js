@@ -0,0 +1,58 @@
+/**
+ * TODO Domain Quality Gates
+ * Gates specific to the TODO demo, run next to the generic gates (eslint,
+ * test, complexity, security) of @liftping/repochief-quality-gates. A
+ * scenario enables one by listing its name in qualityGates.
+ */
+
+const { createApiContractGate } = require('./api-contract');
+
+// The gates each quality gates registry runs, by name. A registry gets a
+// gate registered once, which runs whatever gate the latest run set here.
+const registered = new WeakMap();
+
+/**
+ * Create the domain gates, keyed by name
+ * @param {Object} options
+ * @param {string} options.root - Where the run materializes task outputs
+ */
+function createDomainGates({ root }) {
+    const gates = [createApiContractGate({ root })];
+    return Object.fromEntries(gates.map(gate => [gate.name, gate]));
+}
+
+/**
+ * Register the domain gates with the quality gates package so the core
+ * orchestrator runs them like its own. Each gate is registered once per
+ * package; later calls, e.g. from the next run in the same process, only
+ * point the registered gate at the new run's gate.
+ * @param {Object} qualityGates - require('@liftping/repochief-quality-gates')
+ * @param {Object} gates - From createDomainGates()
+ * @returns {string[]} Names registered; none when the package cannot take custom gates
+ */
+function registerDomainGates(qualityGates, gates) {
+    if (!qualityGates || typeof qualityGates.registerGate !== 'function') {
+        return [];
+    }
+
+    if (!registered.has(qualityGates)) {
+        registered.set(qualityGates, {});
+    }
+    const current = registered.get(qualityGates);
+    for (const [name, gate] of Object.entries(gates)) {
+        if (!current[name]) {
+            qualityGates.registerGate({
+                name,
+                description: gate.description,
+                run: (...args) => current[name].run(...args)
+            });
+        }
+        current[name] = gate;
+    }
+    return Object.keys(gates);
+}
+
+module.exports = {
+    createDomainGates,
+    registerDomainGates
+};
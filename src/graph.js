@@ -0,0 +1,207 @@
+/**
+ * Task Graph
+ * Renders a scenario's task dependency graph as Mermaid, Graphviz DOT or
+ * ASCII. Given the report of a run, each node also shows the task's
+ * status, duration, cost and the agent that ran it.
+ */
+
+const { repairTaskId } = require('./repair');
+
+const STATUS_ICONS = {
+    completed: '✔',
+    failed: '✖',
+    running: '●',
+    interrupted: '■',
+    pending: '○'
+};
+
+const STATUS_COLORS = {
+    completed: { fill: '#d4edda', stroke: '#28a745' },
+    failed: { fill: '#f8d7da', stroke: '#dc3545' },
+    running: { fill: '#fff3cd', stroke: '#ffc107' },
+    interrupted: { fill: '#fff3cd', stroke: '#ffc107' },
+    pending: { fill: '#e9ecef', stroke: '#6c757d' }
+};
+
+/**
+ * Build the graph of a resolved plan
+ * @param {Object} plan - From resolveScenario()
+ * @param {Object} [report] - A run report (see buildRunReport()) to annotate
+ *   the nodes with; repair tasks it lists are added after the task they repair
+ * @returns {Object} { title, nodes: [{ id, agent, type, run }], edges: [{ from, to }] }
+ */
+function buildGraph(plan, report = null) {
+    const agentNames = Object.fromEntries(plan.agents.map(agent => [agent.key, agent.name]));
+    const records = new Map(((report && report.tasks) || []).map(task => [task.id, task]));
+
+    const annotate = record => {
+        if (!record) {
+            return null;
+        }
+        const attempts = record.history || [];
+        return {
+            status: record.status,
+            durationMs: record.durationMs,
+            cost: record.cost,
+            agent: attempts.length > 0 ? attempts[attempts.length - 1].agent : agentNames[record.agent]
+        };
+    };
+
+    const nodes = plan.tasks.map(task => ({
+        id: task.id,
+        agent: agentNames[task.agent] || task.agent,
+        type: task.type,
+        run: annotate(records.get(task.id))
+    }));
+    const edges = plan.tasks.flatMap(task => (task.dependencies || []).map(from => ({ from, to: task.id })));
+
+    const repairs = [...records.values()]
+        .filter(record => record.repairOf && !plan.tasks.some(task => task.id === record.id))
+        .sort((a, b) => a.iteration - b.iteration);
+    for (const record of repairs) {
+        nodes.push({ id: record.id, agent: agentNames[record.agent] || record.agent, type: record.type, run: annotate(record) });
+        edges.push({ from: record.iteration > 1 ? repairTaskId(record.repairOf, record.iteration - 1) : record.repairOf, to: record.id });
+    }
+
+    return { title: plan.name, nodes, edges };
+}
+
+/**
+ * The status line of an annotated node, e.g. "✔ completed · 12.3s · $0.021"
+ */
+function formatRun(run, { icon = true } = {}) {
+    return [
+        icon ? `${STATUS_ICONS[run.status] || '·'} ${run.status}` : run.status,
+        run.durationMs !== undefined ? `${(run.durationMs / 1000).toFixed(1)}s` : null,
+        run.cost !== undefined ? `$${run.cost.toFixed(3)}` : null
+    ].filter(Boolean).join(' · ');
+}
+
+function labelLines(node) {
+    return node.run
+        ? [node.id, node.run.agent || node.agent, formatRun(node.run)]
+        : [node.id, `${node.agent} (${node.type})`];
+}
+
+/**
+ * Length of the longest dependency chain leading to each node, 0 for roots
+ */
+function levels(graph) {
+    const depth = new Map();
+    const visit = (id, seen = new Set()) => {
+        if (depth.has(id)) {
+            return depth.get(id);
+        }
+        if (seen.has(id)) {
+            return 0;
+        }
+        seen.add(id);
+        const parents = graph.edges.filter(edge => edge.to === id).map(edge => visit(edge.from, seen) + 1);
+        depth.set(id, Math.max(0, ...parents));
+        return depth.get(id);
+    };
+    graph.nodes.forEach(node => visit(node.id));
+    return depth;
+}
+
+/**
+ * Mermaid node ids: task ids with anything but word characters replaced,
+ * numbered where that would make two alike (e.g. "a-b" and "a_b")
+ */
+function mermaidIds(nodes) {
+    const ids = new Map();
+    const used = new Set();
+    for (const node of nodes) {
+        const base = node.id.replace(/[^\w]/g, '_');
+        let id = base;
+        for (let n = 2; used.has(id); n++) {
+            id = `${base}_${n}`;
+        }
+        used.add(id);
+        ids.set(node.id, id);
+    }
+    return ids;
+}
+
+function renderMermaid(graph) {
+    const ids = mermaidIds(graph.nodes);
+    const label = node => labelLines(node).map(line => line.replace(/"/g, '#quot;')).join('<br/>');
+    const lines = [
+        '---',
+        `title: ${graph.title}`,
+        '---',
+        'flowchart TD',
+        ...graph.nodes.map(node => `    ${ids.get(node.id)}["${label(node)}"]`),
+        ...graph.edges.map(edge => `    ${ids.get(edge.from) || edge.from} --> ${ids.get(edge.to)}`)
+    ];
+
+    const statuses = [...new Set(graph.nodes.filter(node => node.run).map(node => node.run.status))];
+    for (const status of statuses.filter(s => STATUS_COLORS[s])) {
+        const { fill, stroke } = STATUS_COLORS[status];
+        lines.push(`    classDef ${status} fill:${fill},stroke:${stroke}`);
+        lines.push(`    class ${graph.nodes.filter(node => node.run && node.run.status === status)
+            .map(node => ids.get(node.id)).join(',')} ${status}`);
+    }
+    return lines.join('\n');
+}
+
+function renderDot(graph) {
+    const quote = value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    return [
+        `digraph ${quote(graph.title)} {`,
+        '    rankdir=TB;',
+        '    node [shape=box, style="rounded,filled", fillcolor="#ffffff", fontname="Helvetica"];',
+        ...graph.nodes.map(node => {
+            const colors = node.run && STATUS_COLORS[node.run.status];
+            const style = colors ? `, fillcolor=${quote(colors.fill)}, color=${quote(colors.stroke)}` : '';
+            return `    ${quote(node.id)} [label=${quote(labelLines(node).join('\n')).replace(/\n/g, '\\n')}${style}];`;
+        }),
+        ...graph.edges.map(edge => `    ${quote(edge.from)} -> ${quote(edge.to)};`),
+        '}'
+    ].join('\n');
+}
+
+function renderAscii(graph) {
+    const depth = levels(graph);
+    const idWidth = Math.max(...graph.nodes.map(node => node.id.length));
+    const agentWidth = Math.max(...graph.nodes.map(node => (node.run && node.run.agent ? node.run.agent : node.agent).length));
+    const lines = [graph.title, ''];
+
+    for (let level = 0; level <= Math.max(0, ...depth.values()); level++) {
+        const nodes = graph.nodes.filter(node => depth.get(node.id) === level);
+        lines.push(`Stage ${level + 1}`);
+        for (const node of nodes) {
+            const parents = graph.edges.filter(edge => edge.to === node.id).map(edge => edge.from);
+            const agent = node.run && node.run.agent ? node.run.agent : node.agent;
+            lines.push([
+                `  ${node.run ? STATUS_ICONS[node.run.status] || '·' : '•'} ${node.id.padEnd(idWidth)}`,
+                agent.padEnd(agentWidth),
+                node.run ? formatRun(node.run, { icon: false }) : node.type,
+                parents.length > 0 ? `← ${parents.join(', ')}` : ''
+            ].join('  ').trimEnd());
+        }
+    }
+    return lines.join('\n');
+}
+
+const RENDERERS = {
+    mermaid: renderMermaid,
+    dot: renderDot,
+    ascii: renderAscii
+};
+
+/**
+ * Render a graph from buildGraph() in one of GRAPH_FORMATS
+ */
+function renderGraph(graph, format) {
+    if (!RENDERERS[format]) {
+        throw new Error(`Unknown graph format "${format}"`);
+    }
+    return RENDERERS[format](graph);
+}
+
+module.exports = {
+    GRAPH_FORMATS: Object.keys(RENDERERS),
+    buildGraph,
+    renderGraph
+};
@@ -0,0 +1,327 @@
+/**
+ * Run History
+ * Gives every run its own id and session directory, and keeps an
+ * append-only index of runs in <artifacts root>/runs.jsonl: one JSON line
+ * per finished, failed or interrupted run (a resumed run adds a line for
+ * the same id; the last line wins). Backs the `history` and `compare`
+ * commands, which read the index and the runs' report.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { UsageError } = require('./errors');
+const { diffLines, diffStats } = require('./diff');
+
+const RUN_INDEX_FILE = 'runs.jsonl';
+
+const TOTALS = {
+    durationMs: 'Duration',
+    cost: 'Cost',
+    tokens: 'Tokens',
+    tasksCompleted: 'Tasks completed',
+    gatesPassed: 'Gates passed',
+    gatesFailed: 'Gates failed'
+};
+
+/**
+ * A new run id, e.g. "todo-demo-basic-20261019-142301-3fa2"
+ */
+function createRunId(scenario, date = new Date()) {
+    const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    return `todo-demo-${scenario}-${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * The index entry of a finished run
+ * @param {Object} report - From buildRunReport()
+ * @param {string} artifactsRoot - Directory holding the index
+ */
+function runEntry(report, artifactsRoot) {
+    return {
+        id: report.session,
+        scenario: report.scenario.id,
+        mode: report.mode,
+        status: 'finished',
+        verdict: report.verdict,
+        success: report.success,
+        startedAt: report.startedAt,
+        finishedAt: report.finishedAt,
+        durationMs: report.durationMs,
+        cost: report.totals.cost,
+        tokens: report.totals.tokens,
+        tasks: report.totals.tasks,
+        tasksCompleted: report.totals.completed,
+        gatesPassed: report.totals.gatesPassed,
+        gatesFailed: report.totals.gatesFailed,
+        sessionDir: path.relative(artifactsRoot, report.artifacts.sessionDir),
+        resumed: Boolean(report.resumedFrom)
+    };
+}
+
+/**
+ * Append a run to the index
+ * @returns {string} The index path
+ */
+function appendRun(artifactsRoot, entry) {
+    fs.mkdirSync(artifactsRoot, { recursive: true });
+    const file = path.join(artifactsRoot, RUN_INDEX_FILE);
+    fs.appendFileSync(file, `${JSON.stringify({ ...entry, indexedAt: new Date().toISOString() })}\n`);
+    return file;
+}
+
+/**
+ * Read the index, oldest run first, keeping the latest line of each run
+ */
+function readRuns(artifactsRoot) {
+    const file = path.join(artifactsRoot, RUN_INDEX_FILE);
+    if (!fs.existsSync(file)) {
+        return [];
+    }
+
+    const runs = new Map();
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (line.trim() === '') {
+            continue;
+        }
+        try {
+            const entry = JSON.parse(line);
+            runs.set(entry.id, { ...runs.get(entry.id), ...entry });
+        } catch (error) {
+            // A line cut off by a crash mid-write is skipped
+        }
+    }
+    return [...runs.values()].sort((a, b) => String(a.startedAt).localeCompare(String(b.startedAt)));
+}
+
+/**
+ * Find a run by id, by "latest" or "previous", or by a part of its id
+ * that only one run has (e.g. "20261019-1423")
+ * @throws {UsageError} when no run or several runs match
+ */
+function findRun(runs, ref) {
+    if (ref === 'latest' || ref === 'previous') {
+        const run = runs[runs.length - (ref === 'latest' ? 1 : 2)];
+        if (!run) {
+            throw new UsageError(`No ${ref} run in the history`);
+        }
+        return run;
+    }
+
+    const exact = runs.find(run => run.id === ref);
+    if (exact) {
+        return exact;
+    }
+    const matches = runs.filter(run => run.id.includes(ref));
+    if (matches.length === 0) {
+        throw new UsageError(`No run matching "${ref}" in the history`);
+    }
+    if (matches.length > 1) {
+        throw new UsageError(`"${ref}" matches ${matches.length} runs: ${matches.map(run => run.id).join(', ')}`);
+    }
+    return matches[0];
+}
+
+/**
+ * The session directory of an indexed run
+ */
+function runDir(run, artifactsRoot) {
+    return path.join(artifactsRoot, run.sessionDir || run.id);
+}
+
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+function readText(file) {
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+function delta(a, b) {
+    if (typeof a !== 'number' || typeof b !== 'number') {
+        return null;
+    }
+    return { value: b - a, percent: a !== 0 ? ((b - a) / a) * 100 : null };
+}
+
+function taskFigures(record) {
+    return record
+        ? { status: record.status, durationMs: record.durationMs, cost: record.cost, tokens: record.tokensUsed }
+        : null;
+}
+
+function gateOutcomes(report) {
+    const outcomes = new Map();
+    for (const result of (report && report.qualityGates) || []) {
+        if (!result.superseded) {
+            outcomes.set(`${result.taskId}\u0000${result.gate}`, result.status);
+        }
+    }
+    return outcomes;
+}
+
+/**
+ * Compare two runs: totals, each task's figures and output, and the gate
+ * outcomes. Runs `a` and `b` are index entries; their report.json and task
+ * outputs are read from the session directories.
+ * @returns {Object} { runs, reports (whether each had a report.json), totals, tasks, gates }
+ */
+function compareRuns(a, b, artifactsRoot) {
+    const reports = [a, b].map(run => readJson(path.join(runDir(run, artifactsRoot), 'report.json')));
+    const output = (run, taskId) => readText(path.join(runDir(run, artifactsRoot), 'artifacts', `${taskId}-output.txt`));
+
+    const totals = Object.keys(TOTALS)
+        .map(metric => ({ metric, a: a[metric], b: b[metric], delta: delta(a[metric], b[metric]) }));
+
+    const records = reports.map(report => new Map(((report && report.tasks) || []).map(task => [task.id, task])));
+    const taskIds = [...new Set([...records[0].keys(), ...records[1].keys()])];
+    const tasks = taskIds.map(id => {
+        const [before, after] = records.map(map => taskFigures(map.get(id)));
+        const outputs = [output(a, id), output(b, id)];
+        let outputChange = null;
+        if (outputs[0] !== null && outputs[1] !== null) {
+            outputChange = outputs[0] === outputs[1]
+                ? { changed: false, added: 0, removed: 0 }
+                : { changed: true, ...diffStats(diffLines(outputs[0], outputs[1])) };
+        }
+        return {
+            id,
+            a: before,
+            b: after,
+            delta: {
+                durationMs: delta(before && before.durationMs, after && after.durationMs),
+                cost: delta(before && before.cost, after && after.cost),
+                tokens: delta(before && before.tokens, after && after.tokens)
+            },
+            output: outputChange
+        };
+    });
+
+    const outcomes = reports.map(gateOutcomes);
+    const gates = [...new Set([...outcomes[0].keys(), ...outcomes[1].keys()])].map(key => {
+        const [taskId, gate] = key.split('\u0000');
+        const [before, after] = outcomes.map(map => map.get(key) || null);
+        return { taskId, gate, a: before, b: after, changed: before !== after };
+    });
+
+    return { runs: [a, b], reports: reports.map(Boolean), totals, tasks, gates };
+}
+
+function formatValue(metric, value) {
+    if (value === null || value === undefined) {
+        return '–';
+    }
+    if (metric === 'cost') {
+        return `$${value.toFixed(3)}`;
+    }
+    if (metric === 'durationMs') {
+        return `${(value / 1000).toFixed(1)}s`;
+    }
+    return value.toLocaleString();
+}
+
+function formatDelta(metric, change) {
+    if (!change) {
+        return '';
+    }
+    if (change.value === 0) {
+        return '=';
+    }
+    const sign = change.value > 0 ? '+' : '-';
+    const value = metric === 'cost' || metric === 'durationMs'
+        ? formatValue(metric, Math.abs(change.value))
+        : Math.abs(change.value).toLocaleString();
+    return `${sign}${value}${change.percent !== null ? ` (${sign}${Math.abs(change.percent).toFixed(0)}%)` : ''}`;
+}
+
+function table(headers, rows) {
+    const widths = headers.map((header, column) => Math.max(header.length, ...rows.map(row => String(row[column]).length)));
+    const line = cells => cells.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd();
+    return [line(headers), line(widths.map(width => '-'.repeat(width))), ...rows.map(line)];
+}
+
+/**
+ * Render the run list for `history`, newest first
+ */
+function renderHistory(runs) {
+    if (runs.length === 0) {
+        return 'No runs recorded yet.';
+    }
+    const rows = [...runs].reverse().map(run => [
+        run.id,
+        run.mode || '–',
+        run.status === 'finished' ? run.verdict : run.status,
+        run.tasks !== undefined ? `${run.tasksCompleted}/${run.tasks}` : '–',
+        formatValue('cost', run.cost),
+        formatValue('tokens', run.tokens),
+        formatValue('durationMs', run.durationMs),
+        run.gatesPassed !== undefined ? `${run.gatesPassed} pass, ${run.gatesFailed} fail` : '–'
+    ]);
+    return table(['Run', 'Mode', 'Result', 'Tasks', 'Cost', 'Tokens', 'Duration', 'Gates'], rows).join('\n');
+}
+
+/**
+ * Render a comparison from compareRuns()
+ */
+function renderComparison(comparison) {
+    const [a, b] = comparison.runs;
+    const lines = [
+        `A: ${a.id} (${a.status === 'finished' ? a.verdict : a.status})`,
+        `B: ${b.id} (${b.status === 'finished' ? b.verdict : b.status})`,
+        '',
+        'Totals',
+        ...table(['', 'A', 'B', 'Change'], comparison.totals.map(({ metric, a: before, b: after, delta: change }) => [
+            TOTALS[metric], formatValue(metric, before), formatValue(metric, after), formatDelta(metric, change)
+        ])).map(line => `  ${line}`)
+    ];
+
+    if (comparison.tasks.length > 0) {
+        lines.push('', 'Tasks', ...table(
+            ['', 'Status', 'Duration', 'Cost', 'Tokens', 'Output'],
+            comparison.tasks.map(task => {
+                const status = [task.a, task.b].map(figures => (figures ? figures.status : 'absent'));
+                const output = !task.output
+                    ? '–'
+                    : task.output.changed ? `+${task.output.added} -${task.output.removed} lines` : 'unchanged';
+                return [
+                    task.id,
+                    status[0] === status[1] ? status[0] : `${status[0]} → ${status[1]}`,
+                    formatDelta('durationMs', task.delta.durationMs) || '–',
+                    formatDelta('cost', task.delta.cost) || '–',
+                    formatDelta('tokens', task.delta.tokens) || '–',
+                    output
+                ];
+            })
+        ).map(line => `  ${line}`));
+    }
+
+    const changedGates = comparison.gates.filter(gate => gate.changed);
+    lines.push('', `Quality gates: ${comparison.gates.length - changedGates.length} unchanged` +
+        (changedGates.length > 0 ? `, ${changedGates.length} changed` : ''));
+    for (const gate of changedGates) {
+        lines.push(`  ${gate.taskId} ${gate.gate}: ${gate.a || 'not run'} → ${gate.b || 'not run'}`);
+    }
+
+    const missing = comparison.runs.filter((run, index) => !comparison.reports[index]);
+    for (const run of missing) {
+        lines.push('', `No report.json for ${run.id}; only its totals are compared.`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    RUN_INDEX_FILE,
+    appendRun,
+    compareRuns,
+    createRunId,
+    findRun,
+    readRuns,
+    renderComparison,
+    renderHistory,
+    runDir,
+    runEntry
+};
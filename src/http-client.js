@@ -0,0 +1,52 @@
+/**
+ * HTTP Client
+ * Minimal JSON requests against an app listening on localhost, used by the
+ * verification smoke tests and the contract tests
+ */
+
+const http = require('http');
+
+const REQUEST_TIMEOUT = 10000;
+
+/**
+ * Send a request, parsing a JSON response body when there is one
+ * @returns {Promise<Object>} { status, headers, body }
+ */
+function request(port, method, urlPath, body) {
+    return new Promise((resolve, reject) => {
+        const payload = body ? JSON.stringify(body) : null;
+        const req = http.request({
+            host: '127.0.0.1',
+            port,
+            method,
+            path: urlPath,
+            headers: payload ? {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(payload)
+            } : {}
+        }, res => {
+            let data = '';
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => {
+                let parsed = null;
+                try {
+                    parsed = data ? JSON.parse(data) : null;
+                } catch (error) {
+                    parsed = data;
+                }
+                resolve({ status: res.statusCode, headers: res.headers, body: parsed });
+            });
+        });
+
+        req.on('error', reject);
+        req.setTimeout(REQUEST_TIMEOUT, () => req.destroy(new Error(`${method} ${urlPath} timed out`)));
+        if (payload) {
+            req.write(payload);
+        }
+        req.end();
+    });
+}
+
+module.exports = {
+    request
+};
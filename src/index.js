@@ -5,16 +5,41 @@
 
 const TodoDemoRunner = require('./run-demo');
 const scenarios = require('../scenarios/config.json');
+const errors = require('./errors');
+const { createConsoleLogger, createMemoryLogger } = require('./logger');
+const { EXIT_CODES } = require('./report');
+const { MockResponseProvider } = require('./mock-provider');
+const { MockOrchestrator } = require('./mock-orchestrator');
+const { ReplayOrchestrator } = require('./replay-orchestrator');
+const { loadCassette } = require('./cassette');
+const { estimatePlanCost } = require('./budget');
+const { Benchmark } = require('./benchmark');
+const { loadRequirements } = require('./requirements');
 
 module.exports = {
     TodoDemoRunner,
     scenarios,
+    ...errors,
+    createConsoleLogger,
+    createMemoryLogger,
+    EXIT_CODES,
+    MockResponseProvider,
+    MockOrchestrator,
+    ReplayOrchestrator,
+    loadCassette,
+    estimatePlanCost,
+    Benchmark,
+    loadRequirements,
     
     /**
-     * Run a demo scenario programmatically
+     * Run a demo scenario programmatically. Runs headless unless
+     * `dashboard: true` is passed, so scripted runs never leave a
+     * listening server behind.
+     * @returns {Promise<Object>} The run result
+     * @throws {DemoError}
      */
     async runDemo(options = {}) {
-        const runner = new TodoDemoRunner(options);
+        const runner = new TodoDemoRunner({ dashboard: false, ...options });
         return await runner.run();
     },
     
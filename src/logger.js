@@ -0,0 +1,65 @@
+/**
+ * Loggers
+ * Everything the demo runner prints goes through a logger with
+ * log/warn/error and spinner(text). Pass one as `options.logger` to embed
+ * the runner in other tools or capture its output in tests.
+ */
+
+const util = require('util');
+const ora = require('ora');
+
+/**
+ * Create a logger writing log lines to `stream` and warnings, errors and
+ * spinners to `errorStream`. With --json the runner logs to stderr so
+ * stdout carries only the JSON result.
+ */
+function createConsoleLogger({ stream = process.stdout, errorStream = process.stderr } = {}) {
+    const write = (target, args) => target.write(util.format(...args) + '\n');
+
+    return {
+        log: (...args) => write(stream, args),
+        warn: (...args) => write(errorStream, args),
+        error: (...args) => write(errorStream, args),
+        spinner: text => ora({ text, stream: errorStream })
+    };
+}
+
+/**
+ * Create a logger that records every line in `entries` instead of printing.
+ * Spinner updates are recorded with level "spinner".
+ */
+function createMemoryLogger() {
+    const entries = [];
+    const record = level => (...args) => entries.push({ level, message: util.format(...args) });
+
+    const spinner = text => {
+        const handle = {
+            text,
+            start: (next) => {
+                handle.text = next || handle.text;
+                return handle;
+            },
+            stop: () => handle
+        };
+        for (const outcome of ['succeed', 'fail', 'warn', 'info']) {
+            handle[outcome] = message => {
+                entries.push({ level: 'spinner', outcome, message: message || handle.text });
+                return handle;
+            };
+        }
+        return handle;
+    };
+
+    return {
+        entries,
+        log: record('log'),
+        warn: record('warn'),
+        error: record('error'),
+        spinner
+    };
+}
+
+module.exports = {
+    createConsoleLogger,
+    createMemoryLogger
+};
@@ -0,0 +1,393 @@
+/**
+ * Artifact Materializer
+ * Splits each task's output into files on disk, using the "// app.js" style
+ * path markers and fenced code blocks the agents emit, and lays them out as
+ * described in docs/EXECUTION_GUIDE.md. Each run gets its own trees, under
+ * its session directory:
+ *
+ *   .repochief/artifacts/<run id>/app/comprehend-todo-api/analysis.md
+ *   .repochief/artifacts/<run id>/app/generate-todo-api/src/app.js
+ *   .repochief/artifacts/<run id>/app/generate-todo-api/package.json
+ *   .repochief/artifacts/<run id>/app/test-todo-api/test/todos.test.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { builtinModules } = require('module');
+
+// Directory of a session the project trees are written to
+const APP_DIR = 'app';
+
+// Files that belong at the project root rather than under src/
+const ROOT_FILES = /^(package\.json|README\.md|Dockerfile|docker-compose\.ya?ml|\.[\w.-]+)$/;
+
+// Top-level directories kept as written; anything else is placed under src/
+const ROOT_DIRS = ['src', 'test', 'tests', 'public', 'migrations', 'scripts', 'config', '.github'];
+
+// Extensions a path may end in, so comments such as "// app.listen" or
+// "# config.port" are not taken for path markers
+const FILE_EXTENSIONS = [
+    'js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx', 'json', 'md', 'html', 'css', 'scss',
+    'yml', 'yaml', 'toml', 'ini', 'env', 'sql', 'sh', 'txt', 'xml'
+];
+
+const PATH_PATTERN = new RegExp(
+    `^(?:\\./)?((?:[\\w.-]+/)*(?:[\\w-][\\w.-]*\\.(?:${FILE_EXTENSIONS.join('|')})|Dockerfile))$`
+);
+
+// Versions used when synthesizing a package.json for generated code
+const KNOWN_VERSIONS = {
+    express: '^4.18.2',
+    cors: '^2.8.5',
+    uuid: '^9.0.0',
+    'express-validator': '^7.0.1',
+    mocha: '^10.2.0',
+    chai: '^4.3.10',
+    'chai-http': '^4.4.0',
+    sinon: '^17.0.1',
+    supertest: '^6.3.3'
+};
+
+const TEST_PACKAGES = ['mocha', 'chai', 'chai-http', 'sinon', 'supertest'];
+
+/**
+ * Return the normalized path if a string looks like a file path
+ */
+function asPath(candidate) {
+    const cleaned = candidate.trim().replace(/^[`*"']+|[`*"':]+$/g, '');
+    const match = cleaned.match(PATH_PATTERN);
+    return match ? match[1] : null;
+}
+
+/**
+ * Return the file path named by a marker line such as "// src/app.js"
+ */
+function markerPath(line) {
+    const match = line.match(/^\s*(?:\/\/|#|<!--)\s*(\S+?)\s*(?:-->)?\s*$/);
+    return match ? asPath(match[1]) : null;
+}
+
+/**
+ * Return the file path named by the line preceding a fence, e.g.
+ * "### src/app.js", "**package.json**" or "File: test/todos.test.js"
+ */
+function headingPath(line) {
+    const stripped = line.trim().replace(/^(#+|[-*]|File:|Filename:)\s*/i, '');
+    return stripped.includes(' ') ? null : asPath(stripped);
+}
+
+/**
+ * Split text on marker lines, which start the text or follow a blank line.
+ * Text before the first marker is the preamble.
+ */
+function splitMarked(text) {
+    const files = [];
+    const preamble = [];
+    let current = null;
+    let previous = '';
+
+    for (const line of text.split('\n')) {
+        const filePath = previous.trim() === '' ? markerPath(line) : null;
+        previous = line;
+        if (filePath) {
+            current = { path: filePath, lines: [] };
+            files.push(current);
+        } else if (current) {
+            current.lines.push(line);
+        } else {
+            preamble.push(line);
+        }
+    }
+
+    return {
+        preamble: preamble.join('\n').trim(),
+        files: files.map(file => ({ path: file.path, content: file.lines.join('\n').trim() + '\n' }))
+    };
+}
+
+/**
+ * Extract fenced code blocks along with any path named in the info string
+ * or on the line before the fence
+ */
+function extractFences(text) {
+    const lines = text.split('\n');
+    const blocks = [];
+    let open = null;
+
+    lines.forEach((line, index) => {
+        const fence = line.match(/^\s*```(.*)$/);
+        if (!fence) {
+            if (open) {
+                open.lines.push(line);
+            }
+            return;
+        }
+
+        if (open) {
+            blocks.push({ path: open.path, content: open.lines.join('\n') });
+            open = null;
+            return;
+        }
+
+        const info = fence[1].trim();
+        const titled = info.match(/(?:title|filename)=["']?([^"'\s]+)/);
+        const fromInfo = titled ? asPath(titled[1]) : info.split(/\s+/).slice(1).map(asPath).find(Boolean);
+        const previous = index > 0 ? headingPath(lines[index - 1]) : null;
+        open = { path: fromInfo || previous || null, lines: [] };
+    });
+
+    return blocks;
+}
+
+/**
+ * Split a raw task output into { path, content } entries. Unnamed content
+ * is returned with a null path.
+ */
+function splitOutput(output) {
+    const fences = extractFences(output);
+
+    if (fences.length === 0) {
+        const { preamble, files } = splitMarked(output);
+        return preamble ? [{ path: null, content: preamble + '\n' }, ...files] : files;
+    }
+
+    const files = [];
+    for (const block of fences) {
+        const marked = splitMarked(block.content);
+        if (block.path) {
+            files.push({ path: block.path, content: block.content.trim() + '\n' });
+        } else if (marked.files.length > 0) {
+            if (marked.preamble) {
+                files.push({ path: null, content: marked.preamble + '\n' });
+            }
+            files.push(...marked.files);
+        } else {
+            files.push({ path: null, content: block.content.trim() + '\n' });
+        }
+    }
+    return files;
+}
+
+/**
+ * Place a generated file within the project tree
+ */
+function layoutPath(filePath) {
+    const segments = filePath.split('/');
+
+    if (segments.some(segment => segment === '..' || segment === '')) {
+        return null;
+    }
+    if (segments.length > 1) {
+        return ROOT_DIRS.includes(segments[0]) ? filePath : `src/${filePath}`;
+    }
+    if (ROOT_FILES.test(filePath)) {
+        return filePath;
+    }
+    if (/\.(test|spec)\.[jt]sx?$/.test(filePath)) {
+        return `test/${filePath}`;
+    }
+    return `src/${filePath}`;
+}
+
+/**
+ * Collect third-party packages required by the generated sources
+ */
+function collectDependencies(files) {
+    const packages = new Set();
+    const pattern = /(?:require\(\s*|from\s+)['"]([^'"./][^'"]*)['"]/g;
+
+    for (const file of files) {
+        if (!/\.[jt]sx?$/.test(file.path)) {
+            continue;
+        }
+        for (const match of file.content.matchAll(pattern)) {
+            const name = match[1].startsWith('@')
+                ? match[1].split('/').slice(0, 2).join('/')
+                : match[1].split('/')[0];
+            if (!builtinModules.includes(name) && !name.startsWith('node:')) {
+                packages.add(name);
+            }
+        }
+    }
+
+    return [...packages].sort();
+}
+
+/**
+ * Build a package.json for generated code that did not include one
+ */
+function synthesizePackage(taskId, files) {
+    const packages = collectDependencies(files);
+    const dependencies = {};
+    const devDependencies = {};
+
+    for (const name of packages) {
+        const target = TEST_PACKAGES.includes(name) ? devDependencies : dependencies;
+        target[name] = KNOWN_VERSIONS[name] || 'latest';
+    }
+
+    const hasTests = files.some(file => file.path.startsWith('test/'));
+    if (hasTests && !devDependencies.mocha) {
+        devDependencies.mocha = KNOWN_VERSIONS.mocha;
+    }
+
+    const scripts = {};
+    if (files.some(file => file.path === 'src/server.js')) {
+        scripts.start = 'node src/server.js';
+    }
+    if (hasTests) {
+        scripts.test = 'mocha "test/**/*.test.js" --exit';
+    }
+
+    return {
+        name: taskId,
+        version: '0.1.0',
+        private: true,
+        main: files.some(file => file.path === 'src/app.js') ? 'src/app.js' : undefined,
+        scripts,
+        dependencies,
+        devDependencies
+    };
+}
+
+/**
+ * Add an entry point for an Express app module that never calls listen()
+ */
+function serverEntry(files) {
+    const app = files.find(file => file.path === 'src/app.js');
+    if (!app || /\.listen\(/.test(app.content) || files.some(file => file.path === 'src/server.js')) {
+        return null;
+    }
+
+    return {
+        path: 'src/server.js',
+        content: `const app = require('./app');
+
+const port = process.env.PORT || 3000;
+
+app.listen(port, () => {
+    console.log(\`API listening on http://localhost:\${port}\`);
+});
+`
+    };
+}
+
+/**
+ * Turn a generation task's output into a project file list
+ */
+function buildProjectFiles(task, output) {
+    const files = [];
+    const unnamed = [];
+
+    for (const file of splitOutput(output)) {
+        const placed = file.path ? layoutPath(file.path) : null;
+        if (placed) {
+            files.push({ path: placed, content: file.content });
+        } else {
+            unnamed.push(file.content);
+        }
+    }
+
+    if (files.length === 0) {
+        return [{ path: 'output.txt', content: output }];
+    }
+    if (unnamed.length > 0) {
+        files.push({ path: 'NOTES.md', content: unnamed.join('\n') });
+    }
+
+    const server = serverEntry(files);
+    if (server) {
+        files.push(server);
+    }
+    if (!files.some(file => file.path === 'package.json')) {
+        files.push({
+            path: 'package.json',
+            content: JSON.stringify(synthesizePackage(task.id, files), null, 2) + '\n'
+        });
+    }
+
+    return files;
+}
+
+/**
+ * Decide which files a task's result becomes
+ */
+function planFiles(task, result) {
+    const output = typeof result.output === 'string' ? result.output : JSON.stringify(result.output, null, 2);
+    const metadata = {
+        path: 'metadata.json',
+        content: JSON.stringify({
+            taskId: task.id,
+            type: task.type,
+            status: result.status,
+            tokensUsed: result.tokensUsed,
+            cost: result.cost,
+            duration: result.duration,
+            timestamp: result.timestamp
+        }, null, 2) + '\n'
+    };
+
+    if (task.type === 'comprehension') {
+        return [{ path: 'analysis.md', content: output }, metadata];
+    }
+
+    if (task.type === 'validation') {
+        const files = [{ path: 'report.md', content: output }, metadata];
+        if (result.qualityResults) {
+            files.push({ path: 'issues.json', content: JSON.stringify(result.qualityResults, null, 2) + '\n' });
+        }
+        return files;
+    }
+
+    return [...buildProjectFiles(task, output), metadata];
+}
+
+/**
+ * Read the result the orchestrator persisted for a task
+ */
+function loadTaskResult(sessionDir, taskId) {
+    const file = path.join(sessionDir, 'artifacts', `${taskId}-result.json`);
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Write a task's output as a project tree under root/<taskId>, replacing
+ * what an earlier attempt at the task left there
+ * @returns {{ taskId: string, dir: string, files: string[], startable: boolean }}
+ */
+function materializeTask(task, result, { root }) {
+    const dir = path.join(root, task.id);
+    const files = planFiles(task, result);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+    for (const file of files) {
+        const target = path.join(dir, file.path);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, file.content);
+    }
+
+    return {
+        taskId: task.id,
+        dir,
+        files: files.map(file => file.path),
+        startable: hasStartScript(files)
+    };
+}
+
+function hasStartScript(files) {
+    const pkg = files.find(file => file.path === 'package.json');
+    try {
+        return Boolean(pkg && (JSON.parse(pkg.content).scripts || {}).start);
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = {
+    APP_DIR,
+    splitOutput,
+    layoutPath,
+    buildProjectFiles,
+    loadTaskResult,
+    materializeTask
+};
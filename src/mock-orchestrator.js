@@ -0,0 +1,328 @@
+/**
+ * Mock Orchestrator
+ * An offline stand-in for the repochief-core orchestrator used in mock mode.
+ * It exposes the same methods and events (taskStarted, taskProgress,
+ * taskCompleted, taskFailed, qualityGateResult, costUpdate), schedules tasks
+ * by dependency and agent concurrency, and persists results in the same
+ * layout as the core file store:
+ *
+ *   <artifactsRoot>/<session>/artifacts/<task>-result.json
+ *   <artifactsRoot>/<session>/artifacts/<task>-output.txt
+ *   <artifactsRoot>/<session>/summary.json
+ *
+ * Task results come from a MockResponseProvider, so runs are reproducible.
+ * Gates given as `gates` (see src/gates) really run; the others report the
+ * fixture's gate results.
+ *
+ * The core orchestrator's `mockMode` answers tasks with core's own canned
+ * responses and takes no provider, so fixtures, seeded variants, live gates
+ * and cassette replays (see ReplayOrchestrator) could not drive it. This
+ * stand-in keeps to the methods and events the runner uses from core;
+ * test/mock-orchestrator.test.js pins how it schedules and reports.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+const PROGRESS_STEPS = [0.25, 0.5, 0.75];
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class MockOrchestrator extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} options.sessionName
+     * @param {number} options.totalBudget - USD
+     * @param {MockResponseProvider} options.provider
+     * @param {string} options.artifactsRoot - Usually .repochief/artifacts
+     * @param {Object} [options.gates] - Gates to run, keyed by name
+     */
+    constructor({ sessionName, totalBudget, provider, artifactsRoot, gates = {} }) {
+        super();
+        this.gates = gates;
+        this.sessionName = sessionName;
+        this.totalBudget = totalBudget;
+        this.provider = provider;
+        this.sessionDir = path.join(artifactsRoot, sessionName);
+        this.agents = new Map();
+        this.tasks = new Map();
+        this.timers = new Map();
+        this.totalCost = 0;
+        this.totalTokens = 0;
+        this.started = false;
+        this.startedAt = null;
+        this.finishedAt = null;
+    }
+
+    async initialize() {
+        fs.mkdirSync(path.join(this.sessionDir, 'artifacts'), { recursive: true });
+    }
+
+    async createAgent(definition) {
+        const agent = {
+            id: `agent-${this.agents.size + 1}`,
+            maxConcurrentTasks: 1,
+            ...definition,
+            activeTasks: 0
+        };
+        this.agents.set(agent.id, agent);
+        return agent;
+    }
+
+    async queueTask(spec) {
+        const task = { ...spec, status: 'pending' };
+        this.tasks.set(task.id, task);
+
+        if (this.started) {
+            this.finishedAt = null;
+            setImmediate(() => this.schedule());
+        }
+        return task;
+    }
+
+    async startExecution() {
+        this.started = true;
+        this.startedAt = Date.now();
+        setImmediate(() => this.schedule());
+    }
+
+    /**
+     * Resolve once no task is running or can still start
+     */
+    waitForCompletion() {
+        if (this.started && this.isIdle()) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.once('idle', resolve));
+    }
+
+    isIdle() {
+        return [...this.tasks.values()].every(task => task.status !== 'running' && task.status !== 'pending');
+    }
+
+    /**
+     * Stop a pending or running task; it is reported through taskFailed
+     */
+    cancelTask(taskId, reason = 'Cancelled') {
+        const task = this.tasks.get(taskId);
+        if (!task || TERMINAL_STATUSES.includes(task.status)) {
+            return false;
+        }
+
+        this.clearTimers(taskId);
+        if (task.status === 'running') {
+            this.agents.get(task.agentId).activeTasks--;
+        }
+        this.failTask(task, new Error(reason), 'cancelled');
+        setImmediate(() => this.schedule());
+        return true;
+    }
+
+    getFinalReport() {
+        const tasks = [...this.tasks.values()];
+        const end = this.finishedAt || Date.now();
+
+        return {
+            totalTasks: tasks.length,
+            tasksCompleted: tasks.filter(task => task.status === 'completed').length,
+            tasksFailed: tasks.filter(task => task.status === 'failed' || task.status === 'cancelled').length,
+            totalCost: this.totalCost,
+            totalTokens: this.totalTokens,
+            duration: this.startedAt ? end - this.startedAt : 0
+        };
+    }
+
+    async shutdown() {
+        for (const taskId of [...this.timers.keys()]) {
+            this.clearTimers(taskId);
+        }
+        this.started = false;
+    }
+
+    clearTimers(taskId) {
+        for (const timer of this.timers.get(taskId) || []) {
+            clearTimeout(timer);
+        }
+        this.timers.delete(taskId);
+    }
+
+    /**
+     * Start every pending task whose dependencies completed and whose agent
+     * has a free slot; fail tasks whose dependencies failed
+     */
+    schedule() {
+        if (!this.started) {
+            return;
+        }
+
+        for (const task of this.tasks.values()) {
+            if (task.status !== 'pending') {
+                continue;
+            }
+
+            const deps = (task.dependencies || []).map(id => this.tasks.get(id));
+            const missing = (task.dependencies || []).find(id => !this.tasks.has(id));
+            const failed = deps.find(dep => dep && (dep.status === 'failed' || dep.status === 'cancelled'));
+
+            if (missing || failed) {
+                this.failTask(task, new Error(`Dependency ${missing || failed.id} ${missing ? 'was never queued' : 'failed'}`));
+                continue;
+            }
+            if (!deps.every(dep => dep.status === 'completed')) {
+                continue;
+            }
+
+            const agent = this.agents.get(task.agentId);
+            if (!agent) {
+                this.failTask(task, new Error(`Unknown agent ${task.agentId}`));
+                continue;
+            }
+            if (agent.activeTasks < agent.maxConcurrentTasks) {
+                this.runTask(task, agent);
+            }
+        }
+
+        if (this.isIdle() && !this.finishedAt) {
+            this.finishedAt = Date.now();
+            this.emit('idle');
+        }
+    }
+
+    runTask(task, agent) {
+        task.status = 'running';
+        task.startedAt = Date.now();
+        agent.activeTasks++;
+        this.emit('taskStarted', { task, agent });
+
+        const response = this.provider.respond(task);
+        const timers = PROGRESS_STEPS.map(progress => setTimeout(
+            () => this.emit('taskProgress', { task, agent, progress }),
+            response.duration * progress
+        ));
+        timers.push(setTimeout(async () => {
+            const gateResults = await this.runGates(task);
+            // Cancelled or shut down while its gates ran
+            if (this.started && task.status === 'running') {
+                this.finishTask(task, agent, { ...response, gateResults });
+            }
+        }, response.duration));
+        this.timers.set(task.id, timers);
+    }
+
+    /**
+     * Run the task's gates that are given as `gates`
+     * @returns {Promise<Object>} Results keyed by gate name
+     */
+    async runGates(task) {
+        const results = {};
+        for (const name of (task.qualityGates || []).filter(gate => this.gates[gate])) {
+            try {
+                results[name] = await this.gates[name].run({ task, sessionDir: this.sessionDir });
+            } catch (error) {
+                results[name] = { status: 'error', reason: error.message, issues: [] };
+            }
+        }
+        return results;
+    }
+
+    finishTask(task, agent, response) {
+        this.timers.delete(task.id);
+        agent.activeTasks--;
+
+        if (response.error) {
+            this.failTask(task, new Error(response.error));
+        } else if (this.totalCost + response.cost > this.totalBudget) {
+            this.failTask(task, new Error(
+                `Budget exceeded: $${(this.totalCost + response.cost).toFixed(3)} of $${this.totalBudget}`
+            ));
+        } else {
+            this.completeTask(task, agent, response);
+        }
+
+        this.schedule();
+    }
+
+    completeTask(task, agent, response) {
+        this.totalCost += response.cost;
+        this.totalTokens += response.tokensUsed;
+        task.status = 'completed';
+
+        const result = {
+            taskId: task.id,
+            timestamp: new Date().toISOString(),
+            status: 'completed',
+            output: response.output,
+            tokensUsed: response.tokensUsed,
+            cost: response.cost,
+            duration: response.duration,
+            qualityScore: response.qualityScore,
+            qualityResults: response.qualityResults
+        };
+        this.persist(task, result);
+
+        this.emit('costUpdate', { task, agent, cost: response.cost, total: this.totalCost });
+
+        const gateResults = {
+            ...(response.qualityResults && response.qualityResults.gates),
+            ...response.gateResults
+        };
+        for (const gate of task.qualityGates || []) {
+            const gateResult = gateResults[gate] || { status: 'skipped', reason: 'No mock result for gate' };
+            this.emit('qualityGateResult', { gate, result: gateResult, task });
+        }
+
+        this.emit('taskCompleted', { task, agent, result });
+    }
+
+    failTask(task, error, status = 'failed') {
+        task.status = status;
+        task.error = error.message;
+        this.persist(task, {
+            taskId: task.id,
+            timestamp: new Date().toISOString(),
+            status: 'failed',
+            error: error.message
+        });
+        this.emit('taskFailed', { task, error });
+    }
+
+    persist(task, result) {
+        const dir = path.join(this.sessionDir, 'artifacts');
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, `${task.id}-result.json`), JSON.stringify(result, null, 2));
+        if (typeof result.output === 'string') {
+            fs.writeFileSync(path.join(dir, `${task.id}-output.txt`), result.output);
+        }
+        this.writeSummary();
+    }
+
+    writeSummary() {
+        const tasks = [...this.tasks.values()].filter(task => task.status !== 'pending' && task.status !== 'running');
+        const report = this.getFinalReport();
+
+        fs.writeFileSync(path.join(this.sessionDir, 'summary.json'), JSON.stringify({
+            session: this.sessionName,
+            timestamp: new Date().toISOString(),
+            tasks: tasks.map(task => {
+                const file = path.join(this.sessionDir, 'artifacts', `${task.id}-result.json`);
+                const result = JSON.parse(fs.readFileSync(file, 'utf8'));
+                return {
+                    taskId: task.id,
+                    status: result.status,
+                    tokensUsed: result.tokensUsed || 0,
+                    cost: result.cost || 0,
+                    timestamp: result.timestamp
+                };
+            }),
+            totalTasks: report.totalTasks,
+            completedTasks: report.tasksCompleted,
+            failedTasks: report.tasksFailed,
+            totalCost: report.totalCost,
+            totalTokens: report.totalTokens
+        }, null, 2));
+    }
+}
+
+module.exports = {
+    MockOrchestrator
+};
@@ -0,0 +1,167 @@
+/**
+ * Mock Response Provider
+ * Serves deterministic task results for mock runs. A task's response comes
+ * from the first match of:
+ *
+ *   1. <fixturesDir>/<task id>.json (or .md/.txt/.js holding just the output)
+ *   2. <fixturesDir>/<task profile>.json, then <task type>.json
+ *   3. defaults.mockResponses[profile or type] from scenarios/config.json
+ *   4. a generic "Mock response for ..." line
+ *
+ * JSON fixtures may set output, tokensUsed, cost, duration, qualityScore,
+ * qualityResults, error (with errorAttempts to fail only the first N
+ * attempts), and variants (an array of the same fields, picked by seed).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'scenarios', 'fixtures');
+const TEXT_EXTENSIONS = ['.md', '.txt', '.js'];
+
+// Roughly the cost per token of the recorded demo runs
+const DEFAULT_COST_PER_TOKEN = 0.00001;
+const DEFAULT_DURATION = 2000;
+
+/**
+ * Small seeded PRNG (mulberry32) so seeded runs repeat exactly
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function estimateTokens(output) {
+    return Math.max(1, Math.ceil(output.length / 4));
+}
+
+class MockResponseProvider {
+    /**
+     * @param {Object} options
+     * @param {string} [options.fixturesDir] - Directory of fixtures
+     * @param {Object} [options.defaults] - defaults.mockResponses from config.json
+     * @param {number} [options.latency] - Fixed latency in ms, overriding fixtures
+     * @param {number} [options.latencyScale=1] - Multiplier for fixture latencies
+     * @param {number} [options.costPerToken] - Used when a fixture sets no cost
+     * @param {number} [options.seed] - Enables seeded random mode: latency and
+     *   token jitter of ±`jitter`, and random choice among fixture variants
+     * @param {number} [options.jitter=0.2]
+     */
+    constructor(options = {}) {
+        this.fixturesDir = options.fixturesDir || DEFAULT_FIXTURES_DIR;
+        this.defaults = options.defaults || {};
+        this.latency = options.latency;
+        this.latencyScale = options.latencyScale !== undefined ? options.latencyScale : 1;
+        this.costPerToken = options.costPerToken !== undefined ? options.costPerToken : DEFAULT_COST_PER_TOKEN;
+        this.seed = options.seed;
+        this.jitter = options.jitter !== undefined ? options.jitter : 0.2;
+        this.random = this.seed !== undefined ? createRandom(this.seed) : null;
+        this.cache = new Map();
+        this.attempts = new Map();
+    }
+
+    /**
+     * Read a fixture by name, or null when there is none
+     */
+    loadFixture(name) {
+        if (this.cache.has(name)) {
+            return this.cache.get(name);
+        }
+
+        let fixture = null;
+        const jsonPath = path.join(this.fixturesDir, `${name}.json`);
+        if (fs.existsSync(jsonPath)) {
+            fixture = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+        } else {
+            const textPath = TEXT_EXTENSIONS
+                .map(ext => path.join(this.fixturesDir, `${name}${ext}`))
+                .find(candidate => fs.existsSync(candidate));
+            if (textPath) {
+                fixture = { output: fs.readFileSync(textPath, 'utf8') };
+            }
+        }
+
+        this.cache.set(name, fixture);
+        return fixture;
+    }
+
+    /**
+     * Find the fixture for a task following the lookup order above
+     */
+    resolveFixture(task) {
+        const keys = [task.id, task.profile, task.type].filter(Boolean);
+
+        for (const key of keys) {
+            const fixture = this.loadFixture(key);
+            if (fixture) {
+                return { source: `fixture:${key}`, fixture };
+            }
+        }
+        for (const key of keys.slice(1)) {
+            if (this.defaults[key]) {
+                return { source: `defaults:${key}`, fixture: this.defaults[key] };
+            }
+        }
+        return {
+            source: 'generic',
+            fixture: { output: `Mock response for ${task.type}: ${task.objective}` }
+        };
+    }
+
+    /**
+     * Spread a value by ±jitter in seeded random mode
+     */
+    vary(value) {
+        if (!this.random) {
+            return value;
+        }
+        return Math.round(value * (1 + (this.random() * 2 - 1) * this.jitter));
+    }
+
+    /**
+     * Produce the result for a task
+     * @returns {Object} { output, tokensUsed, cost, duration, qualityScore, qualityResults, error, source }
+     */
+    respond(task) {
+        const { source, fixture: base } = this.resolveFixture(task);
+        const attempt = (this.attempts.get(task.id) || 0) + 1;
+        this.attempts.set(task.id, attempt);
+
+        const variants = Array.isArray(base.variants) && base.variants.length > 0 ? base.variants : null;
+        const fixture = variants
+            ? { ...base, ...variants[this.random ? Math.floor(this.random() * variants.length) : 0] }
+            : base;
+
+        const output = fixture.output || '';
+        const tokensUsed = fixture.tokensUsed !== undefined ? this.vary(fixture.tokensUsed) : this.vary(estimateTokens(output));
+        const cost = fixture.cost !== undefined && !this.random ? fixture.cost : tokensUsed * this.costPerToken;
+        const duration = this.latency !== undefined
+            ? this.latency
+            : this.vary(Math.round((fixture.duration !== undefined ? fixture.duration : DEFAULT_DURATION) * this.latencyScale));
+
+        return {
+            output,
+            tokensUsed,
+            cost,
+            duration,
+            qualityScore: fixture.qualityScore !== undefined ? fixture.qualityScore : 1,
+            qualityResults: fixture.qualityResults || null,
+            error: fixture.error && (fixture.errorAttempts === undefined || attempt <= fixture.errorAttempts)
+                ? fixture.error
+                : null,
+            source
+        };
+    }
+}
+
+module.exports = {
+    DEFAULT_FIXTURES_DIR,
+    MockResponseProvider,
+    createRandom
+};
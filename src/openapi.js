@@ -0,0 +1,396 @@
+/**
+ * OpenAPI Generator
+ * Derives an OpenAPI 3 document from a generated Express project: the paths
+ * from its routes (see gates/api-contract), request and parameter schemas
+ * from the express-validator chains declared inline on each route, and the
+ * record schema from the object literals the API stores. Also checks that a
+ * document is structurally valid before anything relies on it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { extractFields, extractRoutes, listSourceFiles } = require('./gates/api-contract');
+
+const OPENAPI_VERSION = '3.0.3';
+const SPEC_FILE = 'api-spec.json';
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const VALIDATOR_PATTERN = /\b(body|param|query|check)\(\s*(['"`])(\w+)\2\s*\)((?:\s*\.\s*\w+\((?:[^()]|\([^()]*\))*\))*)/g;
+const CHAIN_PATTERN = /\.\s*(\w+)\(((?:[^()]|\([^()]*\))*)\)/g;
+const STATUS_PATTERN = /\bres\.status\(\s*(\d{3})\s*\)/g;
+
+const STATUS_DESCRIPTIONS = {
+    200: 'OK',
+    201: 'Created',
+    204: 'No Content',
+    400: 'Invalid request',
+    401: 'Unauthorized',
+    403: 'Forbidden',
+    404: 'Not found',
+    409: 'Conflict',
+    500: 'Internal server error'
+};
+
+// express-validator checks and the schema they imply
+const VALIDATOR_SCHEMAS = {
+    isUUID: { type: 'string', format: 'uuid' },
+    isInt: { type: 'integer' },
+    isFloat: { type: 'number' },
+    isNumeric: { type: 'number' },
+    isDecimal: { type: 'number' },
+    isBoolean: { type: 'boolean' },
+    isEmail: { type: 'string', format: 'email' },
+    isURL: { type: 'string', format: 'uri' },
+    isISO8601: { type: 'string', format: 'date-time' },
+    isDate: { type: 'string', format: 'date' },
+    isArray: { type: 'array', items: {} },
+    isObject: { type: 'object' },
+    isString: { type: 'string' }
+};
+
+function toPascalCase(text) {
+    return text.split(/[^A-Za-z0-9]+/).filter(Boolean)
+        .map(word => word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+function toOpenApiPath(urlPath) {
+    return urlPath.replace(/:(\w+)/g, '{$1}');
+}
+
+/**
+ * The schema and requiredness one validator chain describes, e.g.
+ * body('title').trim().notEmpty().isLength({ max: 200 })
+ */
+function parseValidator(location, name, chain) {
+    const schema = { type: 'string' };
+    let required = location === 'param';
+    let optional = false;
+
+    for (const [, method, args] of chain.matchAll(CHAIN_PATTERN)) {
+        if (VALIDATOR_SCHEMAS[method]) {
+            Object.assign(schema, VALIDATOR_SCHEMAS[method]);
+        }
+        const bounds = Object.fromEntries([...args.matchAll(/\b(min|max)\s*:\s*(-?\d+(?:\.\d+)?)/g)]
+            .map(([, key, value]) => [key, Number(value)]));
+        if (method === 'isLength') {
+            if (bounds.min !== undefined) {
+                schema.minLength = bounds.min;
+            }
+            if (bounds.max !== undefined) {
+                schema.maxLength = bounds.max;
+            }
+        } else if (['isInt', 'isFloat'].includes(method)) {
+            if (bounds.min !== undefined) {
+                schema.minimum = bounds.min;
+            }
+            if (bounds.max !== undefined) {
+                schema.maximum = bounds.max;
+            }
+        } else if (method === 'isIn') {
+            schema.enum = [...args.matchAll(/(['"`])([^'"`]*)\1/g)].map(match => match[2]);
+        } else if (['notEmpty', 'exists'].includes(method)) {
+            required = true;
+        } else if (method === 'optional') {
+            optional = true;
+        }
+    }
+
+    return { location: location === 'check' ? 'body' : location, name, schema, required: required && !optional };
+}
+
+/**
+ * The source of the call starting at index, up to its closing parenthesis,
+ * skipping strings and comments
+ */
+function callSource(source, index) {
+    let depth = 0;
+    let quote = null;
+
+    for (let i = source.indexOf('(', index); i >= 0 && i < source.length; i++) {
+        const char = source[i];
+        if (quote) {
+            if (char === '\\') {
+                i++;
+            } else if (char === quote) {
+                quote = null;
+            }
+        } else if (source.startsWith('//', i)) {
+            const end = source.indexOf('\n', i);
+            i = end >= 0 ? end : source.length;
+        } else if (source.startsWith('/*', i)) {
+            const end = source.indexOf('*/', i);
+            i = end >= 0 ? end + 1 : source.length;
+        } else if (`'"\``.includes(char)) {
+            quote = char;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')' && --depth === 0) {
+            return source.slice(index, i + 1);
+        }
+    }
+    return source.slice(index);
+}
+
+/**
+ * Each route with the source of its declaration, so validators and
+ * statuses are attributed to the route they are declared on
+ */
+function routeSources(files) {
+    const byFile = new Map(files.map(file => [file.file, file.source]));
+    return extractRoutes(files).map(route => ({ ...route, source: callSource(byFile.get(route.file), route.index) }));
+}
+
+function resourceName(urlPath) {
+    const segment = urlPath.split('/').filter(part => part && !part.startsWith(':')).pop() || 'resource';
+    return toPascalCase(segment.replace(/ies$/, 'y').replace(/s$/, ''));
+}
+
+/**
+ * The record schema: every key of the stored objects, typed by the body
+ * validators where there are any
+ */
+function recordSchema(files, validators) {
+    const properties = {};
+    for (const { name } of extractFields(files)) {
+        const validated = validators.find(v => v.name === name && v.location !== 'query');
+        properties[name] = validated
+            ? Object.fromEntries(Object.entries(validated.schema).filter(([key]) => !/^(min|max)/.test(key)))
+            : /At$/.test(name) ? { type: 'string', format: 'date-time' } : { type: 'string' };
+    }
+    return { type: 'object', properties, required: Object.keys(properties) };
+}
+
+function buildOperation(route, schemaRef) {
+    const validators = [...route.source.matchAll(VALIDATOR_PATTERN)]
+        .map(([, location, , name, chain]) => parseValidator(location, name, chain));
+    const pathParams = [...route.path.matchAll(/:(\w+)/g)].map(match => match[1]);
+    const isItem = /:\w+$/.test(route.path);
+    const statuses = new Set([...route.source.matchAll(STATUS_PATTERN)].map(match => Number(match[1])));
+
+    if (/\bres\.(json|send)\(/.test(route.source)) {
+        statuses.add(200);
+    }
+    if (validators.length > 0) {
+        statuses.add(400);
+    }
+    if (statuses.size === 0) {
+        statuses.add(200);
+    }
+
+    const operation = {
+        operationId: `${route.method.toLowerCase()}${toPascalCase(route.path.replace(/:(\w+)/g, 'by $1'))}`,
+        summary: `${route.method} ${toOpenApiPath(route.path)}`,
+        responses: {}
+    };
+
+    const parameters = [
+        ...pathParams.map(name => {
+            const validator = validators.find(v => v.location === 'param' && v.name === name);
+            return { name, in: 'path', required: true, schema: validator ? validator.schema : { type: 'string' } };
+        }),
+        ...validators.filter(v => v.location === 'query')
+            .map(v => ({ name: v.name, in: 'query', required: v.required, schema: v.schema }))
+    ];
+    if (parameters.length > 0) {
+        operation.parameters = parameters;
+    }
+
+    const bodyFields = validators.filter(v => v.location === 'body');
+    if (bodyFields.length > 0) {
+        const required = bodyFields.filter(v => v.required).map(v => v.name);
+        operation.requestBody = {
+            required: required.length > 0,
+            content: {
+                'application/json': {
+                    schema: {
+                        type: 'object',
+                        properties: Object.fromEntries(bodyFields.map(v => [v.name, v.schema])),
+                        ...(required.length > 0 ? { required } : {})
+                    }
+                }
+            }
+        };
+    }
+
+    for (const status of [...statuses].sort()) {
+        const response = { description: STATUS_DESCRIPTIONS[status] || `Status ${status}` };
+        let schema = null;
+        if (schemaRef && (status === 200 || status === 201) && route.method !== 'DELETE') {
+            if (isItem || route.method === 'POST') {
+                schema = { $ref: schemaRef };
+            } else if (/\bdata\s*:/.test(route.source)) {
+                schema = { type: 'object', properties: { data: { type: 'array', items: { $ref: schemaRef } } }, required: ['data'] };
+            }
+        }
+        if (schema) {
+            response.content = { 'application/json': { schema } };
+        }
+        operation.responses[status] = response;
+    }
+
+    return operation;
+}
+
+/**
+ * Generate the OpenAPI document for a project's sources
+ * @param {Object[]} files - [{ file, source }], see listSourceFiles()
+ * @param {Object} [info] - { title, version, description }
+ * @returns {Object} The document
+ */
+function generateOpenApi(files, info = {}) {
+    const routes = routeSources(files);
+    const allValidators = routes.flatMap(route => [...route.source.matchAll(VALIDATOR_PATTERN)]
+        .map(([, location, , name, chain]) => parseValidator(location, name, chain)));
+    const schemas = {};
+    const paths = {};
+
+    const record = recordSchema(files, allValidators);
+    const resources = new Set(routes.map(route => resourceName(route.path)));
+    // With one resource its stored objects are the record schema; with more
+    // they cannot be told apart, so responses stay untyped
+    const schemaName = resources.size === 1 && Object.keys(record.properties).length > 0 ? [...resources][0] : null;
+    if (schemaName) {
+        schemas[schemaName] = record;
+    }
+
+    for (const route of routes) {
+        const key = toOpenApiPath(route.path);
+        const operation = buildOperation(route, schemaName ? `#/components/schemas/${schemaName}` : null);
+        paths[key] = { ...paths[key], [route.method.toLowerCase()]: operation };
+    }
+
+    return {
+        openapi: OPENAPI_VERSION,
+        info: {
+            title: info.title || 'Generated API',
+            version: info.version || '1.0.0',
+            ...(info.description ? { description: info.description } : {})
+        },
+        paths,
+        components: { schemas }
+    };
+}
+
+function collectRefs(value, refs = []) {
+    if (Array.isArray(value)) {
+        value.forEach(item => collectRefs(item, refs));
+    } else if (value && typeof value === 'object') {
+        for (const [key, child] of Object.entries(value)) {
+            if (key === '$ref' && typeof child === 'string') {
+                refs.push(child);
+            } else {
+                collectRefs(child, refs);
+            }
+        }
+    }
+    return refs;
+}
+
+/**
+ * Resolve a local "#/components/..." reference
+ */
+function resolveRef(doc, ref) {
+    if (!ref.startsWith('#/')) {
+        return undefined;
+    }
+    return ref.slice(2).split('/').reduce((node, key) => (node ? node[key] : undefined), doc);
+}
+
+/**
+ * Structural checks of an OpenAPI 3 document
+ * @returns {string[]} Problems found, empty when valid
+ */
+function validateOpenApi(doc) {
+    const errors = [];
+    if (!doc || typeof doc !== 'object') {
+        return ['document is not an object'];
+    }
+
+    if (typeof doc.openapi !== 'string' || !/^3\.\d+\.\d+$/.test(doc.openapi)) {
+        errors.push(`openapi must be a 3.x.y version (got ${JSON.stringify(doc.openapi)})`);
+    }
+    if (!doc.info || typeof doc.info.title !== 'string' || typeof doc.info.version !== 'string') {
+        errors.push('info must have a title and a version');
+    }
+    if (!doc.paths || typeof doc.paths !== 'object') {
+        errors.push('paths must be an object');
+        return errors;
+    }
+
+    const operationIds = new Set();
+    for (const [urlPath, item] of Object.entries(doc.paths)) {
+        if (!urlPath.startsWith('/')) {
+            errors.push(`path "${urlPath}" must start with /`);
+        }
+        const templated = [...urlPath.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+
+        for (const method of Object.keys(item).filter(key => HTTP_METHODS.includes(key))) {
+            const operation = item[method];
+            const where = `${method.toUpperCase()} ${urlPath}`;
+
+            if (!operation.responses || Object.keys(operation.responses).length === 0) {
+                errors.push(`${where} has no responses`);
+            }
+            for (const status of Object.keys(operation.responses || {})) {
+                if (!/^([1-5]\d\d|[1-5]XX|default)$/.test(status)) {
+                    errors.push(`${where} has an invalid response status "${status}"`);
+                } else if (typeof operation.responses[status].description !== 'string') {
+                    errors.push(`${where} response ${status} needs a description`);
+                }
+            }
+
+            const declared = [...(item.parameters || []), ...(operation.parameters || [])]
+                .filter(param => param.in === 'path');
+            for (const name of templated) {
+                const param = declared.find(p => p.name === name);
+                if (!param) {
+                    errors.push(`${where} does not declare path parameter "${name}"`);
+                } else if (param.required !== true) {
+                    errors.push(`${where} path parameter "${name}" must be required`);
+                }
+            }
+
+            if (operation.operationId) {
+                if (operationIds.has(operation.operationId)) {
+                    errors.push(`operationId "${operation.operationId}" is not unique`);
+                }
+                operationIds.add(operation.operationId);
+            }
+        }
+    }
+
+    for (const ref of new Set(collectRefs(doc))) {
+        if (resolveRef(doc, ref) === undefined) {
+            errors.push(`unresolved reference ${ref}`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Generate, validate and write the spec of a materialized API project
+ * @param {string} dir - Project tree holding the Express app
+ * @param {Object} [info] - See generateOpenApi()
+ * @returns {Object} { path, spec, errors, operations }
+ */
+function writeOpenApi(dir, info) {
+    const spec = generateOpenApi(listSourceFiles(dir), info);
+    const file = path.join(dir, SPEC_FILE);
+    fs.writeFileSync(file, JSON.stringify(spec, null, 2) + '\n');
+
+    return {
+        path: file,
+        spec,
+        errors: validateOpenApi(spec),
+        operations: Object.values(spec.paths).reduce((total, item) => total + Object.keys(item).length, 0)
+    };
+}
+
+module.exports = {
+    SPEC_FILE,
+    generateOpenApi,
+    resolveRef,
+    validateOpenApi,
+    writeOpenApi
+};
@@ -0,0 +1,132 @@
+/**
+ * Syntax Highlighter
+ * Marks up comments, strings, keywords, literals and numbers of the
+ * languages the agents generate as <span class="tok-..."> for the HTML
+ * report. A lexer per language rather than a parser: good enough to read
+ * code, with no dependency to ship in a self-contained page.
+ */
+
+const STRING = String.raw`'(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*"`;
+const NUMBER = String.raw`\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b`;
+
+const JS_KEYWORDS = [
+    'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete',
+    'do', 'else', 'export', 'extends', 'finally', 'for', 'from', 'function', 'if', 'import', 'in',
+    'instanceof', 'let', 'new', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw', 'try',
+    'typeof', 'var', 'void', 'while', 'yield'
+];
+
+const DOCKERFILE_INSTRUCTIONS = [
+    'FROM', 'RUN', 'CMD', 'COPY', 'ADD', 'WORKDIR', 'ENV', 'ARG', 'EXPOSE', 'ENTRYPOINT', 'USER',
+    'VOLUME', 'LABEL', 'HEALTHCHECK'
+];
+
+// Token kinds per language, tried in order at each position
+const LANGUAGES = {
+    javascript: [
+        ['comment', String.raw`\/\/[^\n]*|\/\*[\s\S]*?\*\/`],
+        ['string', `${STRING}|\`(?:\\\\.|[^\`\\\\])*\``],
+        ['keyword', `\\b(?:${JS_KEYWORDS.join('|')})\\b`],
+        ['literal', String.raw`\b(?:true|false|null|undefined|NaN|Infinity)\b`],
+        ['number', NUMBER]
+    ],
+    json: [
+        ['property', `(?:${STRING})(?=\\s*:)`],
+        ['string', STRING],
+        ['literal', String.raw`\b(?:true|false|null)\b`],
+        ['number', `-?${NUMBER}`]
+    ],
+    yaml: [
+        ['comment', String.raw`#[^\n]*`],
+        ['property', String.raw`[\w.-]+(?=:(?:\s|$))`],
+        ['string', STRING],
+        ['literal', String.raw`\b(?:true|false|null|yes|no)\b`],
+        ['number', NUMBER]
+    ],
+    shell: [
+        ['comment', String.raw`#[^\n]*`],
+        ['keyword', `^\\s*(?:${DOCKERFILE_INSTRUCTIONS.join('|')})\\b`],
+        ['string', STRING],
+        ['property', String.raw`\$\{?\w+\}?`]
+    ],
+    markdown: [
+        ['keyword', String.raw`^#{1,6} [^\n]*`],
+        ['comment', String.raw`^\s*\`\`\`[^\n]*`],
+        ['string', String.raw`\`[^\`\n]+\``]
+    ]
+};
+
+const EXTENSIONS = {
+    js: 'javascript',
+    jsx: 'javascript',
+    mjs: 'javascript',
+    cjs: 'javascript',
+    ts: 'javascript',
+    tsx: 'javascript',
+    json: 'json',
+    yml: 'yaml',
+    yaml: 'yaml',
+    sh: 'shell',
+    env: 'shell',
+    md: 'markdown',
+    txt: 'markdown'
+};
+
+const patterns = {};
+
+function pattern(language) {
+    if (!patterns[language]) {
+        patterns[language] = new RegExp(
+            LANGUAGES[language].map(([kind, source]) => `(?<${kind}>${source})`).join('|'),
+            'gm'
+        );
+    }
+    return patterns[language];
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * The language of a file, from its name; null when there is no lexer for it
+ */
+function languageOf(file) {
+    const name = file.split('/').pop();
+    if (/^Dockerfile/.test(name) || /^\.(env|dockerignore|gitignore)/.test(name)) {
+        return 'shell';
+    }
+    return EXTENSIONS[name.includes('.') ? name.split('.').pop().toLowerCase() : ''] || null;
+}
+
+/**
+ * Escape source code for HTML, wrapping its tokens in <span class="tok-<kind>">
+ * @param {string} source
+ * @param {string|null} language - See languageOf(); null only escapes
+ * @returns {string} HTML
+ */
+function highlight(source, language) {
+    if (!language || !LANGUAGES[language]) {
+        return escapeHtml(source);
+    }
+
+    let html = '';
+    let last = 0;
+    for (const match of source.matchAll(pattern(language))) {
+        const kind = Object.keys(match.groups).find(name => match.groups[name] !== undefined);
+        html += escapeHtml(source.slice(last, match.index));
+        html += `<span class="tok-${kind}">${escapeHtml(match[0])}</span>`;
+        last = match.index + match[0].length;
+    }
+    return html + escapeHtml(source.slice(last));
+}
+
+module.exports = {
+    escapeHtml,
+    highlight,
+    languageOf
+};
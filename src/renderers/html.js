@@ -0,0 +1,329 @@
+/**
+ * HTML Renderer
+ * A single-file run report for people who were not watching the dashboard:
+ * scenario, agents, a task timeline, cost and tokens per agent, quality
+ * gates and the generated files with syntax highlighting. Styles are
+ * inlined and nothing is loaded from elsewhere, so the page can be attached
+ * to a PR or emailed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { formatIssues } = require('./junit');
+const { escapeHtml, highlight, languageOf } = require('./highlight');
+
+// Larger generated files are cut off in the report
+const MAX_FILE_BYTES = 200 * 1024;
+
+// Duplicates the task's row in the report
+const IGNORED_FILES = ['metadata.json'];
+
+const STATUS_CLASSES = {
+    completed: 'ok',
+    pass: 'ok',
+    passed: 'ok',
+    skipped: 'muted',
+    pending: 'muted',
+    running: 'muted'
+};
+
+const STYLE = `
+body { font: 14px/1.5 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2em auto; max-width: 1100px; padding: 0 1em; color: #1f2328; }
+h1 { font-size: 1.6em; margin-bottom: .2em; } h2 { font-size: 1.2em; margin-top: 2em; border-bottom: 1px solid #d0d7de; }
+table { border-collapse: collapse; margin: .5em 0; } th, td { padding: 3px 14px 3px 0; text-align: left; vertical-align: top; }
+th { color: #57606a; font-weight: 600; } td.num, th.num { text-align: right; }
+code, pre { font: 12px/1.45 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+.badge { display: inline-block; padding: 2px 10px; border-radius: 12px; color: #fff; font-weight: 600; font-size: .9em; }
+.badge.ok { background: #1a7f37; } .badge.fail { background: #cf222e; }
+.ok { color: #1a7f37; } .fail { color: #cf222e; } .muted { color: #57606a; }
+.share { background: #eaeef2; width: 160px; height: 10px; border-radius: 5px; overflow: hidden; }
+.share div { background: #0969da; height: 100%; }
+.gantt { width: 100%; } .gantt td { padding: 2px 8px 2px 0; } .gantt td.track { width: 70%; }
+.lane { position: relative; height: 18px; background: #f6f8fa; border-radius: 3px; }
+.bar { position: absolute; top: 2px; height: 14px; min-width: 2px; border-radius: 3px; background: #8c959f; }
+.bar.ok { background: #2da44e; } .bar.fail { background: #cf222e; }
+.axis { display: flex; justify-content: space-between; color: #57606a; font-size: .85em; }
+details { border: 1px solid #d0d7de; border-radius: 6px; margin: .5em 0; }
+summary { cursor: pointer; padding: 6px 10px; background: #f6f8fa; }
+pre { margin: 0; padding: 10px; overflow-x: auto; }
+.tok-comment { color: #6e7781; font-style: italic; } .tok-string { color: #0a3069; } .tok-keyword { color: #cf222e; }
+.tok-literal, .tok-number { color: #0550ae; } .tok-property { color: #8250df; }`.trim();
+
+function statusClass(status) {
+    return STATUS_CLASSES[status] || 'fail';
+}
+
+function duration(ms) {
+    if (ms === undefined || ms === null) {
+        return '';
+    }
+    return ms < 1000 ? `${Math.round(ms)}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+function cost(value) {
+    return value !== undefined && value !== null ? `$${value.toFixed(3)}` : '';
+}
+
+function number(value) {
+    return value !== undefined && value !== null ? value.toLocaleString() : '';
+}
+
+/**
+ * An HTML table; cells are HTML, `numeric` lists right-aligned columns
+ */
+function table(headers, rows, numeric = []) {
+    const align = index => (numeric.includes(index) ? ' class="num"' : '');
+    return [
+        '<table>',
+        `<tr>${headers.map((header, index) => `<th${align(index)}>${escapeHtml(header)}</th>`).join('')}</tr>`,
+        ...rows.map(row => `<tr>${row.map((cell, index) => `<td${align(index)}>${cell}</td>`).join('')}</tr>`),
+        '</table>'
+    ].join('\n');
+}
+
+function status(value, note = '') {
+    return `<span class="${statusClass(value)}">${escapeHtml(value || 'interrupted')}</span>${note ? ` ${escapeHtml(note)}` : ''}`;
+}
+
+/**
+ * Every attempt of every task as a bar: [{ taskId, start, end, status, label }]
+ */
+function timelineBars(tasks) {
+    const bars = [];
+    for (const task of tasks) {
+        const attempts = (task.history || []).length > 0
+            ? task.history
+            : [{ startedAt: task.startedAt, durationMs: task.durationMs, status: task.status }];
+        for (const attempt of attempts) {
+            const start = Date.parse(attempt.startedAt);
+            if (Number.isNaN(start)) {
+                continue;
+            }
+            const end = attempt.durationMs !== undefined
+                ? start + attempt.durationMs
+                : Date.parse(task.completedAt) || start;
+            bars.push({
+                taskId: task.id,
+                start,
+                end,
+                status: attempt.status,
+                label: `${task.id}${attempt.attempt ? ` #${attempt.attempt}` : ''}: ${attempt.status || 'interrupted'}, ` +
+                    `${duration(end - start)}${attempt.agent ? ` (${attempt.agent}${attempt.model ? `, ${attempt.model}` : ''})` : ''}`
+            });
+        }
+    }
+    return bars;
+}
+
+function renderTimeline(tasks) {
+    const bars = timelineBars(tasks);
+    if (bars.length === 0) {
+        return '<p class="muted">No task started.</p>';
+    }
+
+    const origin = Math.min(...bars.map(bar => bar.start));
+    const span = Math.max(1, Math.max(...bars.map(bar => bar.end)) - origin);
+    const percent = value => `${((value / span) * 100).toFixed(2)}%`;
+
+    const rows = tasks.map(task => {
+        const lane = bars
+            .filter(bar => bar.taskId === task.id)
+            .map(bar => `<div class="bar ${statusClass(bar.status)}" style="left: ${percent(bar.start - origin)}; ` +
+                `width: ${percent(bar.end - bar.start)}" title="${escapeHtml(bar.label)}"></div>`)
+            .join('');
+        return `<tr><td><code>${escapeHtml(task.id)}</code></td><td class="muted">${escapeHtml(task.agent || '')}</td>` +
+            `<td class="track"><div class="lane">${lane}</div></td></tr>`;
+    });
+    const ticks = [0, 0.25, 0.5, 0.75, 1].map(fraction => `<span>${duration(span * fraction)}</span>`);
+
+    return `<table class="gantt">\n${rows.join('\n')}\n` +
+        `<tr><td></td><td></td><td><div class="axis">${ticks.join('')}</div></td></tr>\n</table>`;
+}
+
+/**
+ * Tasks, tokens and cost per agent, with each agent's share of the cost
+ */
+function renderAgents(report) {
+    const totalCost = report.tasks.reduce((total, task) => total + (task.cost || 0), 0);
+    const rows = report.agents.map(agent => {
+        const tasks = report.tasks.filter(task => task.agent === agent.key);
+        const agentCost = tasks.reduce((total, task) => total + (task.cost || 0), 0);
+        const tokens = tasks.reduce((total, task) => total + (task.tokensUsed || 0), 0);
+        const share = totalCost > 0 ? agentCost / totalCost : 0;
+        return [
+            escapeHtml(agent.name),
+            escapeHtml(agent.role || ''),
+            `<code>${escapeHtml(agent.model || '')}</code>`,
+            String(tasks.length),
+            number(tokens),
+            cost(agentCost),
+            `<div class="share" title="${Math.round(share * 100)}%"><div style="width: ${(share * 100).toFixed(1)}%"></div></div>`
+        ];
+    });
+    return table(['Agent', 'Role', 'Model', 'Tasks', 'Tokens', 'Cost', 'Share of cost'], rows, [3, 4, 5]);
+}
+
+function renderTasks(report) {
+    return table(
+        ['Task', 'Agent', 'Status', 'Duration', 'Tokens', 'Cost', 'Retries'],
+        report.tasks.map(task => [
+            `<code>${escapeHtml(task.id)}</code>`,
+            escapeHtml(task.agent || ''),
+            status(task.status, task.error ? `(${task.error})` : ''),
+            duration(task.durationMs),
+            number(task.tokensUsed),
+            cost(task.cost),
+            String(task.retries || 0)
+        ]),
+        [3, 4, 5, 6]
+    );
+}
+
+function renderGates(report) {
+    if (report.qualityGates.length === 0) {
+        return '<p class="muted">No quality gates ran.</p>';
+    }
+    return table(
+        ['Task', 'Gate', 'Status', 'Details'],
+        report.qualityGates.map(result => [
+            `<code>${escapeHtml(result.taskId)}</code>`,
+            escapeHtml(result.gate),
+            status(result.status, result.superseded ? '(fixed by a later repair)' : ''),
+            escapeHtml(formatIssues(result.issues) || result.reason || '')
+        ])
+    );
+}
+
+function renderVerification(verification) {
+    const { endpoints = [], tests = [], contract = [] } = verification;
+    const passed = items => `${items.filter(item => item.passed).length}/${items.length} passed`;
+    const lines = [
+        `<p>Status: ${status(verification.status)}${verification.reason ? ` — ${escapeHtml(verification.reason)}` : ''}</p>`
+    ];
+    const counts = [['Endpoints', endpoints], ['Generated tests', tests], ['Contract checks', contract]]
+        .filter(([, items]) => items.length > 0)
+        .map(([label, items]) => [escapeHtml(label), passed(items)]);
+    if (counts.length > 0) {
+        lines.push(table(['Check', 'Result'], counts));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * A file's text, cut off after MAX_FILE_BYTES at the start of a character
+ */
+function readFile(file) {
+    let buffer;
+    try {
+        buffer = fs.readFileSync(file);
+    } catch (error) {
+        return null;
+    }
+    if (buffer.length <= MAX_FILE_BYTES) {
+        return buffer.toString('utf8');
+    }
+    let end = MAX_FILE_BYTES;
+    // Continuation bytes of a UTF-8 sequence look like 10xxxxxx
+    while (end > 0 && (buffer[end] & 0xc0) === 0x80) {
+        end--;
+    }
+    return `${buffer.toString('utf8', 0, end)}\n… cut off at ${MAX_FILE_BYTES / 1024} KB`;
+}
+
+function codeBlock(label, content, language) {
+    return `<details>\n<summary><code>${escapeHtml(label)}</code></summary>\n` +
+        `<pre><code>${highlight(content, language)}</code></pre>\n</details>`;
+}
+
+/**
+ * Each task's generated files, read from the run's project trees, or its
+ * raw output when it was not materialized
+ */
+function renderOutputs(report) {
+    const artifacts = report.artifacts || {};
+    const trees = new Map((artifacts.trees || []).map(tree => [tree.taskId, tree]));
+    const sections = [];
+
+    for (const task of report.tasks) {
+        const tree = trees.get(task.id);
+        const blocks = [];
+        if (tree) {
+            for (const file of tree.files.filter(name => !IGNORED_FILES.includes(name))) {
+                const content = readFile(path.join(tree.dir, file));
+                if (content !== null) {
+                    blocks.push(codeBlock(file, content, languageOf(file)));
+                }
+            }
+        } else if (artifacts.sessionDir) {
+            const output = readFile(path.join(artifacts.sessionDir, 'artifacts', `${task.id}-output.txt`));
+            if (output !== null) {
+                blocks.push(codeBlock('output', output, 'markdown'));
+            }
+        }
+        if (blocks.length > 0) {
+            sections.push(`<h3><code>${escapeHtml(task.id)}</code></h3>`, ...blocks);
+        }
+    }
+
+    return sections.length > 0 ? sections.join('\n') : '<p class="muted">No generated output.</p>';
+}
+
+/**
+ * Render a run report as a self-contained HTML page
+ */
+function renderHtml(report) {
+    const { totals } = report;
+    const summary = [
+        ['Session', `<code>${escapeHtml(report.session)}</code>`],
+        ['Mode', escapeHtml(report.mode)],
+        ['Started', escapeHtml(report.startedAt || '')],
+        ['Duration', duration(report.durationMs)],
+        ['Tasks', `${totals.completed}/${totals.tasks} completed`],
+        ['Tokens', number(totals.tokens)],
+        ['Cost', `${cost(totals.cost)}${report.budget ? ` of $${report.budget} budget` : ''}`],
+        ['Quality gates', `${totals.gatesPassed} passed, ${totals.gatesFailed} failed, ${totals.gatesSkipped} skipped`],
+        ...(report.resumedFrom
+            ? [['Resumed from', `<code>${escapeHtml(report.resumedFrom.session)}</code> ` +
+                `(${report.resumedFrom.tasks.length} tasks reused)`]]
+            : [])
+    ];
+
+    const body = [
+        `<h1>${escapeHtml(report.scenario.name)}</h1>`,
+        `<p><span class="badge ${report.success ? 'ok' : 'fail'}">${report.success ? 'SUCCESS' : escapeHtml(report.verdict)}</span></p>`,
+        `<table>\n${summary.map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`).join('\n')}\n</table>`,
+        '<h2>Agents</h2>',
+        renderAgents(report),
+        '<h2>Timeline</h2>',
+        renderTimeline(report.tasks),
+        '<h2>Tasks</h2>',
+        renderTasks(report),
+        '<h2>Quality Gates</h2>',
+        renderGates(report)
+    ];
+    if (report.verification) {
+        body.push('<h2>Verification</h2>', renderVerification(report.verification));
+    }
+    body.push('<h2>Generated Output</h2>', renderOutputs(report));
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(report.scenario.name)}: ${escapeHtml(report.verdict)}</title>
+<style>
+${STYLE}
+</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    MAX_FILE_BYTES,
+    renderHtml
+};
@@ -0,0 +1,125 @@
+/**
+ * JUnit XML Renderer
+ * One test suite each for tasks, quality gates and verification, so CI
+ * systems can show a run like any other test result
+ */
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function seconds(ms) {
+    return ((ms || 0) / 1000).toFixed(3);
+}
+
+function testcase({ classname, name, time, failure, skipped }) {
+    const open = `    <testcase classname="${escapeXml(classname)}" name="${escapeXml(name)}" time="${seconds(time)}"`;
+    if (failure) {
+        return `${open}>\n      <failure message="${escapeXml(failure.message)}">${escapeXml(failure.details || failure.message)}</failure>\n    </testcase>`;
+    }
+    if (skipped) {
+        return `${open}>\n      <skipped message="${escapeXml(skipped)}"/>\n    </testcase>`;
+    }
+    return `${open}/>`;
+}
+
+function testsuite(name, cases) {
+    const failures = cases.filter(c => c.failure).length;
+    const skipped = cases.filter(c => c.skipped).length;
+    const time = cases.reduce((total, c) => total + (c.time || 0), 0);
+
+    return [
+        `  <testsuite name="${escapeXml(name)}" tests="${cases.length}" failures="${failures}" ` +
+            `skipped="${skipped}" time="${seconds(time)}">`,
+        ...cases.map(testcase),
+        '  </testsuite>'
+    ].join('\n');
+}
+
+function formatIssues(issues = []) {
+    return issues.map(issue => {
+        if (typeof issue === 'string') {
+            return issue;
+        }
+        const location = issue.file ? `${issue.file}${issue.line ? `:${issue.line}` : ''} ` : '';
+        return `${location}${issue.severity ? `[${issue.severity}] ` : ''}${issue.message || JSON.stringify(issue)}`;
+    }).join('\n');
+}
+
+/**
+ * Render a run report as JUnit XML
+ */
+function renderJUnit(report) {
+    const classname = `repochief.${report.scenario.id}`;
+
+    const taskCases = report.tasks.map(task => ({
+        classname: `${classname}.tasks`,
+        name: task.id,
+        time: task.durationMs,
+        failure: task.status === 'failed'
+            ? {
+                message: task.error || 'Task failed',
+                details: (task.history || [])
+                    .map(attempt => `Attempt ${attempt.attempt} (${attempt.model}): ${attempt.error || attempt.status}`)
+                    .join('\n') || task.error
+            }
+            : null,
+        skipped: !['completed', 'failed'].includes(task.status) ? `Task ${task.status}` : null
+    }));
+
+    const gateCases = report.qualityGates.map(result => ({
+        classname: `${classname}.gates`,
+        name: `${result.taskId || 'run'} ${result.gate}`,
+        time: result.duration,
+        failure: ['failed', 'fail', 'error'].includes(result.status) && !result.superseded
+            ? { message: `${result.gate} ${result.status}`, details: formatIssues(result.issues) || result.reason }
+            : null,
+        skipped: result.superseded
+            ? `${result.gate} ${result.status}, fixed by a later repair`
+            : result.status === 'skipped' ? result.reason || 'skipped' : null
+    }));
+
+    const suites = [
+        testsuite('tasks', taskCases),
+        testsuite('quality-gates', gateCases)
+    ];
+
+    if (report.verification) {
+        const { endpoints, tests, contract = [] } = report.verification;
+        suites.push(testsuite('verification', [
+            ...endpoints.map(endpoint => ({
+                classname: `${classname}.endpoints`,
+                name: `${endpoint.method} ${endpoint.path}`,
+                failure: endpoint.passed ? null : { message: endpoint.error || 'Endpoint check failed' }
+            })),
+            ...tests.map(test => ({
+                classname: `${classname}.generated-tests`,
+                name: test.title,
+                failure: test.passed ? null : { message: test.error || 'Test failed' }
+            })),
+            ...contract.map(check => ({
+                classname: `${classname}.contract`,
+                name: `${check.method} ${check.path} (${check.check})`,
+                failure: check.passed ? null : { message: check.error || 'Contract check failed' }
+            }))
+        ]));
+    }
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="${escapeXml(`${report.scenario.name} (${report.session})`)}">`,
+        ...suites,
+        '</testsuites>',
+        ''
+    ].join('\n');
+}
+
+module.exports = {
+    renderJUnit,
+    formatIssues
+};
@@ -0,0 +1,153 @@
+/**
+ * Markdown Renderer
+ * A run report readable in a PR comment or CI job summary
+ */
+
+const { formatIssues } = require('./junit');
+
+const STATUS_ICONS = {
+    completed: '✅',
+    failed: '❌',
+    pass: '✅',
+    skipped: '⏭️',
+    passed: '✅',
+    pending: '⏸️',
+    running: '🔄'
+};
+
+function icon(status) {
+    return STATUS_ICONS[status] || '❌';
+}
+
+function cell(value) {
+    return String(value === undefined || value === null ? '' : value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function table(headers, rows) {
+    return [
+        `| ${headers.join(' | ')} |`,
+        `|${headers.map(() => '---').join('|')}|`,
+        ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+    ].join('\n');
+}
+
+/**
+ * Render a run report as Markdown
+ */
+function renderMarkdown(report) {
+    const lines = [
+        `# ${report.scenario.name} — ${report.success ? '✅ SUCCESS' : `❌ ${report.verdict}`}`,
+        '',
+        `- Session: \`${report.session}\``,
+        `- Mode: ${report.mode}`,
+        `- Duration: ${Math.round(report.durationMs / 1000)}s`,
+        `- Tasks: ${report.totals.completed}/${report.totals.tasks} completed`,
+        `- Tokens: ${report.totals.tokens.toLocaleString()}`,
+        `- Cost: $${report.totals.cost.toFixed(2)} of $${report.budget} budget`,
+        ...(report.resumedFrom
+            ? [`- Resumed from: \`${report.resumedFrom.session}\` (${report.resumedFrom.tasks.length} tasks reused)`]
+            : []),
+        '',
+        '## Agents',
+        '',
+        table(['Agent', 'Role', 'Model'], report.agents.map(agent => [agent.name, agent.role, agent.model])),
+        '',
+        '## Tasks',
+        '',
+        table(
+            ['Task', 'Agent', 'Status', 'Duration', 'Tokens', 'Cost', 'Retries'],
+            report.tasks.map(task => [
+                task.id,
+                task.agent,
+                `${icon(task.status)} ${task.status}${task.error ? ` (${task.error})` : ''}`,
+                task.durationMs !== undefined ? `${(task.durationMs / 1000).toFixed(1)}s` : '',
+                task.tokensUsed,
+                task.cost !== undefined ? `$${task.cost.toFixed(3)}` : '',
+                task.retries
+            ])
+        ),
+        ''
+    ];
+
+    const retried = report.tasks.filter(task => (task.history || []).length > 1);
+    if (retried.length > 0) {
+        lines.push('## Attempts', '', table(
+            ['Task', 'Attempt', 'Agent', 'Model', 'Result'],
+            retried.flatMap(task => task.history.map(attempt => [
+                task.id,
+                attempt.attempt,
+                attempt.agent,
+                attempt.model,
+                `${icon(attempt.status)} ${attempt.status || 'interrupted'}${attempt.error ? ` (${attempt.error})` : ''}`
+            ]))
+        ), '');
+    }
+
+    if (report.qualityGates.length > 0) {
+        lines.push('## Quality Gates', '', table(
+            ['Task', 'Gate', 'Status', 'Details'],
+            report.qualityGates.map(result => [
+                result.taskId,
+                result.gate,
+                `${icon(result.status)} ${result.status}${result.superseded ? ' (fixed by a later repair)' : ''}`,
+                formatIssues(result.issues) || result.reason
+            ])
+        ), '');
+    }
+
+    if ((report.repairs || []).length > 0) {
+        lines.push('## Repairs', '', table(
+            ['Task', 'Iteration', 'Repaired by', 'Issues', 'Total'],
+            report.repairs.flatMap(repair => repair.iterations.map(iteration => [
+                repair.taskId,
+                iteration.iteration,
+                iteration.iteration > 0 ? iteration.taskId : '',
+                Object.entries(iteration.issues).map(([gate, count]) => `${gate}: ${count}`).join(', '),
+                iteration.total
+            ]))
+        ), '', ...report.repairs.map(repair =>
+            `- ${repair.taskId}: ${repair.converged ? '✅ converged' : '❌ not converged'} after ` +
+            `${repair.iterations.length - 1} repair${repair.iterations.length === 2 ? '' : 's'}`
+        ), '');
+    }
+
+    if (report.apiSpec) {
+        const { path: specPath, operations, errors } = report.apiSpec;
+        lines.push('## API Spec', '', `- \`${specPath}\`: ${operations} operations, ` +
+            `${errors.length === 0 ? '✅ valid OpenAPI 3' : '❌ invalid'}`, ...errors.map(error => `  - ${error}`), '');
+    }
+
+    if (report.verification) {
+        const { status, reason, endpoints, tests, contract = [] } = report.verification;
+        lines.push('## Verification', '', `Status: ${icon(status)} ${status}${reason ? ` — ${reason}` : ''}`, '');
+        if (endpoints.length > 0) {
+            lines.push(table(
+                ['Endpoint', 'Status', 'Result'],
+                endpoints.map(e => [`${e.method} ${e.path}`, e.status, e.passed ? '✅' : `❌ ${e.error}`])
+            ), '');
+        }
+        if (tests.length > 0) {
+            lines.push(table(
+                ['Generated test', 'Result'],
+                tests.map(t => [t.title, t.passed ? '✅' : `❌ ${t.error}`])
+            ), '');
+        }
+        if (contract.length > 0) {
+            lines.push(table(
+                ['Contract check', 'Operation', 'Status', 'Result'],
+                contract.map(c => [c.check, `${c.method} ${c.path}`, c.status, c.passed ? '✅' : `❌ ${c.error}`])
+            ), '');
+        }
+    }
+
+    const trees = (report.artifacts && report.artifacts.trees) || [];
+    if (trees.length > 0) {
+        lines.push('## Artifacts', '', ...trees.map(tree => `- \`${tree.dir}\` (${tree.files.length} files)`), '');
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    renderMarkdown
+};
@@ -0,0 +1,105 @@
+/**
+ * Repair Loop
+ * Builds the follow-up task that asks an agent to fix what the quality
+ * gates found in its output, and summarizes how the issue counts develop
+ * over the iterations.
+ */
+
+const { formatIssues } = require('./renderers/junit');
+
+const FAILING_STATUSES = ['failed', 'fail', 'error'];
+
+function isFailing(result) {
+    return FAILING_STATUSES.includes(result.status);
+}
+
+/**
+ * Issues a gate result counts, at least one for a failure without details
+ */
+function countIssues(result) {
+    if (!isFailing(result)) {
+        return 0;
+    }
+    return Math.max(1, (result.issues || []).length);
+}
+
+function repairTaskId(rootId, iteration) {
+    return `${rootId}-repair-${iteration}`;
+}
+
+/**
+ * Build the repair task for a task whose gates failed
+ * @param {Object} root - The planned task first repaired (see resolveScenario())
+ * @param {number} iteration - 1 for the first repair
+ * @param {number} maxIterations
+ * @param {Object} options
+ * @param {string} options.dependsOn - Id of the task whose output failed
+ * @param {Object[]} options.failures - Its failing gate results
+ * @param {string} [options.artifactDir] - Where that output was materialized
+ */
+function buildRepairTask(root, iteration, maxIterations, { dependsOn, failures, artifactDir }) {
+    const gates = failures.map(result => result.gate);
+    const details = failures
+        .map(result => `${result.gate} (${result.status}):\n` +
+            (formatIssues(result.issues) || result.reason || 'no details')
+                .split('\n').map(line => `  - ${line}`).join('\n'))
+        .join('\n\n');
+
+    return {
+        id: repairTaskId(root.id, iteration),
+        type: 'generation',
+        agent: root.agent,
+        profile: root.profile,
+        objective: `Fix ${gates.join(', ')} issues in ${root.id} (repair ${iteration} of ${maxIterations})`,
+        description: `Quality gates failed on the output of ${dependsOn}. Fix every issue below ` +
+            `and return the complete corrected files, keeping the same paths.\n\n${details}`,
+        dependencies: [dependsOn],
+        context: [...(artifactDir ? [artifactDir] : []), ...(root.context || [])],
+        successCriteria: [
+            'Every listed issue is resolved',
+            `The ${gates.join(', ')} gates pass`,
+            'Behaviour that was correct stays unchanged'
+        ],
+        maxTokens: root.maxTokens,
+        timeout: root.timeout,
+        qualityGates: root.qualityGates,
+        repairOf: root.id,
+        iteration
+    };
+}
+
+/**
+ * Summarize each repaired task: the issues counted per gate on every
+ * iteration (0 being the original output) and whether they were all fixed
+ * @param {Object[]} gateResults - With taskId, repairOf and iteration
+ * @returns {Object[]} [{ taskId, iterations: [{ iteration, taskId, issues, total }], converged }]
+ */
+function summarizeRepairs(gateResults) {
+    const roots = [...new Set(gateResults.filter(result => result.repairOf).map(result => result.repairOf))];
+
+    return roots.map(rootId => {
+        const byIteration = new Map();
+        for (const result of gateResults.filter(r => r.taskId === rootId || r.repairOf === rootId)) {
+            const iteration = result.iteration || 0;
+            const entry = byIteration.get(iteration) || { iteration, taskId: result.taskId, issues: {}, total: 0 };
+            entry.issues[result.gate] = (entry.issues[result.gate] || 0) + countIssues(result);
+            entry.total += countIssues(result);
+            byIteration.set(iteration, entry);
+        }
+
+        const iterations = [...byIteration.values()].sort((a, b) => a.iteration - b.iteration);
+        return {
+            taskId: rootId,
+            iterations,
+            converged: iterations[iterations.length - 1].total === 0
+        };
+    });
+}
+
+module.exports = {
+    buildRepairTask,
+    countIssues,
+    isFailing,
+    repairTaskId,
+    summarizeRepairs
+};
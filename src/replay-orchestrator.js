@@ -0,0 +1,151 @@
+/**
+ * Replay Orchestrator
+ * Plays a recorded cassette back through the orchestrator events with the
+ * original pacing, and persists the recorded results like the mock
+ * orchestrator does, so materialization, verification and reports behave
+ * as they did in the recorded run.
+ */
+
+const { MockOrchestrator } = require('./mock-orchestrator');
+
+class ReplayOrchestrator extends MockOrchestrator {
+    /**
+     * @param {Object} options
+     * @param {string} options.sessionName
+     * @param {number} options.totalBudget
+     * @param {string} options.artifactsRoot
+     * @param {Object} options.cassette - From loadCassette()
+     * @param {number} [options.speed=1] - 2 replays twice as fast
+     */
+    constructor({ sessionName, totalBudget, artifactsRoot, cassette, speed = 1 }) {
+        super({ sessionName, totalBudget, artifactsRoot, provider: null });
+        this.cassette = cassette;
+        this.speed = speed;
+        this.missed = new Map();
+        this.ended = false;
+    }
+
+    /**
+     * Tasks the runner queues late, e.g. repairs queued once the gates
+     * failed, catch up on the recorded events they missed
+     */
+    async queueTask(spec) {
+        const task = await super.queueTask(spec);
+        const missed = this.missed.get(task.id) || [];
+        this.missed.delete(task.id);
+
+        if (missed.length > 0 || this.ended) {
+            setImmediate(() => {
+                missed.forEach(event => this.replayEvent(event));
+                if (this.ended) {
+                    this.finish();
+                }
+            });
+        }
+        return task;
+    }
+
+    async startExecution() {
+        this.started = true;
+        this.startedAt = Date.now();
+
+        for (const event of this.cassette.events) {
+            this.addTimer(event.taskId, setTimeout(() => this.replayEvent(event), event.at / this.speed));
+        }
+
+        const end = this.cassette.events.reduce((last, event) => Math.max(last, event.at), 0);
+        this.addTimer(null, setTimeout(() => this.finish(), end / this.speed));
+    }
+
+    addTimer(taskId, timer) {
+        this.timers.set(taskId, [...(this.timers.get(taskId) || []), timer]);
+    }
+
+    // Tasks start when the cassette says so, not by dependency
+    schedule() {}
+
+    findAgent(task, name) {
+        const agents = [...this.agents.values()];
+        return agents.find(agent => agent.name === name) ||
+            this.agents.get(task.agentId) ||
+            { id: null, name: name || 'unknown' };
+    }
+
+    replayEvent(event) {
+        const task = this.tasks.get(event.taskId);
+        if (!task && event.taskId) {
+            this.missed.set(event.taskId, [...(this.missed.get(event.taskId) || []), event]);
+            return;
+        }
+        // A failed task starts again when the recorded run retried it
+        const finished = task && (task.status === 'completed' ||
+            (['failed', 'cancelled'].includes(task.status) && event.type !== 'taskStarted'));
+        if (!task || finished) {
+            return;
+        }
+        const agent = this.findAgent(task, event.agent);
+
+        switch (event.type) {
+            case 'taskStarted':
+                task.status = 'running';
+                task.startedAt = Date.now();
+                this.emit('taskStarted', { task, agent });
+                break;
+            case 'taskProgress':
+                this.emit('taskProgress', { task, agent, progress: event.progress });
+                break;
+            case 'costUpdate':
+                this.emit('costUpdate', { task, agent, cost: event.cost, total: event.total });
+                break;
+            case 'qualityGateResult':
+                this.emit('qualityGateResult', { gate: event.gate, result: event.result, task });
+                break;
+            case 'taskCompleted':
+                this.replayCompletion(task, agent);
+                break;
+            case 'taskFailed':
+                this.failTask(task, new Error(event.error));
+                break;
+        }
+    }
+
+    replayCompletion(task, agent) {
+        const recorded = this.cassette.tasks[task.id] || {};
+        const result = {
+            taskId: task.id,
+            timestamp: new Date().toISOString(),
+            status: 'completed',
+            output: recorded.output || '',
+            tokensUsed: recorded.tokensUsed || 0,
+            cost: recorded.cost || 0,
+            duration: recorded.duration,
+            qualityScore: recorded.qualityScore,
+            qualityResults: recorded.qualityResults || null
+        };
+
+        this.totalCost += result.cost;
+        this.totalTokens += result.tokensUsed;
+        task.status = 'completed';
+        this.persist(task, result);
+        this.emit('taskCompleted', { task, agent, result });
+    }
+
+    /**
+     * End of the tape: anything queued that the cassette never finished fails
+     */
+    finish() {
+        for (const task of this.tasks.values()) {
+            if (task.status === 'pending' || task.status === 'running') {
+                this.failTask(task, new Error('Task was not recorded in the cassette'));
+            }
+        }
+
+        this.ended = true;
+        this.finishedAt = Date.now();
+        this.emit('idle');
+    }
+}
+
+module.exports = {
+    ReplayOrchestrator
+};
@@ -0,0 +1,208 @@
+/**
+ * Run Report
+ * Builds the structured report of a demo run, decides the verdict and the
+ * matching exit code, and writes it to the session directory as JSON and
+ * a self-contained HTML page, with optional JUnit XML and Markdown renderings
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { renderHtml } = require('./renderers/html');
+const { renderJUnit } = require('./renderers/junit');
+const { renderMarkdown } = require('./renderers/markdown');
+const { summarizeRepairs } = require('./repair');
+
+const REPORT_VERSION = 1;
+
+// Exit codes the CLI uses, so CI can tell failure kinds apart
+const EXIT_CODES = {
+    SUCCESS: 0,
+    ERROR: 1,
+    USAGE_ERROR: 2,
+    CONFIG_ERROR: 3,
+    TASK_FAILURE: 4,
+    GATE_FAILURE: 5,
+    BUDGET_EXHAUSTED: 6,
+    VERIFICATION_FAILURE: 7
+};
+
+// Verdicts in order of precedence
+const VERDICTS = {
+    'budget-exhausted': EXIT_CODES.BUDGET_EXHAUSTED,
+    'task-failure': EXIT_CODES.TASK_FAILURE,
+    'gate-failure': EXIT_CODES.GATE_FAILURE,
+    'verification-failure': EXIT_CODES.VERIFICATION_FAILURE,
+    success: EXIT_CODES.SUCCESS
+};
+
+const FAILING_GATE_STATUSES = ['failed', 'fail', 'error'];
+
+const RENDERERS = {
+    junit: { file: 'report.xml', render: renderJUnit },
+    markdown: { file: 'report.md', render: renderMarkdown }
+};
+
+// Failures a later repair iteration of the same task replaced do not count
+function isGateFailure(result) {
+    return FAILING_GATE_STATUSES.includes(result.status) && !result.superseded;
+}
+
+/**
+ * Mark the gate failures of every repair iteration but the last as superseded
+ */
+function markSuperseded(qualityGates, repairs) {
+    const latest = {};
+    for (const repair of repairs) {
+        latest[repair.taskId] = repair.iterations[repair.iterations.length - 1].iteration;
+    }
+
+    return qualityGates.map(result => {
+        const root = result.repairOf || result.taskId;
+        return latest[root] !== undefined && (result.iteration || 0) < latest[root] &&
+            FAILING_GATE_STATUSES.includes(result.status)
+            ? { ...result, superseded: true }
+            : result;
+    });
+}
+
+/**
+ * Decide the overall verdict of a run. Spending over a cap fails it
+ * whatever the breach policy did; a breach caught before a task started
+ * fails it once tasks were left unfinished.
+ */
+function decideVerdict({ tasks, qualityGates, verification, budget, totalCost, budgetBreaches = [] }) {
+    const taskFailed = tasks.some(task => task.status !== 'completed');
+    const outOfBudget = budgetBreaches.some(breach => !breach.projected) ||
+        (taskFailed && budgetBreaches.length > 0) ||
+        (taskFailed && budget > 0 && totalCost >= budget) ||
+        tasks.some(task => task.error && /budget/i.test(task.error));
+
+    if (outOfBudget) {
+        return 'budget-exhausted';
+    }
+    if (taskFailed) {
+        return 'task-failure';
+    }
+    if (qualityGates.some(isGateFailure)) {
+        return 'gate-failure';
+    }
+    if (verification && verification.status === 'failed') {
+        return 'verification-failure';
+    }
+    return 'success';
+}
+
+function sum(items, field) {
+    return items.reduce((total, item) => total + (item[field] || 0), 0);
+}
+
+/**
+ * Build the run report
+ * @param {Object} run
+ * @param {string} run.session - Session name
+ * @param {Object} run.plan - Resolved scenario (see resolveScenario())
+ * @param {string} run.mode - "mock", "real" or "replay"
+ * @param {number} run.budget
+ * @param {Array} run.tasks - Task records tracked by the runner
+ * @param {Array} run.qualityGates - Every qualityGateResult seen, repair
+ *   results with repairOf and iteration
+ * @param {Object} [run.verification] - Verification stage result
+ * @param {Object} [run.orchestratorReport] - orchestrator.getFinalReport()
+ * @param {Object} [run.estimate] - Pre-flight estimate (see estimatePlanCost())
+ * @param {Array} [run.budgetBreaches] - Cap breaches and the policy applied;
+ *   projected ones were caught before the task started
+ * @param {Object} [run.apiSpec] - { taskId, path, operations, errors } of the OpenAPI spec written
+ * @param {Object} [run.resumedFrom] - { session, tasks } when resuming
+ * @param {Object} run.artifacts - { sessionDir, dashboard, cassette, trees }
+ */
+function buildRunReport(run) {
+    const tasks = run.tasks.map(task => ({ ...task }));
+    const totalCost = sum(tasks, 'cost');
+    const repairs = summarizeRepairs(run.qualityGates);
+    const qualityGates = markSuperseded(run.qualityGates, repairs);
+    const verdict = decideVerdict({
+        tasks,
+        qualityGates,
+        verification: run.verification,
+        budget: run.budget,
+        totalCost,
+        budgetBreaches: run.budgetBreaches
+    });
+    const orchestratorReport = run.orchestratorReport || {};
+
+    return {
+        version: REPORT_VERSION,
+        session: run.session,
+        scenario: { id: run.plan.id, name: run.plan.name },
+        mode: run.mode,
+        budget: run.budget,
+        startedAt: run.startedAt,
+        finishedAt: run.finishedAt,
+        durationMs: orchestratorReport.duration !== undefined
+            ? orchestratorReport.duration
+            : Date.parse(run.finishedAt) - Date.parse(run.startedAt),
+        verdict,
+        success: verdict === 'success',
+        exitCode: VERDICTS[verdict],
+        agents: run.plan.agents.map(agent => ({
+            key: agent.key,
+            name: agent.name,
+            template: agent.template,
+            role: agent.spec.role,
+            model: agent.spec.model,
+            maxConcurrentTasks: agent.spec.maxConcurrentTasks
+        })),
+        tasks,
+        qualityGates,
+        repairs,
+        totals: {
+            tasks: tasks.length,
+            completed: tasks.filter(task => task.status === 'completed').length,
+            failed: tasks.filter(task => task.status === 'failed').length,
+            tokens: orchestratorReport.totalTokens !== undefined ? orchestratorReport.totalTokens : sum(tasks, 'tokensUsed'),
+            cost: orchestratorReport.totalCost !== undefined ? orchestratorReport.totalCost : totalCost,
+            gatesPassed: qualityGates.filter(result => result.status === 'pass').length,
+            gatesFailed: qualityGates.filter(isGateFailure).length,
+            gatesSkipped: qualityGates.filter(result => result.status === 'skipped').length
+        },
+        verification: run.verification || null,
+        apiSpec: run.apiSpec || null,
+        estimate: run.estimate ? { total: run.estimate.total, unpriced: run.estimate.unpriced } : null,
+        budgetBreaches: run.budgetBreaches || [],
+        resumedFrom: run.resumedFrom || null,
+        artifacts: run.artifacts
+    };
+}
+
+/**
+ * Write report.json, report.html and the requested renderings to the
+ * session directory
+ * @param {Object} report - From buildRunReport()
+ * @param {string} dir - Session directory
+ * @param {string[]} [formats] - Any of "junit", "markdown"
+ * @returns {Object} Paths written, keyed by format
+ */
+function writeRunReport(report, dir, formats = []) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const written = { json: path.join(dir, 'report.json'), html: path.join(dir, 'report.html') };
+    for (const format of formats) {
+        written[format] = path.join(dir, RENDERERS[format].file);
+    }
+    report.artifacts = { ...report.artifacts, reports: written };
+
+    fs.writeFileSync(written.json, JSON.stringify(report, null, 2));
+    fs.writeFileSync(written.html, renderHtml(report));
+    for (const format of formats) {
+        fs.writeFileSync(written[format], RENDERERS[format].render(report));
+    }
+
+    return written;
+}
+
+module.exports = {
+    EXIT_CODES,
+    REPORT_FORMATS: Object.keys(RENDERERS),
+    buildRunReport,
+    writeRunReport
+};
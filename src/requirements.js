@@ -0,0 +1,440 @@
+/**
+ * Requirements
+ * Loads the description of the app to build (entities, their fields and
+ * validation rules, operations and feature toggles) from a YAML, JSON or
+ * Markdown file, and turns it into the task text the agents receive: the
+ * analyst's requirements description and the API and frontend success
+ * criteria. The README's "Custom Requirements" section describes the format.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { RequirementsError } = require('./errors');
+
+const DEFAULT_REQUIREMENTS_PATH = path.join(__dirname, '..', 'scenarios', 'requirements', 'todo.yaml');
+
+const FIELD_TYPES = ['string', 'text', 'integer', 'number', 'boolean', 'uuid', 'date', 'timestamp', 'email', 'url', 'enum', 'array'];
+const OPERATIONS = ['list', 'get', 'create', 'update', 'delete'];
+const ENDPOINTS = {
+    list: { method: 'GET', item: false, summary: plural => `List all ${plural}` },
+    get: { method: 'GET', item: true, summary: (plural, name) => `Get a single ${name}` },
+    create: { method: 'POST', item: false, summary: (plural, name) => `Create a ${name}` },
+    update: { method: 'PUT', item: true, summary: (plural, name) => `Update a ${name}` },
+    delete: { method: 'DELETE', item: true, summary: (plural, name) => `Delete a ${name}` }
+};
+
+// What each feature toggle adds to the requirements and the success criteria
+const FEATURES = {
+    authentication: {
+        requirements: (value, { plural }) => ['JWT authentication', `User association (${plural} belong to users)`],
+        criteria: (value, { name }) => ['JWT authentication middleware', `User-scoped ${name} operations`]
+    },
+    database: {
+        requirements: value => (value === 'memory' ? [] : [`${databaseName(value)} database integration`]),
+        criteria: value => (value === 'memory'
+            ? ['In-memory storage for demo purposes']
+            : [`${databaseName(value)} integration with migrations`])
+    },
+    containerization: {
+        requirements: () => ['Docker containerization'],
+        criteria: () => []
+    },
+    rateLimiting: {
+        requirements: () => ['Rate limiting and security headers'],
+        criteria: () => []
+    },
+    pagination: {
+        requirements: (value, { plural }) => [`Paginated ${plural} listing`],
+        criteria: () => ['List endpoints support pagination']
+    },
+    cicd: {
+        requirements: () => ['CI pipeline running the linter and tests'],
+        criteria: () => []
+    }
+};
+
+function databaseName(value) {
+    const names = { postgresql: 'PostgreSQL', mysql: 'MySQL', sqlite: 'SQLite', mongodb: 'MongoDB' };
+    return names[String(value).toLowerCase()] || String(value);
+}
+
+function slug(name) {
+    return name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').replace(/[\s_]+/g, '-').toLowerCase();
+}
+
+function pluralize(name) {
+    const word = slug(name);
+    if (/[^aeiou]y$/.test(word)) {
+        return `${word.slice(0, -1)}ies`;
+    }
+    return /(s|x|z|ch|sh)$/.test(word) ? `${word}es` : `${word}s`;
+}
+
+/**
+ * Parse "- title (string, required, max 200)" style field bullets
+ */
+function parseMarkdownField(text) {
+    const match = text.match(/^`?(\w+)`?\s*(?:\(([^)]*)\))?\s*(?:[-:–]\s*(.*))?$/);
+    if (!match) {
+        return null;
+    }
+    const field = { name: match[1] };
+    for (const part of (match[2] || '').split(',').map(p => p.trim()).filter(Boolean)) {
+        const [word, ...rest] = part.split(/\s+/);
+        const value = rest.join(' ');
+        if (FIELD_TYPES.includes(word.toLowerCase()) && !field.type) {
+            field.type = word.toLowerCase();
+        } else if (['required', 'generated', 'unique'].includes(word)) {
+            field[word] = true;
+        } else if (word === 'optional') {
+            field.required = false;
+        } else if (['max', 'maxLength'].includes(word)) {
+            field.maxLength = Number(value);
+        } else if (['min', 'minLength'].includes(word)) {
+            field.minLength = Number(value);
+        } else if (word === 'default') {
+            field.default = value;
+        } else if (word === 'one' && rest[0] === 'of') {
+            field.type = 'enum';
+            field.values = rest.slice(1).join(' ').split('|').map(v => v.trim()).filter(Boolean);
+        }
+    }
+    if (match[3]) {
+        field.description = match[3].trim();
+    }
+    return field;
+}
+
+function parseScalar(value) {
+    if (value === '' || value === 'true') {
+        return true;
+    }
+    if (value === 'false') {
+        return false;
+    }
+    return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Read the Markdown form:
+ *   # <name>, a paragraph of description,
+ *   ## Entity: <Name> with field bullets and an optional "Operations:" line,
+ *   ## Features with "key: value" bullets, ## Success Criteria with bullets
+ */
+function parseMarkdown(markdown) {
+    const spec = { entities: [], features: {}, criteria: [] };
+    let section = null;
+    let entity = null;
+
+    for (const raw of markdown.split('\n')) {
+        const line = raw.trim();
+        const heading = line.match(/^(#{1,3})\s+(.*)$/);
+        if (heading) {
+            const title = heading[2].trim();
+            if (heading[1] === '#') {
+                spec.name = title;
+                section = 'description';
+            } else if (/^(entity|resource)\s*:/i.test(title)) {
+                entity = { name: title.replace(/^[^:]*:\s*/, ''), fields: [] };
+                spec.entities.push(entity);
+                section = 'entity';
+            } else if (/^features$/i.test(title)) {
+                section = 'features';
+            } else if (/^(success criteria|criteria)$/i.test(title)) {
+                section = 'criteria';
+            } else {
+                section = null;
+            }
+            continue;
+        }
+
+        const bullet = line.match(/^[-*]\s+(.*)$/);
+        if (section === 'description' && line && !bullet) {
+            spec.description = spec.description ? `${spec.description} ${line}` : line;
+        } else if (section === 'entity') {
+            const operations = line.match(/^operations\s*:\s*(.*)$/i);
+            if (operations) {
+                entity.operations = operations[1].split(',').map(op => op.trim().toLowerCase()).filter(Boolean);
+            } else if (bullet) {
+                const field = parseMarkdownField(bullet[1]);
+                if (field) {
+                    entity.fields.push(field);
+                }
+            }
+        } else if (section === 'features' && bullet) {
+            const [key, ...value] = bullet[1].split(':');
+            spec.features[key.trim()] = parseScalar(value.join(':').trim());
+        } else if (section === 'criteria' && bullet) {
+            spec.criteria.push(bullet[1]);
+        }
+    }
+    return spec;
+}
+
+/**
+ * Check a parsed spec and fill in defaults (plural, path, operations)
+ * @throws {RequirementsError} listing every problem
+ */
+function normalizeRequirements(spec, source = 'requirements') {
+    const issues = [];
+    const data = spec && typeof spec === 'object' ? spec : {};
+
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+        issues.push({ path: 'name', message: 'must be a non-empty string' });
+    }
+    if (!Array.isArray(data.entities) || data.entities.length === 0) {
+        issues.push({ path: 'entities', message: 'must list at least one entity' });
+    }
+
+    const entities = (Array.isArray(data.entities) ? data.entities : []).map((entity, index) => {
+        const at = `entities[${index}]`;
+        if (!entity || typeof entity.name !== 'string' || entity.name === '') {
+            issues.push({ path: `${at}.name`, message: 'must be a non-empty string' });
+            return null;
+        }
+        const fields = Array.isArray(entity.fields) ? entity.fields : [];
+        if (fields.length === 0) {
+            issues.push({ path: `${at}.fields`, message: 'must list at least one field' });
+        }
+        const seen = new Set();
+        fields.forEach((field, fieldIndex) => {
+            const fieldAt = `${at}.fields[${fieldIndex}]`;
+            if (!field || typeof field.name !== 'string' || field.name === '') {
+                issues.push({ path: `${fieldAt}.name`, message: 'must be a non-empty string' });
+                return;
+            }
+            if (seen.has(field.name)) {
+                issues.push({ path: `${fieldAt}.name`, message: `duplicate field "${field.name}"` });
+            }
+            seen.add(field.name);
+            if (field.type !== undefined && !FIELD_TYPES.includes(field.type)) {
+                issues.push({ path: `${fieldAt}.type`, message: `must be one of ${FIELD_TYPES.join(', ')} (got "${field.type}")` });
+            }
+            if (field.type === 'enum' && !(Array.isArray(field.values) && field.values.length > 0)) {
+                issues.push({ path: `${fieldAt}.values`, message: 'an enum field needs its values' });
+            }
+        });
+        const operations = entity.operations || OPERATIONS;
+        for (const operation of operations.filter(op => !OPERATIONS.includes(op))) {
+            issues.push({ path: `${at}.operations`, message: `unknown operation "${operation}" (expected ${OPERATIONS.join(', ')})` });
+        }
+
+        const plural = entity.plural || pluralize(entity.name);
+        return {
+            name: entity.name,
+            plural,
+            path: entity.path || `/${plural}`,
+            description: entity.description,
+            fields: fields.filter(field => field && field.name).map(field => ({ type: 'string', ...field })),
+            operations: operations.filter(op => OPERATIONS.includes(op))
+        };
+    }).filter(Boolean);
+
+    for (const key of Object.keys(data.features || {}).filter(key => !FEATURES[key])) {
+        issues.push({ path: `features.${key}`, message: `unknown feature (expected one of ${Object.keys(FEATURES).join(', ')})` });
+    }
+    if (data.criteria !== undefined && !(Array.isArray(data.criteria) && data.criteria.every(c => typeof c === 'string'))) {
+        issues.push({ path: 'criteria', message: 'must be an array of strings' });
+    }
+
+    if (issues.length > 0) {
+        throw new RequirementsError(
+            `Invalid requirements in ${source}:\n${issues.map(issue => `  - ${issue.path}: ${issue.message}`).join('\n')}`,
+            issues
+        );
+    }
+
+    return {
+        name: data.name.trim(),
+        description: data.description,
+        entities,
+        features: data.features || {},
+        criteria: data.criteria || [],
+        source
+    };
+}
+
+/**
+ * Load a requirements file; the format follows the extension (.yaml, .yml,
+ * .json, .md)
+ * @throws {RequirementsError}
+ */
+function loadRequirements(filePath = DEFAULT_REQUIREMENTS_PATH) {
+    const source = path.relative(process.cwd(), filePath) || filePath;
+    if (!fs.existsSync(filePath)) {
+        throw new RequirementsError(`Requirements file not found: ${source}`);
+    }
+
+    const text = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+    let spec;
+    try {
+        if (extension === '.json') {
+            spec = JSON.parse(text);
+        } else if (extension === '.yaml' || extension === '.yml') {
+            spec = yaml.load(text);
+        } else if (extension === '.md' || extension === '.markdown') {
+            spec = parseMarkdown(text);
+        } else {
+            throw new Error(`unsupported extension "${extension}" (use .yaml, .yml, .json or .md)`);
+        }
+    } catch (error) {
+        throw new RequirementsError(`Cannot read requirements ${source}: ${error.message}`);
+    }
+    return normalizeRequirements(spec, source);
+}
+
+function describeField(field) {
+    const rules = [field.type === 'enum' ? `one of ${field.values.join('|')}` : field.type];
+    if (field.generated) {
+        rules.push('generated by the server');
+    } else {
+        rules.push(field.required ? 'required' : 'optional');
+    }
+    if (field.unique) {
+        rules.push('unique');
+    }
+    if (field.minLength !== undefined && field.maxLength !== undefined) {
+        rules.push(`${field.minLength}-${field.maxLength} characters`);
+    } else if (field.maxLength !== undefined) {
+        rules.push(`at most ${field.maxLength} characters`);
+    } else if (field.minLength !== undefined) {
+        rules.push(`at least ${field.minLength} characters`);
+    }
+    if (field.default !== undefined) {
+        rules.push(`defaults to ${field.default}`);
+    }
+    return `${field.name} (${rules.join(', ')})${field.description ? ` - ${field.description}` : ''}`;
+}
+
+function entityEndpoints(entity) {
+    const name = slug(entity.name).replace(/-/g, ' ');
+    return entity.operations.map(operation => {
+        const endpoint = ENDPOINTS[operation];
+        return `${endpoint.method} ${entity.path}${endpoint.item ? '/:id' : ''} - ${endpoint.summary(entity.plural, name)}`;
+    });
+}
+
+function sampleValue(field) {
+    switch (field.type) {
+        case 'integer':
+        case 'number':
+            return 1;
+        case 'boolean':
+            return true;
+        case 'uuid':
+            return '00000000-0000-4000-8000-000000000000';
+        case 'date':
+            return '2024-01-01';
+        case 'timestamp':
+            return '2024-01-01T00:00:00.000Z';
+        case 'email':
+            return 'sample@example.com';
+        case 'url':
+            return 'https://example.com';
+        case 'enum':
+            return field.values[0];
+        case 'array':
+            return [];
+        default: {
+            const text = `Sample ${field.name}`.padEnd(field.minLength || 0, '.');
+            return field.maxLength !== undefined ? text.slice(0, field.maxLength) : text;
+        }
+    }
+}
+
+/**
+ * A record with a valid value for each required field the client sends,
+ * e.g. the body the verifier creates and updates with
+ */
+function sampleRecord(entity) {
+    return Object.fromEntries(entity.fields
+        .filter(field => field.required && !field.generated)
+        .map(field => [field.name, sampleValue(field)]));
+}
+
+function featureLines(requirements, features, kind) {
+    const context = {
+        name: requirements.entities.map(entity => slug(entity.name).replace(/-/g, ' ')).join(' and '),
+        plural: requirements.entities.map(entity => entity.plural).join(' and ')
+    };
+    return Object.entries(features)
+        .filter(([key, value]) => FEATURES[key] && value !== false && value !== null && value !== undefined)
+        .flatMap(([key, value]) => FEATURES[key][kind](value, context));
+}
+
+/**
+ * The analyst's task description
+ * @param {Object} requirements - From loadRequirements()
+ * @param {Object} [features] - Toggles, e.g. the scenario's merged with the file's
+ */
+function describeRequirements(requirements, features = requirements.features) {
+    const models = requirements.entities
+        .map(entity => `${entity.name} model with: ${entity.fields.map(field => field.name).join(', ')}`);
+    const lines = [
+        ...(requirements.description ? [requirements.description, ''] : []),
+        `Understand the requirements for a ${requirements.name} API with the following features:`,
+        `- CRUD operations (Create, Read, Update, Delete) for ${requirements.entities.map(e => e.plural).join(', ')}`,
+        ...models.map(model => `- ${model}`),
+        '- RESTful endpoints following best practices',
+        '- Input validation',
+        '- Error handling',
+        '- JSON responses',
+        ...featureLines(requirements, features, 'requirements').map(line => `- ${line}`)
+    ];
+
+    for (const entity of requirements.entities) {
+        lines.push('', `${entity.name} fields:`, ...entity.fields.map(field => `- ${describeField(field)}`));
+        lines.push('', `${entity.name} endpoints:`, ...entityEndpoints(entity).map(endpoint => `- ${endpoint}`));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Success criteria for the API generation task
+ */
+function apiSuccessCriteria(requirements, features = requirements.features) {
+    const methods = ['GET', 'POST', 'PUT', 'DELETE']
+        .filter(method => requirements.entities.some(entity => entity.operations.some(op => ENDPOINTS[op].method === method)));
+    const rules = requirements.entities.flatMap(entity => entity.fields
+        .filter(field => !field.generated && (field.required || field.maxLength !== undefined || field.type === 'enum'))
+        .map(field => `${entity.name}.${describeField(field)}`));
+
+    return [
+        'Express.js REST API implementation',
+        `All CRUD endpoints (${methods.join(', ')}) for ${requirements.entities.map(entity => entity.path).join(', ')}`,
+        'Proper error handling and validation',
+        ...(rules.length > 0 ? [`Validation rules: ${rules.join('; ')}`] : []),
+        'Clean code structure with router separation',
+        ...featureLines(requirements, features, 'criteria'),
+        ...requirements.criteria
+    ];
+}
+
+/**
+ * Success criteria for the frontend task
+ */
+function frontendSuccessCriteria(requirements) {
+    const plurals = requirements.entities.map(entity => entity.plural).join(', ');
+    return [
+        'React functional components with hooks',
+        'Responsive design with Tailwind CSS',
+        'API integration with fetch/axios',
+        'Error handling and loading states',
+        `Add, edit and delete ${plurals}`
+    ];
+}
+
+module.exports = {
+    DEFAULT_REQUIREMENTS_PATH,
+    FEATURES,
+    apiSuccessCriteria,
+    databaseName,
+    describeRequirements,
+    frontendSuccessCriteria,
+    loadRequirements,
+    normalizeRequirements,
+    parseMarkdown,
+    sampleRecord
+};
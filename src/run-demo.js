@@ -3,83 +3,271 @@
  * Enhanced version with real AI support and better visualization
  */
 
-require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
 const chalk = require('chalk');
-const ora = require('ora');
 const inquirer = require('inquirer');
 const { 
     createOrchestrator, 
-    createCloudAPI,
     AgentTemplates 
 } = require('@liftping/repochief-core');
+const qualityGates = require('@liftping/repochief-quality-gates');
+const { executionStages, loadConfig, resolveScenario } = require('./scenarios');
+const { validateScenario } = require('./scenario-validator');
+const { APP_DIR, loadTaskResult, materializeTask } = require('./materializer');
+const { verifyGeneratedApi } = require('./verifier');
+const { createConsoleLogger } = require('./logger');
+const { DemoError, DemoRunError, BudgetExceededError, ScenarioConfigError } = require('./errors');
+const { EXIT_CODES, buildRunReport, writeRunReport } = require('./report');
+const { DEFAULT_PORT, DEFAULT_HOST, startDashboard } = require('./dashboard');
+const { MockResponseProvider } = require('./mock-provider');
+const { MockOrchestrator } = require('./mock-orchestrator');
+const { ReplayOrchestrator } = require('./replay-orchestrator');
+const { CassetteRecorder, loadCassette } = require('./cassette');
+const { loadSession, saveSessionState } = require('./session');
+const { BudgetGuard, cheaperModel, dependentsOf, estimatePlanCost, estimateTaskCost } = require('./budget');
+const { buildRepairTask, countIssues, isFailing } = require('./repair');
+const { createDomainGates, registerDomainGates } = require('./gates');
+const { SPEC_FILE, writeOpenApi } = require('./openapi');
+const { TerminalDashboard, isInteractive } = require('./tui');
+const { buildGraph, renderGraph } = require('./graph');
+const { appendRun, createRunId, findRun, readRuns, runEntry } = require('./history');
+const {
+    apiSuccessCriteria,
+    databaseName,
+    describeRequirements,
+    frontendSuccessCriteria,
+    loadRequirements
+} = require('./requirements');
 
-// Demo configuration
-const SCENARIOS = {
-    basic: {
-        name: 'Basic TODO API',
-        agents: 3,
-        description: 'REST API with tests'
-    },
-    fullstack: {
-        name: 'Full Stack TODO App',
-        agents: 5,
-        description: 'API + Frontend + Quality validation'
-    },
-    enterprise: {
-        name: 'Enterprise TODO App',
-        agents: 5,
-        description: 'Full app with auth, DB, and Docker'
-    }
-};
+// Scenario context paths are written relative to the default artifacts root
+const DEFAULT_ARTIFACTS_ROOT = '.repochief/artifacts/';
+
+/**
+ * What run() rejects with when a phase throws: DemoErrors as they are,
+ * anything else wrapped in a DemoRunError
+ */
+function runError(error, phase) {
+    return error instanceof DemoError
+        ? error
+        : new DemoRunError(`Demo failed during ${phase}: ${error.message}`, { phase, cause: error });
+}
 
 class TodoDemoRunner {
     constructor(options = {}) {
-        this.scenario = options.scenario || 'basic';
+        // Replays and resumed runs default to the scenario they ran before
+        this.scenario = options.scenario || (options.replay || options.resume ? null : 'basic');
         this.mockMode = options.mockMode !== undefined ? options.mockMode : true;
         this.budget = options.budget || 10;
+        this.explicit = {
+            mockMode: options.mockMode !== undefined,
+            budget: options.budget !== undefined,
+            requirements: options.requirements !== undefined
+        };
         this.verbose = options.verbose || false;
+        this.verify = options.verify || false;
+        this.dryRun = options.dryRun || false;
+        this.models = options.models || {};
+        this.requirementsPath = options.requirements ? path.resolve(options.requirements) : null;
+        this.requirements = null;
+        this.tui = options.tui || false;
+        this.terminal = null;
+        this.plainLogger = null;
+        this.reportFormats = options.reportFormats || [];
+        this.interactive = options.interactive || false;
+        this.json = options.json || false;
+        this.dashboard = options.dashboard !== undefined ? options.dashboard : true;
+        this.port = options.port !== undefined ? options.port : DEFAULT_PORT;
+        this.host = options.host || DEFAULT_HOST;
+        this.apiKey = options.apiKey || process.env.REPOCHIEF_API_KEY || 'demo-key-12345';
+        this.dashboardUrl = null;
+        this.logger = options.logger || createConsoleLogger(this.json ? { stream: process.stderr } : {});
+        this.config = options.config || loadConfig(options.configPath);
+        this.artifactsRoot = path.resolve(options.artifactsRoot || path.join('.repochief', 'artifacts'));
+        this.mockProvider = options.mockProvider || null;
+        this.fixturesDir = options.fixturesDir;
+        this.seed = options.seed;
+        this.mockLatency = options.mockLatency;
+        this.record = options.record || false;
+        this.replayPath = options.replay || null;
+        this.replaySpeed = options.replaySpeed || 1;
+        this.cassette = null;
+        this.cassettePath = null;
+        this.recorder = null;
+        this.resumeFrom = options.resume || null;
+        this.resumed = null;
+        this.taskCap = options.taskCap;
+        this.agentCap = options.agentCap;
+        this.breachPolicy = options.breachPolicy;
+        this.estimate = null;
+        this.guard = null;
+        this.budgetBreaches = [];
+        this.requeueing = new Set();
+        this.pendingWork = [];
+        this.aborted = null;
+        this.stopWaiting = null;
+        this.stopped = false;
+        this.checkSettled = () => {};
+        this.noRetry = new Set();
+        this.abandoned = new Set();
+        this.timeouts = new Map();
+        this.fallbackAgents = {};
+        this.repairIterations = options.repair;
+        this.repairTasks = new Map();
+        this.repairChecks = new Set();
+        this.repairHeld = new Map();
+        this.plan = null;
+        this.materialized = {};
+        this.apiSpec = null;
+        this.taskRecords = new Map();
+        this.gateResults = [];
+        this.verification = null;
+        this.startedAt = null;
+        this.runId = null;
+        this.indexedStatus = null;
+        this.report = null;
         this.orchestrator = null;
         this.api = null;
         this.agents = {};
     }
     
+    /**
+     * The run id once the run started (a resumed run keeps its id), else
+     * the name sessions had before runs got their own ids
+     */
+    get sessionName() {
+        if (this.runId) {
+            return this.runId;
+        }
+        return this.resumed ? this.resumed.session : `todo-demo-${this.scenario}`;
+    }
+    
+    get sessionDir() {
+        return path.join(this.artifactsRoot, this.sessionName);
+    }
+    
+    /**
+     * Where this run materializes its project trees, one per task
+     */
+    get appDir() {
+        return path.join(this.sessionDir, APP_DIR);
+    }
+    
+    /**
+     * "replay", "mock" or "real"
+     */
+    get mode() {
+        if (this.replayPath) {
+            return 'replay';
+        }
+        return this.mockMode ? 'mock' : 'real';
+    }
+    
+    /**
+     * Run the demo end to end
+     * @returns {Promise<Object>} The run report (see buildReport()), or
+     *   with dryRun the plan (see describePlan())
+     * @throws {ScenarioConfigError} when the scenario is invalid
+     * @throws {DemoRunError} when a phase of the run fails
+     */
     async run() {
-        console.log(chalk.bold.cyan('\n🚀 RepoChief TODO App Demo\n'));
+        this.logger.log(chalk.bold.cyan('\n🚀 RepoChief TODO App Demo\n'));
         
-        // Interactive setup if no options provided and not in non-interactive mode
-        if (process.argv.length <= 2 && !process.argv.includes('--non-interactive')) {
+        // Ask for the configuration when none was given on the command line
+        if (this.interactive) {
             await this.interactiveSetup();
         }
         
+        // Load the cassette or session to pick up, and resolve agents and
+        // tasks from scenarios/config.json
+        try {
+            if (this.replayPath) {
+                this.loadReplay();
+            }
+            if (this.resumeFrom) {
+                this.loadResume();
+            }
+            this.plan = this.resolvePlan();
+        } catch (error) {
+            throw runError(error, 'load');
+        }
+        
         // Display configuration
         this.displayConfig();
         
+        // Show what would run, without creating an orchestrator
+        if (this.dryRun) {
+            return this.planOnly();
+        }
+        
+        // Refuse real runs the budget cannot cover
+        this.preflight();
+        
+        let phase = 'initialize';
+        let result;
+        this.startedAt = new Date().toISOString();
+        this.runId = this.resumed ? this.resumed.session : createRunId(this.scenario, new Date(this.startedAt));
+        this.logger.log(chalk.dim(`Run: ${this.runId}\n`));
         try {
             // Initialize components
             await this.initialize();
             
             // Create agent swarm
+            phase = 'createAgents';
             await this.createAgents();
             
             // Queue tasks
+            phase = 'queueTasks';
             await this.queueTasks();
             
             // Start execution
-            await this.execute();
-            
-            // Display results
-            this.displayResults();
+            phase = 'execute';
+            this.startTerminalDashboard();
+            try {
+                await this.execute();
+            } finally {
+                this.stopTerminalDashboard();
+            }
             
-            // Clean shutdown
-            await this.cleanup();
+            // Run the generated API and its tests
+            if (this.verify) {
+                phase = 'verify';
+                await this.verifyArtifacts();
+            }
             
+            // Display results
+            phase = 'report';
+            result = this.buildReport();
+            this.displayResults(result);
         } catch (error) {
-            console.error(chalk.red('\n❌ Demo failed:'), error.message);
-            if (this.verbose) {
-                console.error(error.stack);
-            }
-            process.exit(1);
+            await this.cleanup().catch(() => {});
+            this.indexRun({ status: 'error', error: error.message, phase });
+            throw runError(error, phase);
         }
+        
+        // Clean shutdown
+        await this.cleanup();
+        
+        return result;
+    }
+    
+    /**
+     * Render the scenario's task graph without running it. When the
+     * scenario has a run with a report.json, nodes show how the latest went.
+     * @param {string} format - One of GRAPH_FORMATS
+     * @returns {string}
+     * @throws {ScenarioConfigError} when the scenario is invalid
+     */
+    graph(format) {
+        this.plan = this.resolvePlan();
+        
+        // The scenario's latest run, or its session from before run ids
+        const latest = readRuns(this.artifactsRoot).filter(run => run.scenario === this.scenario).pop();
+        const reportPath = latest
+            ? path.join(this.artifactsRoot, latest.sessionDir || latest.id, 'report.json')
+            : path.join(this.sessionDir, 'report.json');
+        const report = fs.existsSync(reportPath) ? JSON.parse(fs.readFileSync(reportPath, 'utf8')) : null;
+        return renderGraph(buildGraph(this.plan, report), format);
     }
     
     async interactiveSetup() {
@@ -88,374 +276,1592 @@ class TodoDemoRunner {
                 type: 'list',
                 name: 'scenario',
                 message: 'Select demo scenario:',
-                choices: Object.entries(SCENARIOS).map(([key, val]) => ({
+                choices: Object.entries(this.config.scenarios).map(([key, val]) => ({
                     name: `${val.name} - ${val.description}`,
                     value: key
-                }))
+                })),
+                default: this.scenario
             },
             {
                 type: 'confirm',
                 name: 'mockMode',
                 message: 'Use mock mode? (no API calls, no costs)',
-                default: true
+                default: this.mockMode
             },
             {
                 type: 'number',
                 name: 'budget',
                 message: 'Set budget limit (USD):',
-                default: 10,
+                default: this.budget,
                 when: (answers) => !answers.mockMode
             }
         ]);
         
         this.scenario = answers.scenario;
         this.mockMode = answers.mockMode;
-        this.budget = answers.budget || 10;
+        this.budget = answers.budget || this.budget;
+    }
+    
+    loadReplay() {
+        this.cassette = loadCassette(this.replayPath);
+        const recorded = this.cassette.scenario && this.cassette.scenario.id;
+        
+        if (this.repairIterations === undefined) {
+            this.repairIterations = this.cassette.repair;
+        }
+        if (!this.scenario) {
+            this.scenario = recorded;
+        } else if (recorded && recorded !== this.scenario) {
+            this.logger.warn(chalk.yellow(`⚠️  Cassette was recorded for scenario "${recorded}", replaying it as "${this.scenario}"`));
+        }
+    }
+    
+    /**
+     * Pick up an earlier session: its scenario, mode, budget and requirements
+     * file (unless given again) and the results of the tasks it completed
+     */
+    loadResume() {
+        const session = loadSession(this.resolveRun(this.resumeFrom), this.artifactsRoot);
+        const state = session.state || {};
+        
+        if (!session.scenario && !this.scenario) {
+            throw new DemoError(`Cannot tell which scenario session "${session.session}" ran; pass --scenario`);
+        }
+        this.scenario = this.scenario || session.scenario;
+        if (!this.explicit.mockMode && state.mode) {
+            this.mockMode = state.mode !== 'real';
+        }
+        if (!this.explicit.budget && state.budget) {
+            this.budget = state.budget;
+        }
+        if (!this.explicit.requirements && state.requirements) {
+            this.requirementsPath = state.requirements;
+        }
+        
+        this.artifactsRoot = path.dirname(session.sessionDir);
+        this.resumed = {
+            ...session,
+            completed: Object.values(session.results).filter(result => result.status === 'completed')
+        };
+        this.resumed.cost = this.resumed.completed.reduce((total, result) => total + (result.cost || 0), 0);
+        this.resumed.tokens = this.resumed.completed.reduce((total, result) => total + (result.tokensUsed || 0), 0);
+    }
+    
+    /**
+     * The session directory of a run given as "latest" or a unique part of
+     * its id (see findRun()); anything else is a session name or directory
+     */
+    resolveRun(ref) {
+        const runs = readRuns(this.artifactsRoot).filter(run => !this.scenario || run.scenario === this.scenario);
+        if (ref !== 'latest' && ref !== 'previous' && !runs.some(run => run.id.includes(ref))) {
+            return ref;
+        }
+        const run = findRun(runs, ref);
+        return path.join(this.artifactsRoot, run.sessionDir || run.id);
+    }
+    
+    /**
+     * The resumed session's result for a task, when it completed there
+     */
+    resumedResult(taskId) {
+        return this.resumed ? this.resumed.completed.find(result => result.taskId === taskId) : undefined;
+    }
+    
+    resolvePlan() {
+        // The app to build: --requirements, else scenarios/requirements/todo.yaml
+        this.requirements = this.requirements || loadRequirements(this.requirementsPath || undefined);
+        
+        // Enabled features add their own tasks (config.featureTasks)
+        const features = this.features();
+        validateScenario(this.config, this.scenario, { templates: AgentTemplates, features });
+        
+        const plan = resolveScenario(this.config, this.scenario, {
+            templates: AgentTemplates,
+            features,
+            resolvers: {
+                appName: () => this.requirements.name,
+                database: () => databaseName(features.database),
+                requirements: () => this.getRequirementsDescription(),
+                apiSuccessCriteria: () => this.getApiSuccessCriteria(),
+                frontendSuccessCriteria: () => frontendSuccessCriteria(this.requirements)
+            }
+        });
+        this.overrideModels(plan);
+        return plan;
+    }
+    
+    /**
+     * Give agent roles the models passed as `models` (--model role=model)
+     * @throws {ScenarioConfigError} for a role the scenario does not have
+     */
+    overrideModels(plan) {
+        const unknown = Object.keys(this.models).filter(role => !plan.agents.some(agent => agent.key === role));
+        if (unknown.length > 0) {
+            throw new ScenarioConfigError(
+                `Unknown agent role${unknown.length === 1 ? '' : 's'} ${unknown.map(role => `"${role}"`).join(', ')} ` +
+                `in --model for scenario "${plan.id}" (roles: ${plan.agents.map(agent => agent.key).join(', ')})`,
+                unknown.map(role => ({ path: `scenarios.${plan.id}.agents.${role}`, message: 'is not defined' }))
+            );
+        }
+        for (const agent of plan.agents.filter(a => this.models[a.key])) {
+            agent.spec = { ...agent.spec, model: this.models[agent.key] };
+        }
     }
     
     displayConfig() {
-        const config = SCENARIOS[this.scenario];
-        console.log(chalk.yellow('Configuration:'));
-        console.log(`  Scenario: ${chalk.bold(config.name)}`);
-        console.log(`  Agents: ${chalk.bold(config.agents)}`);
-        console.log(`  Mode: ${chalk.bold(this.mockMode ? 'Mock' : 'Real AI')}`);
-        console.log(`  Budget: ${chalk.bold('$' + this.budget)}`);
-        console.log();
+        this.logger.log(chalk.yellow('Configuration:'));
+        this.logger.log(`  Scenario: ${chalk.bold(this.plan.name)}`);
+        this.logger.log(`  Agents: ${chalk.bold(this.plan.agents.length)}`);
+        if (this.requirementsPath) {
+            this.logger.log(`  Requirements: ${chalk.bold(this.requirements.name)} (${this.requirements.source})`);
+        }
+        const features = Object.entries(this.plan.features).filter(([, value]) => value !== false && value !== null);
+        if (features.length > 0) {
+            this.logger.log(`  Features: ${features.map(([name, value]) => (value === true ? name : `${name}=${value}`)).join(', ')}`);
+        }
+        for (const [role, model] of Object.entries(this.models)) {
+            this.logger.log(`  Model override: ${role} → ${chalk.bold(model)}`);
+        }
+        const modes = { replay: `Replay (${path.basename(this.replayPath || '')})`, mock: 'Mock', real: 'Real AI' };
+        this.logger.log(`  Mode: ${chalk.bold(modes[this.mode])}`);
+        this.logger.log(`  Budget: ${chalk.bold('$' + this.budget)}`);
+        if (this.resumed) {
+            this.logger.log(`  Resuming: ${chalk.bold(this.resumed.session)} ` +
+                `(completed: ${this.resumed.completed.length}, spent: $${this.resumed.cost.toFixed(3)})`);
+        }
+        if (this.repairIterations) {
+            const iterations = `${this.repairIterations} iteration${this.repairIterations === 1 ? '' : 's'}`;
+            this.logger.log(`  Repair: up to ${chalk.bold(iterations)} per failing task`);
+        }
+        this.logger.log();
     }
     
-    async initialize() {
-        const spinner = ora('Initializing orchestrator...').start();
+    get pricing() {
+        return (this.config.defaults || {}).pricing || {};
+    }
+    
+    /**
+     * The most the tasks still to run can cost (see estimatePlanCost())
+     */
+    estimateCost() {
+        return estimatePlanCost(this.plan, this.pricing, {
+            skip: this.resumed ? this.resumed.completed.map(result => result.taskId) : [],
+            repair: this.repairIterations || 0
+        });
+    }
+    
+    /**
+     * Estimate the worst-case cost of the plan, refuse to start a real run
+     * that could exceed the budget, and set up the spending caps
+     * @throws {BudgetExceededError}
+     */
+    preflight() {
+        const spent = this.resumed ? this.resumed.cost : 0;
+        const available = this.budget - spent;
+        this.estimate = this.estimateCost();
         
-        // Create orchestrator
-        this.orchestrator = createOrchestrator({
-            sessionName: `todo-demo-${this.scenario}`,
-            totalBudget: this.budget,
-            mockMode: this.mockMode
+        this.guard = new BudgetGuard({
+            perTask: this.taskCap !== undefined ? this.taskCap : this.plan.budget.perTask,
+            perAgent: this.agentCap !== undefined ? this.agentCap : this.plan.budget.perAgent,
+            policy: this.breachPolicy || this.plan.budget.onBreach
         });
         
+        this.displayEstimate(available);
+        
+        if (this.mode === 'real' && this.estimate.total > available) {
+            throw new BudgetExceededError(
+                `Estimated cost of up to $${this.estimate.total.toFixed(2)} exceeds the ` +
+                `${spent > 0 ? 'remaining ' : ''}budget of $${available.toFixed(2)}. ` +
+                'Raise --budget or lower maxTokens in scenarios/config.json.',
+                { estimate: this.estimate }
+            );
+        }
+    }
+    
+    /**
+     * Describe and print the plan for --dry-run
+     * @returns {Object} The plan (see describePlan()); exitCode 6 when a
+     *   real run would be refused for its estimated cost
+     */
+    planOnly() {
+        const plan = this.describePlan();
+        this.displayPlan(plan);
+        return plan;
+    }
+    
+    /**
+     * Everything a run would create and queue: agents, tasks in execution
+     * order with the text sent to the agents, and the estimated totals
+     */
+    describePlan() {
+        const spent = this.resumed ? this.resumed.cost : 0;
+        const available = this.budget - spent;
+        const estimate = this.estimateCost();
+        const refused = this.mode === 'real' && estimate.total > available;
+        const agentNames = Object.fromEntries(this.plan.agents.map(agent => [agent.key, agent.name]));
+        
+        return {
+            dryRun: true,
+            scenario: { id: this.plan.id, name: this.plan.name },
+            requirements: { name: this.requirements.name, source: this.requirements.source },
+            features: this.plan.features,
+            mode: this.mode,
+            budget: this.budget,
+            agents: this.plan.agents.map(agent => ({
+                key: agent.key,
+                name: agent.name,
+                template: agent.template,
+                role: agent.spec.role,
+                model: agent.spec.model,
+                maxConcurrentTasks: agent.spec.maxConcurrentTasks || 2
+            })),
+            tasks: executionStages(this.plan.tasks).flatMap((tasks, stage) => tasks.map(task => ({
+                stage: stage + 1,
+                id: task.id,
+                type: task.type,
+                agent: agentNames[task.agent],
+                objective: task.objective,
+                description: task.description,
+                dependencies: task.dependencies || [],
+                context: this.resolveContext(task.context) || [],
+                successCriteria: task.successCriteria,
+                specificChecks: task.specificChecks,
+                maxTokens: task.maxTokens,
+                timeout: task.timeout,
+                qualityGates: task.qualityGates || [],
+                retry: task.retry,
+                resumed: Boolean(this.resumedResult(task.id))
+            }))),
+            estimate: {
+                tokens: estimate.tasks.reduce((total, task) => total + (task.maxTokens || 0) * task.attempts, 0),
+                cost: estimate.total,
+                available,
+                unpriced: estimate.unpriced
+            },
+            exitCode: refused ? EXIT_CODES.BUDGET_EXHAUSTED : EXIT_CODES.SUCCESS
+        };
+    }
+    
+    displayPlan(plan) {
+        const list = value => (Array.isArray(value) ? value : [value]).filter(Boolean);
+        const indent = (text, prefix) => String(text).split('\n').map(line => `${prefix}${line.trim()}`).join('\n');
+        
+        this.logger.log(chalk.yellow('Agents:'));
+        for (const agent of plan.agents) {
+            this.logger.log(`  ${chalk.bold(agent.name)} (${agent.role || agent.key})`);
+            this.logger.log(chalk.dim(`    template: ${agent.template || 'none'}, model: ${agent.model}, ` +
+                `up to ${agent.maxConcurrentTasks} concurrent task${agent.maxConcurrentTasks === 1 ? '' : 's'}`));
+        }
+        
+        this.logger.log(chalk.yellow('\nTasks in execution order:'));
+        let stage = 0;
+        for (const task of plan.tasks) {
+            if (task.stage !== stage) {
+                stage = task.stage;
+                this.logger.log(chalk.cyan(`  Stage ${stage}`));
+            }
+            this.logger.log(`  ${chalk.bold(task.id)} [${task.type}] → ${task.agent}` +
+                (task.resumed ? chalk.dim(' (already done, skipped)') : ''));
+            this.logger.log(`    Objective: ${task.objective}`);
+            this.logger.log(`    Depends on: ${task.dependencies.join(', ') || 'nothing'}`);
+            if (task.context.length > 0) {
+                this.logger.log(`    Context: ${task.context.join(', ')}`);
+            }
+            this.logger.log(`    Limits: ${task.maxTokens !== undefined ? task.maxTokens.toLocaleString() : '?'} tokens, ` +
+                `${task.timeout !== undefined ? `${task.timeout / 1000}s` : 'no'} timeout`);
+            if (task.qualityGates.length > 0) {
+                this.logger.log(`    Gates: ${task.qualityGates.join(', ')}`);
+            }
+            if (task.retry) {
+                const fallback = task.retry.fallback
+                    ? `, then ${task.retry.fallback.model || task.retry.fallback.agent}`
+                    : '';
+                this.logger.log(`    Retry: up to ${task.retry.maxRetries || 0}, ${(task.retry.backoff || 0) / 1000}s backoff${fallback}`);
+            }
+            if (task.description) {
+                this.logger.log('    Description:');
+                this.logger.log(chalk.dim(indent(task.description, '      ')));
+            }
+            for (const [title, items] of [['Success criteria', task.successCriteria], ['Checks', task.specificChecks]]) {
+                if (list(items).length > 0) {
+                    this.logger.log(`    ${title}:`);
+                    this.logger.log(chalk.dim(list(items).map(item => `      - ${item}`).join('\n')));
+                }
+            }
+        }
+        
+        const { tokens, cost, available, unpriced } = plan.estimate;
+        this.logger.log(chalk.yellow('\nEstimated totals:'));
+        this.logger.log(`  Up to ${chalk.bold(tokens.toLocaleString())} tokens and ${chalk.bold('$' + cost.toFixed(2))} ` +
+            `of $${available.toFixed(2)} available`);
+        if (unpriced.length > 0) {
+            this.logger.warn(chalk.yellow(`  ⚠️  No pricing for ${unpriced.join(', ')}; not included in the estimate`));
+        }
+        if (plan.exitCode === EXIT_CODES.BUDGET_EXHAUSTED) {
+            this.logger.warn(chalk.yellow('  ⚠️  A real run would not start: the estimate exceeds the budget'));
+        }
+        this.logger.log(chalk.dim('\nDry run: no orchestrator was created and no model was called.'));
+    }
+    
+    displayEstimate(available) {
+        const { total, tasks, unpriced } = this.estimate;
+        const note = this.mode === 'real' ? '' : chalk.dim(` (not enforced in ${this.mode} mode)`);
+        
+        this.logger.log(chalk.yellow('Cost estimate:'));
+        if (this.verbose) {
+            for (const task of tasks) {
+                const cost = task.cost === null ? '?' : `$${task.cost.toFixed(3)}`;
+                const attempts = task.attempts === 1 ? '' : ` × ${task.attempts} attempts`;
+                this.logger.log(chalk.dim(`  ${task.id}: ${cost} (${task.maxTokens || '?'} tokens${attempts}, ${task.model})`));
+            }
+        }
+        this.logger.log(`  Up to ${chalk.bold('$' + total.toFixed(2))} of $${available.toFixed(2)} available${note}`);
+        
+        if (unpriced.length > 0) {
+            this.logger.warn(chalk.yellow(`  ⚠️  No pricing for ${unpriced.join(', ')}; not included in the estimate`));
+        }
+        if (this.guard.perTask) {
+            for (const task of tasks.filter(t => t.attemptCost > this.guard.perTask)) {
+                this.logger.warn(chalk.yellow(`  ⚠️  ${task.id} may exceed the $${this.guard.perTask} per-task cap`));
+            }
+        }
+        if (this.guard.enabled) {
+            const caps = [
+                this.guard.perTask && `$${this.guard.perTask} per task`,
+                this.guard.perAgent && `$${this.guard.perAgent} per agent`
+            ].filter(Boolean).join(', ');
+            this.logger.log(`  Caps: ${caps} (on breach: ${this.guard.policy})`);
+        }
+        this.logger.log();
+    }
+    
+    async initialize() {
+        const spinner = this.logger.spinner('Initializing orchestrator...').start();
+        
+        this.orchestrator = this.buildOrchestrator();
+        
         await this.orchestrator.initialize();
         spinner.succeed('Orchestrator initialized');
         
-        // Start cloud API
+        // Start cloud API unless running headless
+        if (!this.dashboard) {
+            this.logger.log(chalk.dim('  Dashboard disabled (headless mode)\n'));
+            return;
+        }
+        
         spinner.start('Starting dashboard...');
-        this.api = createCloudAPI({
-            port: 3456,
-            apiKey: process.env.REPOCHIEF_API_KEY || 'demo-key-12345'
+        const dashboard = await startDashboard({
+            port: this.port,
+            host: this.host,
+            apiKey: this.apiKey
         });
+        this.api = dashboard.api;
+        this.port = dashboard.port;
+        this.dashboardUrl = dashboard.url;
         
-        await this.api.start();
-        spinner.succeed('Dashboard started');
-        console.log(chalk.dim(`  View at: http://localhost:3456/dashboard\n`));
+        if (dashboard.port !== dashboard.requestedPort && dashboard.requestedPort !== 0) {
+            spinner.warn(`Port ${dashboard.requestedPort} is in use, dashboard started on ${dashboard.port}`);
+        } else {
+            spinner.succeed('Dashboard started');
+        }
+        this.logger.log(chalk.dim(`  View at: ${this.dashboardUrl}\n`));
     }
     
-    async createAgents() {
-        console.log(chalk.yellow('Creating AI agent swarm...'));
-        
-        // Always create these 3 core agents
-        this.agents.analyst = await this.createAgent('Alice-Analyst', AgentTemplates.REQUIREMENTS_ANALYST);
-        this.agents.developer = await this.createAgent('Bob-Developer', AgentTemplates.SENIOR_DEVELOPER);
-        this.agents.tester = await this.createAgent('Carol-QA', AgentTemplates.QA_ENGINEER);
-        
-        // Additional agents for fullstack/enterprise scenarios
-        if (this.scenario !== 'basic') {
-            this.agents.reviewer = await this.createAgent('David-Reviewer', AgentTemplates.CODE_REVIEWER);
-            this.agents.frontend = await this.createAgent('Eve-Frontend', {
-                role: 'frontend_developer',
-                model: 'gpt-4o',
-                capabilities: ['generation', 'refactoring'],
-                constraints: {
-                    maxContextTokens: 100000,
-                    temperature: 0.7,
-                    preferredFrameworks: ['React', 'Next.js', 'TypeScript']
-                }
+    /**
+     * Replays and mock runs are served by this package; real runs by repochief-core
+     */
+    buildOrchestrator() {
+        // A resumed run may only spend what the earlier run left over
+        const spent = this.resumed ? this.resumed.cost : 0;
+        const options = { sessionName: this.sessionName, totalBudget: Math.max(0, this.budget - spent) };
+        
+        if (this.mode === 'replay') {
+            return new ReplayOrchestrator({
+                ...options,
+                artifactsRoot: this.artifactsRoot,
+                cassette: this.cassette,
+                speed: this.replaySpeed
+            });
+        }
+        // Domain gates such as api-contract read the materialized trees
+        const gates = createDomainGates({ root: this.appDir });
+        if (this.mode === 'mock') {
+            return new MockOrchestrator({
+                ...options,
+                artifactsRoot: this.artifactsRoot,
+                provider: this.createMockProvider(),
+                gates
             });
         }
         
-        console.log();
+        if (registerDomainGates(qualityGates, gates).length === 0) {
+            this.logger.warn(chalk.yellow(`⚠️  Could not register the ${Object.keys(gates).join(', ')} gates ` +
+                'with @liftping/repochief-quality-gates; they will be skipped'));
+        }
+        return createOrchestrator({ ...options, mockMode: false });
+    }
+    
+    createMockProvider() {
+        if (this.mockProvider) {
+            return this.mockProvider;
+        }
+        
+        return new MockResponseProvider({
+            fixturesDir: this.fixturesDir,
+            defaults: (this.config.defaults || {}).mockResponses,
+            seed: this.seed,
+            latency: this.mockLatency
+        });
+    }
+    
+    async createAgents() {
+        this.logger.log(chalk.yellow('Creating AI agent swarm...'));
+        
+        for (const agent of this.plan.agents) {
+            this.agents[agent.key] = await this.createAgent(agent.name, agent.spec);
+        }
+        
+        this.logger.log();
     }
     
     async createAgent(name, template) {
         const agent = await this.orchestrator.createAgent({
             name,
-            ...template,
-            maxConcurrentTasks: 2
+            maxConcurrentTasks: 2,
+            ...template
         });
-        console.log(chalk.green(`  ✓ Created ${agent.name} (${agent.role})`));
+        this.logger.log(chalk.green(`  ✓ Created ${agent.name} (${agent.role})`));
         return agent;
     }
     
     async queueTasks() {
-        console.log(chalk.yellow('Queueing development tasks...'));
-        
-        // Task 1: Comprehend requirements
-        await this.queueTask({
-            id: 'comprehend-todo-api',
-            type: 'comprehension',
-            objective: 'Analyze requirements for a RESTful TODO API',
-            description: this.getRequirementsDescription(),
-            maxTokens: 10000,
-            agentId: this.agents.analyst.id
-        });
-        
-        // Task 2: Generate API
-        await this.queueTask({
-            id: 'generate-todo-api',
-            type: 'generation',
-            objective: 'Implement TODO API with Express.js',
-            dependencies: ['comprehend-todo-api'],
-            context: ['.repochief/artifacts/comprehend-todo-api/analysis.md'],
-            successCriteria: this.getApiSuccessCriteria(),
-            maxTokens: 50000,
-            agentId: this.agents.developer.id
-        });
-        
-        // Task 3: Create tests
-        await this.queueTask({
-            id: 'test-todo-api',
-            type: 'generation',
-            objective: 'Write comprehensive tests for TODO API',
-            dependencies: ['generate-todo-api'],
-            context: ['.repochief/artifacts/generate-todo-api/code/'],
-            successCriteria: [
-                'Unit tests for all endpoints',
-                'Test coverage > 80%',
-                'Mock dependencies properly',
-                'Test error cases and edge cases',
-                'Use Mocha + Chai + Sinon'
-            ],
-            maxTokens: 30000,
-            agentId: this.agents.tester.id
-        });
+        this.logger.log(chalk.yellow('Queueing development tasks...'));
         
-        // Additional tasks for non-basic scenarios
-        if (this.scenario !== 'basic') {
-            // Task 4: Validate quality
-            await this.queueTask({
-                id: 'validate-todo-api',
-                type: 'validation',
-                objective: 'Review code quality and security',
-                dependencies: ['generate-todo-api', 'test-todo-api'],
-                context: [
-                    '.repochief/artifacts/generate-todo-api/code/',
-                    '.repochief/artifacts/test-todo-api/code/'
-                ],
-                specificChecks: [
-                    'Code follows best practices',
-                    'No security vulnerabilities',
-                    'Proper input validation',
-                    'Good error handling',
-                    'Clean code structure'
-                ],
-                qualityGates: ['eslint', 'test', 'complexity'],
-                maxTokens: 20000,
-                agentId: this.agents.reviewer.id
+        for (const { agent, ...taskSpec } of this.plan.tasks) {
+            this.taskRecords.set(taskSpec.id, {
+                id: taskSpec.id,
+                type: taskSpec.type,
+                objective: taskSpec.objective,
+                agent,
+                model: this.plan.agents.find(a => a.key === agent).spec.model,
+                status: 'pending',
+                attempts: 0,
+                retries: 0
             });
             
-            // Task 5: Generate frontend
-            await this.queueTask({
-                id: 'generate-todo-frontend',
-                type: 'generation',
-                objective: 'Create React frontend for TODO app',
-                dependencies: ['generate-todo-api'],
-                context: ['.repochief/artifacts/generate-todo-api/api-spec.json'],
-                successCriteria: [
-                    'React functional components with hooks',
-                    'Responsive design with Tailwind CSS',
-                    'API integration with fetch/axios',
-                    'Error handling and loading states',
-                    'Add, edit, delete, and complete todos'
-                ],
-                maxTokens: 40000,
-                agentId: this.agents.frontend.id
-            });
+            const previous = this.resumedResult(taskSpec.id);
+            if (previous) {
+                this.restoreTask(taskSpec, previous);
+                continue;
+            }
+            
+            await this.queueTask(this.orchestratorTask(agent, taskSpec));
         }
         
-        console.log();
+        this.logger.log();
+    }
+    
+    /**
+     * The task spec handed to the orchestrator. Finished dependencies of a
+     * resumed run are not queued again, so they are dropped.
+     */
+    orchestratorTask(agent, taskSpec) {
+        return {
+            ...taskSpec,
+            dependencies: (taskSpec.dependencies || []).filter(id => !this.resumedResult(id)),
+            context: this.resolveContext(taskSpec.context),
+            agentId: this.agents[agent].id
+        };
+    }
+    
+    /**
+     * Point context paths under .repochief/artifacts/ at this run's trees,
+     * under the artifacts root actually used (see --output-dir)
+     */
+    resolveContext(context) {
+        if (!context) {
+            return context;
+        }
+        const root = path.relative(process.cwd(), this.appDir).split(path.sep).join('/');
+        return context.map(entry => (entry.startsWith(DEFAULT_ARTIFACTS_ROOT)
+            ? `${root ? `${root}/` : ''}${entry.slice(DEFAULT_ARTIFACTS_ROOT.length)}`
+            : entry));
+    }
+    
+    /**
+     * Warn when a starting task's context files do not exist, e.g. because
+     * the task that should produce them did not
+     */
+    checkContext(task) {
+        for (const entry of task.context || []) {
+            if (!fs.existsSync(path.resolve(entry))) {
+                this.logger.warn(chalk.yellow(`   ⚠️  Context not found for ${task.id}: ${entry}`));
+            }
+        }
+    }
+    
+    /**
+     * Take over a task the resumed session already completed
+     */
+    restoreTask(task, result) {
+        this.recordTask(task.id, () => ({
+            status: 'completed',
+            resumed: true,
+            completedAt: result.timestamp,
+            durationMs: result.duration,
+            tokensUsed: result.tokensUsed,
+            cost: result.cost
+        }));
+        this.materialize(task, result);
+        this.logger.log(chalk.dim(`  ↩ Already done: ${task.objective}`));
     }
     
     async queueTask(taskSpec) {
         const task = await this.orchestrator.queueTask(taskSpec);
-        console.log(chalk.green(`  ✓ Queued: ${task.objective}`));
+        this.logger.log(chalk.green(`  ✓ Queued: ${task.objective}`));
         return task;
     }
     
+    /**
+     * Feature toggles for the task text: the scenario's, overridden by the
+     * requirements file's
+     */
+    features() {
+        const scenario = this.config.scenarios[this.scenario] || {};
+        return { ...(scenario.features || {}), ...this.requirements.features };
+    }
+    
     getRequirementsDescription() {
-        const base = `Understand the requirements for a TODO API with the following features:
-            - CRUD operations (Create, Read, Update, Delete)
-            - Task model with: id, title, description, completed, createdAt, updatedAt
-            - RESTful endpoints following best practices
-            - Input validation
-            - Error handling
-            - JSON responses`;
-            
-        if (this.scenario === 'enterprise') {
-            return base + `
-            - JWT authentication
-            - User association (tasks belong to users)
-            - PostgreSQL database integration
-            - Docker containerization
-            - Rate limiting and security headers`;
-        }
-        
-        return base;
+        return describeRequirements(this.requirements, this.features());
     }
     
     getApiSuccessCriteria() {
-        const base = [
-            'Express.js REST API implementation',
-            'All CRUD endpoints (GET, POST, PUT, DELETE)',
-            'Proper error handling and validation',
-            'Clean code structure with router separation'
-        ];
-        
-        if (this.scenario === 'basic') {
-            base.push('In-memory storage for demo purposes');
-        } else if (this.scenario === 'enterprise') {
-            base.push('PostgreSQL integration with migrations');
-            base.push('JWT authentication middleware');
-            base.push('User-scoped todo operations');
-        }
-        
-        return base;
+        return apiSuccessCriteria(this.requirements, this.features());
     }
     
     async execute() {
-        console.log(chalk.yellow('Starting execution...\n'));
+        this.logger.log(chalk.yellow('Starting execution...\n'));
         
         // Set up event handlers
         this.setupEventHandlers();
         
-        // Start execution
-        await this.orchestrator.startExecution();
+        if (this.record) {
+            this.recorder = new CassetteRecorder({
+                session: this.sessionName,
+                scenario: { id: this.plan.id, name: this.plan.name },
+                mode: this.mode,
+                budget: this.budget,
+                repair: this.repairIterations,
+                agents: this.plan.agents.map(agent => ({ key: agent.key, name: agent.name, model: agent.spec.model }))
+            }).attach(this.orchestrator, {
+                skip: (type, { task }) => type === 'taskFailed' && this.requeueing.has(task.id)
+            });
+        }
+        
+        // Start execution. The caps are checked first, which may already
+        // stop the run, so the abort has to be in place before.
+        this.aborted = new Promise(resolve => {
+            this.stopWaiting = resolve;
+        });
+        this.screenTasks();
+        this.saveState('running');
+        if (!this.stopped) {
+            await this.orchestrator.startExecution();
+        }
         
         // Show progress hint
-        if (!this.mockMode) {
-            console.log(chalk.dim('💡 Tip: Run "tmux attach -t ' + 
-                `todo-demo-${this.scenario}" to see agents in action\n`));
+        if (this.mode === 'real') {
+            this.logger.log(chalk.dim('💡 Tip: Run "tmux attach -t ' + 
+                `${this.sessionName}" to see agents in action\n`));
         }
         
         // Wait for completion
-        console.log(chalk.yellow('Waiting for completion...'));
-        await this.orchestrator.waitForCompletion();
-        console.log(chalk.green('All tasks completed!'));
+        this.logger.log(chalk.yellow('Waiting for completion...'));
+        await this.waitForTasks();
+        this.logger.log(chalk.green('All tasks completed!'));
+        
+        if (this.recorder) {
+            this.saveCassette();
+        }
+    }
+    
+    /**
+     * Switch to the full-screen terminal dashboard for the execution phase
+     * (--tui). Without a terminal the plain line output is kept.
+     */
+    startTerminalDashboard() {
+        if (!this.tui) {
+            return;
+        }
+        if (!isInteractive(process.stdout)) {
+            this.logger.warn(chalk.yellow('⚠️  stdout is not a terminal; showing plain progress instead of the dashboard'));
+            return;
+        }
+        
+        this.terminal = new TerminalDashboard({ state: () => this.dashboardState() }).attach(this.orchestrator);
+        this.plainLogger = this.logger;
+        this.logger = this.terminal.wrapLogger();
+        this.terminal.start();
+    }
+    
+    /**
+     * Leave the terminal dashboard, printing its final frame. Safe to call
+     * more than once.
+     */
+    stopTerminalDashboard() {
+        const terminal = this.terminal;
+        if (!terminal) {
+            return;
+        }
+        this.terminal = null;
+        this.logger = this.plainLogger;
+        terminal.stop(this.logger);
+    }
+    
+    /**
+     * What the terminal dashboard shows: agents, task records with their
+     * dependencies, gate results, and the spend so far
+     */
+    dashboardState() {
+        const tasks = [...this.taskRecords.values()].map(record => {
+            const attempt = (record.history || [])[(record.history || []).length - 1];
+            return {
+                ...record,
+                agentName: attempt ? attempt.agent : undefined,
+                model: attempt ? attempt.model : record.model,
+                dependencies: (this.plannedTask(record.id) || {}).dependencies || []
+            };
+        });
+        
+        return {
+            title: this.plan.name,
+            mode: this.mode,
+            budget: this.budget,
+            startedAt: this.startedAt,
+            agents: this.plan.agents.map(agent => ({ key: agent.key, name: agent.name, model: agent.spec.model })),
+            tasks,
+            gates: this.gateResults,
+            tokens: tasks.reduce((total, task) => total + (task.tokensUsed || 0), 0),
+            cost: tasks.reduce((total, task) => total + (task.cost || 0), 0)
+        };
+    }
+    
+    saveCassette() {
+        this.cassettePath = path.join(this.sessionDir, 'cassette.json');
+        this.recorder.save(this.cassettePath, this.sessionDir);
+        this.logger.log(chalk.dim(`📼 Recorded cassette: ${path.relative(process.cwd(), this.cassettePath)}`));
+    }
+    
+    /**
+     * Wait until the orchestrator is idle, including tasks re-queued or
+     * repaired meanwhile, or until the run is aborted, or until only
+     * abandoned tasks are left (see abandonTask())
+     */
+    async waitForTasks() {
+        for (;;) {
+            await Promise.race([this.orchestrator.waitForCompletion(), this.aborted, this.untilSettled()]);
+            if (this.pendingWork.length === 0 || !this.orchestrator) {
+                return;
+            }
+            await Promise.all(this.pendingWork.splice(0));
+        }
+    }
+    
+    /**
+     * Resolves once every task left running in the orchestrator was
+     * abandoned, which it might never finish
+     */
+    untilSettled() {
+        return new Promise(resolve => {
+            this.checkSettled = () => {
+                if (this.abandoned.size > 0 && this.unfinishedTasks().length === 0) {
+                    resolve();
+                }
+            };
+            this.checkSettled();
+        });
     }
     
     setupEventHandlers() {
+        // Whatever the orchestrator still reports for an abandoned task is late
+        const ignored = task => Boolean(task) && this.abandoned.has(task.id);
+        
         this.orchestrator.on('taskStarted', ({ task, agent }) => {
-            console.log(chalk.blue(`🔄 Started: ${task.objective} (${agent.name})`));
+            if (ignored(task)) {
+                return;
+            }
+            const startedAt = new Date().toISOString();
+            this.recordTask(task.id, record => ({
+                status: 'running',
+                attempts: record.attempts + 1,
+                retries: record.attempts,
+                startedAt,
+                history: [...(record.history || []), {
+                    attempt: record.attempts + 1,
+                    agent: agent.name,
+                    model: agent.model,
+                    startedAt
+                }]
+            }));
+            this.startTaskTimeout(task);
+            this.logger.log(chalk.blue(`🔄 Started: ${task.objective} (${agent.name})`));
+            if (this.mode !== 'replay') {
+                this.checkContext(task);
+            }
         });
         
         this.orchestrator.on('taskProgress', ({ task, progress }) => {
-            // Only show progress updates in verbose mode
-            if (this.verbose) {
-                console.log(chalk.dim(`   Progress: ${Math.round(progress * 100)}%`));
+            if (ignored(task)) {
+                return;
+            }
+            // Only show progress updates in verbose mode, or in place of --tui
+            if (this.verbose || (this.tui && !this.terminal)) {
+                this.logger.log(chalk.dim(`   Progress: ${task.id} ${Math.round(progress * 100)}%`));
             }
         });
         
         this.orchestrator.on('taskCompleted', ({ task, result }) => {
-            console.log(chalk.green(`✅ Completed: ${task.objective}`));
+            if (ignored(task)) {
+                return;
+            }
+            this.clearTaskTimeout(task.id);
+            this.recordAttempt(task.id, { status: 'completed', tokensUsed: result.tokensUsed, cost: result.cost });
+            this.recordTask(task.id, record => ({
+                status: 'completed',
+                completedAt: new Date().toISOString(),
+                durationMs: result.duration !== undefined ? result.duration : Date.now() - Date.parse(record.startedAt),
+                tokensUsed: result.tokensUsed,
+                cost: result.cost,
+                error: undefined
+            }));
+            this.logger.log(chalk.green(`✅ Completed: ${task.objective}`));
             if (result.artifacts) {
-                console.log(chalk.dim(`   📁 Artifacts: ${result.artifacts.path}`));
+                this.logger.log(chalk.dim(`   📁 Artifacts: ${result.artifacts.path}`));
             }
+            this.materialize(task, result);
+            this.checkCaps(task, result);
+            // A repair whose gates passed ends its task's repairs
+            if (!this.repairChecks.has(task.id) && this.repairHeld.has(this.repairRoot(task.id))) {
+                this.pendingWork.push(this.releaseRepair(task.id));
+            }
+            this.saveState('running');
+            this.checkSettled();
         });
         
         this.orchestrator.on('taskFailed', ({ task, error }) => {
-            console.error(chalk.red(`❌ Failed: ${task.objective}`));
-            console.error(chalk.red(`   Error: ${error.message}`));
+            // Cancelled only to be queued again
+            if (this.requeueing.has(task.id) || ignored(task)) {
+                return;
+            }
+            this.clearTaskTimeout(task.id);
+            this.recordAttempt(task.id, { status: 'failed', error: error.message });
+            this.recordTask(task.id, record => ({
+                status: 'failed',
+                completedAt: new Date().toISOString(),
+                durationMs: record.startedAt ? Date.now() - Date.parse(record.startedAt) : undefined,
+                error: error.message
+            }));
+            this.logger.error(chalk.red(`❌ Failed: ${task.objective}`));
+            this.logger.error(chalk.red(`   Error: ${error.message}`));
+            this.retryTask(task);
+            if (this.repairTasks.has(task.id)) {
+                this.pendingWork.push(this.releaseRepair(task.id));
+            }
+            this.saveState('running');
+            this.checkSettled();
         });
         
-        this.orchestrator.on('qualityGateResult', ({ gate, result }) => {
-            const icon = result.status === 'pass' ? '✅' : '❌';
-            const color = result.status === 'pass' ? 'green' : 'red';
-            console.log(chalk[color](`   ${icon} Quality Gate: ${gate} - ${result.status}`));
+        this.orchestrator.on('qualityGateResult', ({ gate, result, task }) => {
+            if (ignored(task)) {
+                return;
+            }
+            const repair = task ? this.repairTasks.get(task.id) : undefined;
+            this.gateResults.push({
+                taskId: task ? task.id : null,
+                ...(repair ? { repairOf: repair.repairOf, iteration: repair.iteration } : {}),
+                gate,
+                status: result.status,
+                reason: result.reason,
+                issues: result.issues || [],
+                stats: result.stats,
+                duration: result.duration
+            });
+            
+            const icon = result.status === 'pass' ? '✅' : result.status === 'skipped' ? '⏭️ ' : '❌';
+            const color = result.status === 'pass' ? 'green' : result.status === 'skipped' ? 'yellow' : 'red';
+            this.logger.log(chalk[color](`   ${icon} Quality Gate: ${gate} - ${result.status}`));
+            
+            // Repair once all of the task's gates have reported, holding
+            // back its dependents before the orchestrator starts them
+            if (this.repairIterations && task && isFailing(result) && !this.repairChecks.has(task.id)) {
+                this.repairChecks.add(task.id);
+                this.holdForRepair(task.id);
+                this.pendingWork.push(new Promise(resolve => setImmediate(resolve)).then(() => this.repairTask(task.id)));
+            }
         });
         
-        if (!this.mockMode) {
+        if (this.mode !== 'mock') {
             this.orchestrator.on('costUpdate', ({ cost, total }) => {
-                console.log(chalk.yellow(`💰 Cost: +$${cost.toFixed(3)} (Total: $${total.toFixed(3)})`));
+                this.logger.log(chalk.yellow(`💰 Cost: +$${cost.toFixed(3)} (Total: $${total.toFixed(3)})`));
+            });
+        }
+    }
+    
+    /**
+     * Update the tracked record of a task with the fields returned by `update`
+     */
+    recordTask(taskId, update) {
+        const record = this.taskRecords.get(taskId) || { id: taskId, status: 'pending', attempts: 0, retries: 0 };
+        this.taskRecords.set(taskId, { ...record, ...update(record) });
+    }
+    
+    /**
+     * Account for a completed task's cost and apply the breach policy when
+     * it takes the task or its agent over a cap
+     */
+    checkCaps(task, result) {
+        const record = this.taskRecords.get(task.id);
+        if (!this.guard || !this.guard.enabled || !record) {
+            return;
+        }
+        
+        for (const breach of this.guard.record(task.id, record.agent, result.cost || 0)) {
+            this.applyBreach(task.id, breach);
+        }
+        this.screenTasks();
+    }
+    
+    /**
+     * Check the tasks that have not started against the caps, at the
+     * estimated cost of one attempt on their current model, and apply the
+     * breach policy before one that could go over a cap is dispatched
+     */
+    screenTasks() {
+        if (!this.guard || !this.guard.enabled) {
+            return;
+        }
+        
+        for (const id of this.unfinishedTasks()) {
+            const record = this.taskRecords.get(id);
+            const planned = this.plannedTask(id);
+            if (record.status !== 'pending' || this.requeueing.has(id) || this.noRetry.has(id) || !planned) {
+                continue;
+            }
+            const estimate = estimateTaskCost(planned.maxTokens, this.pricing[record.model]);
+            if (estimate === null) {
+                continue;
+            }
+            for (const breach of this.guard.admit(id, record.agent, estimate)) {
+                this.applyBreach(id, breach);
+            }
+        }
+    }
+    
+    /**
+     * Record a breach against the task that caused it and apply the policy
+     */
+    applyBreach(taskId, breach) {
+        const subject = breach.kind === 'task'
+            ? `Task ${breach.subject}`
+            : `Agent ${this.plan.agents.find(agent => agent.key === breach.subject).name}`;
+        const reason = breach.projected
+            ? `${subject} could exceed its $${breach.cap} budget cap`
+            : `${subject} exceeded its $${breach.cap} budget cap`;
+        
+        this.logger.warn(chalk.yellow(`💸 ${subject} ${breach.projected ? 'could spend up to' : 'spent'} ` +
+            `$${breach.spent.toFixed(3)}, over its $${breach.cap} cap (policy: ${this.guard.policy})`));
+        this.budgetBreaches.push({ ...breach, task: taskId, policy: this.guard.policy });
+        this.recordTask(taskId, () => ({ budgetBreach: reason }));
+        
+        if (this.guard.policy === 'abort') {
+            this.cancelTasks(this.unfinishedTasks(), `Aborted: ${reason}`);
+        } else if (this.guard.policy === 'downgrade') {
+            this.downgradeAgent(breach.agent, reason);
+        } else {
+            this.cancelTasks(this.breachedTasks(breach), `Skipped: ${reason}`);
+        }
+    }
+    
+    unfinishedTasks() {
+        return [...this.taskRecords.values()]
+            .filter(record => record.status === 'pending' || record.status === 'running')
+            .map(record => record.id);
+    }
+    
+    /**
+     * Tasks a breach puts off limits: the dependents of an over-cap task
+     * (and the task itself when it has not started), or the not yet started
+     * tasks of an over-cap agent and their dependents
+     */
+    breachedTasks(breach) {
+        const pending = this.unfinishedTasks().filter(id => this.taskRecords.get(id).status === 'pending');
+        const roots = breach.kind === 'task'
+            ? [breach.subject]
+            : pending.filter(id => this.taskRecords.get(id).agent === breach.agent);
+        const affected = new Set([
+            ...roots.filter(id => breach.projected || id !== breach.subject),
+            ...dependentsOf(this.plan.tasks, roots)
+        ]);
+        return pending.filter(id => affected.has(id));
+    }
+    
+    /**
+     * Cancel tasks through the orchestrator. One that cannot cancel tasks
+     * is abandoned instead and its unfinished tasks marked failed.
+     */
+    cancelTasks(ids, reason) {
+        if (ids.length === 0) {
+            return;
+        }
+        
+        if (typeof this.orchestrator.cancelTask !== 'function') {
+            this.logger.warn(chalk.yellow('   Orchestrator cannot cancel tasks; stopping the run'));
+            for (const id of this.unfinishedTasks()) {
+                this.recordTask(id, () => ({ status: 'failed', error: reason }));
+            }
+            this.stopped = true;
+            this.stopWaiting();
+            return;
+        }
+        
+        for (const id of ids) {
+            this.noRetry.add(id);
+            if (this.orchestrator.cancelTask(id, reason) === false) {
+                // Not in the orchestrator right now, e.g. waiting to be retried
+                this.requeueing.delete(id);
+                this.recordTask(id, () => ({ status: 'failed', error: reason }));
+            }
+        }
+    }
+    
+    /**
+     * Move an agent's not yet started tasks to a copy of the agent on the
+     * next cheaper model. Their pending dependents are re-queued with them
+     * so the dependency order holds.
+     */
+    downgradeAgent(agentKey, reason) {
+        const planned = this.plan.agents.find(agent => agent.key === agentKey);
+        const model = this.agents[agentKey].model || planned.spec.model;
+        const cheaper = cheaperModel(model, this.pricing);
+        const targets = this.breachedTasks({ kind: 'agent', agent: agentKey });
+        
+        if (targets.length === 0) {
+            this.logger.log(chalk.dim(`   ${planned.name} has no tasks left to downgrade`));
+            return;
+        }
+        if (!cheaper || typeof this.orchestrator.cancelTask !== 'function') {
+            this.logger.warn(chalk.yellow(`   No cheaper model than ${model}; skipping ${planned.name}'s remaining tasks`));
+            this.cancelTasks(targets, `Skipped: ${reason}`);
+            return;
+        }
+        
+        this.logger.log(chalk.yellow(`⬇️  Downgrading ${planned.name}: ${model} → ${cheaper}`));
+        const held = this.holdTasks(targets, `Re-queued: ${reason}`);
+        
+        this.pendingWork.push((async () => {
+            this.agents[agentKey] = await this.createAgent(planned.name, { ...planned.spec, model: cheaper });
+            
+            for (const task of this.plan.tasks.filter(t => t.agent === agentKey && held.includes(t.id))) {
+                this.recordTask(task.id, record => ({
+                    model: cheaper,
+                    downgradedFrom: record.downgradedFrom || record.model
+                }));
+            }
+            await this.queueHeld(held);
+            this.screenTasks();
+        })());
+    }
+    
+    /**
+     * Persist the task records to state.json so the session can be resumed
+     */
+    saveState(status) {
+        return saveSessionState(this.sessionDir, {
+            session: this.sessionName,
+            scenario: this.scenario,
+            mode: this.mode,
+            budget: this.budget,
+            requirements: this.requirementsPath,
+            status,
+            startedAt: this.startedAt,
+            tasks: [...this.taskRecords.values()]
+        });
+    }
+    
+    /**
+     * Update the latest attempt in a task's history
+     */
+    recordAttempt(taskId, fields) {
+        this.recordTask(taskId, record => {
+            const history = [...(record.history || [])];
+            const last = history.pop();
+            if (!last) {
+                return {};
+            }
+            return {
+                history: [...history, {
+                    ...last,
+                    ...fields,
+                    durationMs: Date.now() - Date.parse(last.startedAt)
+                }]
+            };
+        });
+    }
+    
+    /**
+     * Cancel a task that runs longer than its timeout, which counts as a
+     * failed attempt (and may be retried). One the orchestrator cannot
+     * cancel is abandoned instead.
+     */
+    startTaskTimeout(task) {
+        const planned = this.plannedTask(task.id);
+        if (!planned || !planned.timeout || this.mode === 'replay') {
+            return;
+        }
+        
+        this.clearTaskTimeout(task.id);
+        const limit = planned.timeout >= 1000 ? `${Math.round(planned.timeout / 1000)}s` : `${planned.timeout}ms`;
+        const timer = setTimeout(() => {
+            this.timeouts.delete(task.id);
+            if (!this.orchestrator) {
+                return;
+            }
+            if (typeof this.orchestrator.cancelTask === 'function') {
+                this.orchestrator.cancelTask(task.id, `Timed out after ${limit}`);
+            } else {
+                this.abandonTask(task, `Timed out after ${limit}`);
+            }
+        }, planned.timeout);
+        timer.unref();
+        this.timeouts.set(task.id, timer);
+    }
+    
+    clearTaskTimeout(taskId) {
+        clearTimeout(this.timeouts.get(taskId));
+        this.timeouts.delete(taskId);
+    }
+    
+    /**
+     * Fail a running task the orchestrator cannot cancel. It keeps running
+     * there, so it is not retried and whatever it reports later is ignored;
+     * its dependents, which the orchestrator would start on that late
+     * result, fail with it. The records are marked `abandoned`.
+     */
+    abandonTask(task, reason) {
+        if (this.abandoned.size === 0) {
+            this.logger.warn(chalk.yellow('⚠️  Orchestrator cannot cancel tasks; timed-out tasks are failed here ' +
+                'and their late results ignored'));
+        }
+        
+        const dependents = dependentsOf(this.plan.tasks, [task.id])
+            .filter(id => this.unfinishedTasks().includes(id));
+        for (const id of [task.id, ...dependents]) {
+            this.abandoned.add(id);
+            this.noRetry.add(id);
+            this.requeueing.delete(id);
+        }
+        
+        this.recordAttempt(task.id, { status: 'failed', error: reason });
+        this.recordTask(task.id, record => ({
+            status: 'failed',
+            completedAt: new Date().toISOString(),
+            durationMs: Date.now() - Date.parse(record.startedAt),
+            error: reason,
+            abandoned: true
+        }));
+        for (const id of dependents) {
+            this.recordTask(id, () => ({ status: 'failed', error: `Dependency ${task.id} failed: ${reason}`, abandoned: true }));
+        }
+        this.logger.error(chalk.red(`❌ Failed: ${task.objective}`));
+        this.logger.error(chalk.red(`   Error: ${reason}`));
+        this.saveState('running');
+        this.checkSettled();
+    }
+    
+    /**
+     * Apply the task's retry policy to a failed attempt: queue it again after
+     * the backoff, on the fallback agent or model once the primary has failed
+     * `fallbackAfter` times. Pending dependents are held back meanwhile.
+     * @returns {boolean} Whether the task will be retried
+     */
+    retryTask(task) {
+        const planned = this.plan.tasks.find(t => t.id === task.id);
+        const policy = planned && planned.retry;
+        const record = this.taskRecords.get(task.id);
+        
+        if (!policy || !this.orchestrator || this.mode === 'replay' || this.noRetry.has(task.id) ||
+            record.attempts > (policy.maxRetries || 0)) {
+            return false;
+        }
+        // A failed dependency is not fixed by trying again
+        if ((planned.dependencies || []).some(id => (this.taskRecords.get(id) || {}).status !== 'completed')) {
+            return false;
+        }
+        
+        const failures = record.attempts;
+        const delay = (policy.backoff || 0) * Math.pow(policy.backoffFactor || 2, failures - 1);
+        const fallback = policy.fallback &&
+            failures >= (policy.fallbackAfter || policy.maxRetries) ? policy.fallback : null;
+        const dependents = this.holdTasks(dependentsOf(this.plan.tasks, [task.id]), `Waiting for ${task.id} to be retried`);
+        
+        this.recordTask(task.id, () => ({ status: 'pending' }));
+        this.logger.log(chalk.yellow(`↻  Retrying ${task.id} in ${(delay / 1000).toFixed(1)}s ` +
+            `(attempt ${failures + 1} of ${(policy.maxRetries || 0) + 1})` +
+            (fallback ? ` on ${fallback.agent ? `agent ${fallback.agent}` : fallback.model}` : '')));
+        
+        this.pendingWork.push((async () => {
+            await new Promise(resolve => setTimeout(resolve, delay));
+            if (!this.orchestrator || this.noRetry.has(task.id)) {
+                return;
+            }
+            
+            const agent = fallback ? await this.fallbackAgent(planned, fallback) : this.agents[planned.agent];
+            const { agent: agentKey, ...taskSpec } = planned;
+            await this.orchestrator.queueTask({ ...this.orchestratorTask(agentKey, taskSpec), agentId: agent.id });
+            await this.queueHeld(dependents);
+        })());
+        return true;
+    }
+    
+    /**
+     * The agent a fallback names, or a copy of the task's agent on the
+     * fallback model
+     */
+    async fallbackAgent(planned, fallback) {
+        if (fallback.agent) {
+            return this.agents[fallback.agent];
+        }
+        
+        const key = `${planned.agent}@${fallback.model}`;
+        if (!this.fallbackAgents[key]) {
+            const definition = this.plan.agents.find(agent => agent.key === planned.agent);
+            this.fallbackAgents[key] = await this.createAgent(definition.name, { ...definition.spec, model: fallback.model });
+        }
+        return this.fallbackAgents[key];
+    }
+    
+    /**
+     * Queue a follow-up generation task for the agent whose output failed its
+     * quality gates, with the issues found and that output as context. The
+     * repair runs the same gates, and fails them again at most
+     * `repairIterations` times.
+     */
+    async repairTask(taskId) {
+        const failed = this.plannedTask(taskId);
+        const failures = this.gateResults.filter(result => result.taskId === taskId && isFailing(result));
+        if (!this.orchestrator || !failed || failures.length === 0) {
+            await this.releaseRepair(taskId);
+            return;
+        }
+        
+        const root = failed.repairOf ? this.plannedTask(failed.repairOf) : failed;
+        const iteration = (failed.iteration || 0) + 1;
+        if (iteration > this.repairIterations) {
+            this.logger.warn(chalk.yellow(`⚠️  ${root.id} still fails ${failures.map(r => r.gate).join(', ')} ` +
+                `after ${this.repairIterations} repair${this.repairIterations === 1 ? '' : 's'}`));
+            await this.releaseRepair(taskId);
+            return;
+        }
+        
+        const { agent, ...taskSpec } = buildRepairTask(root, iteration, this.repairIterations, {
+            dependsOn: taskId,
+            failures,
+            artifactDir: `${path.relative(process.cwd(), path.join(this.appDir, taskId))}/`
+        });
+        taskSpec.context = this.resolveContext(taskSpec.context);
+        this.repairTasks.set(taskSpec.id, { agent, ...taskSpec });
+        this.taskRecords.set(taskSpec.id, {
+            id: taskSpec.id,
+            type: taskSpec.type,
+            objective: taskSpec.objective,
+            agent,
+            model: this.agents[agent].model || this.plan.agents.find(a => a.key === agent).spec.model,
+            status: 'pending',
+            attempts: 0,
+            retries: 0,
+            repairOf: root.id,
+            iteration
+        });
+        
+        const issues = failures.reduce((total, result) => total + countIssues(result), 0);
+        this.logger.log(chalk.yellow(`🔧 Repairing ${root.id}: ${issues} issue${issues === 1 ? '' : 's'} ` +
+            `(iteration ${iteration} of ${this.repairIterations})`));
+        await this.orchestrator.queueTask({ ...taskSpec, agentId: this.agents[agent].id });
+    }
+    
+    /**
+     * The id of the planned task a task repairs, or its own
+     */
+    repairRoot(taskId) {
+        const planned = this.plannedTask(taskId);
+        return planned && planned.repairOf ? planned.repairOf : taskId;
+    }
+    
+    /**
+     * Hold the pending dependents of a task whose gates failed until its
+     * repairs are done (see releaseRepair()), like retryTask() does. An
+     * orchestrator that cannot cancel them starts them on the unrepaired
+     * output, and a replay runs them as recorded.
+     */
+    holdForRepair(taskId) {
+        const rootId = this.repairRoot(taskId);
+        if (this.repairHeld.has(rootId) || this.mode === 'replay' || typeof this.orchestrator.cancelTask !== 'function') {
+            return;
+        }
+        this.repairHeld.set(rootId, this.holdTasks(dependentsOf(this.plan.tasks, [rootId]), `Waiting for ${rootId} to be repaired`));
+    }
+    
+    /**
+     * Queue the dependents held for a task's repairs again, once the last
+     * repair passed, failed or was not run
+     */
+    async releaseRepair(taskId) {
+        const rootId = this.repairRoot(taskId);
+        const held = this.repairHeld.get(rootId);
+        this.repairHeld.delete(rootId);
+        if (held) {
+            await this.queueHeld(held);
+        }
+    }
+    
+    /**
+     * The planned task, or the repair task, with the given id
+     */
+    plannedTask(taskId) {
+        return this.plan.tasks.find(task => task.id === taskId) || this.repairTasks.get(taskId);
+    }
+    
+    /**
+     * Take pending tasks out of the orchestrator so they can be queued
+     * again later with queueHeld(), without counting as failures. An
+     * orchestrator that cannot cancel them fails them itself once the task
+     * they wait for failed; those failures are ignored the same way.
+     * @returns {string[]} The ids held
+     */
+    holdTasks(ids, reason) {
+        const held = ids.filter(id => (this.taskRecords.get(id) || {}).status === 'pending');
+        for (const id of held) {
+            this.requeueing.add(id);
+            if (typeof this.orchestrator.cancelTask === 'function') {
+                this.orchestrator.cancelTask(id, reason);
+            }
+        }
+        return held;
+    }
+    
+    /**
+     * Queue held tasks again, in plan order, unless the run was aborted meanwhile
+     */
+    async queueHeld(ids) {
+        for (const { agent, ...taskSpec } of this.plan.tasks.filter(task => ids.includes(task.id))) {
+            if (this.orchestrator && !this.noRetry.has(taskSpec.id)) {
+                await this.orchestrator.queueTask(this.orchestratorTask(agent, taskSpec));
+            }
+            this.requeueing.delete(taskSpec.id);
+        }
+    }
+    
+    /**
+     * Write a completed task's output as files so dependent tasks and
+     * the user can work with real project trees
+     */
+    materialize(task, result) {
+        const planned = this.plannedTask(task.id) || task;
+        
+        try {
+            const persisted = typeof result.output === 'string'
+                ? result
+                : loadTaskResult(this.sessionDir, task.id);
+            const tree = materializeTask(planned, persisted, { root: this.appDir });
+            this.materialized[task.id] = tree;
+            
+            if (this.verbose) {
+                this.logger.log(chalk.dim(`   📄 Wrote ${tree.files.length} files to ${path.relative(process.cwd(), tree.dir)}`));
+            }
+            if (tree.files.includes('src/app.js')) {
+                this.writeApiSpec(planned, tree);
+            }
+        } catch (error) {
+            this.logger.warn(chalk.yellow(`   ⚠️  Could not materialize ${task.id}: ${error.message}`));
+        }
+    }
+    
+    /**
+     * Derive the OpenAPI document of a generated Express app and write it
+     * next to the app, where dependent tasks (the frontend) expect it
+     */
+    writeApiSpec(task, tree) {
+        const written = writeOpenApi(tree.dir, { title: `${this.plan.name} API`, description: task.objective });
+        if (!tree.files.includes(SPEC_FILE)) {
+            tree.files.push(SPEC_FILE);
+        }
+        
+        this.apiSpec = {
+            taskId: task.id,
+            path: written.path,
+            operations: written.operations,
+            errors: written.errors
+        };
+        
+        const relative = path.relative(process.cwd(), written.path);
+        if (written.errors.length > 0) {
+            this.logger.warn(chalk.yellow(`   ⚠️  ${relative} is not a valid OpenAPI document:`));
+            for (const error of written.errors) {
+                this.logger.warn(chalk.yellow(`      - ${error}`));
+            }
+        } else {
+            this.logger.log(chalk.dim(`   📜 OpenAPI spec: ${relative} (${written.operations} operations)`));
+        }
+    }
+    
+    /**
+     * Load the generated app in-process, run its generated test suite and
+     * smoke-test the endpoints from the requirements analysis
+     */
+    async verifyArtifacts() {
+        const trees = Object.values(this.materialized);
+        // The latest repair of the app, if it was repaired
+        const api = [...trees].reverse().find(tree => tree.files.includes('src/app.js'));
+        const tests = trees.find(tree => tree !== api && tree.files.some(file => file.startsWith('test/')));
+        const spec = trees.find(tree => tree.files.includes('analysis.md'));
+        
+        const spinner = this.logger.spinner('Verifying generated API...').start();
+        
+        if (!api) {
+            this.verification = { status: 'skipped', reason: 'no generated Express app', endpoints: [], tests: [] };
+        } else {
+            this.verification = await verifyGeneratedApi({
+                apiDir: api.dir,
+                testDir: tests ? tests.dir : null,
+                specPath: spec ? path.join(spec.dir, 'analysis.md') : null,
+                openApiPath: api.files.includes(SPEC_FILE) ? path.join(api.dir, SPEC_FILE) : null,
+                requirements: this.requirements
             });
         }
+        
+        const { status, reason } = this.verification;
+        const message = `Verification ${status}${reason ? `: ${reason}` : ''}`;
+        if (status === 'passed') {
+            spinner.succeed(message);
+        } else if (status === 'skipped') {
+            spinner.warn(message);
+        } else {
+            spinner.fail(message);
+        }
     }
     
-    displayResults() {
-        const report = this.orchestrator.getFinalReport();
+    displayVerification() {
+        const { endpoints, tests, contract = [] } = this.verification;
         
-        console.log(chalk.bold.cyan('\n📊 Final Report\n'));
+        if (endpoints.length > 0) {
+            this.logger.log('\n🔌 Endpoints:');
+            for (const endpoint of endpoints) {
+                const line = `   ${endpoint.passed ? '✅' : '❌'} ${endpoint.method} ${endpoint.path}` +
+                    (endpoint.status ? ` → ${endpoint.status}` : '') +
+                    (endpoint.error ? chalk.dim(` (${endpoint.error})`) : '');
+                this.logger.log(line);
+            }
+        }
+        
+        if (tests.length > 0) {
+            const passed = tests.filter(test => test.passed).length;
+            this.logger.log(`\n🧪 Generated tests: ${passed}/${tests.length} passed`);
+            for (const test of tests.filter(t => !t.passed)) {
+                this.logger.log(chalk.red(`   ❌ ${test.title}`) + chalk.dim(` (${test.error})`));
+            }
+        }
+        
+        if (contract.length > 0) {
+            const passed = contract.filter(check => check.passed).length;
+            this.logger.log(`\n📜 Contract tests: ${passed}/${contract.length} passed`);
+            for (const check of contract.filter(c => !c.passed)) {
+                this.logger.log(chalk.red(`   ❌ ${check.method} ${check.path} [${check.check}]`) + chalk.dim(` (${check.error})`));
+            }
+        }
+    }
+    
+    /**
+     * Build the run report and write it to the session directory
+     */
+    buildReport() {
+        // Totals include what the resumed session already spent
+        const orchestratorReport = { ...this.orchestrator.getFinalReport() };
+        if (this.resumed) {
+            orchestratorReport.totalCost = (orchestratorReport.totalCost || 0) + this.resumed.cost;
+            orchestratorReport.totalTokens = (orchestratorReport.totalTokens || 0) + this.resumed.tokens;
+        }
+        
+        const report = buildRunReport({
+            session: this.sessionName,
+            plan: this.plan,
+            mode: this.mode,
+            budget: this.budget,
+            startedAt: this.startedAt,
+            finishedAt: new Date().toISOString(),
+            tasks: [...this.taskRecords.values()],
+            qualityGates: this.gateResults,
+            verification: this.verification,
+            orchestratorReport,
+            estimate: this.estimate,
+            budgetBreaches: this.budgetBreaches,
+            apiSpec: this.apiSpec,
+            resumedFrom: this.resumed
+                ? { session: this.resumed.session, tasks: this.resumed.completed.map(result => result.taskId) }
+                : null,
+            artifacts: {
+                sessionDir: this.sessionDir,
+                dashboard: this.dashboardUrl,
+                cassette: this.cassettePath,
+                trees: Object.values(this.materialized)
+                    .map(({ taskId, dir, files }) => ({ taskId, dir, files }))
+            }
+        });
+        
+        writeRunReport(report, this.sessionDir, this.reportFormats);
+        this.saveState('finished');
+        this.indexRun(runEntry(report, this.artifactsRoot));
+        this.report = report;
+        return report;
+    }
+    
+    /**
+     * Add the run to the run index (see src/history.js). Entries for runs
+     * that did not finish only carry their status.
+     */
+    indexRun(entry) {
+        // Failing while shutting down after Ctrl+C does not make it an error run
+        if (!this.runId || this.indexedStatus === 'interrupted') {
+            return;
+        }
+        this.indexedStatus = entry.status;
+        try {
+            appendRun(this.artifactsRoot, {
+                id: this.runId,
+                scenario: this.scenario,
+                mode: this.mode,
+                startedAt: this.startedAt,
+                finishedAt: new Date().toISOString(),
+                sessionDir: path.relative(this.artifactsRoot, this.sessionDir),
+                ...entry
+            });
+        } catch (error) {
+            this.logger.warn(chalk.yellow(`⚠️  Could not update the run index: ${error.message}`));
+        }
+    }
+    
+    displayResults(report) {
+        this.logger.log(chalk.bold.cyan('\n📊 Final Report\n'));
         
         // Success status
-        const success = report.tasksCompleted === report.totalTasks;
+        const success = report.success;
         const statusIcon = success ? '✅' : '❌';
         const statusColor = success ? 'green' : 'red';
         
-        console.log(chalk[statusColor](`${statusIcon} Status: ${success ? 'SUCCESS' : 'FAILED'}`));
-        console.log(`📋 Tasks: ${report.tasksCompleted}/${report.totalTasks} completed`);
+        this.logger.log(chalk[statusColor](`${statusIcon} Status: ${success ? 'SUCCESS' : `FAILED (${report.verdict})`}`));
+        this.logger.log(`📋 Tasks: ${report.totals.completed}/${report.totals.tasks} completed`);
         
-        if (!this.mockMode) {
-            console.log(`💰 Total Cost: $${report.totalCost.toFixed(2)}`);
-            console.log(`🔤 Tokens Used: ${report.totalTokens.toLocaleString()}`);
+        if (this.mode !== 'mock') {
+            this.logger.log(`💰 Total Cost: $${report.totals.cost.toFixed(2)}`);
+            this.logger.log(`🔤 Tokens Used: ${report.totals.tokens.toLocaleString()}`);
         }
         
-        console.log(`⏱  Duration: ${Math.round(report.duration / 1000)}s`);
+        this.logger.log(`⏱  Duration: ${Math.round(report.durationMs / 1000)}s`);
+        
+        if (report.totals.gatesFailed > 0) {
+            this.logger.log(chalk.red(`❌ Quality gates failed: ${report.totals.gatesFailed}/${report.qualityGates.length}`));
+        }
+        if (report.totals.gatesSkipped > 0) {
+            this.logger.log(chalk.yellow(`⏭️  Quality gates skipped: ${report.totals.gatesSkipped}/${report.qualityGates.length}`));
+        }
+        this.logger.log(chalk.dim(`📝 Report: ${path.relative(process.cwd(), report.artifacts.reports.json)}`));
+        this.logger.log(chalk.dim(`🌐 HTML report: ${path.relative(process.cwd(), report.artifacts.reports.html)}`));
+        
+        if (this.verification) {
+            this.logger.log(`🔍 Verification: ${this.verification.status}`);
+            this.displayVerification();
+        }
         
         if (success) {
-            console.log(chalk.bold.green('\n🎉 Success! TODO app has been generated.\n'));
-            console.log('📁 Generated artifacts:');
-            console.log('   .repochief/artifacts/comprehend-todo-api/    - Requirements analysis');
-            console.log('   .repochief/artifacts/generate-todo-api/     - Backend API code');
-            console.log('   .repochief/artifacts/test-todo-api/         - Test suite');
+            this.logger.log(chalk.bold.green(`\n🎉 Success! ${this.requirements.name} app has been generated.\n`));
+            this.logger.log('📁 Generated artifacts:');
+            for (const tree of Object.values(this.materialized)) {
+                this.logger.log(`   ${path.relative(process.cwd(), tree.dir)}/ - ${tree.files.length} files`);
+            }
             
-            if (this.scenario !== 'basic') {
-                console.log('   .repochief/artifacts/validate-todo-api/     - Quality report');
-                console.log('   .repochief/artifacts/generate-todo-frontend/ - React frontend');
+            if (this.dashboardUrl) {
+                this.logger.log(`\n🌐 Dashboard: ${this.dashboardUrl}`);
             }
             
-            console.log('\n🌐 Dashboard: http://localhost:3456/dashboard');
-            console.log('\n💡 Next steps:');
-            console.log('   1. cd .repochief/artifacts/generate-todo-api');
-            console.log('   2. npm install');
-            console.log('   3. npm start');
+            const app = Object.values(this.materialized).find(tree => tree.startable);
+            if (app) {
+                this.logger.log('\n💡 Next steps:');
+                this.logger.log(`   1. cd ${path.relative(process.cwd(), app.dir)}`);
+                this.logger.log('   2. npm install');
+                this.logger.log('   3. npm start');
+            }
         }
         
-        console.log(chalk.dim('\n📌 Press Ctrl+C to stop the demo and dashboard.\n'));
+        if (this.dashboardUrl) {
+            this.logger.log(chalk.dim('\n📌 Press Ctrl+C to stop the demo and dashboard.\n'));
+        }
     }
     
-    async cleanup() {
-        try {
-            // Shutdown orchestrator
-            if (this.orchestrator) {
-                await this.orchestrator.shutdown();
+    /**
+     * Handle Ctrl+C: flush the partial state (and cassette) so the session
+     * can be resumed, then clean up
+     * @returns {Promise<string|null>} The state file, if one was written
+     */
+    async interrupt() {
+        let statePath = null;
+        
+        if (this.startedAt && this.plan) {
+            for (const record of this.taskRecords.values()) {
+                if (record.status === 'running') {
+                    this.recordTask(record.id, () => ({ status: 'interrupted' }));
+                }
             }
-            
-            // Stop API server
-            if (this.api && this.api.stop) {
-                await this.api.stop();
+            statePath = this.saveState('interrupted');
+            this.indexRun({ status: 'interrupted' });
+            if (this.recorder) {
+                this.saveCassette();
             }
-            
-            // Exit cleanly
-            setTimeout(() => {
-                process.exit(0);
-            }, 500);
-        } catch (error) {
-            console.error('Cleanup error:', error);
-            process.exit(1);
+        }
+        
+        await this.cleanup();
+        return statePath;
+    }
+    
+    /**
+     * Stop the orchestrator and dashboard. Safe to call more than once.
+     */
+    async cleanup() {
+        this.stopTerminalDashboard();
+        
+        const orchestrator = this.orchestrator;
+        const api = this.api;
+        this.orchestrator = null;
+        this.api = null;
+        
+        for (const taskId of [...this.timeouts.keys()]) {
+            this.clearTaskTimeout(taskId);
+        }
+        
+        // Shutdown orchestrator
+        if (orchestrator) {
+            await orchestrator.shutdown();
+        }
+        
+        // Stop API server
+        if (api && api.stop) {
+            await api.stop();
         }
     }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-    console.log(chalk.yellow('\n\n👋 Shutting down RepoChief demo...'));
-    process.exit(0);
-});
-
-// Parse command line options
-const options = {
-    scenario: process.env.DEMO_SCENARIO || 'basic',
-    mockMode: process.env.MOCK_MODE === 'true',
-    budget: parseInt(process.env.DEMO_BUDGET) || 10,
-    verbose: process.argv.includes('--verbose')
-};
+module.exports = TodoDemoRunner;
 
-// Run the demo
-const runner = new TodoDemoRunner(options);
-runner.run().catch(console.error);
\ No newline at end of file
+// Run the CLI when executed directly, e.g. `node src/run-demo.js --help`
+if (require.main === module) {
+    const { main, reportFailure } = require('./cli');
+    main().catch(error => reportFailure(error));
+}
@@ -0,0 +1,314 @@
+/**
+ * Scenario Validator
+ * Checks a scenario's agents and task graph before anything is queued.
+ * See docs/SCENARIO_SCHEMA.md for the format.
+ */
+
+const { ScenarioConfigError } = require('./errors');
+const { BREACH_POLICIES } = require('./budget');
+const { featureTasks, linkOptionalDependencies } = require('./scenarios');
+
+const TASK_TYPES = ['comprehension', 'generation', 'validation'];
+
+function isStringArray(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+function isPlaceholder(value) {
+    return typeof value === 'string' && /^\{\{\w+\}\}$/.test(value);
+}
+
+function validateAgents(scenario, basePath, templates, issues) {
+    const agents = scenario.agents;
+    if (!agents || typeof agents !== 'object' || Object.keys(agents).length === 0) {
+        issues.push({ path: `${basePath}.agents`, message: 'must define at least one agent' });
+        return;
+    }
+
+    for (const [key, agent] of Object.entries(agents)) {
+        const agentPath = `${basePath}.agents.${key}`;
+
+        if (!agent || typeof agent !== 'object') {
+            issues.push({ path: agentPath, message: 'must be an object' });
+            continue;
+        }
+        if (agent.template !== undefined && !templates[agent.template]) {
+            issues.push({
+                path: `${agentPath}.template`,
+                message: `unknown AgentTemplates name "${agent.template}" ` +
+                    `(expected one of: ${Object.keys(templates).join(', ')})`
+            });
+        }
+        if (agent.template === undefined && typeof agent.role !== 'string') {
+            issues.push({ path: agentPath, message: 'needs either a "template" or a "role"' });
+        }
+        if (agent.maxConcurrentTasks !== undefined &&
+            !(Number.isInteger(agent.maxConcurrentTasks) && agent.maxConcurrentTasks > 0)) {
+            issues.push({ path: `${agentPath}.maxConcurrentTasks`, message: 'must be a positive integer' });
+        }
+    }
+}
+
+/**
+ * @returns {boolean} Whether the entry is an object, so its fields were checked
+ */
+function validateTask(task, taskPath, scenario, issues) {
+    if (!task || typeof task !== 'object') {
+        issues.push({ path: taskPath, message: 'must be an object' });
+        return false;
+    }
+
+    if (typeof task.id !== 'string' || task.id === '') {
+        issues.push({ path: `${taskPath}.id`, message: 'must be a non-empty string' });
+    }
+    if (!TASK_TYPES.includes(task.type)) {
+        issues.push({
+            path: `${taskPath}.type`,
+            message: `must be one of ${TASK_TYPES.join(', ')} (got ${JSON.stringify(task.type)})`
+        });
+    }
+    if (typeof task.objective !== 'string' || task.objective === '') {
+        issues.push({ path: `${taskPath}.objective`, message: 'must be a non-empty string' });
+    }
+    if (!scenario.agents || !scenario.agents[task.agent]) {
+        issues.push({ path: `${taskPath}.agent`, message: `unknown agent role "${task.agent}"` });
+    }
+
+    const limitsKey = task.limits || task.type;
+    if (task.limits !== undefined && !(scenario.limits && scenario.limits[limitsKey])) {
+        issues.push({ path: `${taskPath}.limits`, message: `no limits entry named "${limitsKey}"` });
+    }
+    if (task.retry !== undefined) {
+        validateRetry(task.retry, `${taskPath}.retry`, scenario, issues);
+    }
+
+    for (const field of ['dependencies', 'after', 'context', 'specificChecks', 'qualityGates']) {
+        if (task[field] !== undefined && !isStringArray(task[field])) {
+            issues.push({ path: `${taskPath}.${field}`, message: 'must be an array of strings' });
+        }
+    }
+    if (task.successCriteria !== undefined &&
+        !isStringArray(task.successCriteria) && !isPlaceholder(task.successCriteria)) {
+        issues.push({
+            path: `${taskPath}.successCriteria`,
+            message: 'must be an array of strings or a {{placeholder}}'
+        });
+    }
+    return true;
+}
+
+function validateRetry(retry, retryPath, scenario, issues) {
+    if (!retry || typeof retry !== 'object') {
+        issues.push({ path: retryPath, message: 'must be an object' });
+        return;
+    }
+
+    if (retry.maxRetries !== undefined && !(Number.isInteger(retry.maxRetries) && retry.maxRetries >= 0)) {
+        issues.push({ path: `${retryPath}.maxRetries`, message: 'must be a non-negative integer' });
+    }
+    if (retry.backoff !== undefined && !(typeof retry.backoff === 'number' && retry.backoff >= 0)) {
+        issues.push({ path: `${retryPath}.backoff`, message: 'must be a non-negative number of milliseconds' });
+    }
+    if (retry.backoffFactor !== undefined && !(typeof retry.backoffFactor === 'number' && retry.backoffFactor >= 1)) {
+        issues.push({ path: `${retryPath}.backoffFactor`, message: 'must be a number of at least 1' });
+    }
+    if (retry.fallbackAfter !== undefined && !(Number.isInteger(retry.fallbackAfter) && retry.fallbackAfter > 0)) {
+        issues.push({ path: `${retryPath}.fallbackAfter`, message: 'must be a positive integer' });
+    }
+
+    const fallback = retry.fallback;
+    if (fallback === undefined) {
+        return;
+    }
+    if (!fallback || (typeof fallback.agent !== 'string' && typeof fallback.model !== 'string')) {
+        issues.push({ path: `${retryPath}.fallback`, message: 'must name an "agent" or a "model"' });
+    } else if (fallback.agent !== undefined && !(scenario.agents && scenario.agents[fallback.agent])) {
+        issues.push({ path: `${retryPath}.fallback.agent`, message: `unknown agent role "${fallback.agent}"` });
+    }
+}
+
+function validateBudget(budget, basePath, issues) {
+    if (!budget || typeof budget !== 'object') {
+        issues.push({ path: `${basePath}.budget`, message: 'must be an object' });
+        return;
+    }
+
+    for (const field of ['perTask', 'perAgent']) {
+        if (budget[field] !== undefined && !(typeof budget[field] === 'number' && budget[field] > 0)) {
+            issues.push({ path: `${basePath}.budget.${field}`, message: 'must be a positive number (USD)' });
+        }
+    }
+    if (budget.onBreach !== undefined && !BREACH_POLICIES.includes(budget.onBreach)) {
+        issues.push({
+            path: `${basePath}.budget.onBreach`,
+            message: `must be one of ${BREACH_POLICIES.join(', ')} (got ${JSON.stringify(budget.onBreach)})`
+        });
+    }
+}
+
+/**
+ * Find a dependency cycle, returning the ids along it or null
+ */
+function findCycle(tasks) {
+    const byId = new Map(tasks.map(task => [task.id, task]));
+    const state = new Map();
+    const stack = [];
+
+    const visit = (id) => {
+        state.set(id, 'visiting');
+        stack.push(id);
+
+        for (const dep of byId.get(id).dependencies || []) {
+            if (!byId.has(dep)) {
+                continue;
+            }
+            if (state.get(dep) === 'visiting') {
+                return [...stack.slice(stack.indexOf(dep)), dep];
+            }
+            if (!state.has(dep)) {
+                const cycle = visit(dep);
+                if (cycle) {
+                    return cycle;
+                }
+            }
+        }
+
+        stack.pop();
+        state.set(id, 'done');
+        return null;
+    };
+
+    for (const task of tasks) {
+        if (!state.has(task.id)) {
+            const cycle = visit(task.id);
+            if (cycle) {
+                return cycle;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Check the task graph: the scenario's tasks plus those its enabled features
+ * add, each reported under the config path it was written at
+ */
+function validateTasks(config, scenario, basePath, features, issues) {
+    if (!Array.isArray(scenario.tasks) || scenario.tasks.length === 0) {
+        issues.push({ path: `${basePath}.tasks`, message: 'must be a non-empty array' });
+        return;
+    }
+
+    const entries = [
+        ...scenario.tasks.map((task, index) => ({ task, path: `${basePath}.tasks[${index}]` })),
+        ...featureTasks(config, features)
+            .map(({ feature, index, task }) => ({ task, path: `featureTasks.${feature}.tasks[${index}]` }))
+    ];
+
+    const ids = new Set();
+    entries.forEach(({ task, path: taskPath }) => {
+        if (!validateTask(task, taskPath, scenario, issues)) {
+            return;
+        }
+
+        if (ids.has(task.id)) {
+            issues.push({ path: `${taskPath}.id`, message: `duplicate task id "${task.id}"` });
+        }
+        ids.add(task.id);
+    });
+
+    entries.forEach(({ task, path: taskPath }) => {
+        if (!task || !isStringArray(task.dependencies)) {
+            return;
+        }
+        task.dependencies.forEach((dep, depIndex) => {
+            const depPath = `${taskPath}.dependencies[${depIndex}]`;
+            if (dep === task.id) {
+                issues.push({ path: depPath, message: 'task cannot depend on itself' });
+            } else if (!ids.has(dep)) {
+                issues.push({ path: depPath, message: `unknown task id "${dep}"` });
+            }
+        });
+    });
+
+    const wellFormed = entries.map(entry => entry.task).filter(task => task && typeof task.id === 'string');
+    const cycle = findCycle(linkOptionalDependencies(wellFormed.map(task => ({
+        id: task.id,
+        dependencies: isStringArray(task.dependencies) ? task.dependencies.filter(dep => dep !== task.id) : [],
+        after: isStringArray(task.after) ? task.after.filter(dep => dep !== task.id) : undefined
+    }))));
+    if (cycle) {
+        issues.push({ path: `${basePath}.tasks`, message: `dependency cycle ${cycle.join(' -> ')}` });
+    }
+}
+
+/**
+ * Check the shape of config.featureTasks
+ * @returns {boolean} Whether every entry is well-formed
+ */
+function validateFeatureTasks(config, issues) {
+    const before = issues.length;
+    for (const [feature, entry] of Object.entries(config.featureTasks || {})) {
+        const entryPath = `featureTasks.${feature}`;
+        if (!entry || typeof entry !== 'object' || !Array.isArray(entry.tasks)) {
+            issues.push({ path: `${entryPath}.tasks`, message: 'must be an array' });
+        } else if (entry.unless !== undefined && !Array.isArray(entry.unless)) {
+            issues.push({ path: `${entryPath}.unless`, message: 'must be an array of flag values' });
+        }
+    }
+    return issues.length === before;
+}
+
+/**
+ * Validate one scenario from the parsed config
+ * @param {Object} config - Parsed scenarios/config.json
+ * @param {string} scenarioId - Key under config.scenarios
+ * @param {Object} options
+ * @param {Object} options.templates - AgentTemplates from repochief-core
+ * @param {Object} [options.features] - Feature flags, defaulting to the
+ *   scenario's; the tasks of enabled features are checked too
+ * @throws {ScenarioConfigError} listing every problem found
+ */
+function validateScenario(config, scenarioId, { templates = {}, features } = {}) {
+    const basePath = `scenarios.${scenarioId}`;
+    const scenario = config.scenarios && config.scenarios[scenarioId];
+    const issues = [];
+
+    if (!scenario) {
+        issues.push({ path: basePath, message: 'scenario is not defined' });
+    } else {
+        validateAgents(scenario, basePath, templates, issues);
+        // Malformed feature entries are reported once; their tasks are not checked
+        const featuresValid = validateFeatureTasks(config, issues);
+        validateTasks(config, scenario, basePath, featuresValid ? features || scenario.features : {}, issues);
+        if (scenario.features !== undefined && (!scenario.features || typeof scenario.features !== 'object')) {
+            issues.push({ path: `${basePath}.features`, message: 'must be an object' });
+        }
+
+        if (scenario.qualityGates !== undefined && !isStringArray(scenario.qualityGates)) {
+            issues.push({ path: `${basePath}.qualityGates`, message: 'must be an array of strings' });
+        }
+        for (const [name, limits] of Object.entries(scenario.limits || {})) {
+            if (limits && limits.retry !== undefined) {
+                validateRetry(limits.retry, `${basePath}.limits.${name}.retry`, scenario, issues);
+            }
+        }
+        if (scenario.budget !== undefined) {
+            validateBudget(scenario.budget, basePath, issues);
+        }
+    }
+
+    if (issues.length > 0) {
+        const details = issues.map(issue => `  - ${issue.path}: ${issue.message}`).join('\n');
+        throw new ScenarioConfigError(
+            `Invalid scenario "${scenarioId}" in config.json:\n${details}`,
+            issues
+        );
+    }
+}
+
+module.exports = {
+    TASK_TYPES,
+    findCycle,
+    validateScenario
+};
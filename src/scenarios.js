@@ -0,0 +1,238 @@
+/**
+ * Scenario Loader
+ * Resolves scenarios/config.json into the agents and tasks the demo runner
+ * hands to the orchestrator
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ScenarioConfigError } = require('./errors');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'scenarios', 'config.json');
+
+// Task fields passed through to the orchestrator untouched
+const TASK_FIELDS = [
+    'id',
+    'type',
+    'objective',
+    'description',
+    'dependencies',
+    'context',
+    'successCriteria',
+    'specificChecks'
+];
+
+/**
+ * Read the scenario configuration file
+ * @throws {ScenarioConfigError} when it cannot be read or is not JSON
+ */
+function loadConfig(configPath = DEFAULT_CONFIG_PATH) {
+    const source = path.relative(process.cwd(), configPath) || configPath;
+    try {
+        return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        throw new ScenarioConfigError(`Cannot read scenario config ${source}: ${error.message}`);
+    }
+}
+
+/**
+ * List scenarios as { id, name, description } entries
+ */
+function listScenarios(config) {
+    return Object.entries(config.scenarios).map(([id, scenario]) => ({
+        id,
+        name: scenario.name,
+        description: scenario.description
+    }));
+}
+
+/**
+ * Replace "{{name}}" placeholders with the value produced by resolvers[name].
+ * Lets config.json reference prose the runner builds at runtime. A value
+ * that is a single placeholder takes the resolver's value as is (e.g. an
+ * array of criteria); placeholders inside a longer string are replaced by
+ * their text.
+ */
+function expandPlaceholder(value, resolvers = {}) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    const resolve = name => {
+        const resolver = resolvers[name];
+        if (!resolver) {
+            throw new Error(`No resolver for placeholder "{{${name}}}"`);
+        }
+        return resolver();
+    };
+
+    const match = value.match(/^\{\{(\w+)\}\}$/);
+    if (match) {
+        return resolve(match[1]);
+    }
+    return value.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => String(resolve(name)));
+}
+
+/**
+ * Build the agent definition passed to orchestrator.createAgent()
+ */
+function resolveAgent(key, definition, templates) {
+    const { name, template, ...overrides } = definition;
+    const base = template ? templates[template] : {};
+
+    return {
+        key,
+        name: name || key,
+        template: template || null,
+        spec: {
+            ...base,
+            ...overrides
+        }
+    };
+}
+
+/**
+ * Build the task spec for one config entry, applying the token limit,
+ * timeout and quality gates inherited from the scenario
+ */
+function resolveTask(task, scenario, resolvers) {
+    const profile = task.limits || task.type;
+    const limits = (scenario.limits || {})[profile] || {};
+    const resolved = { agent: task.agent, profile };
+
+    for (const field of TASK_FIELDS) {
+        if (task[field] !== undefined) {
+            resolved[field] = expandPlaceholder(task[field], resolvers);
+        }
+    }
+
+    resolved.maxTokens = task.maxTokens !== undefined ? task.maxTokens : limits.maxTokens;
+    resolved.timeout = task.timeout !== undefined ? task.timeout : limits.timeout;
+    if (task.retry || limits.retry) {
+        resolved.retry = task.retry || limits.retry;
+    }
+
+    // Validation tasks run the scenario-wide gates unless they name their own
+    const gates = task.qualityGates || (task.type === 'validation' ? scenario.qualityGates : null);
+    if (gates && gates.length > 0) {
+        resolved.qualityGates = gates;
+    }
+
+    return resolved;
+}
+
+/**
+ * The tasks the enabled features add, from config.featureTasks. A feature
+ * is enabled when its flag is set to anything but false, unless its value
+ * is listed in the entry's `unless` (a "memory" database needs no
+ * migrations).
+ * @param {Object} config - Parsed scenarios/config.json
+ * @param {Object} features - Feature flags, e.g. { database: 'postgresql' }
+ * @returns {Object[]} [{ feature, index, task }] in config order
+ */
+function featureTasks(config, features = {}) {
+    return Object.entries(config.featureTasks || {})
+        .filter(([feature, entry]) => {
+            const value = features[feature];
+            return value !== undefined && value !== null && value !== false &&
+                !(Array.isArray(entry.unless) && entry.unless.includes(value));
+        })
+        .flatMap(([feature, entry]) => (entry.tasks || []).map((task, index) => ({ feature, index, task })));
+}
+
+/**
+ * Add each task's `after` ids that are in the list to its dependencies, so
+ * feature tasks can order themselves after other optional tasks
+ */
+function linkOptionalDependencies(tasks) {
+    const ids = new Set(tasks.map(task => task && task.id));
+    return tasks.map(task => {
+        if (!task || !Array.isArray(task.after)) {
+            return task;
+        }
+        const after = task.after.filter(id => ids.has(id) && !(task.dependencies || []).includes(id));
+        return { ...task, dependencies: [...(task.dependencies || []), ...after] };
+    });
+}
+
+/**
+ * The scenario's tasks followed by those of its enabled features
+ * @param {Object} config - Parsed scenarios/config.json
+ * @param {string} scenarioId - Key under config.scenarios
+ * @param {Object} [features] - Defaults to the scenario's `features`
+ */
+function scenarioTasks(config, scenarioId, features) {
+    const scenario = config.scenarios[scenarioId];
+    return linkOptionalDependencies([
+        ...(scenario.tasks || []),
+        ...featureTasks(config, features || scenario.features).map(entry => entry.task)
+    ]);
+}
+
+/**
+ * Resolve a scenario into the agents and tasks to create
+ * @param {Object} config - Parsed scenarios/config.json
+ * @param {string} scenarioId - Key under config.scenarios
+ * @param {Object} options
+ * @param {Object} options.templates - AgentTemplates from repochief-core
+ * @param {Object} options.resolvers - Placeholder resolvers for task text
+ * @param {Object} [options.features] - Feature flags, defaulting to the
+ *   scenario's; enabled features add their tasks (see featureTasks())
+ */
+function resolveScenario(config, scenarioId, { templates = {}, resolvers = {}, features } = {}) {
+    const scenario = config.scenarios[scenarioId];
+    if (!scenario) {
+        throw new Error(`Unknown scenario: ${scenarioId}`);
+    }
+
+    return {
+        id: scenarioId,
+        name: scenario.name,
+        description: scenario.description,
+        agents: Object.entries(scenario.agents || {})
+            .map(([key, definition]) => resolveAgent(key, definition, templates)),
+        tasks: scenarioTasks(config, scenarioId, features).map(task => resolveTask(task, scenario, resolvers)),
+        qualityGates: scenario.qualityGates || [],
+        budget: scenario.budget || {},
+        features: features || scenario.features || {}
+    };
+}
+
+/**
+ * Group tasks into the stages they can run in: a task's stage comes after
+ * the stages of all its dependencies
+ * @param {Object[]} tasks - With id and dependencies; must be acyclic
+ * @returns {Object[][]} The tasks of each stage, in config order
+ */
+function executionStages(tasks) {
+    const stage = new Map();
+    const visit = task => {
+        if (!stage.has(task.id)) {
+            const parents = (task.dependencies || [])
+                .map(id => tasks.find(t => t.id === id))
+                .filter(Boolean)
+                .map(parent => visit(parent) + 1);
+            stage.set(task.id, Math.max(0, ...parents));
+        }
+        return stage.get(task.id);
+    };
+    tasks.forEach(visit);
+
+    const stages = [];
+    for (const task of tasks) {
+        (stages[stage.get(task.id)] = stages[stage.get(task.id)] || []).push(task);
+    }
+    return stages;
+}
+
+module.exports = {
+    DEFAULT_CONFIG_PATH,
+    loadConfig,
+    listScenarios,
+    expandPlaceholder,
+    executionStages,
+    featureTasks,
+    linkOptionalDependencies,
+    resolveScenario,
+    scenarioTasks
+};
@@ -0,0 +1,94 @@
+/**
+ * Session State
+ * Persists the progress of a run to <session dir>/state.json and loads an
+ * earlier session (state.json plus the orchestrator's <task>-result.json
+ * files) so an interrupted run can be resumed without redoing finished work.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DemoError } = require('./errors');
+
+const STATE_FILE = 'state.json';
+const STATE_VERSION = 1;
+const SESSION_PREFIX = 'todo-demo-';
+// The timestamp and random part of a run id (see createRunId())
+const RUN_ID_SUFFIX = /-\d{8}-\d{6}-[0-9a-f]{4}$/;
+
+/**
+ * Find a session directory from a session name (looked up under
+ * artifactsRoot) or a path to the directory itself
+ */
+function resolveSessionDir(session, artifactsRoot) {
+    const candidates = [path.resolve(session), path.join(artifactsRoot, session)];
+    const dir = candidates.find(candidate => fs.existsSync(path.join(candidate, 'artifacts')));
+    if (!dir) {
+        throw new DemoError(`No session "${session}" found in ${artifactsRoot}`);
+    }
+    return dir;
+}
+
+/**
+ * Write the run state, replacing the previous one
+ * @param {string} sessionDir
+ * @param {Object} state - session, scenario, mode, budget, requirements, status, startedAt, tasks
+ */
+function saveSessionState(sessionDir, state) {
+    fs.mkdirSync(sessionDir, { recursive: true });
+    const file = path.join(sessionDir, STATE_FILE);
+    fs.writeFileSync(file, JSON.stringify({
+        version: STATE_VERSION,
+        ...state,
+        updatedAt: new Date().toISOString()
+    }, null, 2));
+    return file;
+}
+
+/**
+ * Load a session for resuming
+ * @returns {Object} { session, sessionDir, scenario, state, results }
+ *   where results maps task id to its persisted result
+ * @throws {DemoError} when the session does not exist or its state.json
+ *   cannot be read
+ */
+function loadSession(session, artifactsRoot) {
+    const sessionDir = resolveSessionDir(session, artifactsRoot);
+    const name = path.basename(sessionDir);
+    const statePath = path.join(sessionDir, STATE_FILE);
+    let state = null;
+    if (fs.existsSync(statePath)) {
+        try {
+            state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+        } catch (error) {
+            throw new DemoError(`Cannot read session state ${statePath}: ${error.message}`, { cause: error });
+        }
+    }
+
+    const results = {};
+    const artifactsDir = path.join(sessionDir, 'artifacts');
+    for (const file of fs.readdirSync(artifactsDir).filter(f => f.endsWith('-result.json'))) {
+        try {
+            const result = JSON.parse(fs.readFileSync(path.join(artifactsDir, file), 'utf8'));
+            results[result.taskId || file.slice(0, -'-result.json'.length)] = result;
+        } catch (error) {
+            // A result cut off mid-write is treated as never finished
+        }
+    }
+
+    return {
+        session: name,
+        sessionDir,
+        scenario: (state && state.scenario) || (name.startsWith(SESSION_PREFIX)
+            ? name.slice(SESSION_PREFIX.length).replace(RUN_ID_SUFFIX, '')
+            : null),
+        state,
+        results
+    };
+}
+
+module.exports = {
+    STATE_FILE,
+    loadSession,
+    resolveSessionDir,
+    saveSessionState
+};
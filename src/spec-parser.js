@@ -0,0 +1,64 @@
+/**
+ * Requirements Spec Parser
+ * Reads the endpoint list and data model out of a comprehension task's
+ * analysis, e.g.
+ *
+ *   ## Data Model
+ *   - id (UUID)
+ *   - title (string, required)
+ *
+ *   ## Endpoints
+ *   - GET /api/todos - List all todos (with pagination)
+ *   - POST /api/todos - Create new todo
+ */
+
+const ENDPOINT_PATTERN = /\b(GET|POST|PUT|PATCH|DELETE)\s+(\/[\w\-/:{}.]*)/g;
+const FIELD_PATTERN = /^\s*(?:[-*]\s+)?([A-Za-z_]\w*)\s*[:(]/;
+
+/**
+ * Extract unique { method, path } endpoints in the order they appear
+ */
+function parseEndpoints(markdown) {
+    const seen = new Set();
+    const endpoints = [];
+
+    for (const match of markdown.matchAll(ENDPOINT_PATTERN)) {
+        const method = match[1];
+        const path = match[2].replace(/\/$/, '') || '/';
+        const key = `${method} ${path}`;
+
+        if (!seen.has(key)) {
+            seen.add(key);
+            endpoints.push({ method, path });
+        }
+    }
+
+    return endpoints;
+}
+
+/**
+ * Extract the field names listed under the "Data Model" heading, written
+ * either as bullets ("- title (string)") or as an object ("title: string,")
+ */
+function parseDataModel(markdown) {
+    const fields = [];
+    let inSection = false;
+
+    for (const line of markdown.split('\n')) {
+        if (/^#{1,6}\s/.test(line)) {
+            inSection = /data model/i.test(line);
+            continue;
+        }
+        const match = inSection && line.match(FIELD_PATTERN);
+        if (match && !fields.includes(match[1])) {
+            fields.push(match[1]);
+        }
+    }
+
+    return fields;
+}
+
+module.exports = {
+    parseDataModel,
+    parseEndpoints
+};
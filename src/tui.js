@@ -0,0 +1,301 @@
+/**
+ * Terminal Dashboard
+ * A full-screen view of a running demo: one row per agent, the task list
+ * with dependency state and progress bars, tokens and cost against the
+ * budget, the quality gate results and the latest log lines. It redraws
+ * on the alternate screen buffer, so the terminal is left as it was, and
+ * prints the final frame once the run is done.
+ */
+
+const util = require('util');
+const chalk = require('chalk');
+
+const REDRAW_INTERVAL = 250;
+const BAR_WIDTH = 20;
+const LOG_LINES = 200;
+const UPDATE_EVENTS = ['taskStarted', 'taskProgress', 'taskCompleted', 'taskFailed', 'qualityGateResult', 'costUpdate'];
+
+const ESCAPE_PATTERN = /\u001b\[[0-9;?]*[A-Za-z]/g;
+const SCREEN = {
+    enter: '\u001b[?1049h\u001b[?25l',
+    leave: '\u001b[?25h\u001b[?1049l',
+    home: '\u001b[H',
+    clearLine: '\u001b[K',
+    clearBelow: '\u001b[J',
+    reset: '\u001b[0m'
+};
+
+const TASK_ICONS = {
+    completed: chalk.green('✔'),
+    failed: chalk.red('✖'),
+    running: chalk.cyan('●'),
+    interrupted: chalk.yellow('■')
+};
+
+const GATE_ICONS = {
+    pass: chalk.green('✔'),
+    skipped: chalk.yellow('–')
+};
+
+/**
+ * Whether a full-screen view can be drawn on stream
+ */
+function isInteractive(stream) {
+    return Boolean(stream && stream.isTTY) && process.env.TERM !== 'dumb';
+}
+
+/**
+ * Cut a line with color codes down to `width` visible characters
+ */
+function fit(line, width) {
+    if (line.replace(ESCAPE_PATTERN, '').length <= width) {
+        return line;
+    }
+    // Keep the color codes, drop the text past width - 1 characters
+    let visible = 0;
+    const parts = line.split(/(\u001b\[[0-9;?]*[A-Za-z])/);
+    const kept = parts.map((part, index) => {
+        if (index % 2 === 1) {
+            return part;
+        }
+        const text = part.slice(0, Math.max(0, width - 1 - visible));
+        visible += text.length;
+        return text;
+    });
+    return `${kept.join('')}${SCREEN.reset}…`;
+}
+
+function bar(fraction, width = BAR_WIDTH) {
+    const filled = Math.round(Math.min(1, Math.max(0, fraction)) * width);
+    return '█'.repeat(filled) + chalk.dim('░'.repeat(width - filled));
+}
+
+function formatElapsed(ms) {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function heading(title) {
+    return chalk.bold.yellow(title);
+}
+
+function taskLine(task, { progress, records, idWidth }) {
+    const id = task.id.padEnd(idWidth);
+    if (task.status === 'running') {
+        const fraction = progress.get(task.id) || 0;
+        return ` ${TASK_ICONS.running} ${id}  ${bar(fraction)} ${String(Math.round(fraction * 100)).padStart(3)}%  ` +
+            chalk.dim(task.agentName || '');
+    }
+    if (task.status === 'pending') {
+        const waiting = (task.dependencies || [])
+            .filter(dependency => (records.get(dependency) || {}).status !== 'completed');
+        return waiting.length > 0
+            ? ` ${chalk.dim('○')} ${chalk.dim(id)}  ${chalk.dim(`waiting on ${waiting.join(', ')}`)}`
+            : ` ${chalk.dim('○')} ${id}  ${chalk.dim('ready')}`;
+    }
+    const icon = TASK_ICONS[task.status] || chalk.dim('·');
+    const detail = task.status === 'completed'
+        ? [
+            task.durationMs !== undefined ? `${(task.durationMs / 1000).toFixed(1)}s` : null,
+            task.tokensUsed !== undefined ? `${task.tokensUsed.toLocaleString()} tokens` : null,
+            task.cost !== undefined ? `$${task.cost.toFixed(3)}` : null,
+            task.resumed ? 'resumed' : null
+        ].filter(Boolean).join(', ')
+        : task.error || task.status;
+    return ` ${icon} ${id}  ${task.status === 'failed' ? chalk.red(detail) : chalk.dim(detail)}`;
+}
+
+/**
+ * Render one frame
+ * @param {Object} state - See TodoDemoRunner.dashboardState()
+ * @param {Object} view
+ * @param {Map} view.progress - Task id to progress (0-1)
+ * @param {string[]} [view.log] - Latest log lines, newest last
+ * @param {number} view.width
+ * @param {number} [view.height] - Leave out for a frame without log panel
+ * @returns {string[]} The frame's lines
+ */
+function renderFrame(state, { progress, log = [], width, height, now = Date.now() }) {
+    const records = new Map(state.tasks.map(task => [task.id, task]));
+    const running = state.tasks.filter(task => task.status === 'running');
+    const done = state.tasks.filter(task => task.status === 'completed').length;
+    const idWidth = Math.min(32, Math.max(0, ...state.tasks.map(task => task.id.length)));
+    const elapsed = state.startedAt ? formatElapsed(now - Date.parse(state.startedAt)) : '--:--';
+
+    const lines = [
+        `${chalk.bold.cyan(`RepoChief · ${state.title}`)}  ${chalk.dim(`${state.mode} · ${elapsed}`)}`,
+        `Tasks ${done}/${state.tasks.length}   Tokens ${state.tokens.toLocaleString()}   ` +
+            `Cost $${state.cost.toFixed(3)} / $${state.budget}  ${bar(state.budget ? state.cost / state.budget : 0, 12)}`,
+        '',
+        heading('Agents')
+    ];
+
+    for (const agent of state.agents) {
+        const tasks = running.filter(task => task.agentName === agent.name || (!task.agentName && task.agent === agent.key));
+        const model = tasks.length > 0 && tasks[0].model ? tasks[0].model : agent.model;
+        lines.push(` ${tasks.length > 0 ? chalk.cyan('●') : chalk.dim('○')} ${agent.name.padEnd(16)} ` +
+            `${chalk.dim(model.padEnd(16))} ${tasks.length > 0 ? tasks.map(task => task.id).join(', ') : chalk.dim('idle')}`);
+    }
+
+    lines.push('', heading('Tasks'));
+    for (const task of state.tasks) {
+        lines.push(taskLine(task, { progress, records, idWidth }));
+    }
+
+    if (state.gates.length > 0) {
+        lines.push('', heading('Quality Gates'));
+        const byTask = new Map();
+        for (const result of state.gates) {
+            byTask.set(result.taskId, [...(byTask.get(result.taskId) || []), result]);
+        }
+        for (const [taskId, results] of byTask) {
+            lines.push(` ${String(taskId || '-').padEnd(idWidth)}  ` + results
+                .map(result => `${GATE_ICONS[result.status] || chalk.red('✖')} ${result.gate}` +
+                    (result.issues.length > 0 ? chalk.dim(` (${result.issues.length})`) : ''))
+                .join('  '));
+        }
+    }
+
+    if (height !== undefined) {
+        const room = height - lines.length - 2;
+        if (room > 0) {
+            lines.push('', heading('Log'), ...log.slice(-room).map(line => ` ${line}`));
+        }
+        lines.splice(height);
+    }
+
+    return lines.map(line => fit(line, width));
+}
+
+class TerminalDashboard {
+    /**
+     * @param {Object} options
+     * @param {Function} options.state - Returns the current run state (see renderFrame())
+     * @param {WriteStream} [options.stream=process.stdout] - A TTY
+     * @param {number} [options.interval=250] - Redraw interval in ms
+     */
+    constructor({ state, stream = process.stdout, interval = REDRAW_INTERVAL }) {
+        this.state = state;
+        this.stream = stream;
+        this.interval = interval;
+        this.progress = new Map();
+        this.log = [];
+        this.problems = [];
+        this.timer = null;
+        this.redrawQueued = false;
+        this.restore = () => this.stream.write(SCREEN.leave);
+        this.onResize = () => this.redraw();
+    }
+
+    /**
+     * Follow task progress and redraw on every orchestrator event
+     * @param {EventEmitter} orchestrator
+     */
+    attach(orchestrator) {
+        orchestrator.on('taskStarted', ({ task }) => this.progress.set(task.id, 0));
+        orchestrator.on('taskProgress', ({ task, progress }) => this.progress.set(task.id, progress));
+        for (const type of UPDATE_EVENTS) {
+            orchestrator.on(type, () => this.scheduleRedraw());
+        }
+        return this;
+    }
+
+    /**
+     * A logger whose lines end up in the log panel instead of on top of the
+     * frame. Warnings and errors are printed again by stop().
+     */
+    wrapLogger() {
+        const add = line => {
+            this.log.push(...line.split('\n').filter(text => text.trim() !== ''));
+            this.log.splice(0, Math.max(0, this.log.length - LOG_LINES));
+            this.scheduleRedraw();
+        };
+        const problem = level => (...args) => {
+            this.problems.push({ level, args });
+            add(util.format(...args));
+        };
+        const spinner = text => {
+            const handle = {
+                start: next => {
+                    add(next || text);
+                    return handle;
+                },
+                stop: () => handle
+            };
+            for (const outcome of ['succeed', 'fail', 'warn', 'info']) {
+                handle[outcome] = message => {
+                    add(message || text);
+                    return handle;
+                };
+            }
+            return handle;
+        };
+
+        return {
+            log: (...args) => add(util.format(...args)),
+            warn: problem('warn'),
+            error: problem('error'),
+            spinner
+        };
+    }
+
+    start() {
+        this.stream.write(SCREEN.enter);
+        process.once('exit', this.restore);
+        this.stream.on('resize', this.onResize);
+        this.timer = setInterval(() => this.redraw(), this.interval);
+        this.timer.unref();
+        this.redraw();
+        return this;
+    }
+
+    scheduleRedraw() {
+        if (this.redrawQueued || !this.timer) {
+            return;
+        }
+        this.redrawQueued = true;
+        setImmediate(() => this.redraw());
+    }
+
+    redraw() {
+        this.redrawQueued = false;
+        if (!this.timer) {
+            return;
+        }
+        const frame = renderFrame(this.state(), {
+            progress: this.progress,
+            log: this.log,
+            // Emoji in log lines take two columns; keep a margin so no line wraps
+            width: (this.stream.columns || 80) - 2,
+            height: this.stream.rows || 24
+        });
+        this.stream.write(SCREEN.home + frame.map(line => line + SCREEN.clearLine).join('\n') + SCREEN.clearBelow);
+    }
+
+    /**
+     * Leave the full-screen view and print the final frame, then the
+     * warnings and errors logged meanwhile, with `logger`
+     */
+    stop(logger) {
+        if (!this.timer) {
+            return;
+        }
+        clearInterval(this.timer);
+        this.timer = null;
+        this.stream.removeListener('resize', this.onResize);
+        process.removeListener('exit', this.restore);
+        this.restore();
+
+        const frame = renderFrame(this.state(), { progress: this.progress, width: this.stream.columns || 80 });
+        logger.log(`${frame.join('\n')}\n`);
+        for (const { level, args } of this.problems) {
+            logger[level](...args);
+        }
+    }
+}
+
+module.exports = {
+    TerminalDashboard,
+    isInteractive,
+    renderFrame
+};
@@ -0,0 +1,277 @@
+/**
+ * Generated API Verifier
+ * Loads the generated Express app in-process, runs the generated Mocha suite
+ * against it, smoke-tests every endpoint named in the requirements spec and
+ * runs the contract tests of its OpenAPI document
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const Mocha = require('mocha');
+const { parseEndpoints } = require('./spec-parser');
+const { request } = require('./http-client');
+const { validateOpenApi } = require('./openapi');
+const { runContractTests } = require('./contract-tests');
+const { sampleRecord } = require('./requirements');
+
+const INSTALL_TIMEOUT = 300000;
+const TEST_TIMEOUT = 10000;
+
+// Smoke tests run in this order so the created record can be read, updated
+// and finally deleted
+const METHOD_ORDER = ['POST', 'GET', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Install a generated project's dependencies unless already present
+ * @returns {string|null} reason for failure, or null when ready
+ */
+function ensureDependencies(dir, install) {
+    if (!fs.existsSync(path.join(dir, 'package.json')) || fs.existsSync(path.join(dir, 'node_modules'))) {
+        return null;
+    }
+    if (!install) {
+        return `dependencies not installed in ${dir}`;
+    }
+
+    const result = spawnSync('npm', ['install', '--no-audit', '--no-fund'], {
+        cwd: dir,
+        encoding: 'utf8',
+        timeout: INSTALL_TIMEOUT
+    });
+
+    if (result.status !== 0) {
+        const detail = result.error ? result.error.message : (result.stderr || '').trim().split('\n').pop();
+        return `npm install failed in ${dir}: ${detail}`;
+    }
+    return null;
+}
+
+/**
+ * Drop every cached module under dir so the next require() gets a fresh app
+ */
+function clearModuleCache(dir) {
+    for (const file of Object.keys(require.cache)) {
+        if (file.startsWith(dir + path.sep) && !file.includes(`${path.sep}node_modules${path.sep}`)) {
+            delete require.cache[file];
+        }
+    }
+}
+
+function loadApp(appPath) {
+    clearModuleCache(path.dirname(appPath));
+    const app = require(appPath);
+
+    if (typeof app !== 'function') {
+        throw new Error(`${appPath} does not export an Express app`);
+    }
+    return app;
+}
+
+/**
+ * Point the tests' require('../app') at the generated API
+ */
+function linkApp(testDir, appPath) {
+    const shim = path.join(testDir, 'app.js');
+    if (!fs.existsSync(shim)) {
+        const relative = path.relative(testDir, appPath).split(path.sep).join('/');
+        fs.writeFileSync(shim, `module.exports = require('./${relative}');\n`);
+    }
+}
+
+function listTestFiles(dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            return entry.name === 'node_modules' ? [] : listTestFiles(full);
+        }
+        return /\.(test|spec)\.js$/.test(entry.name) ? [full] : [];
+    });
+}
+
+/**
+ * Run the generated test suite in-process
+ */
+function runTestSuite(testDir, appPath) {
+    linkApp(testDir, appPath);
+    clearModuleCache(testDir);
+    clearModuleCache(path.dirname(appPath));
+
+    const mocha = new Mocha({ timeout: TEST_TIMEOUT, reporter: Mocha.reporters.Base });
+    listTestFiles(path.join(testDir, 'test')).forEach(file => mocha.addFile(file));
+
+    const tests = [];
+    return new Promise(resolve => {
+        const runner = mocha.run(() => {
+            mocha.dispose();
+            resolve(tests);
+        });
+
+        runner.on('pass', test => tests.push({ title: test.fullTitle(), passed: true }));
+        runner.on('fail', (test, error) => tests.push({
+            title: test.fullTitle(),
+            passed: false,
+            error: error.message
+        }));
+    });
+}
+
+function sortEndpoints(endpoints) {
+    return [...endpoints].sort((a, b) => {
+        const order = METHOD_ORDER.indexOf(a.method) - METHOD_ORDER.indexOf(b.method);
+        // Collection routes before item routes, so the list is read first
+        return order !== 0 ? order : a.path.split('/').length - b.path.split('/').length;
+    });
+}
+
+/**
+ * Serve a fresh instance of the app on a free port while `fn(port)` runs
+ */
+async function withApp(appPath, fn) {
+    const app = loadApp(appPath);
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+        return await fn(server.address().port);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+/**
+ * The body to create or update through an endpoint: a sample of the entity
+ * whose path the endpoint is under, else of the first entity
+ */
+function sampleBody(requirements, endpointPath) {
+    if (!requirements) {
+        return {};
+    }
+    const entity = requirements.entities.find(candidate => endpointPath === candidate.path ||
+        endpointPath.startsWith(`${candidate.path}/`)) || requirements.entities[0];
+    return sampleRecord(entity);
+}
+
+/**
+ * Exercise each spec endpoint against a fresh instance of the app
+ */
+function smokeTestEndpoints(appPath, endpoints, requirements) {
+    return withApp(appPath, async port => {
+        const results = [];
+        let createdId = null;
+
+        for (const endpoint of sortEndpoints(endpoints)) {
+            const hasParam = /\/:\w+|\{\w+\}/.test(endpoint.path);
+            const urlPath = endpoint.path.replace(/:\w+|\{\w+\}/g, createdId || 'missing-id');
+            const body = ['POST', 'PUT', 'PATCH'].includes(endpoint.method)
+                ? sampleBody(requirements, endpoint.path)
+                : null;
+
+            try {
+                if (hasParam && !createdId) {
+                    throw new Error('no record was created to address');
+                }
+
+                const response = await request(port, endpoint.method, urlPath, body);
+                const passed = response.status >= 200 && response.status < 300;
+                if (endpoint.method === 'POST' && passed && response.body && response.body.id) {
+                    createdId = response.body.id;
+                }
+
+                results.push({
+                    ...endpoint,
+                    status: response.status,
+                    passed,
+                    error: passed ? undefined : `unexpected status ${response.status}`
+                });
+            } catch (error) {
+                results.push({ ...endpoint, status: null, passed: false, error: error.message });
+            }
+        }
+
+        return results;
+    });
+}
+
+/**
+ * Validate the OpenAPI document and run its contract tests against a fresh
+ * instance of the app
+ */
+function contractTestApi(appPath, openApiPath) {
+    const spec = JSON.parse(fs.readFileSync(openApiPath, 'utf8'));
+    const errors = validateOpenApi(spec);
+    if (errors.length > 0) {
+        return [{
+            check: 'spec',
+            method: '',
+            path: path.basename(openApiPath),
+            status: null,
+            passed: false,
+            error: `invalid OpenAPI document: ${errors.join('; ')}`
+        }];
+    }
+    return withApp(appPath, port => runContractTests(port, spec));
+}
+
+/**
+ * Verify the generated API
+ * @param {Object} options
+ * @param {string} options.apiDir - Materialized API project (contains src/app.js)
+ * @param {string} [options.testDir] - Materialized test project (contains test/)
+ * @param {string} [options.specPath] - Requirements analysis listing the endpoints
+ * @param {string} [options.openApiPath] - OpenAPI document to contract-test against
+ * @param {Object} [options.requirements] - From loadRequirements(); its
+ *   required fields make up the bodies the smoke tests send
+ * @param {boolean} [options.install=true] - Run npm install where node_modules is missing
+ * @returns {Promise<Object>} { status, reason, endpoints, tests, contract }
+ */
+async function verifyGeneratedApi({ apiDir, testDir, specPath, openApiPath, requirements, install = true }) {
+    const appPath = path.join(apiDir, 'src', 'app.js');
+    const report = { status: 'skipped', reason: null, endpoints: [], tests: [], contract: [] };
+
+    if (!fs.existsSync(appPath)) {
+        report.reason = `no generated app at ${appPath}`;
+        return report;
+    }
+
+    const missing = ensureDependencies(apiDir, install) || (testDir && ensureDependencies(testDir, install));
+    if (missing) {
+        report.reason = missing;
+        return report;
+    }
+
+    try {
+        if (testDir) {
+            report.tests = await runTestSuite(testDir, appPath);
+        }
+
+        const endpoints = specPath && fs.existsSync(specPath)
+            ? parseEndpoints(fs.readFileSync(specPath, 'utf8'))
+            : [];
+        report.endpoints = await smokeTestEndpoints(appPath, endpoints, requirements);
+
+        if (openApiPath && fs.existsSync(openApiPath)) {
+            report.contract = await contractTestApi(appPath, openApiPath);
+        }
+    } catch (error) {
+        report.status = 'failed';
+        report.reason = error.message;
+        return report;
+    }
+
+    const checks = [...report.tests, ...report.endpoints, ...report.contract];
+    report.status = checks.length > 0 && checks.every(check => check.passed) ? 'passed' : 'failed';
+    if (checks.length === 0) {
+        report.reason = 'no tests or endpoints to verify';
+    }
+    return report;
+}
+
+module.exports = {
+    verifyGeneratedApi
+};
@@ -5,9 +5,9 @@
 
 const { 
     createOrchestrator, 
-    createCloudAPI,
     AgentTemplates 
 } = require('@liftping/repochief-core');
+const { startDashboard } = require('./src/dashboard');
 const chalk = require('chalk');
 const fs = require('fs').promises;
 const path = require('path');
@@ -32,13 +32,12 @@ async function runE2ETest() {
         
         // 2. Start cloud API (without keeping process alive)
         console.log('\n2️⃣ Starting Cloud API...');
-        api = createCloudAPI({
-            port: 3457, // Different port to avoid conflicts
+        const dashboard = await startDashboard({
+            port: 0, // Any free port, so parallel runs never collide
             apiKey: 'test-key-12345'
         });
-        
-        await api.start();
-        console.log(chalk.green('✓ Cloud API started on port 3457'));
+        api = dashboard.api;
+        console.log(chalk.green(`✓ Cloud API started on port ${dashboard.port}`));
         
         // 3. Create agents
         console.log('\n3️⃣ Creating agent swarm...');
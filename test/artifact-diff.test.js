@@ -0,0 +1,105 @@
+/**
+ * Artifact diff specs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const TodoDemoRunner = require('../src/run-demo');
+const { MockResponseProvider } = require('../src/mock-provider');
+const { createMemoryLogger } = require('../src/logger');
+const { findRun, readRuns } = require('../src/history');
+const { APP_DIR } = require('../src/materializer');
+const { diffArtifacts, renderArtifactDiff, renderArtifactDiffHtml } = require('../src/artifact-diff');
+
+describe('artifact diff', function () {
+    this.timeout(20000);
+
+    let artifactsRoot;
+    let first;
+    let second;
+
+    const run = () => new TodoDemoRunner({
+        scenario: 'basic',
+        dashboard: false,
+        artifactsRoot,
+        logger: createMemoryLogger(),
+        mockProvider: new MockResponseProvider({ latency: 0 })
+    }).run();
+
+    const diff = () => {
+        const runs = readRuns(artifactsRoot);
+        return diffArtifacts(findRun(runs, first.session), findRun(runs, second.session), artifactsRoot);
+    };
+    const appFile = (report, ...parts) => path.join(artifactsRoot, report.session, APP_DIR, ...parts);
+
+    beforeEach(async () => {
+        artifactsRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-artifact-diff-'));
+        first = await run();
+        second = await run();
+    });
+
+    afterEach(() => {
+        fs.rmSync(artifactsRoot, { recursive: true, force: true });
+    });
+
+    it('finds nothing changed between two runs of the same outputs', () => {
+        const result = diff();
+
+        expect(result.hasTrees).to.deep.equal([true, true]);
+        expect(result.tasks.map(task => task.id)).to.deep.equal(first.tasks.map(task => task.id));
+        for (const task of result.tasks) {
+            expect(task.output.status, task.id).to.equal('unchanged');
+            expect(task.files, task.id).to.be.empty;
+        }
+        expect(result.endpoints.added).to.be.empty;
+        expect(result.endpoints.unchanged).to.be.above(0);
+    });
+
+    it('reports changed files, endpoints and tests', () => {
+        const app = appFile(second, 'generate-todo-api', 'src', 'app.js');
+        fs.writeFileSync(app, fs.readFileSync(app, 'utf8')
+            .replace("app.delete('/api/todos/:id'", "app.patch('/api/todos/:id'"));
+        fs.rmSync(appFile(first, 'generate-todo-api', 'src', 'server.js'));
+        const tests = appFile(second, 'test-todo-api', 'test');
+        const testFile = path.join(tests, fs.readdirSync(tests).find(name => name.endsWith('.test.js')));
+        fs.appendFileSync(testFile, "\ndescribe('Extra', () => {\n    it('runs', () => {});\n});\n");
+
+        const result = diff();
+        const generate = result.tasks.find(task => task.id === 'generate-todo-api');
+
+        expect(generate.files.map(file => [file.path, file.status])).to.deep.equal([
+            ['src/app.js', 'modified'],
+            ['src/server.js', 'added']
+        ]);
+        expect(generate.files[0]).to.include({ added: 1, removed: 1 });
+        expect(result.endpoints.added).to.deep.equal(['PATCH /api/todos/:id']);
+        expect(result.endpoints.removed).to.deep.equal(['DELETE /api/todos/:id']);
+        expect(result.tests.added).to.have.length(1);
+        expect(result.tests.added[0]).to.match(/: Extra › runs$/);
+
+        expect(renderArtifactDiff(result)).to.include('+++ b/generate-todo-api/src/app.js');
+        expect(renderArtifactDiffHtml(result)).to.include('<code>generate-todo-api/src/server.js</code> added');
+    });
+
+    it('leaves out files --verify installed', () => {
+        const dir = appFile(second, 'generate-todo-api');
+        fs.writeFileSync(path.join(dir, 'package-lock.json'), '{}');
+        fs.mkdirSync(path.join(dir, 'node_modules', 'express'), { recursive: true });
+        fs.writeFileSync(path.join(dir, 'node_modules', 'express', 'index.js'), '');
+
+        expect(diff().tasks.every(task => task.files.length === 0)).to.be.true;
+    });
+
+    it('compares only the outputs when a run has no project trees', () => {
+        fs.rmSync(path.join(artifactsRoot, first.session, APP_DIR), { recursive: true });
+
+        const result = diff();
+        expect(result.hasTrees).to.deep.equal([false, true]);
+        expect(result.endpoints).to.be.null;
+        expect(result.tasks.every(task => task.files.length === 0)).to.be.true;
+        expect(renderArtifactDiff(result)).to.include(`${first.session} has no project trees`);
+    });
+});
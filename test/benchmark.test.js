@@ -0,0 +1,181 @@
+/**
+ * Benchmark specs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const TodoDemoRunner = require('../src/run-demo');
+const { MockResponseProvider } = require('../src/mock-provider');
+const { createMemoryLogger } = require('../src/logger');
+const { DemoRunError, ScenarioConfigError } = require('../src/errors');
+const { Benchmark, expandMatrix, renderCsv, runMetrics, summarizeRuns } = require('../src/benchmark');
+
+/**
+ * A run report with the fields the benchmark reads
+ */
+function fixtureReport({ verdict = 'success', cost, tokens, durationMs, gatesPassed = 2, gatesFailed = 0, verification = null }) {
+    return {
+        scenario: { id: 'basic', name: 'Basic TODO API' },
+        mode: 'mock',
+        verdict,
+        success: verdict === 'success',
+        durationMs,
+        totals: { cost, tokens, completed: verdict === 'task-failure' ? 2 : 3, tasks: 3, gatesPassed, gatesFailed },
+        verification: verification ? { status: verification } : null
+    };
+}
+
+describe('benchmark', () => {
+    describe('expandMatrix()', () => {
+        it('combines the models of every role', () => {
+            expect(expandMatrix({ developer: ['gpt-4o', 'claude-3-opus'], tester: ['gpt-4o-mini'] })).to.deep.equal([
+                { developer: 'gpt-4o', tester: 'gpt-4o-mini' },
+                { developer: 'claude-3-opus', tester: 'gpt-4o-mini' }
+            ]);
+            expect(expandMatrix({})).to.deep.equal([{}]);
+        });
+    });
+
+    describe('summarizeRuns()', () => {
+        const opus = { developer: 'claude-3-opus' };
+        const mini = { developer: 'gpt-4o-mini' };
+        const finished = (models, run, report) => ({ variant: `developer=${models.developer}`, models, run, ...runMetrics(report) });
+        const runs = [
+            finished(opus, 1, fixtureReport({ cost: 0.3, tokens: 3000, durationMs: 4000, verification: 'passed' })),
+            finished(opus, 2, fixtureReport({ cost: 0.5, tokens: 5000, durationMs: 6000, verification: 'failed' })),
+            finished(opus, 3, fixtureReport({
+                verdict: 'gate-failure',
+                cost: 0.4,
+                tokens: 4000,
+                durationMs: 5000,
+                gatesPassed: 1,
+                gatesFailed: 1,
+                verification: 'skipped'
+            })),
+            finished(mini, 1, fixtureReport({ verdict: 'task-failure', cost: 0.02, tokens: 1000, durationMs: 2000, gatesPassed: 0 })),
+            { variant: 'developer=gpt-4o-mini', models: mini, run: 2, success: false, error: 'Demo failed during execute: boom' }
+        ];
+
+        it('aggregates each variant over its runs', () => {
+            const [summary] = summarizeRuns(runs);
+
+            expect(summary).to.include({ variant: 'developer=claude-3-opus', runs: 3, errors: 0 });
+            expect(summary.models).to.deep.equal(opus);
+            expect(summary.successRate).to.be.closeTo(2 / 3, 1e-9);
+            expect(summary.cost.mean).to.be.closeTo(0.4, 1e-9);
+            expect(summary.cost.variance).to.be.closeTo(0.01, 1e-9);
+            expect(summary.tokens).to.deep.equal({ mean: 4000, variance: 1000000 });
+            expect(summary.durationMs).to.deep.equal({ mean: 5000, variance: 1000000 });
+            expect(summary.gatePassRate.mean).to.be.closeTo(5 / 6, 1e-9);
+            // Skipped verification does not count
+            expect(summary.verificationPassRate).to.equal(0.5);
+        });
+
+        it('counts failed and errored runs against the success rate, and only finished ones in the metrics', () => {
+            const [, summary] = summarizeRuns(runs);
+
+            expect(summary).to.include({ variant: 'developer=gpt-4o-mini', runs: 2, errors: 1, successRate: 0 });
+            expect(summary.cost).to.deep.equal({ mean: 0.02, variance: 0 });
+            expect(summary.gatePassRate).to.deep.equal({ mean: null, variance: null });
+            expect(summary.verificationPassRate).to.be.null;
+        });
+
+        it('renders the summaries as CSV, leaving unknown values empty', () => {
+            const [header, , mini] = renderCsv(summarizeRuns(runs)).trimEnd().split('\n');
+
+            expect(header.split(',')).to.have.length(13);
+            expect(header).to.match(/^variant,runs,errors,success_rate,cost_mean,/);
+            expect(mini).to.equal('developer=gpt-4o-mini,2,1,0,0.02,0,1000,0,2000,0,,,');
+        });
+    });
+
+    describe('Benchmark', function () {
+        this.timeout(20000);
+
+        let artifactsRoot;
+
+        beforeEach(() => {
+            artifactsRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-benchmark-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(artifactsRoot, { recursive: true, force: true });
+        });
+
+        it('runs every variant and writes the results', async () => {
+            const benchmark = await new Benchmark({
+                createRunner: options => new TodoDemoRunner({ ...options, mockProvider: new MockResponseProvider({ latency: 0 }) }),
+                runOptions: { scenario: 'basic', artifactsRoot },
+                matrix: { developer: ['gpt-4o', 'gpt-4o-mini'] },
+                runs: 2,
+                logger: createMemoryLogger()
+            }).run();
+
+            expect(benchmark).to.include({ mode: 'mock', runsPerVariant: 2 });
+            expect(benchmark.runs.map(run => [run.variant, run.run, run.verdict])).to.deep.equal([
+                ['developer=gpt-4o', 1, 'success'],
+                ['developer=gpt-4o', 2, 'success'],
+                ['developer=gpt-4o-mini', 1, 'success'],
+                ['developer=gpt-4o-mini', 2, 'success']
+            ]);
+            expect(benchmark.summary.map(summary => [summary.variant, summary.successRate])).to.deep.equal([
+                ['developer=gpt-4o', 1],
+                ['developer=gpt-4o-mini', 1]
+            ]);
+            expect(JSON.parse(fs.readFileSync(benchmark.files.json, 'utf8')).summary).to.deep.equal(benchmark.summary);
+            expect(fs.readFileSync(benchmark.files.markdown, 'utf8')).to.include('| developer=gpt-4o-mini | 2 | 100% |');
+        });
+
+        it('records runs that fail or error and goes on', async () => {
+            const reports = [
+                fixtureReport({ cost: 0.1, tokens: 1000, durationMs: 1000 }),
+                fixtureReport({ verdict: 'task-failure', cost: 0.05, tokens: 500, durationMs: 800 })
+            ];
+            let calls = 0;
+            const benchmark = await new Benchmark({
+                createRunner: () => ({
+                    run: async () => {
+                        calls++;
+                        if (calls === 3) {
+                            throw new DemoRunError('Demo failed during execute: boom', { phase: 'execute' });
+                        }
+                        return reports[calls - 1];
+                    }
+                }),
+                runOptions: { scenario: 'basic', artifactsRoot },
+                runs: 3,
+                logger: createMemoryLogger()
+            }).run();
+
+            expect(benchmark.runs.map(run => [run.run, run.success, run.verdict || run.error])).to.deep.equal([
+                [1, true, 'success'],
+                [2, false, 'task-failure'],
+                [3, false, 'Demo failed during execute: boom']
+            ]);
+            expect(benchmark.summary[0]).to.include({ variant: 'scenario defaults', runs: 3, errors: 1 });
+            expect(benchmark.summary[0].successRate).to.be.closeTo(1 / 3, 1e-9);
+            expect(benchmark.summary[0].cost.mean).to.be.closeTo(0.075, 1e-9);
+            expect(fs.readFileSync(benchmark.files.markdown, 'utf8')).to.include('| scenario defaults | 3 (1 errored) | 33% |');
+        });
+
+        it('stops when a run cannot start at all', async () => {
+            let error;
+            try {
+                await new Benchmark({
+                    createRunner: () => ({ run: async () => { throw new ScenarioConfigError('Unknown scenario'); } }),
+                    runOptions: { scenario: 'missing', artifactsRoot },
+                    runs: 2,
+                    logger: createMemoryLogger()
+                }).run();
+            } catch (caught) {
+                error = caught;
+            }
+
+            expect(error).to.be.an.instanceOf(ScenarioConfigError);
+            expect(fs.existsSync(path.join(artifactsRoot, 'benchmarks'))).to.be.false;
+        });
+    });
+});
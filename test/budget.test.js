@@ -0,0 +1,192 @@
+/**
+ * Budget guardrail specs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const TodoDemoRunner = require('../src/run-demo');
+const { MockResponseProvider } = require('../src/mock-provider');
+const { createMemoryLogger } = require('../src/logger');
+const { EXIT_CODES } = require('../src/report');
+const { BudgetGuard, cheaperModel, dependentsOf, estimatePlanCost } = require('../src/budget');
+
+describe('budget', () => {
+    describe('estimatePlanCost()', () => {
+        const pricing = {
+            big: { output: 20 },
+            small: { output: 2 }
+        };
+        const plan = {
+            agents: [
+                { key: 'developer', spec: { model: 'small' } },
+                { key: 'reviewer', spec: { model: 'big' } }
+            ],
+            tasks: [
+                { id: 'build', agent: 'developer', maxTokens: 1000 },
+                { id: 'retry', agent: 'developer', maxTokens: 1000, retry: { maxRetries: 2, fallback: { model: 'big' } } },
+                { id: 'handoff', agent: 'developer', maxTokens: 1000, retry: { maxRetries: 1, fallback: { agent: 'reviewer' } } },
+                { id: 'unknown', agent: 'developer', maxTokens: 1000, retry: { fallback: { model: 'mystery' } } }
+            ]
+        };
+        const costs = estimate => Object.fromEntries(estimate.tasks.map(task => [task.id, task.cost]));
+
+        it('counts every attempt at the highest price among the primary and fallback models', () => {
+            const estimate = estimatePlanCost(plan, pricing);
+
+            expect(costs(estimate)).to.deep.equal({ build: 0.002, retry: 0.06, handoff: 0.04, unknown: 0.002 });
+            expect(estimate.tasks[1]).to.include({ attempts: 3, attemptCost: 0.02, model: 'small' });
+            expect(estimate.total).to.be.closeTo(0.104, 1e-9);
+            expect(estimate.agents.developer).to.be.closeTo(0.104, 1e-9);
+            expect(estimate.unpriced).to.deep.equal(['mystery']);
+        });
+
+        it('adds the repair iterations to every task', () => {
+            const estimate = estimatePlanCost(plan, pricing, { repair: 2 });
+
+            expect(estimate.tasks.map(task => task.attempts)).to.deep.equal([3, 5, 4, 3]);
+        });
+
+        it('leaves out skipped tasks', () => {
+            expect(estimatePlanCost(plan, pricing, { skip: ['retry', 'handoff', 'unknown'] }).total).to.equal(0.002);
+        });
+    });
+
+    describe('BudgetGuard', () => {
+        it('reports a task that cost more than the per-task cap', () => {
+            const guard = new BudgetGuard({ perTask: 1 });
+
+            expect(guard.record('a', 'developer', 0.5)).to.be.empty;
+            expect(guard.record('b', 'developer', 1.5)).to.deep.equal([
+                { kind: 'task', subject: 'b', agent: 'developer', cap: 1, spent: 1.5 }
+            ]);
+        });
+
+        it('reports an agent over its cap once', () => {
+            const guard = new BudgetGuard({ perAgent: 1 });
+
+            expect(guard.record('a', 'developer', 0.6)).to.be.empty;
+            expect(guard.record('b', 'developer', 0.6)).to.have.length(1);
+            expect(guard.record('c', 'developer', 0.6)).to.be.empty;
+        });
+
+        it('admits a task only when its estimate fits the caps', () => {
+            const guard = new BudgetGuard({ perTask: 1, perAgent: 2 });
+            guard.record('a', 'developer', 1.5);
+
+            expect(guard.admit('b', 'developer', 0.4)).to.be.empty;
+            expect(guard.admit('b', 'developer', 0.8)).to.deep.equal([
+                { kind: 'agent', subject: 'developer', agent: 'developer', cap: 2, spent: 2.3, projected: true }
+            ]);
+            expect(guard.admit('c', 'tester', 1.2).map(breach => breach.kind)).to.deep.equal(['task']);
+        });
+    });
+
+    describe('cheaperModel()', () => {
+        it('follows the downgrade entry of a priced model', () => {
+            const pricing = { big: { output: 10, downgrade: 'small' }, small: { output: 1 } };
+
+            expect(cheaperModel('big', pricing)).to.equal('small');
+            expect(cheaperModel('small', pricing)).to.be.null;
+        });
+    });
+
+    describe('dependentsOf()', () => {
+        it('finds direct and indirect dependents', () => {
+            const tasks = [
+                { id: 'a' },
+                { id: 'b', dependencies: ['a'] },
+                { id: 'c', dependencies: ['b'] },
+                { id: 'd' }
+            ];
+
+            expect(dependentsOf(tasks, ['a'])).to.deep.equal(['b', 'c']);
+        });
+    });
+
+    describe('caps during a run', function () {
+        this.timeout(20000);
+
+        let artifactsRoot;
+
+        // Basic scenario estimates: comprehend $0.15, generate $0.75, test $0.45
+        const createRunner = (options, provider = new MockResponseProvider({ latency: 0 })) => new TodoDemoRunner({
+            scenario: 'basic',
+            dashboard: false,
+            artifactsRoot,
+            logger: createMemoryLogger(),
+            mockProvider: provider,
+            ...options
+        });
+        const run = (options, provider) => createRunner(options, provider).run();
+
+        beforeEach(() => {
+            artifactsRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-budget-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(artifactsRoot, { recursive: true, force: true });
+        });
+
+        it('skips a task whose estimate exceeds the cap before it is dispatched', async () => {
+            const report = await run({ taskCap: 0.5, breachPolicy: 'skip-dependents' });
+            const status = Object.fromEntries(report.tasks.map(task => [task.id, task.status]));
+
+            expect(report.budgetBreaches).to.have.length(1);
+            expect(report.budgetBreaches[0]).to.include({ kind: 'task', subject: 'generate-todo-api', projected: true });
+            expect(report.tasks.find(task => task.id === 'generate-todo-api').attempts).to.equal(0);
+            expect(status).to.deep.equal({
+                'comprehend-todo-api': 'completed',
+                'generate-todo-api': 'failed',
+                'test-todo-api': 'failed'
+            });
+            expect(report.verdict).to.equal('budget-exhausted');
+            expect(report.exitCode).to.equal(EXIT_CODES.BUDGET_EXHAUSTED);
+        });
+
+        it('downgrades a task before dispatch so it fits the cap', async () => {
+            const report = await run({ taskCap: 0.5, breachPolicy: 'downgrade' });
+            const generate = report.tasks.find(task => task.id === 'generate-todo-api');
+
+            expect(generate).to.include({ status: 'completed', model: 'gpt-4o-mini', downgradedFrom: 'gpt-4o' });
+            expect(report.verdict).to.equal('success');
+        });
+
+        it('stops the run before dispatch when the orchestrator cannot cancel tasks', async () => {
+            const runner = createRunner({ taskCap: 0.5, breachPolicy: 'skip-dependents' });
+            const buildOrchestrator = runner.buildOrchestrator;
+            let started = false;
+            runner.buildOrchestrator = function () {
+                const orchestrator = buildOrchestrator.call(this);
+                orchestrator.cancelTask = undefined;
+                orchestrator.on('taskStarted', () => {
+                    started = true;
+                });
+                return orchestrator;
+            };
+
+            const report = await runner.run();
+
+            expect(started).to.be.false;
+            expect(report.budgetBreaches[0]).to.include({ kind: 'task', subject: 'generate-todo-api', projected: true });
+            expect(report.tasks.every(task => task.status === 'failed')).to.be.true;
+            expect(report.verdict).to.equal('budget-exhausted');
+        });
+
+        it('fails the run when an agent went over its cap with nothing left to downgrade', async () => {
+            const fixtures = new MockResponseProvider({ latency: 0 });
+            const provider = {
+                respond: task => ({ ...fixtures.respond(task), cost: task.id === 'test-todo-api' ? 0.9 : 0.01 })
+            };
+            const report = await run({ agentCap: 0.8, breachPolicy: 'downgrade' }, provider);
+
+            expect(report.tasks.every(task => task.status === 'completed')).to.be.true;
+            expect(report.budgetBreaches).to.have.length(1);
+            expect(report.budgetBreaches[0]).to.include({ kind: 'agent', subject: 'tester', spent: 0.9 });
+            expect(report.verdict).to.equal('budget-exhausted');
+            expect(report.exitCode).to.equal(EXIT_CODES.BUDGET_EXHAUSTED);
+        });
+    });
+});
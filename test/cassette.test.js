@@ -0,0 +1,73 @@
+/**
+ * Cassette recording and replay specs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const TodoDemoRunner = require('../src/run-demo');
+const { MockResponseProvider } = require('../src/mock-provider');
+const { createMemoryLogger } = require('../src/logger');
+const { CASSETTE_VERSION, loadCassette } = require('../src/cassette');
+const { DemoError } = require('../src/errors');
+
+describe('cassettes', function () {
+    this.timeout(20000);
+
+    let artifactsRoot;
+
+    const createRunner = (options) => new TodoDemoRunner({
+        dashboard: false,
+        artifactsRoot,
+        logger: createMemoryLogger(),
+        ...options
+    });
+
+    beforeEach(() => {
+        artifactsRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-cassette-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(artifactsRoot, { recursive: true, force: true });
+    });
+
+    it('records a run and replays it with the same results', async () => {
+        const recorded = await createRunner({
+            scenario: 'basic',
+            record: true,
+            mockProvider: new MockResponseProvider({ latency: 5 })
+        }).run();
+
+        const cassette = loadCassette(recorded.artifacts.cassette);
+        expect(cassette.version).to.equal(CASSETTE_VERSION);
+        expect(Object.keys(cassette.tasks)).to.have.members(recorded.tasks.map(task => task.id));
+        expect(cassette.events.map(event => event.type)).to.include('taskCompleted');
+
+        const replayed = await createRunner({ replay: recorded.artifacts.cassette, replaySpeed: 100 }).run();
+
+        expect(replayed.verdict).to.equal(recorded.verdict);
+        expect(replayed.scenario).to.deep.equal(recorded.scenario);
+        expect(replayed.tasks.map(task => [task.id, task.status, task.cost]))
+            .to.deep.equal(recorded.tasks.map(task => [task.id, task.status, task.cost]));
+        for (const tree of replayed.artifacts.trees) {
+            const original = recorded.artifacts.trees.find(other => other.taskId === tree.taskId);
+            expect(tree.files).to.deep.equal(original.files);
+        }
+    });
+
+    describe('loadCassette()', () => {
+        it('rejects a missing file', () => {
+            expect(() => loadCassette(path.join(artifactsRoot, 'missing.json')))
+                .to.throw(DemoError, /Cannot read cassette/);
+        });
+
+        it('rejects a file that is not a cassette', () => {
+            const file = path.join(artifactsRoot, 'report.json');
+            fs.writeFileSync(file, JSON.stringify({ version: CASSETTE_VERSION, tasks: [] }));
+
+            expect(() => loadCassette(file)).to.throw(DemoError, /is not a version 1 cassette/);
+        });
+    });
+});
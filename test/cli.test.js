@@ -0,0 +1,130 @@
+/**
+ * Command-line parsing specs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const { parseArgs } = require('../src/cli');
+const { loadConfig } = require('../src/scenarios');
+const { ScenarioConfigError, UsageError } = require('../src/errors');
+
+const config = loadConfig();
+
+function parse(argv, env = {}, isTTY = false) {
+    return parseArgs(argv, { config, env, isTTY });
+}
+
+describe('parseArgs', () => {
+    it('maps flags to runner options', () => {
+        const { command, options } = parse([
+            '--scenario', 'fullstack', '--real', '--budget', '12.5', '--port', '0', '-o', 'out',
+            '--no-dashboard', '--report', 'junit,markdown', '--repair', '2', '--model', 'developer=gpt-4o-mini'
+        ]);
+
+        expect(command).to.equal('run');
+        expect(options).to.include({
+            scenario: 'fullstack',
+            mockMode: false,
+            budget: 12.5,
+            port: 0,
+            artifactsRoot: 'out',
+            dashboard: false,
+            repair: 2,
+            interactive: false
+        });
+        expect(options.reportFormats).to.deep.equal(['junit', 'markdown']);
+        expect(options.models).to.deep.equal({ developer: 'gpt-4o-mini' });
+    });
+
+    it('takes defaults from the environment, flags first', () => {
+        const env = { DEMO_SCENARIO: 'enterprise', MOCK_MODE: 'false', DEMO_BUDGET: '20' };
+
+        expect(parse([], env).options).to.include({ scenario: 'enterprise', mockMode: false, budget: 20 });
+        expect(parse(['-s', 'basic', '--mock'], env).options).to.include({ scenario: 'basic', mockMode: true });
+    });
+
+    it('prompts only on a terminal and when nothing was configured', () => {
+        expect(parse([], {}, true).options.interactive).to.be.true;
+        expect(parse(['--verbose'], {}, true).options.interactive).to.be.true;
+        expect(parse(['--mock'], {}, true).options.interactive).to.be.false;
+        expect(parse(['--non-interactive'], {}, true).options.interactive).to.be.false;
+        expect(parse([], {}, false).options.interactive).to.be.false;
+    });
+
+    it('answers --help and --list-scenarios before validating the rest', () => {
+        expect(parse(['--help', '--scenario', 'nope']).command).to.equal('help');
+        expect(parse(['--list-scenarios', '--json'])).to.deep.equal({ command: 'list-scenarios', options: { json: true } });
+    });
+
+    it('rejects an unknown scenario, naming the available ones', () => {
+        const available = Object.keys(config.scenarios).join(', ');
+
+        expect(() => parse(['--scenario', 'nope'])).to.throw(UsageError, `Unknown scenario "nope". Available: ${available}`);
+        expect(() => parse([], { DEMO_SCENARIO: 'nope' })).to.throw(UsageError, /Unknown scenario "nope"/);
+    });
+
+    it('rejects unknown flags and commands', () => {
+        expect(() => parse(['--fast'])).to.throw(UsageError, /--fast/);
+        expect(() => parse(['deploy'])).to.throw(UsageError, 'Unknown command "deploy"');
+    });
+
+    it('validates flag values', () => {
+        const cases = [
+            [['--budget', '0'], '--budget must be a positive number (got "0")'],
+            [['--budget', 'lots'], '--budget must be a positive number'],
+            [['--port', '70000'], '--port must be a port number between 0 and 65535'],
+            [['--repair', '1.5'], '--repair must be a non-negative integer'],
+            [['--report', 'pdf'], 'Unknown report format "pdf"'],
+            [['--on-breach', 'ignore'], 'Unknown --on-breach policy "ignore"'],
+            [['--graph', 'svg'], 'Unknown graph format "svg"'],
+            [['--runs', '2'], '--runs only applies to --benchmark'],
+            [['--benchmark', '--runs', '0'], '--runs must be a positive integer']
+        ];
+        for (const [argv, message] of cases) {
+            expect(() => parse(argv), argv.join(' ')).to.throw(UsageError, message);
+        }
+        expect(() => parse([], { MOCK_MODE: 'yes' })).to.throw(UsageError, 'MOCK_MODE must be "true" or "false"');
+    });
+
+    it('rejects flags that cannot be combined', () => {
+        const cases = [
+            [['--mock', '--real'], '--mock and --real cannot be used together'],
+            [['--tui', '--json'], '--tui cannot be used with --json'],
+            [['--html', 'diff.html'], '--html only applies to the diff command'],
+            [['--benchmark', '--dry-run'], '--dry-run cannot be used with --benchmark'],
+            [['--model', 'developer=gpt-4o,claude-3-sonnet'], 'use --benchmark to compare them'],
+            [['--resume', 'latest', '--record'], '--resume cannot be used with --replay or --record']
+        ];
+        for (const [argv, message] of cases) {
+            expect(() => parse(argv), argv.join(' ')).to.throw(UsageError, message);
+        }
+    });
+
+    it('rejects files that do not exist', () => {
+        expect(() => parse(['--requirements', 'missing.yaml'])).to.throw(UsageError, 'Requirements file not found');
+        expect(() => parse(['--replay', 'missing.json'])).to.throw(UsageError, 'Cassette not found');
+    });
+
+    it('takes at most two runs for compare and diff, and none for history', () => {
+        expect(parse(['diff', 'a', 'b'])).to.include({ command: 'diff' });
+        expect(() => parse(['compare', 'a', 'b', 'c'])).to.throw(UsageError, 'compare takes at most 2 runs');
+        expect(() => parse(['history', 'a'])).to.throw(UsageError, 'history takes no runs');
+    });
+});
+
+describe('loadConfig', () => {
+    it('rejects a malformed config file with a ScenarioConfigError', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-cli-'));
+        const file = path.join(dir, 'config.json');
+        fs.writeFileSync(file, '{ "scenarios": ');
+
+        try {
+            expect(() => loadConfig(file)).to.throw(ScenarioConfigError, /^Cannot read scenario config .*config\.json: /);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
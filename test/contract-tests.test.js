@@ -0,0 +1,194 @@
+/**
+ * Contract test specs
+ * Run the contract tests against a small in-memory TODO API, written on
+ * node's http module so the specs need no Express, using the spec generated
+ * from the fixture app the mock generation task returns.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { expect } = require('chai');
+
+const { materializeTask } = require('../src/materializer');
+const { writeOpenApi } = require('../src/openapi');
+const { checkSchema, exampleValue, runContractTests } = require('../src/contract-tests');
+
+const FIXTURE = require('../scenarios/fixtures/generate-todo-api.json');
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * The TODO API of the fixture, with `faults` switched on:
+ * `lenientCreate` accepts a todo without a title, `numericIds` answers with
+ * numbers for ids
+ */
+function createApi(faults = {}) {
+    const todos = new Map();
+
+    const handle = (method, url, body) => {
+        if (url === '/api/todos') {
+            if (method === 'GET') {
+                return [200, { data: [...todos.values()] }];
+            }
+            if (method === 'POST') {
+                if (typeof body.title !== 'string' && !faults.lenientCreate) {
+                    return [400, { errors: [{ path: 'title', msg: 'Invalid value' }] }];
+                }
+                const now = new Date().toISOString();
+                const todo = {
+                    id: crypto.randomUUID(),
+                    title: body.title || '',
+                    description: body.description || '',
+                    completed: Boolean(body.completed),
+                    createdAt: now,
+                    updatedAt: now
+                };
+                todos.set(todo.id, todo);
+                return [201, faults.numericIds ? { ...todo, id: todos.size } : todo];
+            }
+        }
+
+        const match = url.match(/^\/api\/todos\/([^/]+)$/);
+        if (!match) {
+            return [404, { error: 'Not found' }];
+        }
+        const id = decodeURIComponent(match[1]);
+        if (!UUID.test(id)) {
+            return [400, { errors: [{ path: 'id', msg: 'Invalid value' }] }];
+        }
+        if (!todos.has(id)) {
+            return [404, { error: 'Todo not found' }];
+        }
+        if (method === 'GET') {
+            return [200, todos.get(id)];
+        }
+        if (method === 'PUT') {
+            todos.set(id, { ...todos.get(id), ...body, updatedAt: new Date().toISOString() });
+            return [200, todos.get(id)];
+        }
+        todos.delete(id);
+        return [204, null];
+    };
+
+    return http.createServer((req, res) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => {
+            const [status, body] = handle(req.method, req.url, data ? JSON.parse(data) : {});
+            res.writeHead(status, body ? { 'Content-Type': 'application/json' } : {});
+            res.end(body ? JSON.stringify(body) : undefined);
+        });
+    });
+}
+
+describe('contract tests', () => {
+    let root;
+    let spec;
+    let server;
+
+    const listen = async (faults) => {
+        server = createApi(faults);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        return server.address().port;
+    };
+    const failures = results => results.filter(result => !result.passed)
+        .map(result => `${result.check} ${result.method} ${result.path}: ${result.error}`);
+
+    before(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-contract-'));
+        const tree = materializeTask({ id: 'generate-todo-api', type: 'generation' }, FIXTURE, { root });
+        spec = writeOpenApi(tree.dir).spec;
+    });
+
+    after(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    afterEach(async () => {
+        if (server) {
+            await new Promise(resolve => server.close(resolve));
+            server = null;
+        }
+    });
+
+    describe('runContractTests()', () => {
+        it('passes an API that keeps to its spec', async () => {
+            const results = await runContractTests(await listen(), spec);
+
+            expect(failures(results)).to.deep.equal([]);
+            expect(results.map(result => `${result.check} ${result.method} ${result.path} ${result.status}`)).to.deep.equal([
+                'response POST /api/todos 201',
+                'response GET /api/todos 200',
+                'response GET /api/todos/{id} 200',
+                'response PUT /api/todos/{id} 200',
+                'response DELETE /api/todos/{id} 204',
+                'validation POST /api/todos 400',
+                'not-found GET /api/todos/{id} 404',
+                'not-found PUT /api/todos/{id} 404',
+                'not-found DELETE /api/todos/{id} 404'
+            ]);
+        });
+
+        it('reports responses that break the schema and checks that do not fail as documented', async () => {
+            const results = await runContractTests(await listen({ numericIds: true, lenientCreate: true }), spec);
+
+            expect(failures(results)).to.include.members([
+                'response POST /api/todos: body.id should be a string',
+                'validation POST /api/todos: expected 400 for an empty body, got 201'
+            ]);
+            // Without a usable id the created todo cannot be found again
+            expect(results.find(result => result.check === 'response' && result.method === 'GET' &&
+                result.path === '/api/todos/{id}')).to.include({ status: 404, passed: false });
+        });
+
+        it('reports an API that does not answer', async () => {
+            const port = await listen();
+            await new Promise(resolve => server.close(resolve));
+            server = null;
+            const results = await runContractTests(port, spec);
+
+            expect(results.every(result => !result.passed && result.status === null)).to.be.true;
+            expect(results[0].error).to.match(/ECONNREFUSED/);
+        });
+    });
+
+    describe('exampleValue()', () => {
+        it('builds a value that satisfies the schema', () => {
+            const schema = spec.components.schemas.Todo;
+            const value = exampleValue(spec, { $ref: '#/components/schemas/Todo' });
+
+            expect(value.id).to.match(UUID);
+            expect(checkSchema(spec, value, schema)).to.deep.equal([]);
+            expect(exampleValue(spec, { type: 'string', minLength: 20 })).to.have.length(20);
+            expect(exampleValue(spec, { type: 'string', maxLength: 4 })).to.equal('Cont');
+            expect(exampleValue(spec, { enum: ['low', 'high'] })).to.equal('low');
+        });
+    });
+
+    describe('checkSchema()', () => {
+        it('names where a value does not match', () => {
+            const schema = {
+                type: 'object',
+                required: ['id', 'title'],
+                properties: {
+                    id: { type: 'string', format: 'uuid' },
+                    title: { type: 'string', maxLength: 3 },
+                    tags: { type: 'array', items: { type: 'string' } },
+                    priority: { type: 'integer', enum: [1, 2] },
+                    dueAt: { type: 'string', format: 'date-time', nullable: true }
+                }
+            };
+
+            expect(checkSchema(spec, { id: 'x', title: 'Four', tags: ['a', 2], priority: 3, dueAt: null }, schema)).to.deep.equal([
+                'body.id should be a UUID',
+                'body.title should be at most 3 characters',
+                'body.tags[1] should be a string',
+                'body.priority should be one of 1, 2'
+            ]);
+            expect(checkSchema(spec, { title: 'ok' }, schema)).to.deep.equal(['body.id is missing']);
+            expect(checkSchema(spec, [], schema)).to.deep.equal(['body should be an object']);
+        });
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Line diff specs
+ */
+
+const { expect } = require('chai');
+
+const { diffLines, diffStats, hunkHeader, splitLines, unifiedHunks } = require('../src/diff');
+
+// Deterministic line lists, so a failure can be reproduced
+function randomLines(seed, count) {
+    let state = seed;
+    const next = () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state;
+    };
+    return Array.from({ length: count }, () => `line ${next() % 6}`);
+}
+
+// Edits in a shortest script: n + m - 2 * LCS
+function editDistance(a, b) {
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            lcs[i][j] = a[i - 1] === b[j - 1] ? lcs[i - 1][j - 1] + 1 : Math.max(lcs[i - 1][j], lcs[i][j - 1]);
+        }
+    }
+    return a.length + b.length - 2 * lcs[a.length][b.length];
+}
+
+const side = (ops, type) => ops.filter(op => op.type !== type).map(op => op.line);
+
+describe('diff', () => {
+    describe('splitLines()', () => {
+        it('drops the final newline and treats empty text as no lines', () => {
+            expect(splitLines('a\nb\n')).to.deep.equal(['a', 'b']);
+            expect(splitLines('')).to.deep.equal([]);
+            expect(splitLines(null)).to.deep.equal([]);
+        });
+    });
+
+    describe('diffLines()', () => {
+        it('marks added and removed lines between common ones', () => {
+            expect(diffLines('a\nb\nc', 'a\nc\nd')).to.deep.equal([
+                { type: 'same', line: 'a' },
+                { type: 'remove', line: 'b' },
+                { type: 'same', line: 'c' },
+                { type: 'add', line: 'd' }
+            ]);
+        });
+
+        it('handles empty sides', () => {
+            expect(diffLines('', '')).to.deep.equal([]);
+            expect(diffStats(diffLines('', 'a\nb'))).to.deep.equal({ added: 2, removed: 0 });
+            expect(diffStats(diffLines('a\nb', ''))).to.deep.equal({ added: 0, removed: 2 });
+        });
+
+        it('finds a shortest edit script that rebuilds both sides', () => {
+            for (let seed = 1; seed <= 40; seed++) {
+                const a = randomLines(seed, 5 + (seed % 30));
+                const b = randomLines(seed * 7919, 5 + ((seed * 3) % 30));
+                const ops = diffLines(a, b);
+                const { added, removed } = diffStats(ops);
+
+                expect(side(ops, 'add'), `seed ${seed}`).to.deep.equal(a);
+                expect(side(ops, 'remove'), `seed ${seed}`).to.deep.equal(b);
+                expect(added + removed, `seed ${seed}`).to.equal(editDistance(a, b));
+            }
+        });
+
+        it('diffs large files with few edits', () => {
+            const a = Array.from({ length: 20000 }, (line, index) => `line ${index}`);
+            const b = [...a];
+            b.splice(5000, 1, 'changed');
+            b.splice(15000, 0, 'inserted');
+
+            expect(diffStats(diffLines(a, b))).to.deep.equal({ added: 2, removed: 1 });
+        });
+    });
+
+    describe('unifiedHunks()', () => {
+        it('keeps up to three lines of context and numbers the lines from 1', () => {
+            const a = Array.from({ length: 20 }, (line, index) => `${index + 1}`);
+            const b = [...a];
+            b[1] = 'two';
+            b[17] = 'eighteen';
+
+            const hunks = unifiedHunks(diffLines(a, b));
+            expect(hunks.map(hunkHeader)).to.deep.equal(['@@ -1,5 +1,5 @@', '@@ -15,6 +15,6 @@']);
+        });
+
+        it('numbers an empty side by the line before it', () => {
+            expect(unifiedHunks(diffLines('', 'a')).map(hunkHeader)).to.deep.equal(['@@ -0,0 +1 @@']);
+        });
+    });
+});
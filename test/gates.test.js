@@ -0,0 +1,103 @@
+/**
+ * Domain quality gate specs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const { createDomainGates, registerDomainGates } = require('../src/gates');
+const { checkApiContract } = require('../src/gates/api-contract');
+
+const ANALYSIS = [
+    '## Data Model',
+    '```javascript',
+    '{',
+    '  id: string (UUID),',
+    '  title: string (required)',
+    '}',
+    '```',
+    '',
+    '## Endpoints',
+    '- GET /api/todos - List all todos',
+    '- POST /api/todos - Create new todo'
+].join('\n');
+
+const APP = [
+    "const express = require('express');",
+    'const app = express();',
+    "app.get('/api/todos', (req, res) => res.json([]));",
+    "app.post('/api/todos', (req, res) => res.status(201).json({ id: '1', title: req.body.title }));",
+    'module.exports = app;'
+].join('\n');
+
+function writeTrees(root, app) {
+    fs.mkdirSync(path.join(root, 'comprehend-todo-api'), { recursive: true });
+    fs.mkdirSync(path.join(root, 'generate-todo-api', 'src'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'comprehend-todo-api', 'analysis.md'), ANALYSIS);
+    fs.writeFileSync(path.join(root, 'generate-todo-api', 'src', 'app.js'), app);
+}
+
+describe('domain gates', () => {
+    let root;
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-gates-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    describe('checkApiContract()', () => {
+        it('passes when the routes implement the analysis', () => {
+            const result = checkApiContract({ analysis: ANALYSIS, files: [{ file: 'src/app.js', source: APP }] });
+
+            expect(result.status).to.equal('pass');
+            expect(result.issues.filter(issue => issue.severity === 'error')).to.be.empty;
+        });
+
+        it('reports endpoints of the analysis that are not implemented', () => {
+            const source = APP.replace(/app\.post[^\n]*\n/, '');
+            const result = checkApiContract({ analysis: ANALYSIS, files: [{ file: 'src/app.js', source }] });
+
+            expect(result.status).to.equal('failed');
+            expect(result.issues.map(issue => issue.rule)).to.include('missing-endpoint');
+        });
+    });
+
+    describe('api-contract gate', () => {
+        it('reads the trees under its root', async () => {
+            writeTrees(root, APP);
+
+            const result = await createDomainGates({ root })['api-contract'].run();
+            expect(result.status).to.equal('pass');
+        });
+
+        it('is skipped without an analysis', async () => {
+            const result = await createDomainGates({ root })['api-contract'].run();
+
+            expect(result.status).to.equal('skipped');
+        });
+    });
+
+    describe('registerDomainGates()', () => {
+        it('registers nothing with a package that cannot take custom gates', () => {
+            expect(registerDomainGates({}, createDomainGates({ root }))).to.deep.equal([]);
+        });
+
+        it('registers each gate once and runs the latest run\'s gate', async () => {
+            const registry = { gates: [], registerGate: gate => registry.gates.push(gate) };
+            const first = path.join(root, 'first');
+            const second = path.join(root, 'second');
+            writeTrees(second, APP);
+
+            expect(registerDomainGates(registry, createDomainGates({ root: first }))).to.deep.equal(['api-contract']);
+            expect(registerDomainGates(registry, createDomainGates({ root: second }))).to.deep.equal(['api-contract']);
+
+            expect(registry.gates).to.have.length(1);
+            expect((await registry.gates[0].run()).status).to.equal('pass');
+        });
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * Task graph specs
+ */
+
+const { expect } = require('chai');
+
+const { GRAPH_FORMATS, buildGraph, renderGraph } = require('../src/graph');
+
+const PLAN = {
+    name: 'Basic "TODO"',
+    agents: [{ key: 'analyst', name: 'Analyst' }, { key: 'developer', name: 'Developer' }],
+    tasks: [
+        { id: 'comprehend', agent: 'analyst', type: 'comprehension' },
+        { id: 'generate-api', agent: 'developer', type: 'generation', dependencies: ['comprehend'] },
+        { id: 'test', agent: 'developer', type: 'testing', dependencies: ['generate-api'] }
+    ]
+};
+
+const REPORT = {
+    tasks: [
+        { id: 'comprehend', agent: 'analyst', status: 'completed', durationMs: 1500, cost: 0.0123, history: [{ agent: 'Analyst v2' }] },
+        { id: 'generate-api', agent: 'developer', status: 'failed' },
+        {
+            id: 'generate-api-repair-1',
+            agent: 'developer',
+            type: 'generation',
+            status: 'completed',
+            durationMs: 500,
+            cost: 0.01,
+            repairOf: 'generate-api',
+            iteration: 1
+        }
+    ]
+};
+
+describe('task graph', () => {
+    describe('buildGraph()', () => {
+        it('has a node per task and an edge per dependency', () => {
+            const graph = buildGraph(PLAN);
+
+            expect(graph.title).to.equal('Basic "TODO"');
+            expect(graph.nodes).to.deep.equal([
+                { id: 'comprehend', agent: 'Analyst', type: 'comprehension', run: null },
+                { id: 'generate-api', agent: 'Developer', type: 'generation', run: null },
+                { id: 'test', agent: 'Developer', type: 'testing', run: null }
+            ]);
+            expect(graph.edges).to.deep.equal([
+                { from: 'comprehend', to: 'generate-api' },
+                { from: 'generate-api', to: 'test' }
+            ]);
+        });
+
+        it('annotates the nodes from a report and adds the repairs after the task they repaired', () => {
+            const graph = buildGraph(PLAN, REPORT);
+
+            expect(graph.nodes[0].run).to.deep.equal({ status: 'completed', durationMs: 1500, cost: 0.0123, agent: 'Analyst v2' });
+            expect(graph.nodes[2].run).to.be.null;
+            expect(graph.nodes[3]).to.deep.include({ id: 'generate-api-repair-1', agent: 'Developer', type: 'generation' });
+            expect(graph.edges[2]).to.deep.equal({ from: 'generate-api', to: 'generate-api-repair-1' });
+        });
+    });
+
+    describe('renderGraph()', () => {
+        it('renders Mermaid with a class per run status', () => {
+            expect(renderGraph(buildGraph(PLAN), 'mermaid')).to.equal([
+                '---',
+                'title: Basic "TODO"',
+                '---',
+                'flowchart TD',
+                '    comprehend["comprehend<br/>Analyst (comprehension)"]',
+                '    generate_api["generate-api<br/>Developer (generation)"]',
+                '    test["test<br/>Developer (testing)"]',
+                '    comprehend --> generate_api',
+                '    generate_api --> test'
+            ].join('\n'));
+
+            const annotated = renderGraph(buildGraph(PLAN, REPORT), 'mermaid').split('\n');
+            expect(annotated).to.include.members([
+                '    comprehend["comprehend<br/>Analyst v2<br/>✔ completed · 1.5s · $0.012"]',
+                '    generate_api_repair_1["generate-api-repair-1<br/>Developer<br/>✔ completed · 0.5s · $0.010"]',
+                '    generate_api --> generate_api_repair_1',
+                '    classDef completed fill:#d4edda,stroke:#28a745',
+                '    class comprehend,generate_api_repair_1 completed',
+                '    class generate_api failed'
+            ]);
+        });
+
+        it('gives tasks whose ids differ only in punctuation their own Mermaid nodes', () => {
+            const plan = {
+                ...PLAN,
+                tasks: [
+                    { id: 'generate-api', agent: 'developer', type: 'generation' },
+                    { id: 'generate_api', agent: 'developer', type: 'generation' },
+                    { id: 'generate.api', agent: 'developer', type: 'generation', dependencies: ['generate-api', 'generate_api'] }
+                ]
+            };
+            const lines = renderGraph(buildGraph(plan), 'mermaid').split('\n').slice(4);
+
+            expect(lines).to.deep.equal([
+                '    generate_api["generate-api<br/>Developer (generation)"]',
+                '    generate_api_2["generate_api<br/>Developer (generation)"]',
+                '    generate_api_3["generate.api<br/>Developer (generation)"]',
+                '    generate_api --> generate_api_3',
+                '    generate_api_2 --> generate_api_3'
+            ]);
+        });
+
+        it('renders DOT with quoted ids and status colors', () => {
+            const dot = renderGraph(buildGraph(PLAN, REPORT), 'dot').split('\n');
+
+            expect(dot[0]).to.equal('digraph "Basic \\"TODO\\"" {');
+            expect(dot).to.include.members([
+                '    "comprehend" [label="comprehend\\nAnalyst v2\\n✔ completed · 1.5s · $0.012", fillcolor="#d4edda", color="#28a745"];',
+                '    "test" [label="test\\nDeveloper (testing)"];',
+                '    "generate-api" -> "test";',
+                '    "generate-api" -> "generate-api-repair-1";'
+            ]);
+            expect(dot[dot.length - 1]).to.equal('}');
+        });
+
+        it('renders ASCII stages by dependency depth', () => {
+            expect(renderGraph(buildGraph(PLAN), 'ascii')).to.equal([
+                'Basic "TODO"',
+                '',
+                'Stage 1',
+                '  • comprehend    Analyst    comprehension',
+                'Stage 2',
+                '  • generate-api  Developer  generation  ← comprehend',
+                'Stage 3',
+                '  • test          Developer  testing  ← generate-api'
+            ].join('\n'));
+
+            expect(renderGraph(buildGraph(PLAN, REPORT), 'ascii').split('\n')).to.include.members([
+                '  ✔ comprehend             Analyst v2  completed · 1.5s · $0.012',
+                '  ✖ generate-api           Developer   failed  ← comprehend',
+                '  ✔ generate-api-repair-1  Developer   completed · 0.5s · $0.010  ← generate-api'
+            ]);
+        });
+
+        it('rejects an unknown format', () => {
+            expect(GRAPH_FORMATS).to.deep.equal(['mermaid', 'dot', 'ascii']);
+            expect(() => renderGraph(buildGraph(PLAN), 'svg')).to.throw('Unknown graph format "svg"');
+        });
+    });
+});
@@ -0,0 +1,54 @@
+/**
+ * Syntax highlighter specs
+ */
+
+const { expect } = require('chai');
+
+const { escapeHtml, highlight, languageOf } = require('../src/renderers/highlight');
+
+describe('highlight', () => {
+    describe('languageOf()', () => {
+        it('picks the lexer from the file name', () => {
+            expect(languageOf('src/app.js')).to.equal('javascript');
+            expect(languageOf('package.json')).to.equal('json');
+            expect(languageOf('.github/workflows/ci.yml')).to.equal('yaml');
+            expect(languageOf('Dockerfile')).to.equal('shell');
+            expect(languageOf('.env.example')).to.equal('shell');
+            expect(languageOf('LICENSE')).to.be.null;
+        });
+    });
+
+    describe('escapeHtml()', () => {
+        it('escapes markup and quotes', () => {
+            expect(escapeHtml('<a href="x">&</a>')).to.equal('&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;');
+        });
+    });
+
+    describe('highlight()', () => {
+        it('wraps the tokens of JavaScript', () => {
+            expect(highlight("const n = 1; // one\nreturn 'a<b';", 'javascript')).to.equal(
+                '<span class="tok-keyword">const</span> n = <span class="tok-number">1</span>; ' +
+                '<span class="tok-comment">// one</span>\n<span class="tok-keyword">return</span> ' +
+                '<span class="tok-string">\'a&lt;b\'</span>;'
+            );
+        });
+
+        it('tells JSON properties from string values', () => {
+            expect(highlight('{"name": "todo", "private": true}', 'json')).to.equal(
+                '{<span class="tok-property">&quot;name&quot;</span>: <span class="tok-string">&quot;todo&quot;</span>, ' +
+                '<span class="tok-property">&quot;private&quot;</span>: <span class="tok-literal">true</span>}'
+            );
+        });
+
+        it('leaves keywords inside strings and comments alone', () => {
+            const html = highlight('"return" /* const */', 'javascript');
+
+            expect(html).to.not.include('tok-keyword');
+            expect(html).to.include('<span class="tok-comment">/* const */</span>');
+        });
+
+        it('only escapes text without a lexer', () => {
+            expect(highlight('<b>const</b>', null)).to.equal('&lt;b&gt;const&lt;/b&gt;');
+        });
+    });
+});
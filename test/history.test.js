@@ -0,0 +1,115 @@
+/**
+ * Run history specs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const TodoDemoRunner = require('../src/run-demo');
+const { MockResponseProvider } = require('../src/mock-provider');
+const { createMemoryLogger } = require('../src/logger');
+const {
+    RUN_INDEX_FILE,
+    appendRun,
+    compareRuns,
+    createRunId,
+    findRun,
+    readRuns,
+    renderComparison,
+    renderHistory
+} = require('../src/history');
+const { UsageError } = require('../src/errors');
+
+describe('history', () => {
+    let artifactsRoot;
+
+    beforeEach(() => {
+        artifactsRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-history-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(artifactsRoot, { recursive: true, force: true });
+    });
+
+    describe('createRunId()', () => {
+        it('names the scenario and the start time', () => {
+            const id = createRunId('basic', new Date('2026-10-19T14:23:01Z'));
+
+            expect(id).to.match(/^todo-demo-basic-20261019-142301-[0-9a-f]{4}$/);
+        });
+    });
+
+    describe('readRuns()', () => {
+        it('is empty without an index', () => {
+            expect(readRuns(artifactsRoot)).to.deep.equal([]);
+        });
+
+        it('keeps the latest line of each run, oldest run first', () => {
+            appendRun(artifactsRoot, { id: 'b', startedAt: '2026-10-19T10:00:00Z', status: 'interrupted' });
+            appendRun(artifactsRoot, { id: 'a', startedAt: '2026-10-18T10:00:00Z', status: 'finished', cost: 1 });
+            appendRun(artifactsRoot, { id: 'b', startedAt: '2026-10-19T10:00:00Z', status: 'finished' });
+
+            const runs = readRuns(artifactsRoot);
+            expect(runs.map(run => [run.id, run.status])).to.deep.equal([['a', 'finished'], ['b', 'finished']]);
+        });
+
+        it('skips a line cut off mid-write', () => {
+            appendRun(artifactsRoot, { id: 'a', startedAt: '2026-10-18T10:00:00Z' });
+            fs.appendFileSync(path.join(artifactsRoot, RUN_INDEX_FILE), '{"id": "b", "sta');
+
+            expect(readRuns(artifactsRoot).map(run => run.id)).to.deep.equal(['a']);
+        });
+    });
+
+    describe('findRun()', () => {
+        const runs = [
+            { id: 'todo-demo-basic-20261018-100000-aaaa' },
+            { id: 'todo-demo-basic-20261019-100000-bbbb' },
+            { id: 'todo-demo-fullstack-20261019-110000-cccc' }
+        ];
+
+        it('finds the latest and previous runs', () => {
+            expect(findRun(runs, 'latest')).to.equal(runs[2]);
+            expect(findRun(runs, 'previous')).to.equal(runs[1]);
+            expect(() => findRun([], 'previous')).to.throw(UsageError, /No previous run/);
+        });
+
+        it('finds a run by a part of its id that only it has', () => {
+            expect(findRun(runs, 'fullstack')).to.equal(runs[2]);
+            expect(() => findRun(runs, '20261019')).to.throw(UsageError, /matches 2 runs/);
+            expect(() => findRun(runs, 'enterprise')).to.throw(UsageError, /No run matching/);
+        });
+    });
+
+    describe('runs', function () {
+        this.timeout(20000);
+
+        const run = () => new TodoDemoRunner({
+            scenario: 'basic',
+            dashboard: false,
+            artifactsRoot,
+            logger: createMemoryLogger(),
+            mockProvider: new MockResponseProvider({ latency: 0 })
+        }).run();
+
+        it('are indexed and compared', async () => {
+            const first = await run();
+            const second = await run();
+
+            const runs = readRuns(artifactsRoot);
+            expect(runs.map(entry => entry.id)).to.have.members([first.session, second.session]);
+            expect(runs[0]).to.include({ scenario: 'basic', status: 'finished', verdict: 'success', tasksCompleted: 3 });
+            expect(renderHistory(runs).split('\n')).to.have.length(4);
+
+            const comparison = compareRuns(findRun(runs, first.session), findRun(runs, second.session), artifactsRoot);
+            expect(comparison.reports).to.deep.equal([true, true]);
+            expect(comparison.tasks.map(task => [task.id, task.output])).to.deep.equal(
+                first.tasks.map(task => [task.id, { changed: false, added: 0, removed: 0 }])
+            );
+            expect(comparison.gates.every(gate => !gate.changed)).to.be.true;
+            expect(renderComparison(comparison)).to.include(`A: ${first.session} (success)`);
+        });
+    });
+});
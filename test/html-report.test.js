@@ -0,0 +1,77 @@
+/**
+ * HTML report specs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const TodoDemoRunner = require('../src/run-demo');
+const { MockResponseProvider } = require('../src/mock-provider');
+const { createMemoryLogger } = require('../src/logger');
+const { MAX_FILE_BYTES, renderHtml } = require('../src/renderers/html');
+
+function unescapeHtml(html) {
+    return html.replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&');
+}
+
+describe('HTML report', function () {
+    this.timeout(20000);
+
+    let artifactsRoot;
+    let report;
+
+    before(async () => {
+        artifactsRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-html-'));
+        report = await new TodoDemoRunner({
+            scenario: 'basic',
+            dashboard: false,
+            artifactsRoot,
+            logger: createMemoryLogger(),
+            mockProvider: new MockResponseProvider({ latency: 0 })
+        }).run();
+    });
+
+    after(() => {
+        fs.rmSync(artifactsRoot, { recursive: true, force: true });
+    });
+
+    it('is written next to report.json as a self-contained page', () => {
+        const html = fs.readFileSync(report.artifacts.reports.html, 'utf8');
+
+        expect(html).to.match(/^<!DOCTYPE html>/);
+        expect(html).to.include(`<code>${report.session}</code>`);
+        expect(html).to.not.match(/<(script|link)\b[^>]*\b(src|href)=/);
+    });
+
+    it('shows the generated files, highlighted, without the run bookkeeping', () => {
+        const html = renderHtml(report);
+
+        expect(html).to.include('<summary><code>src/app.js</code></summary>');
+        expect(html).to.include('<span class="tok-keyword">const</span>');
+        expect(html).to.not.include('<summary><code>metadata.json</code></summary>');
+    });
+
+    it('cuts off a large file by bytes at the start of a character', () => {
+        const tree = report.artifacts.trees.find(candidate => candidate.taskId === 'comprehend-todo-api');
+        // Three bytes a character, so the limit falls inside one
+        fs.writeFileSync(path.join(tree.dir, 'notes.txt'), '€'.repeat(MAX_FILE_BYTES / 2));
+        const html = renderHtml({
+            ...report,
+            artifacts: {
+                ...report.artifacts,
+                trees: [{ ...tree, files: ['notes.txt'] }]
+            }
+        });
+
+        const block = html.match(/<summary><code>notes\.txt<\/code><\/summary>\n<pre><code>([\s\S]*?)<\/code><\/pre>/)[1];
+        const [shown, note] = unescapeHtml(block).split('\n');
+        expect(note).to.equal(`… cut off at ${MAX_FILE_BYTES / 1024} KB`);
+        expect(shown).to.equal('€'.repeat(Math.floor(MAX_FILE_BYTES / 3)));
+    });
+});
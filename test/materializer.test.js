@@ -0,0 +1,126 @@
+/**
+ * Artifact materializer specs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const TodoDemoRunner = require('../src/run-demo');
+const { MockResponseProvider } = require('../src/mock-provider');
+const { createMemoryLogger } = require('../src/logger');
+const { APP_DIR, layoutPath, materializeTask, splitOutput } = require('../src/materializer');
+
+const APP_OUTPUT = [
+    '// app.js',
+    "const express = require('express');",
+    'const app = express();',
+    'module.exports = app;',
+    '',
+    '// test/app.test.js',
+    "const { expect } = require('chai');"
+].join('\n');
+
+describe('materializer', () => {
+    let root;
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-materializer-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    describe('splitOutput()', () => {
+        it('splits on path marker lines', () => {
+            expect(splitOutput(APP_OUTPUT).map(file => file.path)).to.deep.equal(['app.js', 'test/app.test.js']);
+        });
+
+        it('keeps comments that look like file names inside a file', () => {
+            const output = [
+                '// server.js',
+                "const app = require('./app');",
+                '// app.listen',
+                'app.listen(3000);',
+                '// res.json',
+                '# config.port',
+                '',
+                '// package.json',
+                '{}'
+            ].join('\n');
+            const files = splitOutput(output);
+
+            expect(files.map(file => file.path)).to.deep.equal(['server.js', 'package.json']);
+            expect(files[0].content).to.include('// res.json\n# config.port');
+        });
+    });
+
+    describe('layoutPath()', () => {
+        it('places bare source files under src/ and keeps test and root files', () => {
+            expect(layoutPath('app.js')).to.equal('src/app.js');
+            expect(layoutPath('test/app.test.js')).to.equal('test/app.test.js');
+            expect(layoutPath('package.json')).to.equal('package.json');
+        });
+    });
+
+    describe('materializeTask()', () => {
+        it('writes a generation task as a project tree under root/<task id>', () => {
+            const task = { id: 'generate-todo-api', type: 'generation' };
+            const tree = materializeTask(task, { output: APP_OUTPUT }, { root });
+
+            expect(tree.dir).to.equal(path.join(root, 'generate-todo-api'));
+            expect(tree.files).to.include.members([
+                'src/app.js', 'src/server.js', 'test/app.test.js', 'package.json', 'metadata.json'
+            ]);
+            expect(tree.startable).to.be.true;
+
+            const pkg = JSON.parse(fs.readFileSync(path.join(tree.dir, 'package.json'), 'utf8'));
+            expect(pkg.dependencies).to.have.property('express');
+            expect(pkg.devDependencies).to.have.property('chai');
+        });
+
+        it('writes a comprehension task as analysis.md', () => {
+            const tree = materializeTask({ id: 'spec', type: 'comprehension' }, { output: '# Spec' }, { root });
+
+            expect(tree.files).to.deep.equal(['analysis.md', 'metadata.json']);
+            expect(fs.readFileSync(path.join(tree.dir, 'analysis.md'), 'utf8')).to.equal('# Spec');
+        });
+
+        it('replaces what an earlier attempt wrote', () => {
+            const task = { id: 'generate-todo-api', type: 'generation' };
+            materializeTask(task, { output: APP_OUTPUT }, { root });
+            materializeTask(task, { output: '// index.js\nmodule.exports = {};' }, { root });
+
+            expect(fs.existsSync(path.join(root, 'generate-todo-api', 'src', 'app.js'))).to.be.false;
+            expect(fs.existsSync(path.join(root, 'generate-todo-api', 'src', 'index.js'))).to.be.true;
+        });
+    });
+
+    describe('runs', function () {
+        this.timeout(20000);
+
+        const run = () => new TodoDemoRunner({
+            scenario: 'basic',
+            dashboard: false,
+            artifactsRoot: root,
+            logger: createMemoryLogger(),
+            mockProvider: new MockResponseProvider({ latency: 0 })
+        }).run();
+
+        it('materialize into their own session directory', async () => {
+            const first = await run();
+            const second = await run();
+
+            for (const report of [first, second]) {
+                const appDir = path.join(root, report.session, APP_DIR);
+                expect(report.artifacts.trees.map(tree => tree.dir))
+                    .to.deep.equal(report.artifacts.trees.map(tree => path.join(appDir, tree.taskId)));
+                expect(fs.existsSync(path.join(appDir, 'generate-todo-api', 'src', 'app.js'))).to.be.true;
+            }
+            expect(first.session).to.not.equal(second.session);
+            expect(fs.readdirSync(root).filter(name => name.endsWith('-todo-api'))).to.be.empty;
+        });
+    });
+});
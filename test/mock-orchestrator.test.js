@@ -0,0 +1,219 @@
+/**
+ * Mock orchestrator specs
+ * Pin the behaviour the runner relies on from the core orchestrator:
+ * scheduling, events, cancellation and the persisted results.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const { MockOrchestrator } = require('../src/mock-orchestrator');
+
+const SESSION = 'todo-demo-spec';
+
+/**
+ * Answers every task with `output: <task id>`, changed by `overrides[task id]`
+ */
+function providerWith(overrides = {}) {
+    return {
+        respond: task => ({
+            output: task.id,
+            tokensUsed: 100,
+            cost: 0.01,
+            duration: 5,
+            qualityScore: 90,
+            ...overrides[task.id]
+        })
+    };
+}
+
+describe('MockOrchestrator', () => {
+    let artifactsRoot;
+    let orchestrator;
+    let events;
+
+    const create = (options = {}) => {
+        orchestrator = new MockOrchestrator({
+            sessionName: SESSION,
+            totalBudget: 10,
+            artifactsRoot,
+            provider: providerWith(),
+            ...options
+        });
+        events = [];
+        for (const type of ['taskStarted', 'taskProgress', 'taskCompleted', 'taskFailed', 'qualityGateResult', 'costUpdate']) {
+            orchestrator.on(type, payload => events.push({ type, ...payload }));
+        }
+        return orchestrator;
+    };
+    const eventsOf = type => events.filter(event => event.type === type);
+
+    beforeEach(() => {
+        artifactsRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-mock-orchestrator-'));
+    });
+
+    afterEach(async () => {
+        await orchestrator.shutdown();
+        fs.rmSync(artifactsRoot, { recursive: true, force: true });
+    });
+
+    it('runs tasks after their dependencies and reports each step', async () => {
+        create();
+        await orchestrator.initialize();
+        const agent = await orchestrator.createAgent({ name: 'Developer' });
+        await orchestrator.queueTask({ id: 'test', agentId: agent.id, dependencies: ['build'] });
+        await orchestrator.queueTask({ id: 'build', agentId: agent.id });
+        await orchestrator.startExecution();
+        await orchestrator.waitForCompletion();
+
+        expect(eventsOf('taskStarted').map(event => event.task.id)).to.deep.equal(['build', 'test']);
+        expect(events.filter(event => event.task.id === 'build').map(event => event.type)).to.deep.equal([
+            'taskStarted', 'taskProgress', 'taskProgress', 'taskProgress', 'costUpdate', 'taskCompleted'
+        ]);
+        expect(eventsOf('taskProgress').slice(0, 3).map(event => event.progress)).to.deep.equal([0.25, 0.5, 0.75]);
+        expect(eventsOf('taskCompleted')[0].result).to.include({ taskId: 'build', status: 'completed', output: 'build', cost: 0.01 });
+        expect(eventsOf('costUpdate').map(event => event.total)).to.deep.equal([0.01, 0.02]);
+        expect(orchestrator.getFinalReport()).to.include({
+            totalTasks: 2,
+            tasksCompleted: 2,
+            tasksFailed: 0,
+            totalCost: 0.02,
+            totalTokens: 200
+        });
+    });
+
+    it('persists results in the layout of the core file store', async () => {
+        create();
+        await orchestrator.initialize();
+        const agent = await orchestrator.createAgent({ name: 'Developer' });
+        await orchestrator.queueTask({ id: 'build', agentId: agent.id });
+        await orchestrator.startExecution();
+        await orchestrator.waitForCompletion();
+
+        const sessionDir = path.join(artifactsRoot, SESSION);
+        const result = JSON.parse(fs.readFileSync(path.join(sessionDir, 'artifacts', 'build-result.json'), 'utf8'));
+        expect(result).to.include({ taskId: 'build', status: 'completed', output: 'build', tokensUsed: 100 });
+        expect(fs.readFileSync(path.join(sessionDir, 'artifacts', 'build-output.txt'), 'utf8')).to.equal('build');
+
+        const summary = JSON.parse(fs.readFileSync(path.join(sessionDir, 'summary.json'), 'utf8'));
+        expect(summary).to.include({ session: SESSION, totalTasks: 1, completedTasks: 1, failedTasks: 0 });
+        expect(summary.tasks.map(task => [task.taskId, task.status])).to.deep.equal([['build', 'completed']]);
+    });
+
+    it('runs one task at a time per agent unless it allows more', async () => {
+        create();
+        await orchestrator.initialize();
+        const single = await orchestrator.createAgent({ name: 'Single' });
+        const double = await orchestrator.createAgent({ name: 'Double', maxConcurrentTasks: 2 });
+        for (const [id, agent] of [['a1', single], ['a2', single], ['b1', double], ['b2', double]]) {
+            await orchestrator.queueTask({ id, agentId: agent.id });
+        }
+        await orchestrator.startExecution();
+        await new Promise(resolve => orchestrator.once('taskStarted', () => setImmediate(resolve)));
+
+        expect(eventsOf('taskStarted').map(event => event.task.id)).to.deep.equal(['a1', 'b1', 'b2']);
+        await orchestrator.waitForCompletion();
+        expect(eventsOf('taskCompleted')).to.have.length(4);
+    });
+
+    it('fails a task with its response error and the tasks depending on it', async () => {
+        create({ provider: providerWith({ build: { error: 'Rate limited' } }) });
+        await orchestrator.initialize();
+        const agent = await orchestrator.createAgent({ name: 'Developer' });
+        await orchestrator.queueTask({ id: 'build', agentId: agent.id });
+        await orchestrator.queueTask({ id: 'test', agentId: agent.id, dependencies: ['build'] });
+        await orchestrator.queueTask({ id: 'docs', agentId: agent.id, dependencies: ['spec'] });
+        await orchestrator.startExecution();
+        await orchestrator.waitForCompletion();
+
+        expect(eventsOf('taskFailed').map(event => [event.task.id, event.error.message])).to.deep.equal([
+            ['docs', 'Dependency spec was never queued'],
+            ['build', 'Rate limited'],
+            ['test', 'Dependency build failed']
+        ]);
+        expect(eventsOf('taskStarted').map(event => event.task.id)).to.deep.equal(['build']);
+        expect(orchestrator.getFinalReport()).to.include({ tasksCompleted: 0, tasksFailed: 3 });
+    });
+
+    it('fails a task that would take the run over its budget', async () => {
+        create({ totalBudget: 0.015 });
+        await orchestrator.initialize();
+        const agent = await orchestrator.createAgent({ name: 'Developer' });
+        await orchestrator.queueTask({ id: 'first', agentId: agent.id });
+        await orchestrator.queueTask({ id: 'second', agentId: agent.id });
+        await orchestrator.startExecution();
+        await orchestrator.waitForCompletion();
+
+        expect(eventsOf('taskCompleted').map(event => event.task.id)).to.deep.equal(['first']);
+        expect(eventsOf('taskFailed')[0].error.message).to.equal('Budget exceeded: $0.020 of $0.015');
+    });
+
+    it('cancels pending and running tasks through taskFailed', async () => {
+        create({ provider: providerWith({ slow: { duration: 5000 } }) });
+        await orchestrator.initialize();
+        const agent = await orchestrator.createAgent({ name: 'Developer' });
+        await orchestrator.queueTask({ id: 'slow', agentId: agent.id });
+        await orchestrator.queueTask({ id: 'next', agentId: agent.id });
+        await orchestrator.startExecution();
+        await new Promise(resolve => orchestrator.once('taskStarted', () => resolve()));
+
+        expect(orchestrator.cancelTask('next', 'Held')).to.be.true;
+        expect(orchestrator.cancelTask('slow', 'Timed out after 1s')).to.be.true;
+        expect(orchestrator.cancelTask('slow')).to.be.false;
+        await orchestrator.waitForCompletion();
+
+        expect(eventsOf('taskFailed').map(event => [event.task.id, event.task.status, event.error.message])).to.deep.equal([
+            ['next', 'cancelled', 'Held'],
+            ['slow', 'cancelled', 'Timed out after 1s']
+        ]);
+        expect(eventsOf('taskCompleted')).to.be.empty;
+        expect(orchestrator.agents.get(agent.id).activeTasks).to.equal(0);
+    });
+
+    it('runs a task again when it is queued again', async () => {
+        create();
+        await orchestrator.initialize();
+        const agent = await orchestrator.createAgent({ name: 'Developer' });
+        await orchestrator.queueTask({ id: 'build', agentId: agent.id });
+        await orchestrator.startExecution();
+        await orchestrator.waitForCompletion();
+        await orchestrator.queueTask({ id: 'build', agentId: agent.id });
+        await orchestrator.waitForCompletion();
+
+        expect(eventsOf('taskCompleted').map(event => event.task.id)).to.deep.equal(['build', 'build']);
+    });
+
+    it('runs the gates it is given and reports the fixture results of the others', async () => {
+        const checked = [];
+        create({
+            provider: providerWith({
+                build: { qualityResults: { gates: { eslint: { status: 'failed', issues: ['no-unused-vars'] } } } }
+            }),
+            gates: {
+                'api-contract': {
+                    run: async ({ task, sessionDir }) => {
+                        checked.push([task.id, sessionDir]);
+                        return { status: 'pass', issues: [] };
+                    }
+                }
+            }
+        });
+        await orchestrator.initialize();
+        const agent = await orchestrator.createAgent({ name: 'Developer' });
+        await orchestrator.queueTask({ id: 'build', agentId: agent.id, qualityGates: ['eslint', 'api-contract', 'test'] });
+        await orchestrator.startExecution();
+        await orchestrator.waitForCompletion();
+
+        expect(checked).to.deep.equal([['build', path.join(artifactsRoot, SESSION)]]);
+        expect(eventsOf('qualityGateResult').map(event => [event.gate, event.result.status])).to.deep.equal([
+            ['eslint', 'failed'],
+            ['api-contract', 'pass'],
+            ['test', 'skipped']
+        ]);
+        // Reported before the task completes, so gate failures can hold its dependents
+        expect(events.findIndex(event => event.type === 'qualityGateResult'))
+            .to.be.below(events.findIndex(event => event.type === 'taskCompleted'));
+    });
+});
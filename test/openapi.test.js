@@ -0,0 +1,126 @@
+/**
+ * OpenAPI generator specs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const { materializeTask } = require('../src/materializer');
+const { SPEC_FILE, validateOpenApi, writeOpenApi } = require('../src/openapi');
+
+const FIXTURE = require('../scenarios/fixtures/generate-todo-api.json');
+
+/**
+ * A valid document with one operation, changed by `change(doc)`
+ */
+function documentWith(change = () => {}) {
+    const doc = {
+        openapi: '3.0.3',
+        info: { title: 'Todos', version: '1.0.0' },
+        paths: {
+            '/todos/{id}': {
+                get: {
+                    operationId: 'getTodo',
+                    parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+                    responses: {
+                        200: { description: 'OK', content: { 'application/json': { schema: { $ref: '#/components/schemas/Todo' } } } }
+                    }
+                }
+            }
+        },
+        components: { schemas: { Todo: { type: 'object' } } }
+    };
+    change(doc);
+    return doc;
+}
+
+describe('OpenAPI', () => {
+    describe('writeOpenApi()', () => {
+        let root;
+        let written;
+
+        before(() => {
+            root = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-openapi-'));
+            const tree = materializeTask({ id: 'generate-todo-api', type: 'generation' }, FIXTURE, { root });
+            written = writeOpenApi(tree.dir, { title: 'TODO API', description: 'Generated' });
+        });
+
+        after(() => {
+            fs.rmSync(root, { recursive: true, force: true });
+        });
+
+        it('writes a valid spec of the generated routes next to the app', () => {
+            expect(written.path).to.equal(path.join(root, 'generate-todo-api', SPEC_FILE));
+            expect(JSON.parse(fs.readFileSync(written.path, 'utf8'))).to.deep.equal(written.spec);
+            expect(written.errors).to.deep.equal([]);
+            expect(written.operations).to.equal(5);
+            expect(written.spec.info).to.deep.equal({ title: 'TODO API', version: '1.0.0', description: 'Generated' });
+            expect(Object.keys(written.spec.paths)).to.deep.equal(['/api/todos', '/api/todos/{id}']);
+            expect(Object.keys(written.spec.paths['/api/todos/{id}'])).to.deep.equal(['get', 'put', 'delete']);
+        });
+
+        it('derives the request schema from the validators', () => {
+            const post = written.spec.paths['/api/todos'].post;
+
+            expect(post.requestBody.required).to.be.true;
+            expect(post.requestBody.content['application/json'].schema).to.deep.equal({
+                type: 'object',
+                properties: {
+                    title: { type: 'string', maxLength: 200 },
+                    description: { type: 'string', maxLength: 1000 },
+                    completed: { type: 'boolean' }
+                },
+                required: ['title']
+            });
+            expect(written.spec.paths['/api/todos/{id}'].get.parameters).to.deep.equal([
+                { name: 'id', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }
+            ]);
+        });
+
+        it('documents the statuses the routes send and the stored record', () => {
+            const item = written.spec.paths['/api/todos/{id}'];
+
+            expect(Object.keys(written.spec.paths['/api/todos'].post.responses)).to.deep.equal(['201', '400']);
+            expect(Object.keys(item.delete.responses)).to.deep.equal(['204', '400', '404']);
+            expect(item.get.responses[200].content['application/json'].schema).to.deep.equal({ $ref: '#/components/schemas/Todo' });
+            expect(written.spec.components.schemas.Todo.properties).to.include.keys('id', 'title', 'completed', 'createdAt');
+            expect(written.spec.components.schemas.Todo.properties.id).to.deep.equal({ type: 'string', format: 'uuid' });
+        });
+    });
+
+    describe('validateOpenApi()', () => {
+        it('accepts a valid document', () => {
+            expect(validateOpenApi(documentWith())).to.deep.equal([]);
+        });
+
+        it('reports each structural problem', () => {
+            const cases = [
+                [doc => { doc.openapi = '2.0'; }, 'openapi must be a 3.x.y version (got "2.0")'],
+                [doc => { delete doc.info.version; }, 'info must have a title and a version'],
+                [doc => { doc.paths = null; }, 'paths must be an object'],
+                [doc => { doc.paths.todos = {}; }, 'path "todos" must start with /'],
+                [doc => { doc.paths['/todos/{id}'].get.responses = {}; }, 'GET /todos/{id} has no responses'],
+                [doc => { doc.paths['/todos/{id}'].get.responses.ok = { description: 'OK' }; },
+                    'GET /todos/{id} has an invalid response status "ok"'],
+                [doc => { delete doc.paths['/todos/{id}'].get.responses[200].description; },
+                    'GET /todos/{id} response 200 needs a description'],
+                [doc => { doc.paths['/todos/{id}'].get.parameters = []; },
+                    'GET /todos/{id} does not declare path parameter "id"'],
+                [doc => { doc.paths['/todos/{id}'].get.parameters[0].required = false; },
+                    'GET /todos/{id} path parameter "id" must be required'],
+                [doc => { doc.paths['/todos/{id}'].delete = { ...doc.paths['/todos/{id}'].get }; },
+                    'operationId "getTodo" is not unique'],
+                [doc => { doc.components.schemas = {}; }, 'unresolved reference #/components/schemas/Todo']
+            ];
+            for (const [change, error] of cases) {
+                expect(validateOpenApi(documentWith(change)), error).to.deep.equal([error]);
+            }
+        });
+
+        it('rejects what is not a document', () => {
+            expect(validateOpenApi(null)).to.deep.equal(['document is not an object']);
+        });
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * Repair loop specs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const TodoDemoRunner = require('../src/run-demo');
+const { MockResponseProvider } = require('../src/mock-provider');
+const { createMemoryLogger } = require('../src/logger');
+const { buildRepairTask, summarizeRepairs } = require('../src/repair');
+
+const GENERATE = 'generate-todo-api';
+
+const FAILED = { status: 'failed', issues: [{ file: 'src/app.js', line: 3, severity: 'high', message: 'Hardcoded secret' }] };
+const PASSED = { status: 'pass', issues: [] };
+
+/**
+ * The basic scenario with the security gate on the generation task
+ */
+function configWithGate() {
+    const config = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'scenarios', 'config.json'), 'utf8'));
+    config.scenarios.basic.tasks.find(task => task.id === GENERATE).qualityGates = ['security'];
+    return config;
+}
+
+/**
+ * Fixture responses whose security gate fails on the generation task and
+ * its first `failing` repairs
+ */
+function providerFailing(failing) {
+    const fixtures = new MockResponseProvider({ latency: 0 });
+    return {
+        respond: task => {
+            const response = fixtures.respond(task);
+            if (task.id !== GENERATE && !task.id.startsWith(`${GENERATE}-repair-`)) {
+                return response;
+            }
+            const iteration = task.id === GENERATE ? 0 : Number(task.id.split('-').pop());
+            return { ...response, qualityResults: { gates: { security: iteration <= failing ? FAILED : PASSED } } };
+        }
+    };
+}
+
+describe('repair loop', () => {
+    describe('buildRepairTask()', () => {
+        it('asks the same agent to fix the issues of the output that failed', () => {
+            const root = {
+                id: GENERATE,
+                agent: 'developer',
+                profile: 'generation',
+                context: ['docs/'],
+                timeout: 1000,
+                qualityGates: ['security']
+            };
+            const task = buildRepairTask(root, 2, 3, {
+                dependsOn: `${GENERATE}-repair-1`,
+                failures: [{ gate: 'security', ...FAILED }],
+                artifactDir: 'app/generate-todo-api-repair-1/'
+            });
+
+            expect(task).to.include({
+                id: `${GENERATE}-repair-2`,
+                type: 'generation',
+                agent: 'developer',
+                objective: `Fix security issues in ${GENERATE} (repair 2 of 3)`,
+                timeout: 1000,
+                repairOf: GENERATE,
+                iteration: 2
+            });
+            expect(task.dependencies).to.deep.equal([`${GENERATE}-repair-1`]);
+            expect(task.context).to.deep.equal(['app/generate-todo-api-repair-1/', 'docs/']);
+            expect(task.qualityGates).to.deep.equal(['security']);
+            expect(task.description).to.include('  - src/app.js:3 [high] Hardcoded secret');
+        });
+    });
+
+    describe('summarizeRepairs()', () => {
+        it('counts the issues of every iteration per gate', () => {
+            const repairs = summarizeRepairs([
+                { taskId: 'a', gate: 'eslint', status: 'failed', issues: ['x', 'y'] },
+                { taskId: 'a', gate: 'test', status: 'error' },
+                { taskId: 'b', gate: 'eslint', status: 'failed', issues: [] },
+                { taskId: 'a-repair-1', repairOf: 'a', iteration: 1, gate: 'eslint', status: 'failed', issues: ['x'] },
+                { taskId: 'a-repair-1', repairOf: 'a', iteration: 1, gate: 'test', status: 'pass' },
+                { taskId: 'a-repair-2', repairOf: 'a', iteration: 2, gate: 'eslint', status: 'pass' },
+                { taskId: 'a-repair-2', repairOf: 'a', iteration: 2, gate: 'test', status: 'skipped' }
+            ]);
+
+            expect(repairs).to.deep.equal([{
+                taskId: 'a',
+                iterations: [
+                    { iteration: 0, taskId: 'a', issues: { eslint: 2, test: 1 }, total: 3 },
+                    { iteration: 1, taskId: 'a-repair-1', issues: { eslint: 1, test: 0 }, total: 1 },
+                    { iteration: 2, taskId: 'a-repair-2', issues: { eslint: 0, test: 0 }, total: 0 }
+                ],
+                converged: true
+            }]);
+        });
+
+        it('does not converge while the last iteration still fails', () => {
+            const [repair] = summarizeRepairs([
+                { taskId: 'a', gate: 'eslint', status: 'failed', issues: ['x'] },
+                { taskId: 'a-repair-1', repairOf: 'a', iteration: 1, gate: 'eslint', status: 'failed', issues: ['x'] }
+            ]);
+
+            expect(repair.converged).to.be.false;
+            expect(repair.iterations.map(iteration => iteration.total)).to.deep.equal([1, 1]);
+        });
+    });
+
+    describe('runs', function () {
+        this.timeout(20000);
+
+        let artifactsRoot;
+        let logger;
+
+        const run = (repair, provider) => new TodoDemoRunner({
+            scenario: 'basic',
+            dashboard: false,
+            artifactsRoot,
+            logger,
+            repair,
+            config: configWithGate(),
+            mockProvider: provider
+        }).run();
+        const byId = report => Object.fromEntries(report.tasks.map(task => [task.id, task]));
+        const logged = text => logger.entries.findIndex(entry => entry.message.includes(text));
+
+        beforeEach(() => {
+            artifactsRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-repair-'));
+            logger = createMemoryLogger();
+        });
+
+        afterEach(() => {
+            fs.rmSync(artifactsRoot, { recursive: true, force: true });
+        });
+
+        it('repairs failed gates and holds the dependents until the repair passed', async () => {
+            const report = await run(2, providerFailing(1));
+            const tasks = byId(report);
+
+            expect(tasks[`${GENERATE}-repair-1`]).to.include({ status: 'completed', repairOf: GENERATE, iteration: 1 });
+            expect(tasks[`${GENERATE}-repair-2`]).to.include({ status: 'completed', iteration: 2 });
+            // Started once, after the last repair
+            expect(tasks['test-todo-api']).to.include({ status: 'completed', attempts: 1 });
+            expect(Date.parse(tasks['test-todo-api'].startedAt))
+                .to.be.at.least(Date.parse(tasks[`${GENERATE}-repair-2`].completedAt));
+            expect(logged('Started: Write comprehensive tests')).to.be.above(logged(`Completed: Fix security issues in ${GENERATE} (repair 2 of 2)`));
+
+            expect(report.repairs).to.have.length(1);
+            expect(report.repairs[0]).to.include({ taskId: GENERATE, converged: true });
+            expect(report.repairs[0].iterations.map(iteration => iteration.total)).to.deep.equal([1, 1, 0]);
+            expect(report.verdict).to.equal('success');
+        });
+
+        it('releases the dependents when the repairs run out', async () => {
+            const report = await run(1, providerFailing(Infinity));
+            const tasks = byId(report);
+
+            expect(tasks).to.not.have.property(`${GENERATE}-repair-2`);
+            expect(tasks['test-todo-api']).to.include({ status: 'completed', attempts: 1 });
+            expect(logger.entries.some(entry => entry.message.includes(`${GENERATE} still fails security after 1 repair`))).to.be.true;
+            expect(report.repairs[0].converged).to.be.false;
+            expect(report.verdict).to.equal('gate-failure');
+        });
+    });
+});
@@ -0,0 +1,163 @@
+/**
+ * Requirements specs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const {
+    describeRequirements,
+    loadRequirements,
+    normalizeRequirements,
+    parseMarkdown,
+    sampleRecord
+} = require('../src/requirements');
+const { RequirementsError } = require('../src/errors');
+
+function issuesOf(spec) {
+    try {
+        normalizeRequirements(spec);
+    } catch (error) {
+        expect(error).to.be.an.instanceOf(RequirementsError);
+        return error.issues;
+    }
+    return [];
+}
+
+describe('requirements', () => {
+    describe('loadRequirements()', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-requirements-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('loads the TODO app by default, served under /api/todos', () => {
+            const requirements = loadRequirements();
+            const [todo] = requirements.entities;
+
+            expect(requirements.name).to.equal('TODO');
+            expect(todo).to.include({ name: 'Todo', plural: 'todos', path: '/api/todos' });
+            expect(todo.operations).to.deep.equal(['list', 'get', 'create', 'update', 'delete']);
+        });
+
+        it('reads every shipped requirements file', () => {
+            const shipped = path.join(__dirname, '..', 'scenarios', 'requirements');
+            for (const file of fs.readdirSync(shipped)) {
+                expect(() => loadRequirements(path.join(shipped, file)), file).not.to.throw();
+            }
+        });
+
+        it('rejects a missing file and an unsupported extension', () => {
+            const text = path.join(dir, 'app.txt');
+            fs.writeFileSync(text, 'name: Notes');
+
+            expect(() => loadRequirements(path.join(dir, 'missing.yaml'))).to.throw(RequirementsError, /not found/);
+            expect(() => loadRequirements(text)).to.throw(RequirementsError, /unsupported extension/);
+        });
+    });
+
+    describe('normalizeRequirements()', () => {
+        it('defaults the plural and path from the entity name', () => {
+            const requirements = normalizeRequirements({
+                name: 'Library',
+                entities: [{ name: 'Category', fields: [{ name: 'label' }] }]
+            });
+
+            expect(requirements.entities[0]).to.include({ plural: 'categories', path: '/categories' });
+            expect(requirements.entities[0].fields).to.deep.equal([{ name: 'label', type: 'string' }]);
+        });
+
+        it('reports every problem at its path', () => {
+            const issues = issuesOf({
+                name: '',
+                entities: [{
+                    name: 'Note',
+                    fields: [{ name: 'kind', type: 'enum' }, { name: 'kind', type: 'blob' }],
+                    operations: ['archive']
+                }],
+                features: { search: true }
+            });
+
+            expect(issues.map(issue => issue.path)).to.deep.equal([
+                'name',
+                'entities[0].fields[0].values',
+                'entities[0].fields[1].name',
+                'entities[0].fields[1].type',
+                'entities[0].operations',
+                'features.search'
+            ]);
+        });
+    });
+
+    describe('parseMarkdown()', () => {
+        it('reads the name, entities, features and criteria', () => {
+            const spec = parseMarkdown([
+                '# Bookmarks',
+                '',
+                'Saved links.',
+                '',
+                '## Entity: Bookmark',
+                '- url (url, required, max 2048)',
+                '- status (one of unread|read) - reading state',
+                'Operations: list, create',
+                '',
+                '## Features',
+                '- pagination: true',
+                '',
+                '## Success Criteria',
+                '- Rejects URLs that are not http or https'
+            ].join('\n'));
+
+            expect(spec).to.deep.equal({
+                name: 'Bookmarks',
+                description: 'Saved links.',
+                entities: [{
+                    name: 'Bookmark',
+                    fields: [
+                        { name: 'url', type: 'url', required: true, maxLength: 2048 },
+                        { name: 'status', type: 'enum', values: ['unread', 'read'], description: 'reading state' }
+                    ],
+                    operations: ['list', 'create']
+                }],
+                features: { pagination: true },
+                criteria: ['Rejects URLs that are not http or https']
+            });
+        });
+    });
+
+    describe('describeRequirements()', () => {
+        it('lists the endpoints under each entity path', () => {
+            const description = describeRequirements(loadRequirements());
+
+            expect(description).to.include('- GET /api/todos - List all todos');
+            expect(description).to.include('- DELETE /api/todos/:id - Delete a todo');
+        });
+    });
+
+    describe('sampleRecord()', () => {
+        it('holds a valid value for each required field the client sends', () => {
+            const [entity] = normalizeRequirements({
+                name: 'Events',
+                entities: [{
+                    name: 'Event',
+                    fields: [
+                        { name: 'id', type: 'uuid', generated: true, required: true },
+                        { name: 'code', required: true, minLength: 16, maxLength: 20 },
+                        { name: 'kind', type: 'enum', values: ['talk', 'workshop'], required: true },
+                        { name: 'seats', type: 'integer', required: true },
+                        { name: 'notes', type: 'text' }
+                    ]
+                }]
+            }).entities;
+
+            expect(sampleRecord(entity)).to.deep.equal({ code: 'Sample code.....', kind: 'talk', seats: 1 });
+        });
+    });
+});
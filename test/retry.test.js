@@ -0,0 +1,118 @@
+/**
+ * Retry and timeout policy specs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const TodoDemoRunner = require('../src/run-demo');
+const { MockResponseProvider } = require('../src/mock-provider');
+const { createMemoryLogger } = require('../src/logger');
+
+const GENERATE = 'generate-todo-api';
+
+/**
+ * The basic scenario with the generation task's policy replaced
+ */
+function configWith(policy) {
+    const config = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'scenarios', 'config.json'), 'utf8'));
+    Object.assign(config.scenarios.basic.tasks.find(task => task.id === GENERATE), policy);
+    return config;
+}
+
+/**
+ * Fixture responses, with the first attempts at the generation task
+ * changed by `attempt(n)`
+ */
+function providerWith(attempt) {
+    const fixtures = new MockResponseProvider({ latency: 0 });
+    let attempts = 0;
+    return {
+        respond: task => {
+            const response = fixtures.respond(task);
+            return task.id === GENERATE ? { ...response, ...attempt(++attempts) } : response;
+        }
+    };
+}
+
+// An orchestrator like repochief-core's in real mode, which cannot cancel tasks
+function withoutCancel(runner) {
+    const buildOrchestrator = runner.buildOrchestrator;
+    runner.buildOrchestrator = function () {
+        const orchestrator = buildOrchestrator.call(this);
+        orchestrator.cancelTask = undefined;
+        return orchestrator;
+    };
+    return runner;
+}
+
+describe('retry and timeout policies', function () {
+    this.timeout(20000);
+
+    let artifactsRoot;
+    let logger;
+
+    const createRunner = (policy, provider) => new TodoDemoRunner({
+        scenario: 'basic',
+        dashboard: false,
+        artifactsRoot,
+        logger,
+        config: configWith(policy),
+        mockProvider: provider
+    });
+    const byId = report => Object.fromEntries(report.tasks.map(task => [task.id, task]));
+
+    beforeEach(() => {
+        artifactsRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-retry-'));
+        logger = createMemoryLogger();
+    });
+
+    afterEach(() => {
+        fs.rmSync(artifactsRoot, { recursive: true, force: true });
+    });
+
+    for (const cancels of [true, false]) {
+        const label = cancels ? '' : ' when the orchestrator cannot cancel tasks';
+
+        it(`retries a failed task and holds its dependents meanwhile${label}`, async () => {
+            const provider = providerWith(n => (n === 1 ? { error: 'Rate limited' } : {}));
+            const runner = createRunner({ retry: { maxRetries: 1, backoff: 0 } }, provider);
+            const report = await (cancels ? runner : withoutCancel(runner)).run();
+            const tasks = byId(report);
+
+            expect(tasks[GENERATE]).to.include({ status: 'completed', attempts: 2 });
+            expect(tasks[GENERATE].history.map(attempt => attempt.status)).to.deep.equal(['failed', 'completed']);
+            expect(tasks['test-todo-api']).to.include({ status: 'completed', attempts: 1 });
+            expect(report.verdict).to.equal('success');
+        });
+    }
+
+    it('cancels a task that runs past its timeout and retries it', async () => {
+        const provider = providerWith(n => (n === 1 ? { duration: 2000 } : {}));
+        const report = await createRunner({ timeout: 100, retry: { maxRetries: 1, backoff: 0 } }, provider).run();
+        const generate = byId(report)[GENERATE];
+
+        expect(generate).to.include({ status: 'completed', attempts: 2 });
+        expect(generate.history[0]).to.include({ status: 'failed', error: 'Timed out after 100ms' });
+        expect(report.verdict).to.equal('success');
+    });
+
+    it('abandons a timed-out task the orchestrator cannot cancel, with its dependents', async () => {
+        const provider = providerWith(() => ({ duration: 3000 }));
+        const runner = withoutCancel(createRunner({ timeout: 100, retry: { maxRetries: 1, backoff: 0 } }, provider));
+
+        const started = Date.now();
+        const report = await runner.run();
+        const tasks = byId(report);
+
+        // Not waiting for the orchestrator to finish the abandoned attempt
+        expect(Date.now() - started).to.be.below(2500);
+        expect(tasks[GENERATE]).to.include({ status: 'failed', attempts: 1, abandoned: true, error: 'Timed out after 100ms' });
+        expect(tasks['test-todo-api']).to.include({ status: 'failed', abandoned: true });
+        expect(tasks['test-todo-api'].error).to.equal(`Dependency ${GENERATE} failed: Timed out after 100ms`);
+        expect(logger.entries.filter(entry => entry.message.includes('cannot cancel tasks'))).to.have.length(1);
+        expect(report.verdict).to.equal('task-failure');
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * TodoDemoRunner specs
+ * Drive whole mock runs through the public runner API, with output
+ * captured by a memory logger and artifacts in a temporary directory.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const TodoDemoRunner = require('../src/run-demo');
+const { MockResponseProvider } = require('../src/mock-provider');
+const { createMemoryLogger } = require('../src/logger');
+const {
+    BudgetExceededError,
+    DemoError,
+    DemoRunError,
+    RequirementsError,
+    ScenarioConfigError
+} = require('../src/errors');
+
+describe('TodoDemoRunner', function () {
+    this.timeout(20000);
+
+    let artifactsRoot;
+    let logger;
+
+    const createRunner = (options = {}) => new TodoDemoRunner({
+        scenario: 'basic',
+        dashboard: false,
+        artifactsRoot,
+        logger,
+        mockProvider: new MockResponseProvider({ latency: 0 }),
+        ...options
+    });
+
+    const rejection = async (promise) => {
+        try {
+            await promise;
+        } catch (error) {
+            return error;
+        }
+        throw new Error('Expected run() to reject');
+    };
+
+    beforeEach(() => {
+        artifactsRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-demo-'));
+        logger = createMemoryLogger();
+    });
+
+    afterEach(() => {
+        fs.rmSync(artifactsRoot, { recursive: true, force: true });
+    });
+
+    describe('run()', () => {
+        it('resolves with a successful report for a mock run', async () => {
+            const report = await createRunner().run();
+
+            expect(report.verdict).to.equal('success');
+            expect(report.exitCode).to.equal(0);
+            expect(report.tasks.every(task => task.status === 'completed')).to.be.true;
+            expect(fs.existsSync(path.join(artifactsRoot, report.session, 'report.json'))).to.be.true;
+        });
+
+        it('logs through the given logger', async () => {
+            await createRunner().run();
+
+            expect(logger.entries.some(entry => entry.message.includes('RepoChief TODO App Demo'))).to.be.true;
+            expect(logger.entries.some(entry => entry.level === 'spinner')).to.be.true;
+        });
+
+        it('resolves with the plan and runs nothing on a dry run', async () => {
+            const plan = await createRunner({ dryRun: true }).run();
+
+            expect(plan.scenario.id).to.equal('basic');
+            expect(plan.tasks).to.be.an('array').that.is.not.empty;
+            expect(fs.readdirSync(artifactsRoot)).to.be.empty;
+        });
+
+        it('rejects with a ScenarioConfigError for an unknown scenario', async () => {
+            const error = await rejection(createRunner({ scenario: 'missing' }).run());
+
+            expect(error).to.be.an.instanceOf(ScenarioConfigError);
+            expect(error.issues).to.be.an('array').that.is.not.empty;
+        });
+
+        it('rejects with a RequirementsError for an unreadable requirements file', async () => {
+            const error = await rejection(createRunner({
+                requirements: path.join(artifactsRoot, 'missing.yaml')
+            }).run());
+
+            expect(error).to.be.an.instanceOf(RequirementsError);
+        });
+
+        it('rejects with a BudgetExceededError when a real run is estimated over budget', async () => {
+            const error = await rejection(createRunner({ mockMode: false, budget: 0.001 }).run());
+
+            expect(error).to.be.an.instanceOf(BudgetExceededError);
+            expect(error.estimate.total).to.be.above(0.001);
+        });
+
+        it('rejects with a DemoRunError naming the phase that failed', async () => {
+            const file = path.join(artifactsRoot, 'not-a-directory');
+            fs.writeFileSync(file, '');
+            const error = await rejection(createRunner({ artifactsRoot: file }).run());
+
+            expect(error).to.be.an.instanceOf(DemoRunError);
+            expect(error.phase).to.equal('initialize');
+            expect(error.cause.code).to.equal('ENOTDIR');
+        });
+
+        it('rejects with a DemoError for a corrupt cassette', async () => {
+            const file = path.join(artifactsRoot, 'cassette.json');
+            fs.writeFileSync(file, '{ "version": 1, "events": [');
+            const error = await rejection(createRunner({ replay: file }).run());
+
+            expect(error).to.be.an.instanceOf(DemoError).and.not.an.instanceOf(DemoRunError);
+            expect(error.message).to.match(/^Cannot read cassette .*cassette\.json: /);
+            expect(error.cause).to.be.an.instanceOf(SyntaxError);
+        });
+
+        it('rejects with a DemoError when resuming a session with a corrupt state.json', async () => {
+            const report = await createRunner().run();
+            fs.writeFileSync(path.join(artifactsRoot, report.session, 'state.json'), '{ "status": "runn');
+            const error = await rejection(createRunner({ resume: 'latest' }).run());
+
+            expect(error).to.be.an.instanceOf(DemoError).and.not.an.instanceOf(DemoRunError);
+            expect(error.message).to.match(/^Cannot read session state .*state\.json: /);
+            expect(error.cause).to.be.an.instanceOf(SyntaxError);
+        });
+
+        it('wraps an unexpected error while loading the run in a DemoRunError', async () => {
+            const runner = createRunner();
+            runner.resolvePlan = () => {
+                throw new TypeError('plan is broken');
+            };
+            const error = await rejection(runner.run());
+
+            expect(error).to.be.an.instanceOf(DemoRunError);
+            expect(error.phase).to.equal('load');
+            expect(error.message).to.equal('Demo failed during load: plan is broken');
+        });
+    });
+});
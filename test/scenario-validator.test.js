@@ -0,0 +1,124 @@
+/**
+ * Scenario validator specs
+ */
+
+const { expect } = require('chai');
+
+const { validateScenario, findCycle } = require('../src/scenario-validator');
+const { ScenarioConfigError } = require('../src/errors');
+
+const TEMPLATES = { SENIOR_DEVELOPER: {}, QA_ENGINEER: {} };
+
+function configWith(scenario) {
+    return {
+        scenarios: {
+            demo: {
+                agents: {
+                    developer: { template: 'SENIOR_DEVELOPER' },
+                    tester: { template: 'QA_ENGINEER' }
+                },
+                tasks: [
+                    { id: 'build', type: 'generation', agent: 'developer', objective: 'Build it' },
+                    { id: 'check', type: 'validation', agent: 'tester', objective: 'Check it', dependencies: ['build'] }
+                ],
+                ...scenario
+            }
+        }
+    };
+}
+
+function issuesOf(config) {
+    try {
+        validateScenario(config, 'demo', { templates: TEMPLATES });
+    } catch (error) {
+        expect(error).to.be.an.instanceOf(ScenarioConfigError);
+        return error.issues;
+    }
+    return [];
+}
+
+describe('validateScenario', () => {
+    it('accepts a well-formed scenario', () => {
+        expect(issuesOf(configWith({}))).to.be.empty;
+    });
+
+    it('accepts every scenario in scenarios/config.json', () => {
+        const config = require('../scenarios/config.json');
+        const { AgentTemplates } = require('@liftping/repochief-core');
+        for (const id of Object.keys(config.scenarios)) {
+            expect(() => validateScenario(config, id, { templates: AgentTemplates }), id).not.to.throw();
+        }
+    });
+
+    it('reports an undefined scenario', () => {
+        expect(issuesOf({ scenarios: {} })).to.deep.equal([
+            { path: 'scenarios.demo', message: 'scenario is not defined' }
+        ]);
+    });
+
+    it('reports null and non-object agents at their path', () => {
+        const issues = issuesOf(configWith({
+            agents: { developer: null, tester: 'QA_ENGINEER' }
+        }));
+
+        expect(issues).to.deep.include({ path: 'scenarios.demo.agents.developer', message: 'must be an object' });
+        expect(issues).to.deep.include({ path: 'scenarios.demo.agents.tester', message: 'must be an object' });
+    });
+
+    it('reports null task entries at their path', () => {
+        const config = configWith({});
+        config.scenarios.demo.tasks[1] = null;
+
+        expect(issuesOf(config)).to.deep.equal([
+            { path: 'scenarios.demo.tasks[1]', message: 'must be an object' }
+        ]);
+    });
+
+    it('reports unknown templates, agents and task types', () => {
+        const config = configWith({});
+        config.scenarios.demo.agents.developer.template = 'ARCHITECT';
+        config.scenarios.demo.tasks[0].type = 'planning';
+        config.scenarios.demo.tasks[1].agent = 'reviewer';
+
+        const paths = issuesOf(config).map(issue => issue.path);
+        expect(paths).to.include.members([
+            'scenarios.demo.agents.developer.template',
+            'scenarios.demo.tasks[0].type',
+            'scenarios.demo.tasks[1].agent'
+        ]);
+    });
+
+    it('reports unknown dependencies and dependency cycles', () => {
+        const config = configWith({});
+        config.scenarios.demo.tasks[0].dependencies = ['check', 'deploy'];
+
+        const messages = issuesOf(config).map(issue => `${issue.path}: ${issue.message}`);
+        expect(messages).to.include('scenarios.demo.tasks[0].dependencies[1]: unknown task id "deploy"');
+        expect(messages).to.include('scenarios.demo.tasks: dependency cycle build -> check -> build');
+    });
+
+    it('reports duplicate task ids', () => {
+        const config = configWith({});
+        config.scenarios.demo.tasks[1].id = 'build';
+        config.scenarios.demo.tasks[1].dependencies = [];
+
+        expect(issuesOf(config)).to.deep.include({
+            path: 'scenarios.demo.tasks[1].id',
+            message: 'duplicate task id "build"'
+        });
+    });
+});
+
+describe('findCycle', () => {
+    it('returns null for an acyclic graph', () => {
+        expect(findCycle([{ id: 'a' }, { id: 'b', dependencies: ['a'] }])).to.be.null;
+    });
+
+    it('returns the ids along a cycle', () => {
+        expect(findCycle([
+            { id: 'a', dependencies: ['c'] },
+            { id: 'b', dependencies: ['a'] },
+            { id: 'c', dependencies: ['b'] }
+        ])).to.deep.equal(['a', 'c', 'b', 'a']);
+    });
+});
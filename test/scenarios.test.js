@@ -0,0 +1,108 @@
+/**
+ * Scenario feature specs
+ */
+
+const { expect } = require('chai');
+
+const { featureTasks, linkOptionalDependencies, loadConfig, scenarioTasks } = require('../src/scenarios');
+
+const CONFIG = {
+    scenarios: {
+        app: {
+            tasks: [{ id: 'build' }, { id: 'test', dependencies: ['build'] }],
+            features: { auth: true }
+        }
+    },
+    featureTasks: {
+        auth: { tasks: [{ id: 'auth', dependencies: ['build'] }] },
+        database: {
+            unless: ['memory'],
+            tasks: [
+                { id: 'migrate', dependencies: ['build'], after: ['auth'] },
+                { id: 'seed', dependencies: ['migrate'] }
+            ]
+        },
+        docker: { tasks: [{ id: 'docker', dependencies: ['build'], after: ['migrate', 'auth'] }] }
+    }
+};
+
+const ids = tasks => tasks.map(task => task.id);
+
+describe('scenario features', () => {
+    describe('featureTasks()', () => {
+        it('adds nothing without feature flags', () => {
+            expect(featureTasks(CONFIG)).to.deep.equal([]);
+            expect(featureTasks(CONFIG, { auth: false, database: null, docker: undefined })).to.deep.equal([]);
+            expect(featureTasks({ scenarios: {} }, { auth: true })).to.deep.equal([]);
+        });
+
+        it('adds the tasks of every enabled feature, in config order', () => {
+            const entries = featureTasks(CONFIG, { docker: true, database: 'postgresql', auth: 'jwt' });
+
+            expect(entries.map(({ feature, index, task }) => [feature, index, task.id])).to.deep.equal([
+                ['auth', 0, 'auth'],
+                ['database', 0, 'migrate'],
+                ['database', 1, 'seed'],
+                ['docker', 0, 'docker']
+            ]);
+            expect(entries[1].task).to.equal(CONFIG.featureTasks.database.tasks[0]);
+        });
+
+        it('leaves out a feature whose value is listed in unless', () => {
+            expect(ids(featureTasks(CONFIG, { database: 'memory' }).map(entry => entry.task))).to.deep.equal([]);
+            expect(ids(featureTasks(CONFIG, { database: 'sqlite' }).map(entry => entry.task))).to.deep.equal(['migrate', 'seed']);
+        });
+    });
+
+    describe('linkOptionalDependencies()', () => {
+        it('keeps the after edges to tasks in the list and drops the others', () => {
+            const tasks = linkOptionalDependencies([
+                { id: 'build' },
+                { id: 'migrate', dependencies: ['build'], after: ['auth'] },
+                { id: 'docker', dependencies: ['build'], after: ['migrate', 'auth'] }
+            ]);
+
+            expect(tasks[1].dependencies).to.deep.equal(['build']);
+            expect(tasks[2].dependencies).to.deep.equal(['build', 'migrate']);
+        });
+
+        it('does not repeat a dependency or change the tasks given', () => {
+            const docker = { id: 'docker', dependencies: ['build', 'auth'], after: ['auth'] };
+            const tasks = linkOptionalDependencies([{ id: 'build' }, { id: 'auth' }, docker]);
+
+            expect(tasks[2].dependencies).to.deep.equal(['build', 'auth']);
+            expect(tasks[2]).to.not.equal(docker);
+            expect(docker.dependencies).to.deep.equal(['build', 'auth']);
+        });
+
+        it('passes tasks without after through, including invalid entries', () => {
+            const build = { id: 'build' };
+            const [first, second] = linkOptionalDependencies([build, null]);
+
+            expect(first).to.equal(build);
+            expect(second).to.be.null;
+        });
+    });
+
+    describe('scenarioTasks()', () => {
+        it('appends the feature tasks of the scenario, or of the flags given', () => {
+            expect(ids(scenarioTasks(CONFIG, 'app'))).to.deep.equal(['build', 'test', 'auth']);
+
+            const tasks = scenarioTasks(CONFIG, 'app', { database: 'postgresql', docker: true });
+            expect(ids(tasks)).to.deep.equal(['build', 'test', 'migrate', 'seed', 'docker']);
+            expect(tasks.find(task => task.id === 'migrate').dependencies).to.deep.equal(['build']);
+            expect(tasks.find(task => task.id === 'docker').dependencies).to.deep.equal(['build', 'migrate']);
+        });
+
+        it('orders the bundled feature tasks after the optional ones enabled', () => {
+            const config = loadConfig();
+            const dependenciesOf = (features, id) => scenarioTasks(config, 'basic', features).find(task => task.id === id).dependencies;
+
+            expect(dependenciesOf({ authentication: true, database: 'postgresql' }, 'migrate-database'))
+                .to.include('implement-auth');
+            expect(dependenciesOf({ database: 'postgresql' }, 'migrate-database')).to.not.include('implement-auth');
+            expect(dependenciesOf({ database: 'memory', containerization: true }, 'containerize-api'))
+                .to.not.include('migrate-database');
+        });
+    });
+});
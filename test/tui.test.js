@@ -0,0 +1,101 @@
+/**
+ * Terminal dashboard specs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const { expect } = require('chai');
+
+const TodoDemoRunner = require('../src/run-demo');
+const { MockResponseProvider } = require('../src/mock-provider');
+const { createMemoryLogger } = require('../src/logger');
+const { isInteractive } = require('../src/tui');
+
+describe('terminal dashboard', () => {
+    describe('isInteractive()', () => {
+        let term;
+
+        beforeEach(() => {
+            term = process.env.TERM;
+        });
+
+        afterEach(() => {
+            if (term === undefined) {
+                delete process.env.TERM;
+            } else {
+                process.env.TERM = term;
+            }
+        });
+
+        it('needs a TTY that can draw', () => {
+            process.env.TERM = 'xterm-256color';
+            expect(isInteractive({ isTTY: true })).to.be.true;
+            expect(isInteractive({ isTTY: false })).to.be.false;
+            expect(isInteractive({})).to.be.false;
+            expect(isInteractive(undefined)).to.be.false;
+
+            process.env.TERM = 'dumb';
+            expect(isInteractive({ isTTY: true })).to.be.false;
+        });
+    });
+
+    describe('--tui without a terminal', function () {
+        this.timeout(20000);
+
+        let artifactsRoot;
+        let isTTY;
+
+        beforeEach(() => {
+            artifactsRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-tui-'));
+            isTTY = Object.getOwnPropertyDescriptor(process.stdout, 'isTTY');
+            Object.defineProperty(process.stdout, 'isTTY', { value: false, configurable: true, writable: true });
+        });
+
+        afterEach(() => {
+            if (isTTY) {
+                Object.defineProperty(process.stdout, 'isTTY', isTTY);
+            } else {
+                delete process.stdout.isTTY;
+            }
+            fs.rmSync(artifactsRoot, { recursive: true, force: true });
+        });
+
+        it('logs plain lines, progress included, instead of drawing', async () => {
+            const logger = createMemoryLogger();
+            const writes = [];
+            const write = process.stdout.write;
+            process.stdout.write = (chunk, ...rest) => {
+                writes.push(String(chunk));
+                return write.call(process.stdout, chunk, ...rest);
+            };
+
+            let report;
+            try {
+                report = await new TodoDemoRunner({
+                    scenario: 'basic',
+                    dashboard: false,
+                    tui: true,
+                    artifactsRoot,
+                    logger,
+                    mockProvider: new MockResponseProvider({ latency: 20 })
+                }).run();
+            } finally {
+                process.stdout.write = write;
+            }
+            // Colored when the specs run in a terminal
+            const plain = entry => util.stripVTControlCharacters(entry.message);
+            const messages = logger.entries.map(plain);
+
+            expect(report.verdict).to.equal('success');
+            expect(logger.entries.filter(entry => entry.level === 'warn').map(plain))
+                .to.include('⚠️  stdout is not a terminal; showing plain progress instead of the dashboard');
+            expect(messages.some(message => message.includes('🔄 Started: Analyze requirements'))).to.be.true;
+            expect(messages).to.include('   Progress: generate-todo-api 50%');
+            expect(messages.some(message => message.includes('✅ Completed: Write comprehensive tests'))).to.be.true;
+            // Nothing switched to the alternate screen
+            expect(writes.join('')).to.not.include('\u001b[?1049h');
+        });
+    });
+});